@@ -0,0 +1,176 @@
+/**
+ * Attachments Azure Function - Traditional Model
+ * Photos and files on incidents and walkthroughs, kept in the attachment storage backend
+ *
+ *   GET    /api/attachments?incidentId=          - an incident's attachments, with the walkthrough
+ *                                                  photos taken at its rack
+ *   GET    /api/attachments?auditReportId=       - a walkthrough's attachments
+ *   GET    /api/attachments/{id}/content         - the file itself
+ *   GET    /api/attachments/{id}/thumbnail       - the thumbnail uploaded with an image
+ *   POST   /api/attachments                      - multipart upload (file, optional thumbnail)
+ *   DELETE /api/attachments/{id}                 - remove (uploader or admin)
+ */
+const { app } = require('@azure/functions');
+const { authService } = require('../shared/auth');
+const { attachmentService } = require('../shared/attachments');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const UPLOAD_FIELDS = ['id', 'incidentId', 'auditReportId', 'rackLocation', 'commentId'];
+
+function failure(result) {
+    return responseService.error(result.message, result.status || 400);
+}
+
+async function readFile(entry) {
+    return { name: entry.name, content: Buffer.from(await entry.arrayBuffer()) };
+}
+
+async function listAttachments(request) {
+    const validation = validationService.validateRequest(request, schemas.attachmentListParams, 'query');
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const { incidentId, auditReportId } = validation.data;
+    const result = incidentId
+        ? await attachmentService.listForIncident(incidentId)
+        : await attachmentService.listForAuditReport(auditReportId);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.success(result.attachments, 'Attachments retrieved successfully');
+}
+
+async function getAttachmentContent(id, variant) {
+    const result = await attachmentService.getContent(id, variant);
+    if (!result.success) {
+        return failure(result);
+    }
+
+    // Served inline so images can be shown directly; the sandbox keeps any active content inert
+    return responseService.fileDownload(result.content, result.fileName, result.contentType, {
+        'Content-Disposition': `inline; filename="${result.fileName}"`,
+        'Content-Security-Policy': "default-src 'none'; sandbox",
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=86400'
+    });
+}
+
+async function uploadAttachment(request, user) {
+    let form;
+    try {
+        form = await request.formData();
+    } catch {
+        return responseService.badRequest('Expected a multipart/form-data body');
+    }
+
+    const fields = {};
+    for (const name of UPLOAD_FIELDS) {
+        const value = form.get(name);
+        if (typeof value === 'string' && value.trim()) {
+            fields[name] = value.trim();
+        }
+    }
+
+    const validation = validationService.validate(fields, schemas.attachmentUpload);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+        return responseService.validationError(
+            [{ field: 'file', message: '"file" is required', value: null }],
+            'A file is required'
+        );
+    }
+    const thumbnail = form.get('thumbnail');
+
+    const result = await attachmentService.create(
+        validation.data,
+        await readFile(file),
+        thumbnail && typeof thumbnail !== 'string' ? await readFile(thumbnail) : null,
+        user
+    );
+    if (!result.success) {
+        return failure(result);
+    }
+
+    if (result.duplicate) {
+        return responseService.success(result.attachment, 'Attachment already uploaded');
+    }
+    return responseService.created(result.attachment, 'Attachment uploaded successfully');
+}
+
+async function deleteAttachment(id, user) {
+    const result = await attachmentService.remove(id, user);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.success(null, 'Attachment deleted successfully');
+}
+
+async function attachments(request, context) {
+    context.log('Attachments function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'POST', 'DELETE', 'OPTIONS']);
+        }
+
+        const authResult = await authService.requireAuth(request);
+        if (!authResult.success) {
+            return responseService.toHttpResponse(responseService.unauthorized(authResult.message), corsHeaders);
+        }
+
+        const { id, variant } = request.params;
+        if (id) {
+            const idValidation = validationService.validate(id, schemas.uuidParam);
+            if (!idValidation.success) {
+                return responseService.toHttpResponse(
+                    responseService.validationError(idValidation.errors, 'A valid attachment id is required'),
+                    corsHeaders
+                );
+            }
+        }
+
+        let response;
+        if (request.method === 'GET' && !id) {
+            response = await listAttachments(request);
+        } else if (request.method === 'GET' && id && (variant === 'content' || variant === 'thumbnail')) {
+            response = await getAttachmentContent(id, variant);
+        } else if (request.method === 'POST' && !id) {
+            response = await uploadAttachment(request, authResult.user);
+        } else if (request.method === 'DELETE' && id && !variant) {
+            response = await deleteAttachment(id, authResult.user);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in Attachments function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the attachment request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('Attachments', {
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'attachments/{id?}/{variant?}',
+    handler: attachments
+});
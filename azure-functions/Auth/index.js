@@ -0,0 +1,142 @@
+/**
+ * Auth Azure Function - Traditional Model
+ * Session endpoints built on AuthService
+ *
+ *   POST /api/auth/login     - email/password sign-in, returns access and refresh tokens
+ *   POST /api/auth/register  - create an account and sign in
+ *   GET  /api/auth/me        - the user behind the bearer token
+ *   POST /api/auth/refresh   - rotate a refresh token into a new token pair
+ *   POST /api/auth/logout    - revoke a refresh token
+ */
+const { app } = require('@azure/functions');
+const { authService } = require('../shared/auth');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+async function readBody(request, schema) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return { response: responseService.badRequest(body.message) };
+    }
+
+    const validation = validationService.validate(body.data, schema);
+    if (!validation.success) {
+        return { response: responseService.validationError(validation.errors) };
+    }
+
+    return { data: validation.data };
+}
+
+async function login(request) {
+    const { data, response } = await readBody(request, schemas.userLogin);
+    if (response) return response;
+
+    const result = await authService.validateUser(validationService.sanitizeEmail(data.email), data.password);
+    if (!result.success) {
+        // Same message for unknown users and wrong passwords
+        return result.message === 'Account is deactivated'
+            ? responseService.forbidden(result.message)
+            : responseService.unauthorized('Invalid email or password');
+    }
+
+    return responseService.success(await authService.createSession(result.user), 'Login successful');
+}
+
+async function register(request) {
+    const { data, response } = await readBody(request, schemas.userRegistration);
+    if (response) return response;
+
+    const result = await authService.createUser({
+        ...data,
+        email: validationService.sanitizeEmail(data.email),
+        fullName: validationService.sanitizeString(data.fullName, 100)
+    });
+    if (!result.success) {
+        return result.message === 'User already exists'
+            ? responseService.conflict(result.message)
+            : responseService.internalServerError(result.message);
+    }
+
+    return responseService.created(await authService.createSession(result.user), 'Account created successfully');
+}
+
+async function me(request) {
+    const authResult = await authService.requireAuth(request);
+    if (!authResult.success) {
+        return responseService.unauthorized(authResult.message);
+    }
+    return responseService.success(authResult.user, 'User retrieved successfully');
+}
+
+async function refresh(request) {
+    const { data, response } = await readBody(request, schemas.refreshToken);
+    if (response) return response;
+
+    const result = await authService.rotateRefreshToken(data.refreshToken);
+    if (!result.success) {
+        return responseService.error(result.message, result.status);
+    }
+    return responseService.success(result.session, 'Session refreshed');
+}
+
+async function logout(request) {
+    const { data, response } = await readBody(request, schemas.refreshToken);
+    if (response) return response;
+
+    await authService.revokeRefreshToken(data.refreshToken);
+    return responseService.success(null, 'Logged out');
+}
+
+const routes = {
+    login: { method: 'POST', handler: login },
+    register: { method: 'POST', handler: register },
+    me: { method: 'GET', handler: me },
+    refresh: { method: 'POST', handler: refresh },
+    logout: { method: 'POST', handler: logout }
+};
+
+async function auth(request, context) {
+    context.log(`Auth function triggered: ${request.params.action}`);
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'POST', 'OPTIONS']);
+        }
+
+        const route = routes[request.params.action];
+        if (!route) {
+            return responseService.toHttpResponse(responseService.notFound('Unknown auth endpoint'), corsHeaders);
+        }
+        if (route.method !== request.method) {
+            return responseService.toHttpResponse(
+                responseService.error(`Only ${route.method} is supported for this endpoint`, 405),
+                corsHeaders
+            );
+        }
+
+        return responseService.toHttpResponse(await route.handler(request), corsHeaders);
+
+    } catch (error) {
+        context.log('Error in Auth function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the authentication request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('Auth', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'auth/{action}',
+    handler: auth
+});
@@ -0,0 +1,34 @@
+/**
+ * DeliverNotifications Azure Function - Timer trigger
+ * Sends queued email and webhook notifications and retries failed ones
+ *
+ * Runs every 30 seconds by default; set NOTIFICATION_RETRY_SCHEDULE (NCRONTAB) to change it.
+ * Deliveries are claimed before sending, so overlapping runs send each message once.
+ */
+const { app } = require('@azure/functions');
+const { notificationService } = require('../shared/notifications');
+
+const DEFAULT_SCHEDULE = '*/30 * * * * *';
+
+async function deliverNotifications(timer, context) {
+    context.log('DeliverNotifications function triggered');
+
+    try {
+        const deliveries = await notificationService.deliverPending();
+        const sent = deliveries.filter(delivery => delivery.status === 'sent').length;
+        const failed = deliveries.filter(delivery => delivery.status === 'failed').length;
+        context.log(
+            `Delivered ${deliveries.length} notification(s): ${sent} sent, ${failed} failed for good, ` +
+            `${deliveries.length - sent - failed} to retry`
+        );
+    } catch (error) {
+        context.log('Error in DeliverNotifications function:', error);
+        throw error;
+    }
+}
+
+// Register the function
+app.timer('DeliverNotifications', {
+    schedule: process.env.NOTIFICATION_RETRY_SCHEDULE || DEFAULT_SCHEDULE,
+    handler: deliverNotifications
+});
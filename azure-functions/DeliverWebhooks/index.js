@@ -0,0 +1,34 @@
+/**
+ * DeliverWebhooks Azure Function - Timer trigger
+ * Sends queued outbound webhook deliveries and retries failed ones
+ *
+ * Runs every 30 seconds by default; set WEBHOOK_DELIVERY_SCHEDULE (NCRONTAB) to change it.
+ * Deliveries are claimed before sending, so overlapping runs send each delivery once.
+ */
+const { app } = require('@azure/functions');
+const { webhookService } = require('../shared/webhooks');
+
+const DEFAULT_SCHEDULE = '*/30 * * * * *';
+
+async function deliverWebhooks(timer, context) {
+    context.log('DeliverWebhooks function triggered');
+
+    try {
+        const deliveries = await webhookService.deliverPending();
+        const sent = deliveries.filter(delivery => delivery.status === 'sent').length;
+        const failed = deliveries.filter(delivery => delivery.status === 'failed').length;
+        context.log(
+            `Delivered ${deliveries.length} webhook(s): ${sent} sent, ${failed} failed for good, ` +
+            `${deliveries.length - sent - failed} to retry`
+        );
+    } catch (error) {
+        context.log('Error in DeliverWebhooks function:', error);
+        throw error;
+    }
+}
+
+// Register the function
+app.timer('DeliverWebhooks', {
+    schedule: process.env.WEBHOOK_DELIVERY_SCHEDULE || DEFAULT_SCHEDULE,
+    handler: deliverWebhooks
+});
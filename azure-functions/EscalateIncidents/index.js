@@ -0,0 +1,39 @@
+/**
+ * EscalateIncidents Azure Function - Timer trigger
+ * Escalates unresolved incidents that have breached their response or resolution SLA
+ *
+ * Runs every five minutes by default; set SLA_ESCALATION_SCHEDULE (NCRONTAB) to change it.
+ * Each breach is escalated once, so overlapping or repeated runs are harmless, and announced
+ * once to the subscribers of SLA breach notifications.
+ */
+const { app } = require('@azure/functions');
+const { incidentService } = require('../shared/incidents');
+const { notificationService } = require('../shared/notifications');
+
+const DEFAULT_SCHEDULE = '0 */5 * * * *';
+
+async function escalateIncidents(timer, context) {
+    context.log('EscalateIncidents function triggered');
+
+    try {
+        const escalated = await incidentService.escalateBreaches();
+        for (const incident of escalated) {
+            context.log(
+                `Escalated ${incident.severity} incident ${incident.id} in ${incident.location} - ${incident.datahall}: ` +
+                `${incident.escalation_level === 2 ? 'resolution' : 'response'} SLA breached`
+            );
+        }
+        context.log(`Escalated ${escalated.length} incident(s)`);
+
+        await notificationService.notify('incident.sla_breach', escalated.map(incident => incident.id));
+    } catch (error) {
+        context.log('Error in EscalateIncidents function:', error);
+        throw error;
+    }
+}
+
+// Register the function
+app.timer('EscalateIncidents', {
+    schedule: process.env.SLA_ESCALATION_SCHEDULE || DEFAULT_SCHEDULE,
+    handler: escalateIncidents
+});
@@ -1,8 +1,326 @@
 /**
  * GenerateReport Azure Function - Traditional Model
- * Handles both GET (retrieve report by ID) and POST (generate new report) requests
+ * Handles GET (list reports, or retrieve one with ?id=), POST (generate new report)
+ * and DELETE (remove a report with ?id=, supervisors and admins only) requests
  */
 const { app } = require('@azure/functions');
+const { database } = require('../shared/database');
+const { authService } = require('../shared/auth');
+const { userNotificationService } = require('../shared/userNotifications');
+const { webhookService } = require('../shared/webhooks');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+// The report forms send these placeholders when no location filter is chosen
+const ALL_DATACENTERS = 'All Datacenters';
+const ALL_DATAHALLS = 'All Data Halls';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the UTC day that holds `date`
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+}
+
+function normalizeFilter(value, placeholder) {
+    return value && value !== placeholder ? value : null;
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+async function aggregateAudits(client, start, until, filters) {
+    const result = await client.query(
+        `SELECT COUNT(*)::int AS total,
+                COUNT(*) FILTER (WHERE "state" = 'Healthy')::int AS healthy,
+                COUNT(*) FILTER (WHERE "state" = 'Warning')::int AS warning,
+                COUNT(*) FILTER (WHERE "state" = 'Critical')::int AS critical,
+                COALESCE(SUM("issues_reported"), 0)::int AS issues
+         FROM "AuditReports"
+         WHERE "Timestamp" >= $1 AND "Timestamp" < $2
+           AND ($3::text IS NULL OR "datacenter" = $3)
+           AND ($4::text IS NULL OR "datahall" = $4)`,
+        [start, until, filters.datacenter, filters.datahall]
+    );
+    return result.rows[0];
+}
+
+async function aggregateIncidents(client, start, until, filters) {
+    const result = await client.query(
+        `SELECT COUNT(*)::int AS total,
+                COUNT(*) FILTER (WHERE status = 'open')::int AS open,
+                COUNT(*) FILTER (WHERE status = 'in-progress')::int AS in_progress,
+                COUNT(*) FILTER (WHERE status = 'resolved')::int AS resolved,
+                COUNT(*) FILTER (WHERE severity = 'critical')::int AS critical,
+                COUNT(*) FILTER (WHERE severity = 'high')::int AS high,
+                COUNT(*) FILTER (WHERE severity = 'medium')::int AS medium,
+                COUNT(*) FILTER (WHERE severity = 'low')::int AS low
+         FROM incidents
+         WHERE created_at >= $1 AND created_at < $2
+           AND ($3::text IS NULL OR location = $3)
+           AND ($4::text IS NULL OR datahall = $4)`,
+        [start, until, filters.datacenter, filters.datahall]
+    );
+    return result.rows[0];
+}
+
+async function listIncidents(client, start, until, filters) {
+    const result = await client.query(
+        `SELECT *
+         FROM incidents
+         WHERE created_at >= $1 AND created_at < $2
+           AND ($3::text IS NULL OR location = $3)
+           AND ($4::text IS NULL OR datahall = $4)
+         ORDER BY created_at DESC`,
+        [start, until, filters.datacenter, filters.datahall]
+    );
+    return result.rows;
+}
+
+function buildAnalytics(current, previous) {
+    const healthyPercentage = current.audits.total > 0
+        ? round((current.audits.healthy / current.audits.total) * 100)
+        : 0;
+    const previousHealthyPercentage = previous.audits.total > 0
+        ? round((previous.audits.healthy / previous.audits.total) * 100)
+        : 0;
+
+    const periodSummary = (period) => ({
+        total: period.audits.total,
+        critical: period.audits.critical,
+        warning: period.audits.warning,
+        healthy: period.audits.healthy,
+        incidents: period.incidents.total
+    });
+
+    return {
+        summary: {
+            totalAudits: current.audits.total,
+            totalIncidents: current.incidents.total,
+            healthyAudits: current.audits.healthy,
+            warningAudits: current.audits.warning,
+            criticalAudits: current.audits.critical,
+            openIncidents: current.incidents.open,
+            inProgressIncidents: current.incidents.in_progress,
+            resolvedIncidents: current.incidents.resolved,
+            healthyPercentage
+        },
+        analytics: {
+            performance: {
+                totalAudits: current.audits.total,
+                healthyPercentage,
+                avgIssuesPerAudit: current.audits.total > 0 ? round(current.audits.issues / current.audits.total, 2) : 0
+            },
+            incidentsBySeverity: {
+                critical: current.incidents.critical,
+                high: current.incidents.high,
+                medium: current.incidents.medium,
+                low: current.incidents.low
+            },
+            trends: {
+                currentPeriod: periodSummary(current),
+                previousPeriod: periodSummary(previous),
+                changes: {
+                    totalChange: current.audits.total - previous.audits.total,
+                    criticalChange: current.audits.critical - previous.audits.critical,
+                    incidentChange: current.incidents.total - previous.incidents.total,
+                    healthyPercentageChange: round(healthyPercentage - previousHealthyPercentage)
+                }
+            }
+        }
+    };
+}
+
+function formatReport(row) {
+    const reportData = row.report_data || {};
+    return {
+        id: row.id,
+        title: row.title,
+        generatedBy: {
+            id: row.generated_by,
+            name: row.generated_by_name,
+            email: row.generated_by_email
+        },
+        generatedAt: row.generated_at,
+        dateRange: {
+            start: row.date_range_start,
+            end: row.date_range_end
+        },
+        filters: {
+            datacenter: row.datacenter,
+            datahall: row.datahall
+        },
+        status: row.status,
+        totalIncidents: row.total_incidents,
+        summary: reportData.summary,
+        analytics: reportData.analytics,
+        incidents: reportData.incidents || []
+    };
+}
+
+async function listReports(request) {
+    const validation = validationService.validateRequest(request, schemas.paginationParams, 'query');
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+    const { page, limit, sortOrder } = validation.data;
+    const orderDirection = sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+    const countResult = await database.query('SELECT COUNT(*)::int AS total FROM reports');
+
+    // Listings carry the summary only; the incident snapshot is loaded with the single report
+    const result = await database.query(
+        `SELECT r.id, r.title, r.generated_by, r.generated_at, r.date_range_start, r.date_range_end,
+                r.datacenter, r.datahall, r.status, r.total_incidents,
+                r.report_data - 'incidents' AS report_data,
+                u.full_name AS generated_by_name, u.email AS generated_by_email
+         FROM reports r
+         LEFT JOIN users u ON u.id = r.generated_by
+         ORDER BY r.generated_at ${orderDirection}, r.id
+         LIMIT $1 OFFSET $2`,
+        [limit, (page - 1) * limit]
+    );
+
+    return responseService.paginated(
+        result.rows.map(formatReport),
+        { page, limit, total: countResult.rows[0].total },
+        'Reports retrieved successfully'
+    );
+}
+
+async function getReport(reportId) {
+    const validation = validationService.validate(reportId, schemas.uuidParam);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors, 'A valid report id is required');
+    }
+
+    const result = await database.query(
+        `SELECT r.*, u.full_name AS generated_by_name, u.email AS generated_by_email
+         FROM reports r
+         LEFT JOIN users u ON u.id = r.generated_by
+         WHERE r.id = $1`,
+        [validation.data]
+    );
+
+    if (result.rows.length === 0) {
+        return responseService.notFound('Report not found');
+    }
+
+    return responseService.success(formatReport(result.rows[0]), 'Report retrieved successfully');
+}
+
+async function deleteReport(request, user) {
+    if (!authService.hasRole(user, 'supervisor')) {
+        return responseService.forbidden('This action requires the supervisor role');
+    }
+
+    const validation = validationService.validate(request.query.get('id'), schemas.uuidParam);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors, 'A valid report id is required');
+    }
+
+    const result = await database.query('DELETE FROM reports WHERE id = $1 RETURNING id', [validation.data]);
+    if (result.rows.length === 0) {
+        return responseService.notFound('Report not found');
+    }
+
+    return responseService.success({ id: validation.data }, 'Report deleted successfully');
+}
+
+async function createReport(request, user) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.reportGeneration);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+    const params = validation.data;
+
+    // Reports cover whole UTC days, from the day of dateRangeStart through the day of dateRangeEnd,
+    // whatever time of day the values carry; the forms send the picked dates without a time.
+    // The previous period has the same length and ends where the requested one starts.
+    const start = startOfDay(params.dateRangeStart);
+    const end = startOfDay(params.dateRangeEnd);
+    const until = new Date(end.getTime() + DAY_MS);
+    const previousStart = new Date(start.getTime() - (until.getTime() - start.getTime()));
+    const filters = {
+        datacenter: normalizeFilter(params.datacenter, ALL_DATACENTERS),
+        datahall: normalizeFilter(params.datahall, ALL_DATAHALLS)
+    };
+
+    const row = await database.transaction(async (client) => {
+        const current = {
+            audits: await aggregateAudits(client, start, until, filters),
+            incidents: await aggregateIncidents(client, start, until, filters)
+        };
+        const previous = {
+            audits: await aggregateAudits(client, previousStart, start, filters),
+            incidents: await aggregateIncidents(client, previousStart, start, filters)
+        };
+
+        const { summary, analytics } = buildAnalytics(current, previous);
+        if (!params.includeAudits) delete analytics.performance;
+
+        const reportData = {
+            filters: {
+                datacenter: filters.datacenter,
+                datahall: filters.datahall,
+                dateRange: { start: start.toISOString(), end: end.toISOString() }
+            },
+            summary,
+            analytics,
+            incidents: params.includeIncidents ? await listIncidents(client, start, until, filters) : []
+        };
+
+        const insertResult = await client.query(
+            `INSERT INTO reports
+               (title, generated_by, date_range_start, date_range_end, datacenter, datahall,
+                status, total_incidents, report_data)
+             VALUES ($1, $2, $3, $4, $5, $6, 'published', $7, $8)
+             RETURNING *`,
+            [params.title, user.id, start, end, filters.datacenter, filters.datahall, summary.totalIncidents, reportData]
+        );
+
+        await client.query(
+            'SELECT log_user_activity($1, $2, $3)',
+            [user.id, 'report', `Generated report "${params.title}"`]
+        );
+
+        const report = insertResult.rows[0];
+        await userNotificationService.notifySupervisors(client, {
+            type: 'report.published',
+            title: `Report published: ${params.title}`,
+            body: `${user.fullName || user.email} published a report for ${[filters.datacenter, filters.datahall].filter(Boolean).join(' - ') || 'all locations'}`,
+            subjectType: 'report',
+            subjectId: report.id
+        }, user.id);
+
+        // The incident snapshot stays out of the event; receivers can fetch the report
+        const published = formatReport({ ...report, generated_by_name: user.fullName, generated_by_email: user.email });
+        delete published.incidents;
+        await webhookService.publish(client, 'report.published', { report: published });
+
+        return report;
+    });
+
+    return responseService.created(
+        formatReport({ ...row, generated_by_name: user.fullName, generated_by_email: user.email }),
+        'Report generated successfully'
+    );
+}
 
 async function generateReport(request, context) {
     context.log('GenerateReport function triggered');
@@ -10,157 +328,47 @@ async function generateReport(request, context) {
     try {
         // Handle CORS preflight
         if (request.method === 'OPTIONS') {
-            return {
-                status: 204,
-                headers: {
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-                    'Access-Control-Max-Age': '86400'
-                }
-            };
+            return responseService.cors(['*'], ['GET', 'POST', 'DELETE', 'OPTIONS']);
         }
 
-        const corsHeaders = {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-            'Content-Type': 'application/json'
-        };
+        const authResult = await authService.requireAuth(request);
+        if (!authResult.success) {
+            return responseService.toHttpResponse(responseService.unauthorized(authResult.message), corsHeaders);
+        }
 
         if (request.method === 'GET') {
-            // Mock GET request - retrieve report by ID
-            const url = new URL(request.url);
-            const reportId = url.searchParams.get('id') || 'mock-report-id';
-            
-            const mockReport = {
-                id: reportId,
-                title: 'Data Center Health Report - Mock',
-                generatedBy: {
-                    id: 'f47ac10b-58cc-4372-a567-0e02b2c3d479',
-                    name: 'Test User',
-                    email: 'test@hpe.com'
-                },
-                generatedAt: new Date().toISOString(),
-                dateRange: {
-                    start: '2024-01-01T00:00:00Z',
-                    end: '2024-01-31T23:59:59Z'
-                },
-                filters: {
-                    datacenter: 'DC-001',
-                    datahall: 'Hall-A'
-                },
-                status: 'published',
-                totalIncidents: 5,
-                summary: {
-                    totalAudits: 25,
-                    totalIncidents: 5,
-                    healthyAudits: 18,
-                    warningAudits: 5,
-                    criticalAudits: 2,
-                    openIncidents: 2,
-                    resolvedIncidents: 3
-                },
-                analytics: {
-                    healthyPercentage: 72.0,
-                    avgIssuesPerAudit: 1.2,
-                    trends: {
-                        criticalChange: -1,
-                        totalChange: 3
-                    }
-                }
-            };
-
-            return {
-                status: 200,
-                headers: corsHeaders,
-                body: JSON.stringify({
-                    success: true,
-                    data: mockReport,
-                    message: 'Report retrieved successfully'
-                })
-            };
+            const reportId = request.query.get('id');
+            const response = reportId !== null ? await getReport(reportId) : await listReports(request);
+            return responseService.toHttpResponse(response, corsHeaders);
         }
 
         if (request.method === 'POST') {
-            // Mock POST request - generate new report
-            let requestData = {};
-            try {
-                const body = await request.text();
-                requestData = body ? JSON.parse(body) : {};
-            } catch (parseError) {
-                context.log('JSON parse error:', parseError);
-                requestData = {};
-            }
+            return responseService.toHttpResponse(await createReport(request, authResult.user), corsHeaders);
+        }
 
-            const mockGeneratedReport = {
-                reportId: `report-${Date.now()}`,
-                generatedAt: new Date().toISOString(),
-                title: requestData.title || 'Generated Report - Mock',
-                summary: {
-                    totalAudits: 25,
-                    totalIncidents: 5,
-                    healthyPercentage: 72.0,
-                    criticalAudits: 2,
-                    openIncidents: 2
-                },
-                analytics: {
-                    performance: {
-                        totalAudits: 25,
-                        healthyPercentage: 72.0,
-                        avgIssuesPerAudit: 1.2
-                    },
-                    trends: {
-                        currentPeriod: { total: 25, critical: 2, warning: 5, healthy: 18 },
-                        previousPeriod: { total: 22, critical: 3, warning: 4, healthy: 15 },
-                        changes: { totalChange: 3, criticalChange: -1 }
-                    }
-                }
-            };
-
-            return {
-                status: 201,
-                headers: corsHeaders,
-                body: JSON.stringify({
-                    success: true,
-                    data: mockGeneratedReport,
-                    message: 'Report generated successfully'
-                })
-            };
+        if (request.method === 'DELETE') {
+            return responseService.toHttpResponse(await deleteReport(request, authResult.user), corsHeaders);
         }
 
         // Method not allowed
-        return {
-            status: 405,
-            headers: corsHeaders,
-            body: JSON.stringify({
-                success: false,
-                error: 'Method not allowed',
-                message: 'Only GET and POST methods are supported'
-            })
-        };
+        return responseService.toHttpResponse(
+            responseService.error('Only GET, POST and DELETE methods are supported', 405),
+            corsHeaders
+        );
 
     } catch (error) {
         context.log('Error in GenerateReport function:', error);
-        
-        return {
-            status: 500,
-            headers: {
-                'Access-Control-Allow-Origin': '*',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                success: false,
-                error: 'Internal server error',
-                message: 'An error occurred while processing the request'
-            })
-        };
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the request'),
+            corsHeaders
+        );
     }
 }
 
 // Register the function
 app.http('GenerateReport', {
-    methods: ['GET', 'POST', 'OPTIONS'],
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
     authLevel: 'anonymous',
     handler: generateReport
-});
\ No newline at end of file
+});
@@ -1,88 +1,144 @@
 /**
  * GetInspections Azure Function - Traditional Model
- * Returns mock inspection data for testing
+ * Returns a filtered, paginated page of walkthroughs from "AuditReports",
+ * or a single walkthrough when called with ?id=
  */
 const { app } = require('@azure/functions');
+const { database } = require('../shared/database');
+const { authService } = require('../shared/auth');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+// Columns callers may sort by; anything else falls back to "Timestamp"
+const sortableColumns = {
+    Timestamp: '"Timestamp"',
+    datacenter: '"datacenter"',
+    datahall: '"datahall"',
+    state: '"state"',
+    issuesReported: '"issues_reported"',
+    walkthroughId: '"walkthrough_id"',
+    userFullName: '"user_full_name"'
+};
+
+const queryParams = schemas.paginationParams.concat(schemas.inspectionFilters);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the UTC day after the one that holds `date`
+function startOfNextDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return new Date(day.getTime() + DAY_MS);
+}
+
+const inspectionColumns = `"Id", "UserEmail", "GeneratedBy", "Timestamp", "datacenter", "datahall",
+                    "issues_reported", "state", "walkthrough_id", "user_full_name", "ReportData"`;
+
+function buildWhereClause(filters) {
+    const conditions = [];
+    const params = [];
+
+    const addCondition = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.datacenter) addCondition('"datacenter" = ?', filters.datacenter);
+    if (filters.datahall) addCondition('"datahall" = ?', filters.datahall);
+    if (filters.state) addCondition('"state" = ?', filters.state);
+    if (filters.startDate) addCondition('"Timestamp" >= ?', filters.startDate);
+    // endDate names the last day to include, whatever time of day it carries
+    if (filters.endDate) addCondition('"Timestamp" < ?', startOfNextDay(filters.endDate));
+    if (filters.userEmail) addCondition('LOWER("UserEmail") = ?', validationService.sanitizeEmail(filters.userEmail));
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+async function getInspection(id) {
+    const validation = validationService.validate(id, schemas.uuidParam);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors, 'A valid inspection id is required');
+    }
+
+    const result = await database.query(
+        `SELECT ${inspectionColumns} FROM "AuditReports" WHERE "Id" = $1`,
+        [validation.data]
+    );
+
+    if (result.rows.length === 0) {
+        return responseService.notFound('Inspection not found');
+    }
+
+    return responseService.success(result.rows[0], 'Inspection retrieved successfully');
+}
 
 async function getInspections(request, context) {
     context.log('GetInspections function triggered');
-    
+
     try {
         // Handle CORS preflight
         if (request.method === 'OPTIONS') {
-            return {
-                status: 204,
-                headers: {
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-                    'Access-Control-Max-Age': '86400'
-                }
-            };
+            return responseService.cors(['*'], ['GET', 'OPTIONS']);
+        }
+
+        const authResult = await authService.requireAuth(request);
+        if (!authResult.success) {
+            return responseService.toHttpResponse(responseService.unauthorized(authResult.message), corsHeaders);
+        }
+
+        const inspectionId = request.query.get('id');
+        if (inspectionId !== null) {
+            return responseService.toHttpResponse(await getInspection(inspectionId), corsHeaders);
         }
 
-        const corsHeaders = {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-            'Content-Type': 'application/json'
-        };
-
-        // Mock inspection data
-        const mockInspections = [
-            {
-                id: 'insp-001',
-                datacenter: 'DC-001',
-                datahall: 'Hall-A',
-                inspector: 'Test User',
-                inspection_date: new Date().toISOString(),
-                status: 'Completed',
-                findings: ['Temperature OK', 'Security Systems Active'],
-                issues_count: 0,
-                state: 'Healthy'
-            },
-            {
-                id: 'insp-002',
-                datacenter: 'DC-001', 
-                datahall: 'Hall-B',
-                inspector: 'Test User',
-                inspection_date: new Date(Date.now() - 24*60*60*1000).toISOString(),
-                status: 'Completed',
-                findings: ['Power fluctuation detected', 'HVAC system needs attention'],
-                issues_count: 2,
-                state: 'Warning'
-            }
-        ];
-
-        const response = {
-            status: 200,
-            headers: corsHeaders,
-            body: JSON.stringify({
-                success: true,
-                data: mockInspections,
-                message: 'Inspections retrieved successfully (mock data)',
-                total: mockInspections.length
-            })
-        };
-
-        context.log('GetInspections completed successfully');
-        return response;
+        const validation = validationService.validateRequest(request, queryParams, 'query');
+        if (!validation.success) {
+            return responseService.toHttpResponse(responseService.validationError(validation.errors), corsHeaders);
+        }
+        const { page, limit, sortBy, sortOrder, ...filters } = validation.data;
+
+        const { where, params } = buildWhereClause(filters);
+        const orderColumn = sortableColumns[sortBy] || sortableColumns.Timestamp;
+        const orderDirection = sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+        const countResult = await database.query(
+            `SELECT COUNT(*)::int AS total FROM "AuditReports" ${where}`,
+            params
+        );
+        const total = countResult.rows[0].total;
+
+        const dataResult = await database.query(
+            `SELECT ${inspectionColumns}
+             FROM "AuditReports"
+             ${where}
+             ORDER BY ${orderColumn} ${orderDirection}, "Id"
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        context.log(`GetInspections returned ${dataResult.rows.length} of ${total} inspections`);
+
+        return responseService.toHttpResponse(
+            responseService.paginated(dataResult.rows, { page, limit, total }, 'Inspections retrieved successfully'),
+            corsHeaders
+        );
 
     } catch (error) {
         context.log('Error in GetInspections:', error);
-        
-        return {
-            status: 500,
-            headers: {
-                'Access-Control-Allow-Origin': '*',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                success: false,
-                error: 'Internal server error',
-                message: 'An error occurred while retrieving inspections'
-            })
-        };
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while retrieving inspections'),
+            corsHeaders
+        );
     }
 }
 
@@ -92,4 +148,3 @@ app.http('GetInspections', {
     authLevel: 'anonymous',
     handler: getInspections
 });
-
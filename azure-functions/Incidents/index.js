@@ -0,0 +1,202 @@
+/**
+ * Incidents Azure Function - Traditional Model
+ * List, read, create, update and assign incidents with enforced status transitions and history
+ *
+ *   GET   /api/incidents        - filtered, paginated list (`mine=true` for the caller's work queue)
+ *   GET   /api/incidents/{id}   - single incident with its change history
+ *   POST  /api/incidents        - create an incident (critical ones notify subscribers)
+ *   PATCH /api/incidents/{id}   - update description, severity or status
+ *                                 (technicians: incidents they reported or own; supervisors and admins: any)
+ *   PATCH /api/incidents        - assign or reassign one or more incidents to a user and/or team
+ *   GET   /api/incidents/{id}/timeline  - comments and changes in chronological order
+ *   POST  /api/incidents/{id}/comments  - add a comment or a reply
+ */
+const { app } = require('@azure/functions');
+const { authService } = require('../shared/auth');
+const { incidentService } = require('../shared/incidents');
+const { inventoryService } = require('../shared/inventory');
+const { notificationService } = require('../shared/notifications');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const listParams = schemas.paginationParams.concat(schemas.incidentFilters);
+
+function failure(result) {
+    return responseService.error(result.message, result.status || 400);
+}
+
+async function listIncidents(request, user) {
+    const validation = validationService.validateRequest(request, listParams, 'query');
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+    const { page, limit, sortBy, sortOrder, ...filters } = validation.data;
+
+    const result = await incidentService.list(filters, { page, limit, sortBy, sortOrder }, user);
+    return responseService.paginated(result.incidents, result.pagination, 'Incidents retrieved successfully');
+}
+
+async function getIncident(id) {
+    const result = await incidentService.getById(id);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.success(result.incident, 'Incident retrieved successfully');
+}
+
+async function createIncident(request, user) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.incidentCreation);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const locationCheck = await inventoryService.validateLocation(
+        { datacenter: validation.data.location, datahall: validation.data.datahall },
+        { datacenter: 'location' }
+    );
+    if (!locationCheck.success) {
+        return responseService.validationError(locationCheck.errors, locationCheck.message);
+    }
+
+    const result = await incidentService.create(validation.data, user);
+    if (result.incident.severity === 'critical') {
+        await notificationService.notify('incident.critical', [result.incident.id]);
+    }
+    return responseService.created(result.incident, 'Incident created successfully');
+}
+
+async function updateIncident(request, id, user) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.incidentUpdate);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const result = await incidentService.update(id, validation.data, user);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.success(result.incident, 'Incident updated successfully');
+}
+
+async function assignIncidents(request, user) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.incidentAssignment);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const { incidentIds, ...assignment } = validation.data;
+    const result = await incidentService.assign(incidentIds, assignment, user);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.success(result.incidents, 'Incidents assigned successfully');
+}
+
+async function getTimeline(id) {
+    const result = await incidentService.getTimeline(id);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.success(result.timeline, 'Incident timeline retrieved successfully');
+}
+
+async function addComment(request, id, user) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.incidentComment);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const result = await incidentService.addComment(id, validation.data, user);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.created(result.comment, 'Comment added successfully');
+}
+
+async function incidents(request, context) {
+    context.log('Incidents function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'POST', 'PATCH', 'OPTIONS']);
+        }
+
+        const authResult = await authService.requireAuth(request);
+        if (!authResult.success) {
+            return responseService.toHttpResponse(responseService.unauthorized(authResult.message), corsHeaders);
+        }
+
+        const { id, action } = request.params;
+        if (id) {
+            const idValidation = validationService.validate(id, schemas.uuidParam);
+            if (!idValidation.success) {
+                return responseService.toHttpResponse(
+                    responseService.validationError(idValidation.errors, 'A valid incident id is required'),
+                    corsHeaders
+                );
+            }
+        }
+
+        let response;
+        if (request.method === 'GET' && !action) {
+            response = id ? await getIncident(id) : await listIncidents(request, authResult.user);
+        } else if (request.method === 'GET' && id && action === 'timeline') {
+            response = await getTimeline(id);
+        } else if (request.method === 'POST' && !id) {
+            response = await createIncident(request, authResult.user);
+        } else if (request.method === 'POST' && id && action === 'comments') {
+            response = await addComment(request, id, authResult.user);
+        } else if (request.method === 'PATCH' && id && !action) {
+            response = await updateIncident(request, id, authResult.user);
+        } else if (request.method === 'PATCH' && !id) {
+            response = await assignIncidents(request, authResult.user);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in Incidents function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the incident request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('Incidents', {
+    methods: ['GET', 'POST', 'PATCH', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'incidents/{id?}/{action?}',
+    handler: incidents
+});
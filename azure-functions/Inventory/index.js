@@ -0,0 +1,119 @@
+/**
+ * Inventory Azure Function - Traditional Model
+ * Sites, data halls and racks used by the location pickers and walkthrough validation
+ *
+ *   GET  /api/inventory                        - active sites with their data halls and racks
+ *   GET  /api/inventory?includeInactive=true   - everything, including deactivated entries (admins)
+ *   GET  /api/inventory/health?datacenter=&datahall=  - open incidents per rack in a data hall
+ *   POST /api/inventory/import                 - preview or apply a rack list import (admins)
+ */
+const { app } = require('@azure/functions');
+const { authService } = require('../shared/auth');
+const { inventoryService } = require('../shared/inventory');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+async function getInventory(request, user) {
+    const validation = validationService.validateRequest(request, schemas.inventoryParams, 'query');
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const { includeInactive } = validation.data;
+    if (includeInactive && !authService.hasRole(user, 'admin')) {
+        return responseService.forbidden('Only admins can list inactive inventory');
+    }
+
+    const sites = await inventoryService.getTree({ includeInactive });
+    return responseService.success(sites, 'Inventory retrieved successfully');
+}
+
+async function getRackHealth(request) {
+    const validation = validationService.validateRequest(request, schemas.rackHealthParams, 'query');
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const racks = await inventoryService.getRackHealth(validation.data);
+    return responseService.success(racks, 'Rack health retrieved successfully');
+}
+
+// Rows that fail the rack id or duplicate checks come back in `errors` and nothing is applied
+async function importInventory(request, user) {
+    if (!authService.hasRole(user, 'admin')) {
+        return responseService.forbidden('Only admins can import inventory');
+    }
+
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.inventoryImport);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const { apply, rows } = validation.data;
+    const plan = apply
+        ? await inventoryService.applyImport(rows)
+        : { ...await inventoryService.planImport(rows), applied: false };
+
+    const { summary, changes, errors, applied } = plan;
+    return responseService.success(
+        { applied, summary, changes, errors },
+        applied ? 'Inventory import applied' : 'Inventory import preview'
+    );
+}
+
+async function inventory(request, context) {
+    context.log('Inventory function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'POST', 'OPTIONS']);
+        }
+
+        const authResult = await authService.requireAuth(request);
+        if (!authResult.success) {
+            return responseService.toHttpResponse(responseService.unauthorized(authResult.message), corsHeaders);
+        }
+
+        const action = request.params.action;
+        let response;
+        if (request.method === 'GET' && !action) {
+            response = await getInventory(request, authResult.user);
+        } else if (request.method === 'GET' && action === 'health') {
+            response = await getRackHealth(request);
+        } else if (request.method === 'POST' && action === 'import') {
+            response = await importInventory(request, authResult.user);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in Inventory function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the inventory request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('Inventory', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'inventory/{action?}',
+    handler: inventory
+});
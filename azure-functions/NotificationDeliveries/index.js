@@ -0,0 +1,71 @@
+/**
+ * NotificationDeliveries Azure Function - Traditional Model
+ * Log of email and webhook notifications with their delivery attempts (admins)
+ *
+ *   GET /api/notification-deliveries  - paginated, newest first; filter by status, event, channel or incidentId
+ */
+const { app } = require('@azure/functions');
+const { authService } = require('../shared/auth');
+const { notificationService } = require('../shared/notifications');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const listParams = schemas.paginationParams.concat(schemas.notificationDeliveryFilters);
+
+async function listDeliveries(request) {
+    const validation = validationService.validateRequest(request, listParams, 'query');
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+    const { page, limit, sortBy, sortOrder, ...filters } = validation.data;
+
+    const result = await notificationService.listDeliveries(filters, { page, limit });
+    return responseService.paginated(result.deliveries, result.pagination, 'Notification deliveries retrieved successfully');
+}
+
+async function notificationDeliveries(request, context) {
+    context.log('NotificationDeliveries function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'OPTIONS']);
+        }
+
+        const authResult = await authService.requireRole(request, 'admin');
+        if (!authResult.success) {
+            return responseService.toHttpResponse(
+                responseService.error(authResult.message, authResult.status),
+                corsHeaders
+            );
+        }
+
+        const response = request.method === 'GET'
+            ? await listDeliveries(request)
+            : responseService.error('Method not allowed for this route', 405);
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in NotificationDeliveries function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while retrieving notification deliveries'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('NotificationDeliveries', {
+    methods: ['GET', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'notification-deliveries',
+    handler: notificationDeliveries
+});
@@ -0,0 +1,204 @@
+/**
+ * Profile Azure Function - Traditional Model
+ * Profile, statistics, recent activity and notification settings for the signed-in user
+ *
+ *   GET  /api/profile                      - profile with stats and the latest activities
+ *   PUT  /api/profile                      - update name, department, phone and avatar
+ *   GET  /api/profile/notifications        - notification preferences
+ *   PUT  /api/profile/notifications        - update notification preferences
+ *   POST /api/profile/notifications/test   - send a test message to the enabled channels
+ */
+const { app } = require('@azure/functions');
+const { database } = require('../shared/database');
+const { authService } = require('../shared/auth');
+const { notificationService } = require('../shared/notifications');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const RECENT_ACTIVITY_LIMIT = 10;
+
+async function loadProfile(userId) {
+    const profileResult = await database.query(
+        `SELECT u.id, u.email,
+                COALESCE(up.full_name, u.full_name) AS full_name,
+                COALESCE(up.department, u.department) AS department,
+                COALESCE(up.phone, u.phone) AS phone,
+                COALESCE(up.avatar_url, u.avatar_url) AS avatar_url,
+                COALESCE(us.walkthroughs_completed, 0) AS walkthroughs_completed,
+                COALESCE(us.issues_resolved, 0) AS issues_resolved,
+                COALESCE(us.reports_generated, 0) AS reports_generated
+         FROM users u
+         LEFT JOIN user_profiles up ON up.user_id = u.id
+         LEFT JOIN user_stats us ON us.user_id = u.id
+         WHERE u.id = $1`,
+        [userId]
+    );
+    if (profileResult.rows.length === 0) {
+        return null;
+    }
+    const row = profileResult.rows[0];
+
+    const activityResult = await database.query(
+        `SELECT id, type, description, created_at
+         FROM user_activities
+         WHERE user_id = $1
+         ORDER BY created_at DESC
+         LIMIT $2`,
+        [userId, RECENT_ACTIVITY_LIMIT]
+    );
+
+    return {
+        id: row.id,
+        email: row.email,
+        fullName: row.full_name,
+        department: row.department,
+        phone: row.phone,
+        avatarUrl: row.avatar_url,
+        stats: {
+            walkthroughsCompleted: row.walkthroughs_completed,
+            issuesResolved: row.issues_resolved,
+            reportsGenerated: row.reports_generated
+        },
+        activities: activityResult.rows
+    };
+}
+
+async function getProfile(user) {
+    const profile = await loadProfile(user.id);
+    if (!profile) {
+        return responseService.notFound('Profile not found');
+    }
+    return responseService.success(profile, 'Profile retrieved successfully');
+}
+
+async function updateProfile(request, user) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.profileUpdate);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+    const data = validation.data;
+    const fullName = validationService.sanitizeString(data.fullName, 100);
+    const department = validationService.sanitizeString(data.department, 100);
+    const phone = data.phone ? validationService.sanitizeString(data.phone, 30) : null;
+
+    await database.transaction(async (client) => {
+        // Keep the existing avatar unless the request sets or clears it
+        const avatarUrl = data.avatarUrl !== undefined
+            ? data.avatarUrl
+            : (await client.query('SELECT avatar_url FROM user_profiles WHERE user_id = $1', [user.id])).rows[0]?.avatar_url ?? null;
+
+        await client.query(
+            'SELECT upsert_user_profile($1, $2, $3, $4, $5)',
+            [user.id, fullName, department, phone, avatarUrl]
+        );
+        await client.query(
+            'UPDATE users SET full_name = $2, department = $3, phone = $4, avatar_url = $5, updated_at = NOW() WHERE id = $1',
+            [user.id, fullName, department, phone, avatarUrl]
+        );
+    });
+
+    return responseService.success(await loadProfile(user.id), 'Profile updated successfully');
+}
+
+async function getNotificationPreferences(user) {
+    const preferences = await notificationService.getPreferences(user.id);
+    return responseService.success(preferences, 'Notification preferences retrieved successfully');
+}
+
+async function updateNotificationPreferences(request, user) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.notificationPreferences);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const result = await notificationService.updatePreferences(user.id, validation.data);
+    if (!result.success) {
+        return responseService.error(result.message, result.status);
+    }
+    return responseService.success(result.preferences, 'Notification preferences updated successfully');
+}
+
+async function sendTestNotification(user) {
+    const result = await notificationService.sendTest(user);
+    if (!result.success) {
+        return result.status === 429
+            ? responseService.tooManyRequests(result.message, result.retryAfter)
+            : responseService.error(result.message, result.status);
+    }
+    const { deliveries } = result;
+    if (deliveries.length === 0) {
+        return responseService.badRequest('No notification channel is enabled for your account');
+    }
+    const failed = deliveries.filter(delivery => delivery.status !== 'sent').length;
+    return responseService.success(
+        deliveries,
+        failed > 0 ? `${failed} of ${deliveries.length} test notifications could not be sent` : 'Test notification sent'
+    );
+}
+
+async function profile(request, context) {
+    context.log('Profile function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'POST', 'PUT', 'OPTIONS']);
+        }
+
+        const authResult = await authService.requireAuth(request);
+        if (!authResult.success) {
+            return responseService.toHttpResponse(responseService.unauthorized(authResult.message), corsHeaders);
+        }
+
+        const { section, action } = request.params;
+        const user = authResult.user;
+        let response;
+        if (!section && request.method === 'GET') {
+            response = await getProfile(user);
+        } else if (!section && request.method === 'PUT') {
+            response = await updateProfile(request, user);
+        } else if (section === 'notifications' && !action && request.method === 'GET') {
+            response = await getNotificationPreferences(user);
+        } else if (section === 'notifications' && !action && request.method === 'PUT') {
+            response = await updateNotificationPreferences(request, user);
+        } else if (section === 'notifications' && action === 'test' && request.method === 'POST') {
+            response = await sendTestNotification(user);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in Profile function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the profile request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('Profile', {
+    methods: ['GET', 'POST', 'PUT', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'profile/{section?}/{action?}',
+    handler: profile
+});
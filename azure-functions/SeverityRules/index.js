@@ -0,0 +1,104 @@
+/**
+ * SeverityRules Azure Function - Traditional Model
+ * Rules that classify the severity of incidents opened by walkthroughs (admins)
+ *
+ *   GET  /api/severity-rules           - the rules in the order they are checked
+ *   PUT  /api/severity-rules           - replace the whole rule set
+ *   POST /api/severity-rules/preview   - dry run: how stored walkthroughs would be re-classified
+ */
+const { app } = require('@azure/functions');
+const { authService } = require('../shared/auth');
+const { severityRuleService } = require('../shared/severity');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+async function listRules() {
+    const rules = await severityRuleService.getRules();
+    return responseService.success(rules, 'Severity rules retrieved successfully');
+}
+
+async function replaceRules(request, user) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.severityRuleSet);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const rules = await severityRuleService.replaceRules(validation.data.rules, user);
+    return responseService.success(rules, 'Severity rules updated successfully');
+}
+
+async function previewRules(request) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.severityRulePreview);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const { rules, ...filters } = validation.data;
+    const preview = await severityRuleService.previewReclassification(rules, filters);
+    return responseService.success(preview, 'Severity rule preview');
+}
+
+async function severityRules(request, context) {
+    context.log('SeverityRules function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'POST', 'PUT', 'OPTIONS']);
+        }
+
+        const authResult = await authService.requireRole(request, 'admin');
+        if (!authResult.success) {
+            return responseService.toHttpResponse(
+                responseService.error(authResult.message, authResult.status),
+                corsHeaders
+            );
+        }
+
+        const action = request.params.action;
+        let response;
+        if (request.method === 'GET' && !action) {
+            response = await listRules();
+        } else if (request.method === 'PUT' && !action) {
+            response = await replaceRules(request, authResult.user);
+        } else if (request.method === 'POST' && action === 'preview') {
+            response = await previewRules(request);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in SeverityRules function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the severity rule request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('SeverityRules', {
+    methods: ['GET', 'POST', 'PUT', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'severity-rules/{action?}',
+    handler: severityRules
+});
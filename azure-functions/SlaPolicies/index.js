@@ -0,0 +1,104 @@
+/**
+ * SlaPolicies Azure Function - Traditional Model
+ * Response and resolution targets per incident severity
+ *
+ *   GET   /api/sla-policies              - the target for each severity, most severe first
+ *   PATCH /api/sla-policies/{severity}   - change a severity's targets (admins)
+ */
+const { app } = require('@azure/functions');
+const { authService } = require('../shared/auth');
+const { slaService } = require('../shared/sla');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+function failure(result) {
+    return responseService.error(result.message, result.status || 400);
+}
+
+async function listPolicies() {
+    const policies = await slaService.getPolicies();
+    return responseService.success(policies, 'SLA policies retrieved successfully');
+}
+
+async function updatePolicy(request, severity) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.slaPolicyUpdate);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const result = await slaService.updatePolicy(severity, validation.data);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.success(result.policy, 'SLA policy updated successfully');
+}
+
+async function slaPolicies(request, context) {
+    context.log('SlaPolicies function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'PATCH', 'OPTIONS']);
+        }
+
+        const authResult = request.method === 'GET'
+            ? await authService.requireAuth(request)
+            : await authService.requireRole(request, 'admin');
+        if (!authResult.success) {
+            return responseService.toHttpResponse(
+                responseService.error(authResult.message, authResult.status),
+                corsHeaders
+            );
+        }
+
+        const severity = request.params.severity;
+        if (severity) {
+            const severityValidation = validationService.validate(severity, schemas.severityParam);
+            if (!severityValidation.success) {
+                return responseService.toHttpResponse(
+                    responseService.validationError(severityValidation.errors, 'A valid severity is required'),
+                    corsHeaders
+                );
+            }
+        }
+
+        let response;
+        if (request.method === 'GET' && !severity) {
+            response = await listPolicies();
+        } else if (request.method === 'PATCH' && severity) {
+            response = await updatePolicy(request, severity);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in SlaPolicies function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the SLA policy request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('SlaPolicies', {
+    methods: ['GET', 'PATCH', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'sla-policies/{severity?}',
+    handler: slaPolicies
+});
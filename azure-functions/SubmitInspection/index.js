@@ -1,91 +1,222 @@
 /**
  * SubmitInspection Azure Function - Traditional Model
- * Accepts inspection data and returns mock success response
+ * Persists a walkthrough to "AuditReports" and opens one incident per impacted device
+ *
+ * Incident severities come from the severity rules and the walkthrough state from them.
+ * Critical incidents are announced to subscribers once the walkthrough is stored.
  */
 const { app } = require('@azure/functions');
+const { database } = require('../shared/database');
+const { authService } = require('../shared/auth');
+const { incidentService } = require('../shared/incidents');
+const { inventoryService } = require('../shared/inventory');
+const { notificationService } = require('../shared/notifications');
+const { userNotificationService } = require('../shared/userNotifications');
+const { webhookService } = require('../shared/webhooks');
+const { severityRuleService } = require('../shared/severity');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+// Unique index on "ReportData"->>'clientSubmissionId'
+const CLIENT_SUBMISSION_INDEX = 'idx_audit_reports_client_submission';
+
+async function findSubmission(clientSubmissionId) {
+    const existing = await database.query(
+        `SELECT "Id", "Timestamp", "walkthrough_id", "state"
+         FROM "AuditReports"
+         WHERE "ReportData"->>'clientSubmissionId' = $1`,
+        [clientSubmissionId]
+    );
+    if (existing.rows.length === 0) {
+        return null;
+    }
+
+    const report = existing.rows[0];
+    const incidents = await database.query(
+        'SELECT id FROM incidents WHERE audit_report_id = $1 ORDER BY created_at',
+        [report.Id]
+    );
+    return responseService.success(
+        { ...report, incidentIds: incidents.rows.map(row => row.id) },
+        'Inspection already submitted'
+    );
+}
 
 async function submitInspection(request, context) {
     context.log('SubmitInspection function triggered');
-    
+    let clientSubmissionId = null;
+
     try {
         // Handle CORS preflight
         if (request.method === 'OPTIONS') {
-            return {
-                status: 204,
-                headers: {
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-                    'Access-Control-Max-Age': '86400'
-                }
-            };
+            return responseService.cors(['*'], ['POST', 'OPTIONS']);
         }
 
-        const corsHeaders = {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-            'Content-Type': 'application/json'
-        };
+        const authResult = await authService.requireAuth(request);
+        if (!authResult.success) {
+            return responseService.toHttpResponse(responseService.unauthorized(authResult.message), corsHeaders);
+        }
+        const user = authResult.user;
 
-        // Parse request body
-        let inspectionData = {};
-        try {
-            const body = await request.text();
-            inspectionData = body ? JSON.parse(body) : {};
-        } catch (parseError) {
-            context.log('JSON parse error:', parseError);
-            return {
-                status: 400,
-                headers: corsHeaders,
-                body: JSON.stringify({
-                    success: false,
-                    error: 'Invalid JSON',
-                    message: 'Request body must be valid JSON'
-                })
-            };
+        const body = await validationService.parseJsonBody(request);
+        if (!body.success) {
+            return responseService.toHttpResponse(responseService.badRequest(body.message), corsHeaders);
         }
 
-        // Generate mock response
-        const mockResponse = {
-            inspectionId: `insp-${Date.now()}`,
-            submittedAt: new Date().toISOString(),
-            status: 'Submitted',
-            datacenter: inspectionData.datacenter || 'Unknown',
-            datahall: inspectionData.datahall || 'Unknown',
-            inspector: inspectionData.user_full_name || 'Unknown',
-            findings: inspectionData.findings || [],
-            processingStatus: 'Queued for processing'
-        };
+        const validation = validationService.validate(body.data, schemas.inspectionSubmission);
+        if (!validation.success) {
+            return responseService.toHttpResponse(responseService.validationError(validation.errors), corsHeaders);
+        }
+        const inspection = validation.data;
+        const racks = inspection.reportData.racks;
+
+        // A replayed offline submission that was already stored returns the original walkthrough
+        if (inspection.clientSubmissionId) {
+            clientSubmissionId = inspection.clientSubmissionId;
+            const stored = await findSubmission(clientSubmissionId);
+            if (stored) {
+                return responseService.toHttpResponse(stored, corsHeaders);
+            }
+        }
+
+        // Checked after the replay lookup so a stored walkthrough is returned even if its rack was retired since
+        const locationCheck = await inventoryService.validateLocation(
+            { datacenter: inspection.datacenter, datahall: inspection.datahall, racks: racks.map(rack => rack.location) },
+            { rack: index => `reportData.racks.${index}.location` }
+        );
+        if (!locationCheck.success) {
+            return responseService.toHttpResponse(
+                responseService.validationError(locationCheck.errors, locationCheck.message),
+                corsHeaders
+            );
+        }
 
-        const response = {
-            status: 201,
-            headers: corsHeaders,
-            body: JSON.stringify({
-                success: true,
-                data: mockResponse,
-                message: 'Inspection submitted successfully (mock data)'
-            })
+        const { state, issues } = severityRuleService.classify(racks, await severityRuleService.getRules());
+        const reportData = {
+            ...inspection.reportData,
+            status: state,
+            ...(inspection.clientSubmissionId && { clientSubmissionId: inspection.clientSubmissionId })
         };
 
-        context.log('SubmitInspection completed successfully');
-        return response;
+        const result = await database.transaction(async (client) => {
+            const reportResult = await client.query(
+                `INSERT INTO "AuditReports"
+                   ("UserEmail", "GeneratedBy", "datacenter", "datahall", "issues_reported",
+                    "state", "walkthrough_id", "user_full_name", "ReportData")
+                 VALUES ($1, $2, $3, $4, $5, $6,
+                         COALESCE($7, nextval(pg_get_serial_sequence('"AuditReports"', 'walkthrough_id'))),
+                         $8, $9)
+                 RETURNING "Id", "Timestamp", "walkthrough_id"`,
+                [
+                    inspection.userEmail,
+                    user.email,
+                    inspection.datacenter,
+                    inspection.datahall,
+                    issues.length || inspection.issuesReported,
+                    state,
+                    inspection.walkthroughId ?? null,
+                    inspection.userFullName,
+                    reportData
+                ]
+            );
+            const report = reportResult.rows[0];
+
+            const incidentIds = [];
+            for (const { details, rule, ...issue } of issues) {
+                const { incident } = await incidentService.create({
+                    ...issue,
+                    location: inspection.datacenter,
+                    datahall: inspection.datahall,
+                    status: 'open',
+                    walkthroughId: report.walkthrough_id,
+                    auditReportId: report.Id
+                }, user, client);
+                incidentIds.push(incident.id);
+            }
+
+            await client.query(
+                'SELECT log_user_activity($1, $2, $3)',
+                [user.id, 'inspection', `Completed walkthrough #${report.walkthrough_id} in ${inspection.datacenter} - ${inspection.datahall}`]
+            );
+
+            await webhookService.publish(client, 'walkthrough.submitted', {
+                walkthrough: {
+                    id: report.Id,
+                    walkthroughId: report.walkthrough_id,
+                    timestamp: report.Timestamp,
+                    datacenter: inspection.datacenter,
+                    datahall: inspection.datahall,
+                    state,
+                    issuesReported: issues.length || inspection.issuesReported,
+                    submittedBy: { id: user.id, email: user.email, fullName: inspection.userFullName },
+                    incidentIds
+                }
+            });
+
+            if (state === 'Critical') {
+                const critical = issues.filter(issue => issue.severity === 'critical').length;
+                await userNotificationService.notifySupervisors(client, {
+                    type: 'walkthrough.critical',
+                    title: `Walkthrough #${report.walkthrough_id} in ${inspection.datacenter} - ${inspection.datahall} is critical`,
+                    body: `${inspection.userFullName} reported ${critical} critical incident${critical === 1 ? '' : 's'}`,
+                    subjectType: 'walkthrough',
+                    subjectId: report.Id
+                }, user.id);
+            }
+
+            return { ...report, state, incidentIds };
+        });
+
+        context.log(`SubmitInspection stored walkthrough ${result.walkthrough_id} with ${result.incidentIds.length} incidents`);
+
+        await notificationService.notify(
+            'incident.critical',
+            result.incidentIds.filter((id, index) => issues[index].severity === 'critical')
+        );
+
+        return responseService.toHttpResponse(
+            responseService.created({
+                Id: result.Id,
+                walkthrough_id: result.walkthrough_id,
+                Timestamp: result.Timestamp,
+                state: result.state,
+                incidentIds: result.incidentIds
+            }, 'Inspection submitted successfully'),
+            corsHeaders
+        );
 
     } catch (error) {
         context.log('Error in SubmitInspection:', error);
-        
-        return {
-            status: 500,
-            headers: {
-                'Access-Control-Allow-Origin': '*',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                success: false,
-                error: 'Internal server error',
-                message: 'An error occurred while submitting the inspection'
-            })
-        };
+
+        // Two replays of the same offline submission raced and the other one stored it first
+        if (error.code === '23505' && error.constraint === CLIENT_SUBMISSION_INDEX && clientSubmissionId) {
+            try {
+                const stored = await findSubmission(clientSubmissionId);
+                if (stored) {
+                    return responseService.toHttpResponse(stored, corsHeaders);
+                }
+            } catch (lookupError) {
+                context.log('Error loading the stored submission:', lookupError);
+            }
+        }
+
+        if (error.code === '23505') {
+            return responseService.toHttpResponse(
+                responseService.conflict('A walkthrough with this ID already exists'),
+                corsHeaders
+            );
+        }
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while submitting the inspection'),
+            corsHeaders
+        );
     }
 }
 
@@ -94,4 +225,4 @@ app.http('SubmitInspection', {
     methods: ['POST', 'OPTIONS'],
     authLevel: 'anonymous',
     handler: submitInspection
-});
\ No newline at end of file
+});
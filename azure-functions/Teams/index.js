@@ -0,0 +1,159 @@
+/**
+ * Teams Azure Function - Traditional Model
+ * Teams that incidents can be assigned to. Users join a team from the user admin page.
+ *
+ *   GET   /api/teams        - all teams with their member counts
+ *   POST  /api/teams        - create a team (admins)
+ *   PATCH /api/teams/{id}   - rename or deactivate/reactivate a team (admins)
+ */
+const { app } = require('@azure/functions');
+const { database } = require('../shared/database');
+const { authService } = require('../shared/auth');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const teamColumns = `t.id, t.name, t.is_active, t.created_at,
+                     (SELECT COUNT(*)::int FROM users u WHERE u.team_id = t.id AND u.is_active) AS member_count`;
+
+function isUniqueViolation(error) {
+    return error.code === '23505';
+}
+
+async function findTeam(id) {
+    const result = await database.query(`SELECT ${teamColumns} FROM teams t WHERE t.id = $1`, [id]);
+    return result.rows[0];
+}
+
+async function listTeams() {
+    const result = await database.query(`SELECT ${teamColumns} FROM teams t ORDER BY t.name`);
+    return responseService.success(result.rows, 'Teams retrieved successfully');
+}
+
+async function createTeam(request) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.teamCreation);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    try {
+        const result = await database.query(
+            'INSERT INTO teams (name) VALUES ($1) RETURNING id',
+            [validation.data.name]
+        );
+        return responseService.created(await findTeam(result.rows[0].id), 'Team created successfully');
+    } catch (error) {
+        if (isUniqueViolation(error)) {
+            return responseService.conflict('A team with this name already exists');
+        }
+        throw error;
+    }
+}
+
+async function updateTeam(request, id) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.teamUpdate);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+    const changes = validation.data;
+
+    // Deactivated teams keep their members and incidents but can no longer be assigned
+    let result;
+    try {
+        result = await database.query(
+            `UPDATE teams
+             SET name = COALESCE($2, name),
+                 is_active = COALESCE($3, is_active)
+             WHERE id = $1
+             RETURNING id`,
+            [id, changes.name ?? null, changes.isActive ?? null]
+        );
+    } catch (error) {
+        if (isUniqueViolation(error)) {
+            return responseService.conflict('A team with this name already exists');
+        }
+        throw error;
+    }
+
+    if (result.rows.length === 0) {
+        return responseService.notFound('Team not found');
+    }
+    return responseService.success(await findTeam(id), 'Team updated successfully');
+}
+
+async function teams(request, context) {
+    context.log('Teams function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'POST', 'PATCH', 'OPTIONS']);
+        }
+
+        // Everyone sees the teams to pick from; only admins manage them
+        const authResult = request.method === 'GET'
+            ? await authService.requireAuth(request)
+            : await authService.requireRole(request, 'admin');
+        if (!authResult.success) {
+            return responseService.toHttpResponse(
+                responseService.error(authResult.message, authResult.status),
+                corsHeaders
+            );
+        }
+
+        const id = request.params.id;
+        if (id) {
+            const idValidation = validationService.validate(id, schemas.uuidParam);
+            if (!idValidation.success) {
+                return responseService.toHttpResponse(
+                    responseService.validationError(idValidation.errors, 'A valid team id is required'),
+                    corsHeaders
+                );
+            }
+        }
+
+        let response;
+        if (request.method === 'GET' && !id) {
+            response = await listTeams();
+        } else if (request.method === 'POST' && !id) {
+            response = await createTeam(request);
+        } else if (request.method === 'PATCH' && id) {
+            response = await updateTeam(request, id);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in Teams function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the team request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('Teams', {
+    methods: ['GET', 'POST', 'PATCH', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'teams/{id?}',
+    handler: teams
+});
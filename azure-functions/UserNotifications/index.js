@@ -0,0 +1,93 @@
+/**
+ * UserNotifications Azure Function - Traditional Model
+ * In-app notifications of the signed-in user, shown in the header's notification menu
+ *
+ *   GET   /api/notifications        - latest notifications and the unread count (`limit`, `unreadOnly`)
+ *   PATCH /api/notifications/{id}   - mark one notification as read
+ *   PATCH /api/notifications        - mark all notifications as read
+ */
+const { app } = require('@azure/functions');
+const { authService } = require('../shared/auth');
+const { userNotificationService } = require('../shared/userNotifications');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+async function listNotifications(request, user) {
+    const validation = validationService.validateRequest(request, schemas.userNotificationParams, 'query');
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const result = await userNotificationService.list(user.id, validation.data);
+    return responseService.success(result, 'Notifications retrieved successfully');
+}
+
+async function markRead(id, user) {
+    const validation = validationService.validate(id, schemas.uuidParam);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors, 'A valid notification id is required');
+    }
+
+    const result = await userNotificationService.markRead(user.id, validation.data);
+    if (!result.success) {
+        return responseService.error(result.message, result.status);
+    }
+    return responseService.success(result.notification, 'Notification marked as read');
+}
+
+async function markAllRead(user) {
+    const result = await userNotificationService.markAllRead(user.id);
+    return responseService.success(result, 'All notifications marked as read');
+}
+
+async function userNotifications(request, context) {
+    context.log('UserNotifications function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'PATCH', 'OPTIONS']);
+        }
+
+        const authResult = await authService.requireAuth(request);
+        if (!authResult.success) {
+            return responseService.toHttpResponse(responseService.unauthorized(authResult.message), corsHeaders);
+        }
+
+        const id = request.params.id;
+        let response;
+        if (request.method === 'GET' && !id) {
+            response = await listNotifications(request, authResult.user);
+        } else if (request.method === 'PATCH' && id) {
+            response = await markRead(id, authResult.user);
+        } else if (request.method === 'PATCH') {
+            response = await markAllRead(authResult.user);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in UserNotifications function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the notification request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('UserNotifications', {
+    methods: ['GET', 'PATCH', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'notifications/{id?}',
+    handler: userNotifications
+});
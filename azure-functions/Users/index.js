@@ -0,0 +1,186 @@
+/**
+ * Users Azure Function - Traditional Model
+ * User administration, restricted to admins apart from the assignee list
+ *
+ *   GET   /api/users              - paginated list of users with their roles and teams
+ *   GET   /api/users/assignable   - active users incidents can be assigned to (supervisors)
+ *   PATCH /api/users/{id}         - change a user's role or team, or deactivate/reactivate them
+ */
+const { app } = require('@azure/functions');
+const { database } = require('../shared/database');
+const { authService } = require('../shared/auth');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const userColumns = `u.id, u.email, COALESCE(up.full_name, u.full_name) AS full_name,
+                     COALESCE(up.department, u.department) AS department,
+                     u.role, u.is_active, u.last_sign_in_at, u.created_at,
+                     u.team_id, t.name AS team_name`;
+
+const userJoins = `LEFT JOIN user_profiles up ON up.user_id = u.id
+                   LEFT JOIN teams t ON t.id = u.team_id`;
+
+async function listUsers(request) {
+    const validation = validationService.validateRequest(request, schemas.paginationParams, 'query');
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+    const { page, limit } = validation.data;
+
+    const countResult = await database.query('SELECT COUNT(*)::int AS total FROM users');
+    const result = await database.query(
+        `SELECT ${userColumns}
+         FROM users u
+         ${userJoins}
+         ORDER BY u.email
+         LIMIT $1 OFFSET $2`,
+        [limit, (page - 1) * limit]
+    );
+
+    return responseService.paginated(
+        result.rows,
+        { page, limit, total: countResult.rows[0].total },
+        'Users retrieved successfully'
+    );
+}
+
+async function listAssignableUsers() {
+    const result = await database.query(
+        `SELECT u.id, u.email, COALESCE(up.full_name, u.full_name) AS full_name, u.team_id, t.name AS team_name
+         FROM users u
+         ${userJoins}
+         WHERE u.is_active
+         ORDER BY COALESCE(up.full_name, u.full_name, u.email)`
+    );
+    return responseService.success(result.rows, 'Assignable users retrieved successfully');
+}
+
+async function updateUser(request, id, admin) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.userAdminUpdate);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+    const changes = validation.data;
+
+    // Admins cannot demote or deactivate themselves, so the app never ends up without one
+    if (id === admin.id && ((changes.role && changes.role !== 'admin') || changes.isActive === false)) {
+        return responseService.conflict('You cannot remove your own admin access');
+    }
+
+    if (changes.teamId) {
+        const team = await database.query('SELECT id FROM teams WHERE id = $1 AND is_active', [changes.teamId]);
+        if (team.rows.length === 0) {
+            return responseService.validationError(
+                [{ field: 'teamId', message: '"teamId" must be an active team', value: changes.teamId }],
+                'The team does not exist or is deactivated'
+            );
+        }
+    }
+
+    const user = await database.transaction(async (client) => {
+        // teamId: null takes the user out of their team, so it cannot use COALESCE
+        const result = await client.query(
+            `UPDATE users
+             SET role = COALESCE($2, role),
+                 is_active = COALESCE($3, is_active),
+                 team_id = CASE WHEN $4 THEN $5::uuid ELSE team_id END,
+                 updated_at = NOW()
+             WHERE id = $1
+             RETURNING id`,
+            [id, changes.role ?? null, changes.isActive ?? null, changes.teamId !== undefined, changes.teamId ?? null]
+        );
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        if (changes.isActive === false) {
+            await authService.revokeAllRefreshTokens(id, client);
+        }
+
+        const updated = await client.query(
+            `SELECT ${userColumns}
+             FROM users u
+             ${userJoins}
+             WHERE u.id = $1`,
+            [id]
+        );
+        return updated.rows[0];
+    });
+
+    if (!user) {
+        return responseService.notFound('User not found');
+    }
+    return responseService.success(user, 'User updated successfully');
+}
+
+async function users(request, context) {
+    context.log('Users function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'PATCH', 'OPTIONS']);
+        }
+
+        // Supervisors assign incidents, so they may list the users to pick from
+        const id = request.params.id;
+        const isAssignable = id === 'assignable';
+        const authResult = await authService.requireRole(request, isAssignable ? 'supervisor' : 'admin');
+        if (!authResult.success) {
+            return responseService.toHttpResponse(
+                responseService.error(authResult.message, authResult.status),
+                corsHeaders
+            );
+        }
+
+        if (id && !isAssignable) {
+            const idValidation = validationService.validate(id, schemas.uuidParam);
+            if (!idValidation.success) {
+                return responseService.toHttpResponse(
+                    responseService.validationError(idValidation.errors, 'A valid user id is required'),
+                    corsHeaders
+                );
+            }
+        }
+
+        let response;
+        if (request.method === 'GET' && !id) {
+            response = await listUsers(request);
+        } else if (request.method === 'GET' && isAssignable) {
+            response = await listAssignableUsers();
+        } else if (request.method === 'PATCH' && id && !isAssignable) {
+            response = await updateUser(request, id, authResult.user);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in Users function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the user request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('Users', {
+    methods: ['GET', 'PATCH', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'users/{id?}',
+    handler: users
+});
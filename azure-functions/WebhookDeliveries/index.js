@@ -0,0 +1,96 @@
+/**
+ * WebhookDeliveries Azure Function - Traditional Model
+ * Single outbound webhook deliveries (admins)
+ *
+ *   GET  /api/webhook-deliveries/{id}             - a delivery with the payload it sends
+ *   POST /api/webhook-deliveries/{id}/redeliver   - send the payload again now, as a new delivery
+ */
+const { app } = require('@azure/functions');
+const { authService } = require('../shared/auth');
+const { webhookService } = require('../shared/webhooks');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+function failure(result) {
+    return responseService.error(result.message, result.status || 400);
+}
+
+async function getDelivery(id) {
+    const result = await webhookService.getDelivery(id);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.success(result.delivery, 'Webhook delivery retrieved successfully');
+}
+
+async function redeliver(id) {
+    const result = await webhookService.redeliver(id);
+    if (!result.success) {
+        return failure(result);
+    }
+    const message = result.delivery.status === 'sent'
+        ? 'Webhook redelivered successfully'
+        : 'Redelivery failed and will be retried';
+    return responseService.created(result.delivery, message);
+}
+
+async function webhookDeliveries(request, context) {
+    context.log('WebhookDeliveries function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'POST', 'OPTIONS']);
+        }
+
+        const authResult = await authService.requireRole(request, 'admin');
+        if (!authResult.success) {
+            return responseService.toHttpResponse(
+                responseService.error(authResult.message, authResult.status),
+                corsHeaders
+            );
+        }
+
+        const { id, action } = request.params;
+        const idValidation = validationService.validate(id, schemas.uuidParam);
+        if (!idValidation.success) {
+            return responseService.toHttpResponse(
+                responseService.validationError(idValidation.errors, 'A valid delivery id is required'),
+                corsHeaders
+            );
+        }
+
+        let response;
+        if (request.method === 'GET' && !action) {
+            response = await getDelivery(id);
+        } else if (request.method === 'POST' && action === 'redeliver') {
+            response = await redeliver(id);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in WebhookDeliveries function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the webhook delivery request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('WebhookDeliveries', {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'webhook-deliveries/{id}/{action?}',
+    handler: webhookDeliveries
+});
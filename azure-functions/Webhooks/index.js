@@ -0,0 +1,153 @@
+/**
+ * Webhooks Azure Function - Traditional Model
+ * Outbound webhook subscriptions for incident, walkthrough and report events (admins)
+ *
+ *   GET    /api/webhooks                   - subscriptions with their latest delivery
+ *   POST   /api/webhooks                   - register an endpoint; the response holds its signing secret
+ *   PATCH  /api/webhooks/{id}              - change name, URL, events or state, or rotate the secret
+ *   DELETE /api/webhooks/{id}              - remove a subscription and its delivery history
+ *   GET    /api/webhooks/{id}/deliveries   - delivery history, newest first
+ */
+const { app } = require('@azure/functions');
+const { authService } = require('../shared/auth');
+const { webhookService } = require('../shared/webhooks');
+const { validationService, schemas } = require('../shared/validation');
+const { responseService } = require('../shared/response');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const deliveryParams = schemas.paginationParams.concat(schemas.webhookDeliveryFilters);
+
+function failure(result) {
+    return responseService.error(result.message, result.status || 400);
+}
+
+async function listSubscriptions() {
+    const subscriptions = await webhookService.listSubscriptions();
+    return responseService.success(subscriptions, 'Webhooks retrieved successfully');
+}
+
+async function createSubscription(request, user) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.webhookSubscription);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const result = await webhookService.createSubscription(validation.data, user);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.created(result.subscription, 'Webhook created successfully');
+}
+
+async function updateSubscription(request, id) {
+    const body = await validationService.parseJsonBody(request);
+    if (!body.success) {
+        return responseService.badRequest(body.message);
+    }
+
+    const validation = validationService.validate(body.data, schemas.webhookSubscriptionUpdate);
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+
+    const result = await webhookService.updateSubscription(id, validation.data);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.success(result.subscription, 'Webhook updated successfully');
+}
+
+async function deleteSubscription(id) {
+    const result = await webhookService.deleteSubscription(id);
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.success({ id }, 'Webhook deleted successfully');
+}
+
+async function listDeliveries(request, id) {
+    const validation = validationService.validateRequest(request, deliveryParams, 'query');
+    if (!validation.success) {
+        return responseService.validationError(validation.errors);
+    }
+    const { page, limit, sortBy, sortOrder, ...filters } = validation.data;
+
+    const result = await webhookService.listDeliveries(id, filters, { page, limit });
+    if (!result.success) {
+        return failure(result);
+    }
+    return responseService.paginated(result.deliveries, result.pagination, 'Webhook deliveries retrieved successfully');
+}
+
+async function webhooks(request, context) {
+    context.log('Webhooks function triggered');
+
+    try {
+        // Handle CORS preflight
+        if (request.method === 'OPTIONS') {
+            return responseService.cors(['*'], ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS']);
+        }
+
+        const authResult = await authService.requireRole(request, 'admin');
+        if (!authResult.success) {
+            return responseService.toHttpResponse(
+                responseService.error(authResult.message, authResult.status),
+                corsHeaders
+            );
+        }
+
+        const { id, action } = request.params;
+        if (id) {
+            const idValidation = validationService.validate(id, schemas.uuidParam);
+            if (!idValidation.success) {
+                return responseService.toHttpResponse(
+                    responseService.validationError(idValidation.errors, 'A valid webhook id is required'),
+                    corsHeaders
+                );
+            }
+        }
+
+        let response;
+        if (request.method === 'GET' && !id) {
+            response = await listSubscriptions();
+        } else if (request.method === 'POST' && !id) {
+            response = await createSubscription(request, authResult.user);
+        } else if (request.method === 'PATCH' && id && !action) {
+            response = await updateSubscription(request, id);
+        } else if (request.method === 'DELETE' && id && !action) {
+            response = await deleteSubscription(id);
+        } else if (request.method === 'GET' && id && action === 'deliveries') {
+            response = await listDeliveries(request, id);
+        } else {
+            response = responseService.error('Method not allowed for this route', 405);
+        }
+
+        return responseService.toHttpResponse(response, corsHeaders);
+
+    } catch (error) {
+        context.log('Error in Webhooks function:', error);
+
+        return responseService.toHttpResponse(
+            responseService.internalServerError('An error occurred while processing the webhook request'),
+            corsHeaders
+        );
+    }
+}
+
+// Register the function
+app.http('Webhooks', {
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+    authLevel: 'anonymous',
+    route: 'webhooks/{id?}/{action?}',
+    handler: webhooks
+});
@@ -0,0 +1,101 @@
+const http = require('http');
+const net = require('net');
+
+// Local stand-ins for an SMTP relay and a webhook receiver, for trying notifications without
+// real services. Point the functions at them with:
+//   SMTP_HOST=localhost SMTP_PORT=2525            (email)
+//   NOTIFICATION_WEBHOOK_URL=http://localhost:4000/<anything>  (webhooks; personal webhook URLs must be public)
+// Webhook paths starting with /fail answer 500, to see deliveries being retried.
+const SMTP_PORT = Number(process.env.SANDBOX_SMTP_PORT) || 2525;
+const WEBHOOK_PORT = Number(process.env.SANDBOX_WEBHOOK_PORT) || 4000;
+
+function decodeMessage(data) {
+  const [head, ...rest] = data.split('\r\n\r\n');
+  const body = rest.join('\r\n\r\n');
+  const decodeWord = (value) => value.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (match, text) => Buffer.from(text, 'base64').toString('utf8'));
+  const headers = head.split('\r\n').map(decodeWord).join('\n');
+  const text = /content-transfer-encoding:\s*base64/i.test(head)
+    ? Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8')
+    : body;
+  return `${headers}\n\n${text}`;
+}
+
+const smtpServer = net.createServer((socket) => {
+  let buffer = '';
+  let data = null;
+  let envelope = { from: null, to: [] };
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  socket.setEncoding('utf8');
+  reply('220 localhost DAT-Bolt notification sandbox');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (data !== null) {
+        if (line === '.') {
+          console.log(`\n📧 Mail from ${envelope.from} to ${envelope.to.join(', ')}\n${decodeMessage(data.join('\r\n'))}`);
+          data = null;
+          envelope = { from: null, to: [] };
+          reply('250 Message accepted');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO') {
+        reply('250-localhost');
+        reply('250 AUTH PLAIN');
+      } else if (command === 'HELO' || command === 'NOOP') {
+        reply('250 OK');
+      } else if (command === 'AUTH') {
+        reply('235 Authenticated');
+      } else if (command === 'MAIL') {
+        envelope.from = line.slice(line.indexOf(':') + 1).trim();
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.slice(line.indexOf(':') + 1).trim());
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+  });
+  socket.on('error', () => {});
+});
+
+const webhookServer = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    const failing = req.url.startsWith('/fail');
+    let printed = body;
+    try {
+      printed = JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      // Not JSON, print as received
+    }
+    console.log(`\n🔔 Webhook ${req.method} ${req.url}${failing ? ' (answered 500)' : ''}\n${printed}`);
+    res.writeHead(failing ? 500 : 204);
+    res.end();
+  });
+});
+
+smtpServer.listen(SMTP_PORT, () => console.log(`SMTP sandbox listening on localhost:${SMTP_PORT}`));
+webhookServer.listen(WEBHOOK_PORT, () => console.log(`Webhook sandbox listening on http://localhost:${WEBHOOK_PORT}`));
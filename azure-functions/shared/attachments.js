@@ -0,0 +1,272 @@
+const { v4: uuidv4 } = require('uuid');
+const { database } = require('./database');
+const { authService } = require('./auth');
+const { validationService } = require('./validation');
+const { getStorage } = require('./storage');
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_THUMBNAIL_BYTES = 256 * 1024;
+
+// Accepted types, recognised by their first bytes rather than the name or the declared type
+const FILE_SIGNATURES = {
+  'image/jpeg': (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  'image/png': (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': (bytes) => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP',
+  'application/pdf': (bytes) => bytes.toString('latin1', 0, 5) === '%PDF-',
+  // Logs and console captures: no NUL bytes in the first 8 KB
+  'text/plain': (bytes) => !bytes.subarray(0, 8192).includes(0)
+};
+
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const ID_CONFLICT = { success: false, message: 'Another attachment already uses this id', status: 409 };
+
+const formatSize = (bytes) => bytes >= 1024 * 1024 ? `${bytes / (1024 * 1024)} MB` : `${bytes / 1024} KB`;
+
+const ATTACHMENT_COLUMNS = `a.id, a.incident_id, a.audit_report_id, a.rack_location, a.comment_id, a.file_name, a.content_type,
+  a.size_bytes, a.thumbnail_key IS NOT NULL AS has_thumbnail, a.uploaded_by, u.full_name AS uploaded_by_name, a.created_at`;
+
+class AttachmentService {
+  detectContentType(content) {
+    return Object.keys(FILE_SIGNATURES).find(type => FILE_SIGNATURES[type](content)) || null;
+  }
+
+  // Checks a file against the size limit and the accepted types; returns its detected type
+  checkFile(file, maxBytes, allowedTypes = Object.keys(FILE_SIGNATURES)) {
+    if (file.content.length === 0) {
+      return { success: false, message: `${file.name || 'The file'} is empty` };
+    }
+    if (file.content.length > maxBytes) {
+      return { success: false, message: `${file.name || 'The file'} is larger than ${formatSize(maxBytes)}` };
+    }
+
+    const contentType = this.detectContentType(file.content);
+    if (!contentType || !allowedTypes.includes(contentType)) {
+      return { success: false, message: `${file.name || 'The file'} is not a JPEG, PNG or WebP image, PDF or text file` };
+    }
+    return { success: true, contentType };
+  }
+
+  // Whether a stored attachment is on the incident or walkthrough an upload names
+  belongsTo(attachment, data) {
+    return attachment.incident_id === (data.incidentId ?? null)
+      && attachment.audit_report_id === (data.auditReportId ?? null);
+  }
+
+  // A retried upload comes from the same user for the same incident or walkthrough
+  isRetryOf(existing, data, user) {
+    return existing.uploaded_by === user.id && this.belongsTo(existing, data);
+  }
+
+  /**
+   * Stores a file against an incident or a walkthrough (audit report). `data.id` is optional;
+   * clients that retry an upload send the same id and get the stored attachment back. An id
+   * already used by someone else's upload, or for another incident or walkthrough, is a 409.
+   */
+  async create(data, file, thumbnail, user) {
+    if (data.id) {
+      const existing = await this.findById(data.id);
+      if (existing) {
+        return this.isRetryOf(existing, data, user)
+          ? { success: true, attachment: existing, duplicate: true }
+          : ID_CONFLICT;
+      }
+    }
+
+    const owner = data.incidentId
+      ? await database.query('SELECT id FROM incidents WHERE id = $1', [data.incidentId])
+      : await database.query('SELECT "Id" FROM "AuditReports" WHERE "Id" = $1', [data.auditReportId]);
+    if (owner.rows.length === 0) {
+      return { success: false, message: data.incidentId ? 'Incident not found' : 'Inspection not found', status: 404 };
+    }
+
+    if (data.commentId) {
+      const comment = await database.query(
+        'SELECT id FROM incident_comments WHERE id = $1 AND incident_id = $2',
+        [data.commentId, data.incidentId ?? null]
+      );
+      if (comment.rows.length === 0) {
+        return { success: false, message: 'The comment does not belong to this incident', status: 422 };
+      }
+    }
+
+    const fileCheck = this.checkFile(file, MAX_FILE_BYTES);
+    if (!fileCheck.success) {
+      return { success: false, message: fileCheck.message, status: 422 };
+    }
+    const thumbnailCheck = thumbnail ? this.checkFile(thumbnail, MAX_THUMBNAIL_BYTES, THUMBNAIL_TYPES) : null;
+    if (thumbnailCheck && !thumbnailCheck.success) {
+      return { success: false, message: `Thumbnail rejected: ${thumbnailCheck.message}`, status: 422 };
+    }
+
+    const id = data.id || uuidv4();
+    const fileName = validationService.sanitizeFilename(file.name) || 'attachment';
+    const folder = data.incidentId ? `incidents/${data.incidentId}` : `inspections/${data.auditReportId}`;
+    const storageKey = `${folder}/${id}/${fileName}`;
+    const thumbnailKey = thumbnail ? `${folder}/${id}/thumbnail` : null;
+
+    const storage = getStorage();
+    await storage.put(storageKey, file.content, fileCheck.contentType);
+    if (thumbnailKey) {
+      await storage.put(thumbnailKey, thumbnail.content, thumbnailCheck.contentType);
+    }
+
+    try {
+      const result = await database.query(
+        `INSERT INTO attachments
+           (id, incident_id, audit_report_id, rack_location, file_name, content_type, size_bytes,
+            storage_key, thumbnail_key, uploaded_by, comment_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING id`,
+        [
+          id, data.incidentId ?? null, data.auditReportId ?? null, data.rackLocation ?? null, fileName,
+          fileCheck.contentType, file.content.length, storageKey, thumbnailKey, user.id, data.commentId ?? null
+        ]
+      );
+
+      // A concurrent retry with the same id won; its files are the ones in storage now
+      const duplicate = result.rows.length === 0;
+      const attachment = await this.findById(id);
+      if (duplicate && !this.isRetryOf(attachment, data, user)) {
+        // Another upload took the id. Under another owner its files are in another folder, so
+        // the ones just written are not used by any row
+        if (!this.belongsTo(attachment, data)) {
+          await this.deleteFiles({ storage_key: storageKey, thumbnail_key: thumbnailKey });
+        }
+        return ID_CONFLICT;
+      }
+      return { success: true, attachment, duplicate };
+    } catch (error) {
+      await this.deleteFiles({ storage_key: storageKey, thumbnail_key: thumbnailKey });
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    const result = await database.query(
+      `SELECT ${ATTACHMENT_COLUMNS}
+       FROM attachments a
+       LEFT JOIN users u ON u.id = a.uploaded_by
+       WHERE a.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // An incident's own attachments plus the walkthrough photos taken at its rack
+  async listForIncident(incidentId) {
+    const incident = await database.query(
+      'SELECT id, audit_report_id, rack_number FROM incidents WHERE id = $1',
+      [incidentId]
+    );
+    if (incident.rows.length === 0) {
+      return { success: false, message: 'Incident not found', status: 404 };
+    }
+    const { audit_report_id: auditReportId, rack_number: rackNumber } = incident.rows[0];
+
+    const result = await database.query(
+      `SELECT ${ATTACHMENT_COLUMNS}
+       FROM attachments a
+       LEFT JOIN users u ON u.id = a.uploaded_by
+       WHERE a.incident_id = $1
+          OR (a.audit_report_id = $2 AND a.rack_location = $3)
+       ORDER BY a.created_at ASC, a.id`,
+      [incidentId, auditReportId, rackNumber]
+    );
+    return { success: true, attachments: result.rows };
+  }
+
+  // Attachments posted with the incident's comments, for the timeline
+  async listForComments(incidentId) {
+    const result = await database.query(
+      `SELECT ${ATTACHMENT_COLUMNS}
+       FROM attachments a
+       LEFT JOIN users u ON u.id = a.uploaded_by
+       WHERE a.incident_id = $1 AND a.comment_id IS NOT NULL
+       ORDER BY a.created_at ASC, a.id`,
+      [incidentId]
+    );
+    return result.rows;
+  }
+
+  async listForAuditReport(auditReportId) {
+    const result = await database.query(
+      `SELECT ${ATTACHMENT_COLUMNS}
+       FROM attachments a
+       LEFT JOIN users u ON u.id = a.uploaded_by
+       WHERE a.audit_report_id = $1
+       ORDER BY a.rack_location NULLS LAST, a.created_at ASC, a.id`,
+      [auditReportId]
+    );
+    return { success: true, attachments: result.rows };
+  }
+
+  // `variant` is "content" for the file itself or "thumbnail"
+  async getContent(id, variant = 'content') {
+    const result = await database.query(
+      'SELECT file_name, content_type, storage_key, thumbnail_key FROM attachments WHERE id = $1',
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return { success: false, message: 'Attachment not found', status: 404 };
+    }
+    const attachment = result.rows[0];
+
+    const key = variant === 'thumbnail' ? attachment.thumbnail_key : attachment.storage_key;
+    if (!key) {
+      return { success: false, message: 'This attachment has no thumbnail', status: 404 };
+    }
+
+    const content = await getStorage().get(key);
+    if (!content) {
+      return { success: false, message: 'Attachment file is missing from storage', status: 404 };
+    }
+
+    // Thumbnails are always images; sniff their type rather than storing it
+    const contentType = variant === 'thumbnail' ? this.detectContentType(content) || 'image/jpeg' : attachment.content_type;
+    return { success: true, content, contentType, fileName: attachment.file_name };
+  }
+
+  // Uploaders can remove their own attachments; admins can remove any
+  async remove(id, user) {
+    const result = await database.query(
+      'SELECT id, uploaded_by, storage_key, thumbnail_key FROM attachments WHERE id = $1',
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return { success: false, message: 'Attachment not found', status: 404 };
+    }
+    const attachment = result.rows[0];
+
+    if (!authService.hasRole(user, 'admin') && attachment.uploaded_by !== user.id) {
+      return { success: false, message: 'You can only delete attachments you uploaded', status: 403 };
+    }
+
+    await database.query('DELETE FROM attachments WHERE id = $1', [id]);
+    await this.deleteFiles(attachment);
+    return { success: true };
+  }
+
+  // Failures are only logged: at worst a file without a row is left in storage
+  async deleteFiles(attachment) {
+    const storage = getStorage();
+    for (const key of [attachment.storage_key, attachment.thumbnail_key].filter(Boolean)) {
+      try {
+        await storage.delete(key);
+      } catch (error) {
+        console.error(`Failed to delete attachment file ${key}:`, error);
+      }
+    }
+  }
+}
+
+// Singleton instance
+const attachmentService = new AttachmentService();
+
+module.exports = {
+  attachmentService,
+  AttachmentService,
+  MAX_FILE_BYTES,
+  MAX_THUMBNAIL_BYTES
+};
@@ -1,17 +1,22 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { database } = require('./database');
 
+// Ordered from least to most privileged; each role can do everything the ones before it can
+const ROLES = ['technician', 'supervisor', 'admin'];
+
 class AuthService {
   constructor() {
     this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
     this.jwtExpiry = process.env.JWT_EXPIRY || '24h';
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS || '30', 10);
   }
 
   async validateUser(email, password) {
     try {
       const result = await database.query(
-        'SELECT id, email, encrypted_password, full_name, is_active FROM users WHERE email = $1',
+        'SELECT id, email, encrypted_password, full_name, role, is_active FROM users WHERE email = $1',
         [email]
       );
 
@@ -25,16 +30,9 @@ class AuthService {
         return { success: false, message: 'Account is deactivated' };
       }
 
-      // If no password is set (for Azure AD users), allow login
+      // Accounts without a password (migrated or Azure AD users) cannot sign in with one
       if (!user.encrypted_password) {
-        return {
-          success: true,
-          user: {
-            id: user.id,
-            email: user.email,
-            fullName: user.full_name
-          }
-        };
+        return { success: false, message: 'No password set' };
       }
 
       // Validate password
@@ -54,7 +52,8 @@ class AuthService {
         user: {
           id: user.id,
           email: user.email,
-          fullName: user.full_name
+          fullName: user.full_name,
+          role: user.role
         }
       };
 
@@ -86,7 +85,7 @@ class AuthService {
         const userResult = await client.query(
           `INSERT INTO users (email, encrypted_password, full_name, is_active, created_at, email_confirmed_at)
            VALUES ($1, $2, $3, $4, NOW(), NOW())
-           RETURNING id, email, full_name`,
+           RETURNING id, email, full_name, role`,
           [email, hashedPassword, fullName, true]
         );
 
@@ -114,7 +113,8 @@ class AuthService {
         user: {
           id: result.id,
           email: result.email,
-          fullName: result.full_name
+          fullName: result.full_name,
+          role: result.role
         }
       };
 
@@ -129,12 +129,114 @@ class AuthService {
       userId: user.id,
       email: user.email,
       fullName: user.fullName,
+      role: user.role,
       iat: Math.floor(Date.now() / 1000)
     };
 
     return jwt.sign(payload, this.jwtSecret, { expiresIn: this.jwtExpiry });
   }
 
+  // Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+  hashRefreshToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async issueRefreshToken(userId, client = database) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const result = await client.query(
+      `INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(days => $3))
+       RETURNING id, expires_at`,
+      [userId, this.hashRefreshToken(token), this.refreshTokenDays]
+    );
+
+    return { token, id: result.rows[0].id, expiresAt: result.rows[0].expires_at };
+  }
+
+  async createSession(user) {
+    const refreshToken = await this.issueRefreshToken(user.id);
+    return {
+      user,
+      token: this.generateToken(user),
+      refreshToken: refreshToken.token,
+      refreshTokenExpiresAt: refreshToken.expiresAt
+    };
+  }
+
+  // Exchanges a refresh token for a new access/refresh pair. Presenting a token that was
+  // already rotated is treated as theft and revokes every session of that user.
+  async rotateRefreshToken(token) {
+    try {
+      return await database.transaction(async (client) => {
+        const result = await client.query(
+          `SELECT rt.id, rt.user_id, rt.expires_at, rt.revoked_at,
+                  u.email, u.full_name, u.role, u.is_active
+           FROM refresh_tokens rt
+           JOIN users u ON u.id = rt.user_id
+           WHERE rt.token_hash = $1
+           FOR UPDATE OF rt`,
+          [this.hashRefreshToken(token)]
+        );
+
+        if (result.rows.length === 0) {
+          return { success: false, message: 'Invalid refresh token', status: 401 };
+        }
+
+        const stored = result.rows[0];
+
+        if (stored.revoked_at) {
+          await this.revokeAllRefreshTokens(stored.user_id, client);
+          return { success: false, message: 'Refresh token has been revoked', status: 401 };
+        }
+
+        if (new Date(stored.expires_at) <= new Date()) {
+          return { success: false, message: 'Refresh token expired', status: 401 };
+        }
+
+        if (!stored.is_active) {
+          return { success: false, message: 'Account is deactivated', status: 401 };
+        }
+
+        const user = { id: stored.user_id, email: stored.email, fullName: stored.full_name, role: stored.role };
+        const replacement = await this.issueRefreshToken(user.id, client);
+
+        await client.query(
+          'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2 WHERE id = $1',
+          [stored.id, replacement.id]
+        );
+
+        return {
+          success: true,
+          session: {
+            user,
+            token: this.generateToken(user),
+            refreshToken: replacement.token,
+            refreshTokenExpiresAt: replacement.expiresAt
+          }
+        };
+      });
+    } catch (error) {
+      console.error('Error rotating refresh token:', error);
+      return { success: false, message: 'Failed to refresh session', status: 500 };
+    }
+  }
+
+  async revokeRefreshToken(token) {
+    const result = await database.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW()
+       WHERE token_hash = $1 AND revoked_at IS NULL`,
+      [this.hashRefreshToken(token)]
+    );
+    return { success: true, revoked: result.rowCount > 0 };
+  }
+
+  async revokeAllRefreshTokens(userId, client = database) {
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+  }
+
   verifyToken(token) {
     try {
       const decoded = jwt.verify(token, this.jwtSecret);
@@ -158,7 +260,7 @@ class AuthService {
 
     try {
       const result = await database.query(
-        `SELECT u.id, u.email, u.full_name, up.department, up.phone
+        `SELECT u.id, u.email, u.full_name, u.role, up.department, up.phone
          FROM users u
          LEFT JOIN user_profiles up ON u.id = up.user_id
          WHERE u.id = $1 AND u.is_active = true`,
@@ -176,6 +278,7 @@ class AuthService {
           id: user.id,
           email: user.email,
           fullName: user.full_name,
+          role: user.role,
           department: user.department,
           phone: user.phone
         }
@@ -188,7 +291,10 @@ class AuthService {
   }
 
   extractTokenFromRequest(request) {
-    const authHeader = request.headers.authorization;
+    // v4 HttpRequest exposes a Headers instance, older contexts a plain object
+    const authHeader = typeof request.headers?.get === 'function'
+      ? request.headers.get('authorization')
+      : request.headers?.authorization;
     if (!authHeader) {
       return null;
     }
@@ -214,6 +320,29 @@ class AuthService {
 
     return { success: true, user: userResult.user };
   }
+
+  hasRole(user, minimumRole) {
+    const required = ROLES.indexOf(minimumRole);
+    if (required === -1) {
+      throw new Error(`Unknown role: ${minimumRole}`);
+    }
+    return ROLES.indexOf(user?.role) >= required;
+  }
+
+  // requireAuth plus a minimum role. The role is read from the database on every request,
+  // so a demotion takes effect before the user's access token expires.
+  async requireRole(request, minimumRole) {
+    const authResult = await this.requireAuth(request);
+    if (!authResult.success) {
+      return authResult;
+    }
+
+    if (!this.hasRole(authResult.user, minimumRole)) {
+      return { success: false, message: `This action requires the ${minimumRole} role`, status: 403 };
+    }
+
+    return authResult;
+  }
 }
 
 // Singleton instance
@@ -221,5 +350,6 @@ const authService = new AuthService();
 
 module.exports = {
   authService,
-  AuthService
+  AuthService,
+  ROLES
 };
\ No newline at end of file
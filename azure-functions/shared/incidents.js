@@ -0,0 +1,482 @@
+const { database } = require('./database');
+const { authService } = require('./auth');
+const { attachmentService } = require('./attachments');
+const { slaService, RESPONSE_DUE_SQL, RESOLUTION_DUE_SQL } = require('./sla');
+const { userNotificationService } = require('./userNotifications');
+const { webhookService } = require('./webhooks');
+
+// Legal status changes. Moving back to "open" is a reopen and needs a reason.
+const STATUS_TRANSITIONS = {
+  open: ['in-progress'],
+  'in-progress': ['resolved'],
+  resolved: ['open']
+};
+
+const TRACKED_FIELDS = ['status', 'severity', 'description'];
+
+const SORTABLE_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  severity: 'severity',
+  status: 'status',
+  location: 'location',
+  datahall: 'datahall'
+};
+
+// Incident rows with the names of their assignee and team and their SLA due dates
+const INCIDENT_SELECT = `SELECT i.*, COALESCE(a.full_name, a.email) AS assignee_name, t.name AS team_name,
+         ${RESPONSE_DUE_SQL} AS response_due_at, ${RESOLUTION_DUE_SQL} AS resolution_due_at
+  FROM incidents i
+  LEFT JOIN users a ON a.id = i.assignee_id
+  LEFT JOIN teams t ON t.id = i.team_id
+  LEFT JOIN sla_policies p ON p.severity = i.severity`;
+
+// Escalation levels, raised once per breach
+const ESCALATION_LEVELS = ['none', 'response', 'resolution'];
+
+class IncidentService {
+  canTransition(from, to) {
+    return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  // `user` is the caller, needed for the `mine` filter
+  async list(filters = {}, pagination = {}, user = null) {
+    const conditions = [];
+    const params = [];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace(/\?/g, `$${params.length}`));
+    };
+
+    if (filters.location) addCondition('i.location = ?', filters.location);
+    if (filters.datahall) addCondition('i.datahall = ?', filters.datahall);
+    if (filters.severity) addCondition('i.severity = ?', filters.severity);
+    if (filters.status) addCondition('i.status = ?', filters.status);
+    if (filters.startDate) addCondition('i.created_at >= ?', filters.startDate);
+    if (filters.endDate) addCondition('i.created_at <= ?', filters.endDate);
+    if (filters.assigneeId) addCondition('i.assignee_id = ?', filters.assigneeId);
+    if (filters.teamId) addCondition('i.team_id = ?', filters.teamId);
+    if (filters.unresolved) conditions.push("i.status <> 'resolved'");
+    if (filters.sla) addCondition(slaService.stateCondition(filters.sla), slaService.now());
+    if (filters.mine && user) {
+      addCondition(
+        '(i.assignee_id = ? OR (i.assignee_id IS NULL AND i.team_id = (SELECT team_id FROM users WHERE id = ?)))',
+        user.id
+      );
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { page = 1, limit = 20, sortBy, sortOrder = 'desc' } = pagination;
+    const orderColumn = SORTABLE_COLUMNS[sortBy] || SORTABLE_COLUMNS.createdAt;
+    const orderDirection = sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+    const countResult = await database.query(
+      `SELECT COUNT(*)::int AS total
+       FROM incidents i
+       LEFT JOIN sla_policies p ON p.severity = i.severity
+       ${where}`,
+      params
+    );
+
+    const dataResult = await database.query(
+      `${INCIDENT_SELECT}
+       ${where}
+       ORDER BY i.${orderColumn} ${orderDirection}, i.created_at, i.id
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      incidents: dataResult.rows.map(incident => slaService.evaluate(incident)),
+      pagination: { page, limit, total: countResult.rows[0].total }
+    };
+  }
+
+  async getById(id) {
+    const result = await database.query(`${INCIDENT_SELECT} WHERE i.id = $1`, [id]);
+    if (result.rows.length === 0) {
+      return { success: false, message: 'Incident not found', status: 404 };
+    }
+
+    const history = await database.query(
+      `SELECT h.id, h.field, h.old_value, h.new_value, h.reason, h.created_at,
+              h.changed_by, u.full_name AS changed_by_name
+       FROM incident_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.incident_id = $1
+       ORDER BY h.created_at ASC`,
+      [id]
+    );
+
+    return { success: true, incident: { ...slaService.evaluate(result.rows[0]), history: history.rows } };
+  }
+
+  // Accepts an open transaction client so callers can create incidents alongside other rows
+  async create(data, user, client = null) {
+    const run = async (db) => {
+      // SLA times come from the SLA clock so deadlines can be checked at a fixed time
+      const result = await db.query(
+        `INSERT INTO incidents
+           (location, datahall, description, severity, status, user_id,
+            rack_number, part_type, part_identifier, u_height, comments, walkthrough_id, audit_report_id,
+            created_at, responded_at, resolved_at)
+         VALUES ($1, $2, $3, $4, $5::incident_status, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+                 CASE WHEN $5 <> 'open' THEN $14::timestamptz END, CASE WHEN $5 = 'resolved' THEN $14::timestamptz END)
+         RETURNING id, status`,
+        [
+          data.location, data.datahall, data.description, data.severity, data.status || 'open', user.id,
+          data.rackNumber ?? null, data.partType ?? null, data.partIdentifier ?? null, data.uHeight ?? null,
+          data.comments || null, data.walkthroughId ?? null, data.auditReportId ?? null, slaService.now()
+        ]
+      );
+      const incident = result.rows[0];
+
+      await this.recordHistory(db, incident.id, user.id, 'status', null, incident.status, 'Incident created');
+      const created = await this.findWithNames(db, incident.id);
+      await webhookService.publish(db, 'incident.created', { incident: created });
+      return created;
+    };
+
+    const incident = client ? await run(client) : await database.transaction(run);
+    return { success: true, incident };
+  }
+
+  async update(id, changes, user) {
+    return database.transaction(async (client) => {
+      const existing = await client.query('SELECT * FROM incidents WHERE id = $1 FOR UPDATE', [id]);
+      if (existing.rows.length === 0) {
+        return { success: false, message: 'Incident not found', status: 404 };
+      }
+      const incident = existing.rows[0];
+
+      // Technicians may only change incidents they reported or own
+      const isOwn = incident.user_id === user.id || incident.assignee_id === user.id;
+      if (!authService.hasRole(user, 'supervisor') && !isOwn) {
+        return { success: false, message: 'You can only update incidents you reported or are assigned to', status: 403 };
+      }
+
+      if (changes.status && !this.canTransition(incident.status, changes.status)) {
+        return {
+          success: false,
+          message: `Cannot change status from ${incident.status} to ${changes.status}`,
+          status: 409
+        };
+      }
+
+      const isReopen = changes.status === 'open' && incident.status !== 'open';
+      if (isReopen && !changes.reason) {
+        return { success: false, message: 'A reason is required to reopen an incident', status: 422 };
+      }
+
+      const updates = TRACKED_FIELDS.filter(
+        field => changes[field] !== undefined && changes[field] !== incident[field]
+      );
+      if (updates.length === 0) {
+        return { success: true, incident: await this.findWithNames(client, id), changed: [] };
+      }
+
+      const assignments = updates.map((field, index) => `${field} = $${index + 2}`);
+      const values = [id, ...updates.map(field => changes[field])];
+      // SLA clocks: responded when the incident first leaves open, resolved until it is reopened
+      if (updates.includes('status') && changes.status === 'open') {
+        assignments.push('resolved_at = NULL');
+      } else if (updates.includes('status')) {
+        values.push(slaService.now());
+        const now = `$${values.length}::timestamptz`;
+        assignments.push(`responded_at = COALESCE(responded_at, ${now})`);
+        assignments.push(changes.status === 'resolved' ? `resolved_at = ${now}` : 'resolved_at = NULL');
+      }
+      await client.query(`UPDATE incidents SET ${assignments.join(', ')} WHERE id = $1`, values);
+
+      for (const field of updates) {
+        await this.recordHistory(client, id, user.id, field, incident[field], changes[field], changes.reason || null);
+      }
+
+      // Resolving counts towards the user's resolved issues; other changes are plain updates
+      const place = `${incident.location} - ${incident.datahall}`;
+      const resolved = updates.includes('status') && changes.status === 'resolved';
+      if (resolved) {
+        await client.query('SELECT log_user_activity($1, $2, $3)', [user.id, 'issue', `Resolved incident in ${place}`]);
+      }
+      const otherUpdates = resolved ? updates.filter(field => field !== 'status') : updates;
+      if (otherUpdates.length > 0) {
+        const summary = otherUpdates
+          .map(field => (field === 'description' ? 'edited description' : `${field} ${changes[field]}`))
+          .join(', ');
+        await client.query('SELECT log_user_activity($1, $2, $3)', [user.id, 'update', `Updated incident in ${place}: ${summary}`]);
+      }
+
+      const updated = await this.findWithNames(client, id);
+      if (updates.includes('status')) {
+        await webhookService.publish(client, 'incident.status_changed', {
+          incident: updated,
+          previousStatus: incident.status,
+          status: changes.status,
+          reason: changes.reason || null,
+          changedBy: { id: user.id, email: user.email }
+        });
+      }
+
+      return { success: true, incident: updated, changed: updates };
+    });
+  }
+
+  /**
+   * Assigns incidents to a user, a team or both, all or none. Supervisors and admins can assign
+   * to anyone; technicians can only take incidents themselves or hand back their own.
+   */
+  async assign(incidentIds, { assigneeId, teamId }, user) {
+    const isSupervisor = authService.hasRole(user, 'supervisor');
+    if (!isSupervisor && (teamId !== undefined || (assigneeId !== null && assigneeId !== user.id))) {
+      return { success: false, message: 'Only supervisors can assign incidents to other users or teams', status: 403 };
+    }
+
+    return database.transaction(async (client) => {
+      const existing = await client.query(
+        `${INCIDENT_SELECT} WHERE i.id = ANY($1::uuid[]) FOR UPDATE OF i`,
+        [incidentIds]
+      );
+      if (existing.rows.length !== incidentIds.length) {
+        const found = new Set(existing.rows.map(incident => incident.id));
+        const missing = incidentIds.filter(id => !found.has(id));
+        return { success: false, message: `Incidents not found: ${missing.join(', ')}`, status: 404 };
+      }
+      if (!isSupervisor && existing.rows.some(incident => incident.assignee_id && incident.assignee_id !== user.id)) {
+        return { success: false, message: 'You can only change incidents that are unassigned or assigned to you', status: 403 };
+      }
+
+      let assignee = null;
+      if (assigneeId) {
+        const result = await client.query(
+          'SELECT id, COALESCE(full_name, email) AS name FROM users WHERE id = $1 AND is_active',
+          [assigneeId]
+        );
+        assignee = result.rows[0];
+        if (!assignee) {
+          return { success: false, message: 'Incidents can only be assigned to active users', status: 422 };
+        }
+      }
+
+      let team = null;
+      if (teamId) {
+        const result = await client.query('SELECT id, name FROM teams WHERE id = $1 AND is_active', [teamId]);
+        team = result.rows[0];
+        if (!team) {
+          return { success: false, message: 'Incidents can only be assigned to active teams', status: 422 };
+        }
+      }
+
+      const changed = [];
+      for (const incident of existing.rows) {
+        const assigneeChanged = assigneeId !== undefined && assigneeId !== incident.assignee_id;
+        const teamChanged = teamId !== undefined && teamId !== incident.team_id;
+        if (!assigneeChanged && !teamChanged) continue;
+
+        await client.query(
+          `UPDATE incidents
+           SET assignee_id = $2,
+               team_id = $3,
+               assigned_at = CASE WHEN $2::uuid IS NULL AND $3::uuid IS NULL THEN NULL ELSE $4::timestamptz END
+           WHERE id = $1`,
+          [
+            incident.id,
+            assigneeChanged ? assigneeId : incident.assignee_id,
+            teamChanged ? teamId : incident.team_id,
+            slaService.now()
+          ]
+        );
+        if (assigneeChanged) {
+          await this.recordHistory(client, incident.id, user.id, 'assignee', incident.assignee_name, assignee?.name ?? null);
+        }
+        if (teamChanged) {
+          await this.recordHistory(client, incident.id, user.id, 'team', incident.team_name, team?.name ?? null);
+        }
+        // A new assignee is told; a new team only when the incident has no assignee
+        const hasAssignee = assigneeChanged ? Boolean(assigneeId) : Boolean(incident.assignee_id);
+        await userNotificationService.notifyAssignment(client, incident, {
+          assigneeId: assigneeChanged ? assigneeId : null,
+          teamId: teamChanged && !hasAssignee ? teamId : null,
+          teamName: team?.name
+        }, user.id);
+        changed.push(incident);
+      }
+
+      if (changed.length > 0) {
+        const subject = changed.length === 1
+          ? `incident in ${changed[0].location} - ${changed[0].datahall}`
+          : `${changed.length} incidents`;
+        const owner = assignee?.name ?? team?.name;
+        await client.query(
+          'SELECT log_user_activity($1, $2, $3)',
+          [user.id, 'update', owner ? `Assigned ${subject} to ${owner}` : `Unassigned ${subject}`]
+        );
+      }
+
+      const result = await client.query(
+        `${INCIDENT_SELECT} WHERE i.id = ANY($1::uuid[]) ORDER BY i.created_at`,
+        [incidentIds]
+      );
+      return {
+        success: true,
+        incidents: result.rows.map(incident => slaService.evaluate(incident)),
+        changed: changed.map(incident => incident.id)
+      };
+    });
+  }
+
+  /**
+   * Escalates unresolved incidents that are past their response or resolution target. Each
+   * breach escalates once; the escalation is recorded in the history without a user.
+   * Returns the escalated incidents.
+   */
+  async escalateBreaches(now = slaService.now()) {
+    return database.transaction(async (client) => {
+      const result = await client.query(
+        `SELECT i.id, i.location, i.datahall, i.severity, i.escalation_level,
+                p.response_minutes, p.resolution_minutes,
+                ${RESOLUTION_DUE_SQL} < $1 AS resolution_breached
+         FROM incidents i
+         JOIN sla_policies p ON p.severity = i.severity
+         WHERE i.status <> 'resolved'
+           AND ((i.escalation_level < 1 AND i.responded_at IS NULL AND ${RESPONSE_DUE_SQL} < $1)
+             OR (i.escalation_level < 2 AND ${RESOLUTION_DUE_SQL} < $1))
+         ORDER BY i.created_at
+         FOR UPDATE OF i SKIP LOCKED`,
+        [now]
+      );
+
+      const escalated = [];
+      for (const incident of result.rows) {
+        const level = incident.resolution_breached ? 2 : 1;
+        const target = level === 2
+          ? `Resolution target of ${incident.resolution_minutes} minutes`
+          : `Response target of ${incident.response_minutes} minutes`;
+
+        await client.query(
+          'UPDATE incidents SET escalation_level = $2, escalated_at = $3 WHERE id = $1',
+          [incident.id, level, now]
+        );
+        await this.recordHistory(
+          client, incident.id, null, 'escalation',
+          incident.escalation_level > 0 ? ESCALATION_LEVELS[incident.escalation_level] : null,
+          ESCALATION_LEVELS[level],
+          `${target} for ${incident.severity} incidents breached`
+        );
+        escalated.push({ ...incident, escalation_level: level });
+      }
+      return escalated;
+    });
+  }
+
+  /**
+   * Comments and field changes of an incident in one chronological list. Replies are nested
+   * under the comment they answer, with the attachments posted alongside each comment.
+   */
+  async getTimeline(id) {
+    const incident = await database.query('SELECT id FROM incidents WHERE id = $1', [id]);
+    if (incident.rows.length === 0) {
+      return { success: false, message: 'Incident not found', status: 404 };
+    }
+
+    const [history, comments, attachments] = await Promise.all([
+      database.query(
+        `SELECT h.id, h.field, h.old_value, h.new_value, h.reason, h.created_at,
+                h.changed_by AS user_id, u.full_name AS user_name
+         FROM incident_history h
+         LEFT JOIN users u ON u.id = h.changed_by
+         WHERE h.incident_id = $1`,
+        [id]
+      ),
+      database.query(
+        `SELECT c.id, c.parent_id, c.body, c.created_at, c.author_id AS user_id, u.full_name AS user_name
+         FROM incident_comments c
+         LEFT JOIN users u ON u.id = c.author_id
+         WHERE c.incident_id = $1
+         ORDER BY c.created_at ASC, c.id`,
+        [id]
+      ),
+      attachmentService.listForComments(id)
+    ]);
+
+    const commentEntries = new Map(comments.rows.map(comment => [
+      comment.id,
+      {
+        type: 'comment',
+        ...comment,
+        attachments: attachments.filter(attachment => attachment.comment_id === comment.id),
+        replies: []
+      }
+    ]));
+    const topLevel = [];
+    for (const entry of commentEntries.values()) {
+      const parent = entry.parent_id && commentEntries.get(entry.parent_id);
+      if (parent) parent.replies.push(entry);
+      else topLevel.push(entry);
+    }
+
+    const entries = [...history.rows.map(change => ({ type: 'change', ...change })), ...topLevel]
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    return { success: true, timeline: entries };
+  }
+
+  // Replies to a reply are attached to the top-level comment, so threads stay one level deep
+  async addComment(id, data, user) {
+    return database.transaction(async (client) => {
+      const existing = await client.query('SELECT id, location, datahall FROM incidents WHERE id = $1', [id]);
+      if (existing.rows.length === 0) {
+        return { success: false, message: 'Incident not found', status: 404 };
+      }
+      const incident = existing.rows[0];
+
+      let parentId = null;
+      if (data.parentId) {
+        const parent = await client.query(
+          'SELECT id, parent_id FROM incident_comments WHERE id = $1 AND incident_id = $2',
+          [data.parentId, id]
+        );
+        if (parent.rows.length === 0) {
+          return { success: false, message: 'The comment being replied to does not belong to this incident', status: 422 };
+        }
+        parentId = parent.rows[0].parent_id || parent.rows[0].id;
+      }
+
+      const result = await client.query(
+        `INSERT INTO incident_comments (incident_id, parent_id, author_id, body)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, parent_id, body, created_at, author_id AS user_id`,
+        [id, parentId, user.id, data.body]
+      );
+
+      await client.query(
+        'SELECT log_user_activity($1, $2, $3)',
+        [user.id, 'comment', `Commented on incident in ${incident.location} - ${incident.datahall}`]
+      );
+
+      const comment = { type: 'comment', ...result.rows[0], user_name: user.fullName ?? null, attachments: [], replies: [] };
+      return { success: true, comment };
+    });
+  }
+
+  async findWithNames(db, id) {
+    const result = await db.query(`${INCIDENT_SELECT} WHERE i.id = $1`, [id]);
+    return slaService.evaluate(result.rows[0]);
+  }
+
+  async recordHistory(client, incidentId, userId, field, oldValue, newValue, reason = null) {
+    await client.query(
+      `INSERT INTO incident_history (incident_id, changed_by, field, old_value, new_value, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [incidentId, userId, field, oldValue, newValue, reason]
+    );
+  }
+}
+
+// Singleton instance
+const incidentService = new IncidentService();
+
+module.exports = {
+  incidentService,
+  IncidentService,
+  STATUS_TRANSITIONS
+};
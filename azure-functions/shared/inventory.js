@@ -0,0 +1,292 @@
+const { database } = require('./database');
+
+// Rack ids are X followed by a two-digit row and position (X2401) or a four-digit row and
+// two-digit position (X230101)
+const RACK_ID_PATTERN = /^X(\d{4}|\d{6})$/;
+
+function parseRackId(rackId) {
+  if (!RACK_ID_PATTERN.test(rackId)) return null;
+  return { rowLabel: rackId.slice(1, -2), position: parseInt(rackId.slice(-2), 10) };
+}
+
+const locationKey = (...names) => names.join('\u0000');
+
+// Sites, data halls and racks. Walkthroughs and incidents store the site and hall by name,
+// so these lookups work on names too.
+class InventoryService {
+  // Accepts an open transaction client so imports can plan against the rows they are about to change
+  async getTree({ includeInactive = false } = {}, db = database) {
+    const active = (alias) => (includeInactive ? '' : `AND ${alias}.is_active`);
+    const result = await db.query(
+      `SELECT s.id AS site_id, s.name AS site_name, s.is_active AS site_active,
+              dh.id AS data_hall_id, dh.name AS data_hall_name, dh.is_active AS data_hall_active,
+              r.id AS rack_id, r.name AS rack_name, r.is_active AS rack_active,
+              r.row_label, r.position, r.rack_type
+       FROM sites s
+       LEFT JOIN data_halls dh ON dh.site_id = s.id ${active('dh')}
+       LEFT JOIN racks r ON r.data_hall_id = dh.id ${active('r')}
+       WHERE TRUE ${active('s')}
+       ORDER BY s.name, dh.name, r.name`
+    );
+
+    const sites = new Map();
+    const dataHalls = new Map();
+    for (const row of result.rows) {
+      if (!sites.has(row.site_id)) {
+        sites.set(row.site_id, { id: row.site_id, name: row.site_name, isActive: row.site_active, dataHalls: [] });
+      }
+      if (row.data_hall_id && !dataHalls.has(row.data_hall_id)) {
+        const dataHall = { id: row.data_hall_id, name: row.data_hall_name, isActive: row.data_hall_active, racks: [] };
+        dataHalls.set(row.data_hall_id, dataHall);
+        sites.get(row.site_id).dataHalls.push(dataHall);
+      }
+      if (row.rack_id) {
+        dataHalls.get(row.data_hall_id).racks.push({
+          id: row.rack_id,
+          name: row.rack_name,
+          rowLabel: row.row_label,
+          position: row.position,
+          rackType: row.rack_type,
+          isActive: row.rack_active
+        });
+      }
+    }
+
+    return [...sites.values()];
+  }
+
+  // Open incidents per rack in one data hall, with the most severe one, for the floor map
+  async getRackHealth({ datacenter, datahall }) {
+    const result = await database.query(
+      `SELECT rack_number AS rack,
+              COUNT(*)::int AS open_incidents,
+              (ARRAY_AGG(severity ORDER BY CASE severity
+                 WHEN 'critical' THEN 1 WHEN 'high' THEN 2 WHEN 'medium' THEN 3 ELSE 4 END))[1] AS severity
+       FROM incidents
+       WHERE location = $1 AND datahall = $2 AND status <> 'resolved' AND rack_number IS NOT NULL
+       GROUP BY rack_number
+       ORDER BY rack_number`,
+      [datacenter, datahall]
+    );
+
+    return result.rows.map(row => ({ rack: row.rack, severity: row.severity, openIncidents: row.open_incidents }));
+  }
+
+  /**
+   * Checks a site, data hall and rack names against the active inventory.
+   * Racks are only checked for halls that have a rack list.
+   * Returns validation errors in the shape produced by validationService.validate.
+   */
+  async validateLocation({ datacenter, datahall, racks = [] }, fields = {}) {
+    const field = {
+      datacenter: fields.datacenter || 'datacenter',
+      datahall: fields.datahall || 'datahall',
+      rack: fields.rack || (index => `racks.${index}`)
+    };
+
+    const result = await database.query(
+      `SELECT s.id AS site_id, dh.id AS data_hall_id,
+              (SELECT COUNT(*)::int FROM racks r WHERE r.data_hall_id = dh.id AND r.is_active) AS rack_count,
+              (SELECT COALESCE(array_agg(r.name), '{}') FROM racks r
+                 WHERE r.data_hall_id = dh.id AND r.is_active AND r.name = ANY($3)) AS known_racks
+       FROM sites s
+       LEFT JOIN data_halls dh ON dh.site_id = s.id AND dh.name = $2 AND dh.is_active
+       WHERE s.name = $1 AND s.is_active`,
+      [datacenter, datahall, racks]
+    );
+
+    const errors = [];
+    const location = result.rows[0];
+    if (!location) {
+      errors.push({ field: field.datacenter, message: `Unknown site "${datacenter}"`, value: datacenter });
+    } else if (!location.data_hall_id) {
+      errors.push({ field: field.datahall, message: `Unknown data hall "${datahall}" for ${datacenter}`, value: datahall });
+    } else if (location.rack_count > 0) {
+      racks.forEach((rack, index) => {
+        if (!location.known_racks.includes(rack)) {
+          errors.push({ field: field.rack(index), message: `Unknown rack "${rack}" in ${datahall}`, value: rack });
+        }
+      });
+    }
+
+    return errors.length === 0
+      ? { success: true }
+      : { success: false, errors, message: 'Location is not in the inventory' };
+  }
+
+  /**
+   * Compares an imported rack list with the inventory. The file is authoritative for every data
+   * hall it mentions: racks it adds or changes are upserted and active racks it leaves out are
+   * deactivated. Sites and halls it names are created or reactivated.
+   *
+   * Returns { summary, changes, errors }; nothing is written. Rows carry the file line in `line`.
+   */
+  async planImport(rows, db = database) {
+    const errors = [];
+    const seen = new Map();
+    const racks = [];
+
+    rows.forEach((row, index) => {
+      const line = row.line || index + 1;
+      const rackId = row.rackId.toUpperCase();
+      const parsed = parseRackId(rackId);
+      if (!parsed) {
+        errors.push({ line, field: 'rackId', message: `"${row.rackId}" is not a rack id (expected X2401 or X230101)`, value: row.rackId });
+        return;
+      }
+
+      const key = locationKey(row.site, row.dataHall, rackId);
+      if (seen.has(key)) {
+        errors.push({ line, field: 'rackId', message: `${rackId} is already listed on line ${seen.get(key)}`, value: row.rackId });
+        return;
+      }
+      seen.set(key, line);
+
+      racks.push({
+        site: row.site,
+        dataHall: row.dataHall,
+        rackId,
+        rowLabel: row.row || parsed.rowLabel,
+        position: row.position ?? parsed.position,
+        rackType: row.rackType || null
+      });
+    });
+
+    const sites = new Map();
+    const dataHalls = new Map();
+    const existingRacks = new Map();
+    for (const site of await this.getTree({ includeInactive: true }, db)) {
+      sites.set(site.name, site);
+      for (const dataHall of site.dataHalls) {
+        dataHalls.set(locationKey(site.name, dataHall.name), dataHall);
+        for (const rack of dataHall.racks) {
+          existingRacks.set(locationKey(site.name, dataHall.name, rack.name), rack);
+        }
+      }
+    }
+
+    const summary = { added: 0, updated: 0, deactivated: 0, unchanged: 0, sitesAdded: 0, dataHallsAdded: 0, reactivated: 0 };
+    const changes = [];
+    const touchedSites = new Set();
+    const touchedHalls = new Set();
+    const details = rack => rack && {
+      rowLabel: rack.rowLabel ?? null,
+      position: rack.position ?? null,
+      rackType: rack.rackType ?? null,
+      isActive: rack.isActive ?? true
+    };
+
+    for (const rack of racks) {
+      const hallKey = locationKey(rack.site, rack.dataHall);
+      if (!touchedSites.has(rack.site)) {
+        touchedSites.add(rack.site);
+        const site = sites.get(rack.site);
+        if (!site) summary.sitesAdded++;
+        else if (!site.isActive) summary.reactivated++;
+      }
+      if (!touchedHalls.has(hallKey)) {
+        touchedHalls.add(hallKey);
+        const dataHall = dataHalls.get(hallKey);
+        if (!dataHall) summary.dataHallsAdded++;
+        else if (!dataHall.isActive) summary.reactivated++;
+      }
+
+      const existing = existingRacks.get(locationKey(rack.site, rack.dataHall, rack.rackId));
+      const after = details({ ...rack, isActive: true });
+      if (!existing) {
+        rack.action = 'add';
+        summary.added++;
+        changes.push({ action: 'add', site: rack.site, dataHall: rack.dataHall, rackId: rack.rackId, before: null, after });
+      } else if (JSON.stringify(details(existing)) !== JSON.stringify(after)) {
+        rack.action = 'update';
+        summary.updated++;
+        changes.push({ action: 'update', site: rack.site, dataHall: rack.dataHall, rackId: rack.rackId, before: details(existing), after });
+      } else {
+        rack.action = 'unchanged';
+        summary.unchanged++;
+      }
+    }
+
+    for (const hallKey of touchedHalls) {
+      const dataHall = dataHalls.get(hallKey);
+      if (!dataHall) continue;
+      const [site] = hallKey.split('\u0000');
+      for (const rack of dataHall.racks) {
+        if (rack.isActive && !seen.has(locationKey(site, dataHall.name, rack.name))) {
+          summary.deactivated++;
+          changes.push({
+            action: 'deactivate', site, dataHall: dataHall.name, rackId: rack.name,
+            before: details(rack), after: { ...details(rack), isActive: false }
+          });
+        }
+      }
+    }
+
+    return { summary, changes, errors, racks };
+  }
+
+  // Re-plans inside a transaction and writes the result; refuses when the file has errors
+  async applyImport(rows) {
+    return database.transaction(async (client) => {
+      const plan = await this.planImport(rows, client);
+      if (plan.errors.length > 0) {
+        return { ...plan, applied: false };
+      }
+
+      const siteIds = new Map();
+      const hallIds = new Map();
+      for (const rack of plan.racks) {
+        if (!siteIds.has(rack.site)) {
+          const site = await client.query(
+            `INSERT INTO sites (name) VALUES ($1)
+             ON CONFLICT (name) DO UPDATE SET is_active = true
+             RETURNING id`,
+            [rack.site]
+          );
+          siteIds.set(rack.site, site.rows[0].id);
+        }
+
+        const hallKey = locationKey(rack.site, rack.dataHall);
+        if (!hallIds.has(hallKey)) {
+          const dataHall = await client.query(
+            `INSERT INTO data_halls (site_id, name) VALUES ($1, $2)
+             ON CONFLICT (site_id, name) DO UPDATE SET is_active = true
+             RETURNING id`,
+            [siteIds.get(rack.site), rack.dataHall]
+          );
+          hallIds.set(hallKey, dataHall.rows[0].id);
+        }
+        if (rack.action === 'unchanged') continue;
+
+        await client.query(
+          `INSERT INTO racks (data_hall_id, name, row_label, position, rack_type) VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (data_hall_id, name) DO UPDATE
+           SET row_label = EXCLUDED.row_label, position = EXCLUDED.position,
+               rack_type = EXCLUDED.rack_type, is_active = true`,
+          [hallIds.get(hallKey), rack.rackId, rack.rowLabel, rack.position, rack.rackType]
+        );
+      }
+
+      for (const change of plan.changes.filter(c => c.action === 'deactivate')) {
+        await client.query(
+          `UPDATE racks r SET is_active = false
+           FROM data_halls dh JOIN sites s ON s.id = dh.site_id
+           WHERE r.data_hall_id = dh.id AND s.name = $1 AND dh.name = $2 AND r.name = $3`,
+          [change.site, change.dataHall, change.rackId]
+        );
+      }
+
+      return { ...plan, applied: true };
+    });
+  }
+}
+
+// Singleton instance
+const inventoryService = new InventoryService();
+
+module.exports = {
+  inventoryService,
+  InventoryService,
+  RACK_ID_PATTERN,
+  parseRackId
+};
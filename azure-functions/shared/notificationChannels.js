@@ -0,0 +1,109 @@
+const nodemailer = require('nodemailer');
+const { checkPublicUrl } = require('./outboundUrl');
+
+const SEND_TIMEOUT_MS = 15000;
+
+/**
+ * Plain-text mail over SMTP with nodemailer. Uses implicit TLS when `secure` is set, otherwise
+ * upgrades with STARTTLS when the server offers it, and authenticates when a user is set.
+ */
+class EmailChannel {
+  constructor({ host, port, secure = false, user, password, from, transport }) {
+    this.name = 'email';
+    this.from = from;
+    this.transport = transport || nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password || '' } : undefined,
+      connectionTimeout: SEND_TIMEOUT_MS,
+      greetingTimeout: SEND_TIMEOUT_MS,
+      socketTimeout: SEND_TIMEOUT_MS
+    });
+  }
+
+  async send({ target, subject, body }) {
+    await this.transport.sendMail({ from: this.from, to: target, subject, text: body });
+  }
+}
+
+// Webhook bodies per format. Slack and Teams incoming webhooks take a text message; the generic
+// format carries the structured payload as well.
+const WEBHOOK_FORMATS = {
+  generic: ({ event, subject, body, payload }) => ({ event, subject, text: body, data: payload }),
+  slack: ({ subject, body }) => ({ text: `*${subject}*\n${body}` }),
+  teams: ({ subject, body, payload }) => ({
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: subject,
+    themeColor: payload.severity === 'critical' ? 'D13438' : 'FF8C00',
+    title: subject,
+    // Teams markdown needs a blank line for every line break
+    text: body.split('\n').filter(Boolean).join('\n\n')
+  })
+};
+
+/**
+ * JSON POST to a user's or the operations webhook; any 2xx response counts as delivered. A user's
+ * URL is checked before every send, so it cannot reach this host or a private network, and
+ * redirects are not followed.
+ */
+class WebhookChannel {
+  constructor({ fetchImpl = fetch, lookup } = {}) {
+    this.name = 'webhook';
+    this.fetch = fetchImpl;
+    this.lookup = lookup;
+  }
+
+  async send(delivery) {
+    if (delivery.user_id) {
+      const check = await checkPublicUrl(delivery.target, { lookup: this.lookup });
+      if (!check.success) {
+        throw new Error(check.message);
+      }
+    }
+
+    const format = WEBHOOK_FORMATS[delivery.format] || WEBHOOK_FORMATS.generic;
+    const response = await this.fetch(delivery.target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(format(delivery)),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded ${response.status} ${response.statusText}`.trim());
+    }
+  }
+}
+
+/**
+ * Channels available with the current settings:
+ *   SMTP_HOST, SMTP_PORT (default 587, or 465 with SMTP_SECURE=true), SMTP_USER, SMTP_PASSWORD
+ *   and NOTIFICATION_FROM configure email; without SMTP_HOST no email is sent.
+ *   Webhooks need no settings; their URLs come from the subscriptions.
+ */
+function createChannels(env = process.env) {
+  const channels = { webhook: new WebhookChannel() };
+
+  if (env.SMTP_HOST) {
+    const secure = env.SMTP_SECURE === 'true';
+    channels.email = new EmailChannel({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      user: env.SMTP_USER,
+      password: env.SMTP_PASSWORD,
+      from: env.NOTIFICATION_FROM || 'dat-bolt@localhost'
+    });
+  }
+
+  return channels;
+}
+
+module.exports = {
+  createChannels,
+  EmailChannel,
+  WebhookChannel,
+  WEBHOOK_FORMATS
+};
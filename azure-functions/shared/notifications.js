@@ -0,0 +1,382 @@
+const { database } = require('./database');
+const { createChannels } = require('./notificationChannels');
+const { checkPublicUrl } = require('./outboundUrl');
+
+// Events users can subscribe to; new preferences start with all of them
+const NOTIFICATION_EVENTS = ['incident.critical', 'incident.sla_breach'];
+
+// A failed delivery is retried after 1, 2, 4 and 8 minutes, then marked failed
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 1;
+// Claimed deliveries are hidden from other senders for this long
+const CLAIM_MINUTES = 5;
+const DELIVERY_BATCH_SIZE = 50;
+// A user can send one test message per this many seconds
+const TEST_INTERVAL_SECONDS = 60;
+
+const DELIVERY_COLUMNS = `id, event, incident_id, user_id, channel, format, target, subject, body, payload,
+       status, attempts, last_error, next_attempt_at, sent_at, created_at`;
+
+const TEMPLATES = {
+  'incident.critical': {
+    subject: 'Critical incident in {{location}} - {{datahall}}',
+    body: [
+      'A critical incident was opened in {{location}} - {{datahall}}.',
+      '',
+      'Rack: {{rack}}',
+      'Device: {{device}}',
+      'Description: {{description}}',
+      '',
+      '{{url}}'
+    ].join('\n')
+  },
+  'incident.sla_breach': {
+    subject: 'SLA breached: {{severity}} incident in {{location}} - {{datahall}}',
+    body: [
+      'The {{breach}} target of a {{severity}} incident in {{location}} - {{datahall}} was missed and the incident was escalated.',
+      '',
+      'Rack: {{rack}}',
+      'Device: {{device}}',
+      'Status: {{status}}',
+      'Assigned to: {{assignee}}',
+      'Description: {{description}}',
+      '',
+      '{{url}}'
+    ].join('\n')
+  },
+  'notification.test': {
+    subject: 'Test notification from DAT-Bolt',
+    body: 'Your notification settings work. Alerts for {{events}} will arrive here.'
+  }
+};
+
+const render = (template, values) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] === undefined || values[key] === null ? '' : String(values[key])));
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+// Preferences as stored, or the defaults for users who never saved any
+const toPreferences = (row) => ({
+  events: row ? row.events : NOTIFICATION_EVENTS,
+  emailEnabled: row ? row.email_enabled : true,
+  webhookUrl: row ? row.webhook_url : null,
+  webhookFormat: row ? row.webhook_format : 'generic',
+  updatedAt: row ? row.updated_at : null
+});
+
+/**
+ * Email and webhook notifications about incidents. Every message to one target is a row in
+ * notification_deliveries: notify only queues them, so requests never wait on a mail server or
+ * webhook, and deliverPending sends them and retries failed sends with backoff. Recipients are
+ * active supervisors and admins plus the incident's assignee and team members, each filtered by
+ * the events they subscribed to. NOTIFICATION_WEBHOOK_URL adds an operations webhook that
+ * receives every event.
+ */
+class NotificationService {
+  constructor({ channels, env = process.env, clock = () => new Date(), lookup } = {}) {
+    this.channels = channels || null;
+    this.env = env;
+    this.clock = clock;
+    // DNS lookup for webhook URL checks; tests pass a fake
+    this.lookup = lookup;
+  }
+
+  now() {
+    return this.clock();
+  }
+
+  // Created on first use so settings are read when the first message goes out
+  getChannels() {
+    if (!this.channels) {
+      this.channels = createChannels(this.env);
+    }
+    return this.channels;
+  }
+
+  async getPreferences(userId) {
+    const result = await database.query('SELECT * FROM notification_preferences WHERE user_id = $1', [userId]);
+    return toPreferences(result.rows[0]);
+  }
+
+  // Changes only the given settings; the rest keep their stored or default values
+  async updatePreferences(userId, changes) {
+    if (changes.webhookUrl) {
+      const check = await checkPublicUrl(changes.webhookUrl, { lookup: this.lookup });
+      if (!check.success) {
+        return { success: false, message: `Webhook URL rejected: ${check.message}`, status: 400 };
+      }
+    }
+
+    const preferences = { ...(await this.getPreferences(userId)), ...changes };
+    const result = await database.query(
+      `INSERT INTO notification_preferences (user_id, events, email_enabled, webhook_url, webhook_format)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id) DO UPDATE
+       SET events = EXCLUDED.events, email_enabled = EXCLUDED.email_enabled, webhook_url = EXCLUDED.webhook_url,
+           webhook_format = EXCLUDED.webhook_format, updated_at = NOW()
+       RETURNING *`,
+      [userId, preferences.events, preferences.emailEnabled, preferences.webhookUrl || null, preferences.webhookFormat]
+    );
+    return { success: true, preferences: toPreferences(result.rows[0]) };
+  }
+
+  /**
+   * Queues `event` for each incident; DeliverNotifications sends it. Never throws: notifications
+   * must not fail the request or timer that raised them, so errors are logged.
+   */
+  async notify(event, incidentIds) {
+    if (incidentIds.length === 0) return [];
+
+    try {
+      const incidents = await database.query(
+        `SELECT i.id, i.location, i.datahall, i.rack_number, i.part_type, i.part_identifier, i.description,
+                i.severity, i.status, i.assignee_id, i.team_id, i.escalation_level,
+                COALESCE(a.full_name, a.email) AS assignee_name, t.name AS team_name
+         FROM incidents i
+         LEFT JOIN users a ON a.id = i.assignee_id
+         LEFT JOIN teams t ON t.id = i.team_id
+         WHERE i.id = ANY($1)`,
+        [incidentIds]
+      );
+
+      const queued = [];
+      for (const incident of incidents.rows) {
+        const recipients = await this.findRecipients(event, incident);
+        queued.push(...await this.queue(event, incident, recipients));
+      }
+      return queued;
+    } catch (error) {
+      console.error(`Failed to queue ${event} notifications:`, error);
+      return [];
+    }
+  }
+
+  // A test message to the signed-in user's enabled channels, sent right away; one per minute
+  async sendTest(user) {
+    const last = await database.query(
+      `SELECT EXTRACT(EPOCH FROM NOW() - MAX(created_at))::int AS seconds
+       FROM notification_deliveries
+       WHERE user_id = $1 AND event = 'notification.test'`,
+      [user.id]
+    );
+    const since = last.rows[0] ? last.rows[0].seconds : null;
+    if (since !== null && since < TEST_INTERVAL_SECONDS) {
+      const retryAfter = TEST_INTERVAL_SECONDS - since;
+      return { success: false, message: `Wait ${retryAfter} seconds before sending another test`, status: 429, retryAfter };
+    }
+
+    const preferences = await this.getPreferences(user.id);
+    const recipient = { ...preferences, id: user.id, email: user.email };
+    const deliveries = await this.queue('notification.test', null, [recipient], {
+      events: preferences.events.join(', ') || 'no events'
+    }, { claim: true });
+    return { success: true, deliveries: await this.send(deliveries) };
+  }
+
+  async findRecipients(event, incident) {
+    const result = await database.query(
+      `SELECT u.id, u.email,
+              COALESCE(p.events, $4::text[]) AS events,
+              COALESCE(p.email_enabled, true) AS "emailEnabled",
+              p.webhook_url AS "webhookUrl",
+              COALESCE(p.webhook_format, 'generic') AS "webhookFormat"
+       FROM users u
+       LEFT JOIN notification_preferences p ON p.user_id = u.id
+       WHERE u.is_active
+         AND (u.role IN ('supervisor', 'admin') OR u.id = $2 OR u.team_id = $3)
+         AND $1 = ANY(COALESCE(p.events, $4::text[]))
+       ORDER BY u.email`,
+      [event, incident.assignee_id, incident.team_id, NOTIFICATION_EVENTS]
+    );
+    return result.rows;
+  }
+
+  // Stores one pending delivery per target. Claimed ones are left to this caller to send;
+  // the others are due for the delivery timer right away.
+  async queue(event, incident, recipients, extra = {}, { claim = false } = {}) {
+    const values = { ...(incident ? this.templateValues(incident) : {}), ...extra };
+    const template = TEMPLATES[event];
+    const subject = render(template.subject, values);
+    const body = render(template.body, values);
+    const payload = incident ? this.payload(event, incident, values) : { event };
+
+    const targets = [];
+    const channels = this.getChannels();
+    for (const recipient of recipients) {
+      if (recipient.emailEnabled && channels.email) {
+        targets.push({ userId: recipient.id, channel: 'email', format: null, target: recipient.email });
+      }
+      if (recipient.webhookUrl) {
+        targets.push({ userId: recipient.id, channel: 'webhook', format: recipient.webhookFormat, target: recipient.webhookUrl });
+      }
+    }
+    if (incident && this.env.NOTIFICATION_WEBHOOK_URL) {
+      targets.push({
+        userId: null,
+        channel: 'webhook',
+        format: this.env.NOTIFICATION_WEBHOOK_FORMAT || 'generic',
+        target: this.env.NOTIFICATION_WEBHOOK_URL
+      });
+    }
+
+    const nextAttemptAt = claim ? addMinutes(this.now(), CLAIM_MINUTES) : this.now();
+    const deliveries = [];
+    for (const target of targets) {
+      const result = await database.query(
+        `INSERT INTO notification_deliveries
+           (event, incident_id, user_id, channel, format, target, subject, body, payload, next_attempt_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING ${DELIVERY_COLUMNS}`,
+        [event, incident ? incident.id : null, target.userId, target.channel, target.format, target.target,
+          subject, body, payload, nextAttemptAt]
+      );
+      deliveries.push(result.rows[0]);
+    }
+    return deliveries;
+  }
+
+  templateValues(incident) {
+    const baseUrl = (this.env.APP_BASE_URL || '').replace(/\/+$/, '');
+    return {
+      id: incident.id,
+      location: incident.location,
+      datahall: incident.datahall,
+      rack: incident.rack_number || '-',
+      device: [incident.part_type, incident.part_identifier].filter(Boolean).join(' ') || '-',
+      description: incident.description || '-',
+      severity: incident.severity,
+      status: incident.status,
+      assignee: [incident.assignee_name, incident.team_name].filter(Boolean).join(' / ') || 'Unassigned',
+      breach: incident.escalation_level === 2 ? 'resolution' : 'response',
+      url: baseUrl ? `${baseUrl}/incidents/${incident.id}` : ''
+    };
+  }
+
+  // Structured body of generic webhooks
+  payload(event, incident, values) {
+    return {
+      event,
+      incident: {
+        id: incident.id,
+        location: incident.location,
+        datahall: incident.datahall,
+        rackNumber: incident.rack_number,
+        partType: incident.part_type,
+        partIdentifier: incident.part_identifier,
+        description: incident.description,
+        severity: incident.severity,
+        status: incident.status,
+        assignee: incident.assignee_name,
+        team: incident.team_name,
+        ...(event === 'incident.sla_breach' && { breach: values.breach })
+      },
+      severity: incident.severity,
+      url: values.url || null
+    };
+  }
+
+  // Sends claimed deliveries one by one and records each outcome
+  async send(deliveries) {
+    const results = [];
+    for (const delivery of deliveries) {
+      const channel = this.getChannels()[delivery.channel];
+      const attempts = delivery.attempts + 1;
+      try {
+        if (!channel) {
+          throw new Error(`The ${delivery.channel} channel is not configured`);
+        }
+        await channel.send(delivery);
+        const result = await database.query(
+          `UPDATE notification_deliveries
+           SET status = 'sent', attempts = $2, last_error = NULL, sent_at = $3
+           WHERE id = $1
+           RETURNING ${DELIVERY_COLUMNS}`,
+          [delivery.id, attempts, this.now()]
+        );
+        results.push(result.rows[0]);
+      } catch (error) {
+        console.error(`Notification ${delivery.id} to ${delivery.target} failed (attempt ${attempts}): ${error.message}`);
+        const failed = attempts >= MAX_ATTEMPTS;
+        const result = await database.query(
+          `UPDATE notification_deliveries
+           SET status = $2, attempts = $3, last_error = $4, next_attempt_at = $5
+           WHERE id = $1
+           RETURNING ${DELIVERY_COLUMNS}`,
+          [
+            delivery.id, failed ? 'failed' : 'pending', attempts, error.message,
+            addMinutes(this.now(), RETRY_BASE_MINUTES * 2 ** (attempts - 1))
+          ]
+        );
+        results.push(result.rows[0]);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Sends deliveries that are due: new ones, retries, and ones whose sender stopped before
+   * recording the outcome. Rows are claimed with SKIP LOCKED so overlapping runs send each message once.
+   */
+  async deliverPending() {
+    const now = this.now();
+    const claimed = await database.query(
+      `UPDATE notification_deliveries
+       SET next_attempt_at = $2
+       WHERE id IN (
+         SELECT id FROM notification_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= $1
+         ORDER BY next_attempt_at
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [now, addMinutes(now, CLAIM_MINUTES), DELIVERY_BATCH_SIZE]
+    );
+    return this.send(claimed.rows);
+  }
+
+  async listDeliveries(filters = {}, pagination = {}) {
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    if (filters.status) addCondition('d.status = ?', filters.status);
+    if (filters.event) addCondition('d.event = ?', filters.event);
+    if (filters.channel) addCondition('d.channel = ?', filters.channel);
+    if (filters.incidentId) addCondition('d.incident_id = ?', filters.incidentId);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { page = 1, limit = 20 } = pagination;
+
+    const countResult = await database.query(
+      `SELECT COUNT(*)::int AS total FROM notification_deliveries d ${where}`,
+      params
+    );
+    const dataResult = await database.query(
+      `SELECT d.id, d.event, d.incident_id, d.user_id, COALESCE(u.full_name, u.email) AS user_name,
+              d.channel, d.format, d.target, d.subject, d.status, d.attempts, d.last_error,
+              d.next_attempt_at, d.sent_at, d.created_at
+       FROM notification_deliveries d
+       LEFT JOIN users u ON u.id = d.user_id
+       ${where}
+       ORDER BY d.created_at DESC, d.id
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      deliveries: dataResult.rows,
+      pagination: { page, limit, total: countResult.rows[0].total }
+    };
+  }
+}
+
+// Singleton instance
+const notificationService = new NotificationService();
+
+module.exports = {
+  notificationService,
+  NotificationService,
+  NOTIFICATION_EVENTS
+};
@@ -0,0 +1,60 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses a user-supplied URL must not reach: this host, private networks, link-local
+// (including the 169.254.169.254 metadata service), carrier-grade NAT, multicast and reserved
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED.addSubnet(prefix, bits, 'ipv6');
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !BLOCKED.check(address, 'ipv4');
+  if (family !== 6) return false;
+
+  // IPv4-mapped addresses (::ffff:10.0.0.1) are checked as the IPv4 address they carry
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  return !BLOCKED.check(address, 'ipv6');
+}
+
+/**
+ * Checks a user-supplied URL before the server sends anything to it: it must use https and its
+ * host must only resolve to public addresses. Returns { success, message }; call it right before
+ * every request, since what a name resolves to can change after the URL was saved.
+ */
+async function checkPublicUrl(value, { lookup = dns.promises.lookup } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { success: false, message: 'The URL is not valid' };
+  }
+  if (url.protocol !== 'https:') {
+    return { success: false, message: 'The URL must use https' };
+  }
+
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true });
+  } catch {
+    return { success: false, message: `The host ${host} could not be resolved` };
+  }
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    return { success: false, message: 'The URL must point to a public address' };
+  }
+  return { success: true };
+}
+
+module.exports = {
+  checkPublicUrl,
+  isPublicAddress
+};
@@ -212,6 +212,15 @@ class ResponseService {
     return response;
   }
 
+  // Azure Functions v4 handlers return the response, with a serialized body
+  toHttpResponse(response, headers = {}) {
+    return {
+      status: response.status,
+      headers: { ...response.headers, ...headers },
+      body: response.body === null || response.isRaw ? response.body : JSON.stringify(response.body)
+    };
+  }
+
   // Express.js style send method for Azure Functions context
   sendResponse(context, response) {
     context.res = response;
@@ -0,0 +1,233 @@
+const { database } = require('./database');
+
+// Severity of devices no rule matches, and of racks flagged without device details
+const DEFAULT_SEVERITY = 'medium';
+
+const RULE_COLUMNS = 'id, position, name, part_type, field, value, min_per_rack, severity, is_active, created_at';
+
+// One incident per checked device, so a rack with a PSU and a PDU fault yields two incidents.
+// `details` carries the device's selects for the rules and is not stored on the incident.
+function deviceIssues(rack) {
+  const issues = [];
+
+  if (rack.devices.powerSupplyUnit && rack.psuDetails) {
+    let description = `PSU Issue - Rack: ${rack.location}, Status: ${rack.psuDetails.status}, PSU ID: ${rack.psuDetails.psuId}`;
+    if (rack.psuDetails.uHeight) description += `, U-Height: ${rack.psuDetails.uHeight}`;
+    issues.push({
+      partType: 'PSU',
+      partIdentifier: rack.psuDetails.psuId,
+      uHeight: rack.psuDetails.uHeight,
+      comments: rack.psuDetails.comments,
+      details: rack.psuDetails,
+      description
+    });
+  }
+
+  if (rack.devices.powerDistributionUnit && rack.pduDetails) {
+    let description = `PDU Issue - Rack: ${rack.location}, Status: ${rack.pduDetails.status}, PDU ID: ${rack.pduDetails.pduId}`;
+    if (rack.pduDetails.side) description += `, Side: ${rack.pduDetails.side}`;
+    issues.push({
+      partType: 'PDU',
+      partIdentifier: rack.pduDetails.pduId,
+      comments: rack.pduDetails.comments,
+      details: rack.pduDetails,
+      description
+    });
+  }
+
+  if (rack.devices.rearDoorHeatExchanger && rack.rdhxDetails) {
+    let description = `RDHX Issue - Rack: ${rack.location}, Status: ${rack.rdhxDetails.status}`;
+    if (rack.rdhxDetails.fanState) description += `, Fans: ${rack.rdhxDetails.fanState}`;
+    if (rack.rdhxDetails.valveState) description += `, Valve: ${rack.rdhxDetails.valveState}`;
+    if (rack.rdhxDetails.leakState) description += `, Leak: ${rack.rdhxDetails.leakState}`;
+    issues.push({
+      partType: 'RDHX',
+      partIdentifier: 'RDHX',
+      comments: rack.rdhxDetails.comments,
+      details: rack.rdhxDetails,
+      description
+    });
+  }
+
+  // A rack flagged without device details still gets an incident
+  if (issues.length === 0) {
+    issues.push({ partType: 'Other', details: {}, description: `Issue reported on rack ${rack.location}` });
+  }
+
+  return issues.map(issue => ({ ...issue, rackNumber: rack.location }));
+}
+
+const matches = (rule, issue) => issue.partType === rule.part_type && issue.details[rule.field] === rule.value;
+
+// Walkthrough state from the severities of its incidents
+function walkthroughState(issues) {
+  if (issues.length === 0) return 'Healthy';
+  return issues.some(issue => issue.severity === 'critical') ? 'Critical' : 'Warning';
+}
+
+// Rules from a request body, in the shape of severity_rules rows
+const toRules = (rules) => rules.map((rule, index) => ({
+  id: null,
+  position: index + 1,
+  name: rule.name,
+  part_type: rule.partType,
+  field: rule.field,
+  value: rule.value,
+  min_per_rack: rule.minPerRack,
+  severity: rule.severity,
+  is_active: rule.isActive
+}));
+
+/**
+ * Classifies the devices reported in a walkthrough. Rules are checked in position order and
+ * the first active rule matching a device sets its severity. A rule matches when the device's
+ * field has the rule's value and at least `min_per_rack` devices of the same type in the same
+ * rack do, so "two PSUs powered off" can rank above "one PSU powered off".
+ */
+class SeverityRuleService {
+  async getRules(db = database) {
+    const result = await db.query(`SELECT ${RULE_COLUMNS} FROM severity_rules ORDER BY position, created_at`);
+    return result.rows;
+  }
+
+  // Replaces the whole rule set; the order of `rules` becomes their position
+  async replaceRules(rules, user) {
+    return database.transaction(async (client) => {
+      await client.query('DELETE FROM severity_rules');
+      for (const rule of toRules(rules)) {
+        await client.query(
+          `INSERT INTO severity_rules (position, name, part_type, field, value, min_per_rack, severity, is_active)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [rule.position, rule.name, rule.part_type, rule.field, rule.value, rule.min_per_rack, rule.severity, rule.is_active]
+        );
+      }
+
+      await client.query(
+        'SELECT log_user_activity($1, $2, $3)',
+        [user.id, 'update', `Updated the severity rules (${rules.length} rules)`]
+      );
+      return this.getRules(client);
+    });
+  }
+
+  // Device issues of the walkthrough's racks with their severity and rule, and the walkthrough state
+  classify(racks, rules) {
+    const active = rules.filter(rule => rule.is_active);
+    const issues = racks.flatMap(deviceIssues);
+
+    const classified = issues.map(issue => {
+      const rule = active.find(candidate => matches(candidate, issue) &&
+        issues.filter(other => other.rackNumber === issue.rackNumber && matches(candidate, other)).length >= candidate.min_per_rack);
+      return {
+        ...issue,
+        severity: rule ? rule.severity : DEFAULT_SEVERITY,
+        rule: rule ? rule.name : null
+      };
+    });
+
+    return { state: walkthroughState(classified), issues: classified };
+  }
+
+  /**
+   * Dry run: re-classifies stored walkthroughs with `rules` (the saved rules when omitted)
+   * without changing anything. Only walkthroughs whose state or incident severities would
+   * change are listed; `before` is what is stored now. Walkthroughs recorded without device
+   * details are counted as skipped.
+   */
+  async previewReclassification(rules, filters = {}) {
+    const ruleSet = rules ? toRules(rules) : await this.getRules();
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    if (filters.datacenter) addCondition('datacenter = ?', filters.datacenter);
+    if (filters.datahall) addCondition('datahall = ?', filters.datahall);
+    if (filters.startDate) addCondition('"Timestamp" >= ?', filters.startDate);
+    if (filters.endDate) addCondition('"Timestamp" <= ?', filters.endDate);
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    params.push(filters.limit || 100);
+    const reports = await database.query(
+      `SELECT "Id", "Timestamp", walkthrough_id, datacenter, datahall, state, "ReportData"
+       FROM "AuditReports"
+       ${whereClause}
+       ORDER BY "Timestamp" DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const reportIds = reports.rows.map(report => report.Id);
+    const incidents = reportIds.length > 0
+      ? await database.query(
+          `SELECT id, audit_report_id, description, severity
+           FROM incidents
+           WHERE audit_report_id = ANY($1)
+           ORDER BY created_at, id`,
+          [reportIds]
+        )
+      : { rows: [] };
+
+    const summary = { walkthroughs: reports.rows.length, skipped: 0, stateChanges: 0, severityChanges: 0 };
+    const changes = [];
+
+    for (const report of reports.rows) {
+      const reportData = report.ReportData || {};
+      const racks = reportData.hasIssues === false ? [] : reportData.racks || [];
+      // Older walkthroughs may hold racks without device flags; those cannot be classified
+      if (racks.some(rack => !rack || !rack.devices)) {
+        summary.skipped++;
+        continue;
+      }
+      const { state, issues } = this.classify(racks, ruleSet);
+
+      // Incidents are matched to devices by their generated description
+      const stored = incidents.rows.filter(incident => incident.audit_report_id === report.Id);
+      const incidentChanges = [];
+      for (const issue of issues) {
+        const index = stored.findIndex(incident => incident.description === issue.description);
+        if (index === -1) continue;
+        const [incident] = stored.splice(index, 1);
+        if (incident.severity !== issue.severity) {
+          incidentChanges.push({
+            incidentId: incident.id,
+            rackNumber: issue.rackNumber,
+            partType: issue.partType,
+            description: issue.description,
+            before: incident.severity,
+            after: issue.severity,
+            rule: issue.rule
+          });
+        }
+      }
+
+      if (state === report.state && incidentChanges.length === 0) continue;
+      if (state !== report.state) summary.stateChanges++;
+      summary.severityChanges += incidentChanges.length;
+      changes.push({
+        auditReportId: report.Id,
+        walkthroughId: report.walkthrough_id,
+        datacenter: report.datacenter,
+        datahall: report.datahall,
+        timestamp: report.Timestamp,
+        before: report.state,
+        after: state,
+        incidents: incidentChanges
+      });
+    }
+
+    return { summary, changes };
+  }
+}
+
+// Singleton instance
+const severityRuleService = new SeverityRuleService();
+
+module.exports = {
+  severityRuleService,
+  SeverityRuleService,
+  deviceIssues,
+  DEFAULT_SEVERITY
+};
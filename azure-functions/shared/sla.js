@@ -0,0 +1,129 @@
+const { database } = require('./database');
+
+// Share of an SLA window left at which an open incident counts as at risk
+const AT_RISK_SHARE = 0.25;
+
+// Deadlines run from creation with the current policy for the incident's severity, so changing
+// the severity or the policy moves the deadlines of open incidents too. The SQL fragments use
+// the `i` (incidents) and `p` (sla_policies) aliases.
+const RESPONSE_DUE_SQL = "i.created_at + p.response_minutes * INTERVAL '1 minute'";
+const RESOLUTION_DUE_SQL = "i.created_at + p.resolution_minutes * INTERVAL '1 minute'";
+
+// Conditions for each SLA state; `?` stands for the current time
+const BREACHED_SQL = `(COALESCE(i.responded_at, ?) > ${RESPONSE_DUE_SQL} OR COALESCE(i.resolved_at, ?) > ${RESOLUTION_DUE_SQL})`;
+const AT_RISK_SQL = `(i.status <> 'resolved' AND NOT ${BREACHED_SQL} AND (
+  ? > ${RESOLUTION_DUE_SQL} - p.resolution_minutes * INTERVAL '1 minute' * ${AT_RISK_SHARE}
+  OR (i.responded_at IS NULL AND ? > ${RESPONSE_DUE_SQL} - p.response_minutes * INTERVAL '1 minute' * ${AT_RISK_SHARE})))`;
+
+const STATE_CONDITIONS = {
+  breached: BREACHED_SQL,
+  'at-risk': AT_RISK_SQL,
+  'on-track': `(i.status <> 'resolved' AND NOT ${BREACHED_SQL} AND NOT ${AT_RISK_SQL})`,
+  met: `(i.status = 'resolved' AND NOT ${BREACHED_SQL})`
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Response and resolution targets per severity. An incident is responded to when it first
+ * leaves `open` and resolved when it reaches `resolved`.
+ *
+ * The clock is injectable so breaches and escalations can be checked at any point in time.
+ */
+class SlaService {
+  constructor({ clock = () => new Date() } = {}) {
+    this.clock = clock;
+  }
+
+  now() {
+    return this.clock();
+  }
+
+  async getPolicies() {
+    // incident_severity sorts in declaration order, most severe first
+    const result = await database.query(
+      `SELECT severity, response_minutes, resolution_minutes, updated_at
+       FROM sla_policies
+       ORDER BY severity`
+    );
+    return result.rows;
+  }
+
+  async updatePolicy(severity, changes) {
+    return database.transaction(async (client) => {
+      const existing = await client.query(
+        'SELECT * FROM sla_policies WHERE severity = $1 FOR UPDATE',
+        [severity]
+      );
+      if (existing.rows.length === 0) {
+        return { success: false, message: `No SLA policy for ${severity} incidents`, status: 404 };
+      }
+
+      const policy = existing.rows[0];
+      const responseMinutes = changes.responseMinutes ?? policy.response_minutes;
+      const resolutionMinutes = changes.resolutionMinutes ?? policy.resolution_minutes;
+      if (resolutionMinutes < responseMinutes) {
+        return { success: false, message: 'The resolution target cannot be shorter than the response target', status: 422 };
+      }
+
+      const result = await client.query(
+        `UPDATE sla_policies
+         SET response_minutes = $2, resolution_minutes = $3, updated_at = NOW()
+         WHERE severity = $1
+         RETURNING severity, response_minutes, resolution_minutes, updated_at`,
+        [severity, responseMinutes, resolutionMinutes]
+      );
+      return { success: true, policy: result.rows[0] };
+    });
+  }
+
+  // SQL condition for the list filter; every `?` takes the current time
+  stateCondition(state) {
+    return STATE_CONDITIONS[state];
+  }
+
+  /**
+   * Adds breach flags and the SLA state to an incident row that carries `response_due_at` and
+   * `resolution_due_at`. Rows without a policy get null flags.
+   */
+  evaluate(incident, now = this.now()) {
+    const createdAt = toDate(incident.created_at);
+    const responseDue = toDate(incident.response_due_at);
+    const resolutionDue = toDate(incident.resolution_due_at);
+    if (!responseDue || !resolutionDue) {
+      return { ...incident, response_breached: null, resolution_breached: null, sla_status: null };
+    }
+
+    const respondedAt = toDate(incident.responded_at);
+    const resolvedAt = toDate(incident.resolved_at);
+    const responseBreached = (respondedAt ?? now) > responseDue;
+    const resolutionBreached = (resolvedAt ?? now) > resolutionDue;
+    const isAtRisk = (due) => now > due - (due - createdAt) * AT_RISK_SHARE;
+
+    let status = 'on-track';
+    if (responseBreached || resolutionBreached) {
+      status = 'breached';
+    } else if (incident.status === 'resolved') {
+      status = 'met';
+    } else if (isAtRisk(resolutionDue) || (!respondedAt && isAtRisk(responseDue))) {
+      status = 'at-risk';
+    }
+
+    return {
+      ...incident,
+      response_breached: responseBreached,
+      resolution_breached: resolutionBreached,
+      sla_status: status
+    };
+  }
+}
+
+// Singleton instance
+const slaService = new SlaService();
+
+module.exports = {
+  slaService,
+  SlaService,
+  RESPONSE_DUE_SQL,
+  RESOLUTION_DUE_SQL
+};
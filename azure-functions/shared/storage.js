@@ -0,0 +1,117 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Files on the local disk, for development. Keys may contain "/" and map to subdirectories.
+class LocalStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, content) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+// Block blobs in one Azure Blob Storage container, created on first use
+class BlobStorage {
+  constructor(connectionString, containerName) {
+    // Only loaded when blob storage is configured, so local development does not need the SDK
+    const { BlobServiceClient } = require('@azure/storage-blob');
+    this.container = BlobServiceClient.fromConnectionString(connectionString).getContainerClient(containerName);
+    this.ready = null;
+  }
+
+  async ensureContainer() {
+    if (!this.ready) {
+      this.ready = this.container.createIfNotExists().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+  }
+
+  async put(key, content, contentType) {
+    await this.ensureContainer();
+    await this.container.getBlockBlobClient(key).uploadData(content, {
+      blobHTTPHeaders: { blobContentType: contentType }
+    });
+  }
+
+  async get(key) {
+    try {
+      return await this.container.getBlockBlobClient(key).downloadToBuffer();
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.container.getBlockBlobClient(key).deleteIfExists();
+  }
+}
+
+/**
+ * Picks the attachment storage backend from the environment:
+ *   ATTACHMENT_STORAGE=blob   - Azure Blob Storage, using ATTACHMENT_STORAGE_CONNECTION_STRING
+ *                               (or AzureWebJobsStorage) and the ATTACHMENT_CONTAINER container
+ *   ATTACHMENT_STORAGE=local  - files under ATTACHMENT_STORAGE_PATH (default: the OS temp dir)
+ * Without ATTACHMENT_STORAGE, blob storage is used in production and the local disk otherwise.
+ */
+function createStorage(env = process.env) {
+  const kind = env.ATTACHMENT_STORAGE || (env.NODE_ENV === 'production' ? 'blob' : 'local');
+
+  if (kind === 'blob') {
+    const connectionString = env.ATTACHMENT_STORAGE_CONNECTION_STRING || env.AzureWebJobsStorage;
+    if (!connectionString) {
+      throw new Error('ATTACHMENT_STORAGE_CONNECTION_STRING is required for blob attachment storage');
+    }
+    return new BlobStorage(connectionString, env.ATTACHMENT_CONTAINER || 'attachments');
+  }
+  if (kind === 'local') {
+    return new LocalStorage(env.ATTACHMENT_STORAGE_PATH || path.join(os.tmpdir(), 'dat-bolt-attachments'));
+  }
+  throw new Error(`Unknown ATTACHMENT_STORAGE backend: ${kind}`);
+}
+
+let storage = null;
+
+// Created on first use so a misconfigured backend only fails attachment requests
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+module.exports = {
+  getStorage,
+  createStorage,
+  LocalStorage,
+  BlobStorage
+};
@@ -0,0 +1,112 @@
+const { database } = require('./database');
+
+const NOTIFICATION_COLUMNS = 'id, type, title, body, subject_type, subject_id, read_at, created_at';
+
+/**
+ * In-app notifications for the header's notification menu. Producers pass their transaction
+ * client, so a notification exists exactly when the change it announces was committed. The
+ * user who made the change is never notified about it.
+ */
+class UserNotificationService {
+  // One notification per active user in `userIds`
+  async notifyUsers(db, userIds, notification, actorId = null) {
+    if (userIds.length === 0) return;
+    await db.query(
+      `INSERT INTO user_notifications (user_id, type, title, body, subject_type, subject_id)
+       SELECT id, $2, $3, $4, $5, $6
+       FROM users
+       WHERE id = ANY($1::uuid[]) AND is_active AND id IS DISTINCT FROM $7`,
+      [userIds, notification.type, notification.title, notification.body || '', notification.subjectType, notification.subjectId, actorId]
+    );
+  }
+
+  // One notification per active supervisor and admin
+  async notifySupervisors(db, notification, actorId = null) {
+    await db.query(
+      `INSERT INTO user_notifications (user_id, type, title, body, subject_type, subject_id)
+       SELECT id, $1, $2, $3, $4, $5
+       FROM users
+       WHERE role IN ('supervisor', 'admin') AND is_active AND id IS DISTINCT FROM $6`,
+      [notification.type, notification.title, notification.body || '', notification.subjectType, notification.subjectId, actorId]
+    );
+  }
+
+  // Tells `assigneeId` that an incident is now theirs, or else every member of `teamId`
+  async notifyAssignment(db, incident, { assigneeId, teamId, teamName }, actorId) {
+    const place = `${incident.location} - ${incident.datahall}`;
+    const details = incident.description || '';
+
+    if (assigneeId) {
+      await this.notifyUsers(db, [assigneeId], {
+        type: 'incident.assigned',
+        title: `A ${incident.severity} incident in ${place} was assigned to you`,
+        body: details,
+        subjectType: 'incident',
+        subjectId: incident.id
+      }, actorId);
+      return;
+    }
+
+    if (teamId) {
+      const members = await db.query('SELECT id FROM users WHERE team_id = $1', [teamId]);
+      await this.notifyUsers(db, members.rows.map(member => member.id), {
+        type: 'incident.assigned',
+        title: `A ${incident.severity} incident in ${place} was assigned to ${teamName}`,
+        body: details,
+        subjectType: 'incident',
+        subjectId: incident.id
+      }, actorId);
+    }
+  }
+
+  // Latest notifications first, with the number still unread
+  async list(userId, { limit = 20, unreadOnly = false } = {}) {
+    const [notifications, unread] = await Promise.all([
+      database.query(
+        `SELECT ${NOTIFICATION_COLUMNS}
+         FROM user_notifications
+         WHERE user_id = $1 AND ($2::boolean IS FALSE OR read_at IS NULL)
+         ORDER BY created_at DESC, id
+         LIMIT $3`,
+        [userId, unreadOnly, limit]
+      ),
+      database.query(
+        'SELECT COUNT(*)::int AS count FROM user_notifications WHERE user_id = $1 AND read_at IS NULL',
+        [userId]
+      )
+    ]);
+
+    return { notifications: notifications.rows, unreadCount: unread.rows[0].count };
+  }
+
+  // Reading an already read notification keeps its first read time
+  async markRead(userId, id) {
+    const result = await database.query(
+      `UPDATE user_notifications
+       SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${NOTIFICATION_COLUMNS}`,
+      [id, userId]
+    );
+    if (result.rows.length === 0) {
+      return { success: false, message: 'Notification not found', status: 404 };
+    }
+    return { success: true, notification: result.rows[0] };
+  }
+
+  async markAllRead(userId) {
+    const result = await database.query(
+      'UPDATE user_notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+    return { updated: result.rowCount };
+  }
+}
+
+// Singleton instance
+const userNotificationService = new UserNotificationService();
+
+module.exports = {
+  userNotificationService,
+  UserNotificationService
+};
@@ -1,4 +1,49 @@
 const Joi = require('joi');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+
+// Rack issue captured during a walkthrough (mirrors RackForm in the frontend)
+const rackIssue = Joi.object({
+  id: Joi.string().optional(),
+  location: Joi.string().required(),
+  devices: Joi.object({
+    powerSupplyUnit: Joi.boolean().default(false),
+    powerDistributionUnit: Joi.boolean().default(false),
+    rearDoorHeatExchanger: Joi.boolean().default(false)
+  }).required(),
+  psuDetails: Joi.object({
+    status: Joi.string().required(),
+    psuId: Joi.string().required(),
+    uHeight: Joi.string().optional(),
+    comments: Joi.string().allow('').max(1000).optional()
+  }).optional(),
+  pduDetails: Joi.object({
+    status: Joi.string().required(),
+    pduId: Joi.string().required(),
+    side: Joi.string().valid('Left', 'Right').optional(),
+    comments: Joi.string().allow('').max(1000).optional()
+  }).optional(),
+  rdhxDetails: Joi.object({
+    status: Joi.string().required(),
+    fanState: Joi.string().valid('Running', 'Degraded', 'Failed').optional(),
+    valveState: Joi.string().valid('Open', 'Closed', 'Stuck').optional(),
+    leakState: Joi.string().valid('None', 'Moisture', 'Active Leak').optional(),
+    comments: Joi.string().allow('').max(1000).optional()
+  }).optional()
+});
+
+const severityRule = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  partType: Joi.string().valid('PSU', 'PDU', 'RDHX').required(),
+  field: Joi.string().required().when('partType', {
+    is: 'RDHX',
+    then: Joi.valid('status', 'fanState', 'valveState', 'leakState'),
+    otherwise: Joi.valid('status')
+  }),
+  value: Joi.string().trim().max(50).required(),
+  minPerRack: Joi.number().integer().min(1).max(20).default(1),
+  severity: Joi.string().valid('critical', 'high', 'medium', 'low').required(),
+  isActive: Joi.boolean().default(true)
+});
 
 // Common validation schemas
 const schemas = {
@@ -15,24 +60,49 @@ const schemas = {
     password: Joi.string().required()
   }),
 
-  // Inspection schemas
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  userAdminUpdate: Joi.object({
+    role: Joi.string().valid('technician', 'supervisor', 'admin').optional(),
+    isActive: Joi.boolean().optional(),
+    teamId: Joi.string().uuid().allow(null).optional()
+  }).or('role', 'isActive', 'teamId'),
+
+  teamCreation: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required()
+  }),
+
+  teamUpdate: Joi.object({
+    name: Joi.string().trim().min(2).max(100).optional(),
+    isActive: Joi.boolean().optional()
+  }).or('name', 'isActive'),
+
+  // Inspection schemas. The state is derived from the severity rules, so a state sent by
+  // older clients is dropped
   inspectionSubmission: Joi.object({
     userEmail: Joi.string().email().required(),
     reportData: Joi.object({
       datahall: Joi.string().required(),
-      status: Joi.string().valid('Healthy', 'Warning', 'Critical').required(),
       isUrgent: Joi.boolean().default(false),
       temperatureReading: Joi.string().optional(),
       humidityReading: Joi.string().optional(),
       comments: Joi.string().max(1000).optional(),
       securityPassed: Joi.boolean().default(true),
-      coolingSystemCheck: Joi.boolean().default(true)
+      coolingSystemCheck: Joi.boolean().default(true),
+      location: Joi.string().optional(),
+      hasIssues: Joi.boolean().optional(),
+      racks: Joi.array().items(rackIssue).default([]),
+      timestamp: Joi.date().iso().optional()
     }).required(),
     datacenter: Joi.string().required(),
     datahall: Joi.string().required(),
     issuesReported: Joi.number().integer().min(0).default(0),
-    state: Joi.string().valid('Healthy', 'Warning', 'Critical').required(),
-    walkthroughId: Joi.number().integer().required(),
+    // Assigned by the server when omitted
+    walkthroughId: Joi.number().integer().optional(),
+    // Generated by the client so replayed offline submissions are stored once
+    clientSubmissionId: Joi.string().guid().optional(),
     userFullName: Joi.string().required()
   }),
 
@@ -48,9 +118,35 @@ const schemas = {
   incidentUpdate: Joi.object({
     description: Joi.string().min(10).max(2000).optional(),
     severity: Joi.string().valid('critical', 'high', 'medium', 'low').optional(),
-    status: Joi.string().valid('open', 'in-progress', 'resolved').optional()
+    status: Joi.string().valid('open', 'in-progress', 'resolved').optional(),
+    reason: Joi.string().min(3).max(1000).optional()
+  }).or('description', 'severity', 'status'),
+
+  // null clears the assignee or team; a missing key leaves it as it is
+  incidentAssignment: Joi.object({
+    incidentIds: Joi.array().items(Joi.string().uuid()).min(1).max(100).unique().required(),
+    assigneeId: Joi.string().uuid().allow(null).optional(),
+    teamId: Joi.string().uuid().allow(null).optional()
+  }).or('assigneeId', 'teamId'),
+
+  // Profile schemas
+  profileUpdate: Joi.object({
+    fullName: Joi.string().min(2).max(100).required(),
+    department: Joi.string().max(100).required(),
+    phone: Joi.string().max(30).allow('', null).optional(),
+    // A small inline image: attachment files need the bearer token, so every <img> showing an
+    // avatar would need its own authenticated fetch
+    avatarUrl: Joi.string().dataUri().max(200000).allow(null).optional()
   }),
 
+  // Missing keys keep their current value; an empty webhook URL removes the webhook
+  notificationPreferences: Joi.object({
+    events: Joi.array().items(Joi.string().valid('incident.critical', 'incident.sla_breach')).unique().optional(),
+    emailEnabled: Joi.boolean().optional(),
+    webhookUrl: Joi.string().uri({ scheme: ['https'] }).max(2000).allow('', null).optional(),
+    webhookFormat: Joi.string().valid('generic', 'slack', 'teams').optional()
+  }).min(1),
+
   // Report schemas
   reportGeneration: Joi.object({
     title: Joi.string().min(5).max(200).required(),
@@ -79,15 +175,119 @@ const schemas = {
     userEmail: Joi.string().email().optional()
   }),
 
+  inventoryParams: Joi.object({
+    includeInactive: Joi.boolean().default(false)
+  }),
+
+  rackHealthParams: Joi.object({
+    datacenter: Joi.string().required(),
+    datahall: Joi.string().required()
+  }),
+
+  incidentComment: Joi.object({
+    body: Joi.string().trim().min(1).max(5000).required(),
+    parentId: Joi.string().uuid().optional()
+  }),
+
+  // Attachment schemas. The file itself is checked by attachmentService
+  attachmentUpload: Joi.object({
+    id: Joi.string().uuid().optional(),
+    incidentId: Joi.string().uuid(),
+    auditReportId: Joi.string().uuid(),
+    rackLocation: Joi.string().max(50).optional(),
+    // Posted with a comment on the incident
+    commentId: Joi.string().uuid().optional()
+  }).xor('incidentId', 'auditReportId').with('commentId', 'incidentId'),
+
+  attachmentListParams: Joi.object({
+    incidentId: Joi.string().uuid(),
+    auditReportId: Joi.string().uuid()
+  }).xor('incidentId', 'auditReportId'),
+
+  inventoryImport: Joi.object({
+    apply: Joi.boolean().default(false),
+    rows: Joi.array().items(Joi.object({
+      line: Joi.number().integer().min(1).optional(),
+      site: Joi.string().trim().max(100).required(),
+      dataHall: Joi.string().trim().max(100).required(),
+      rackId: Joi.string().trim().max(20).required(),
+      row: Joi.string().trim().max(20).allow('', null).optional(),
+      position: Joi.number().integer().min(1).max(999).allow(null).optional(),
+      rackType: Joi.string().trim().max(50).allow('', null).optional()
+    })).min(1).max(5000).required()
+  }),
+
   incidentFilters: Joi.object({
     location: Joi.string().optional(),
     datahall: Joi.string().optional(),
     severity: Joi.string().valid('critical', 'high', 'medium', 'low').optional(),
     status: Joi.string().valid('open', 'in-progress', 'resolved').optional(),
     startDate: Joi.date().iso().optional(),
-    endDate: Joi.date().iso().optional()
+    endDate: Joi.date().iso().optional(),
+    assigneeId: Joi.string().uuid().optional(),
+    teamId: Joi.string().uuid().optional(),
+    // Incidents assigned to the caller, or to their team without an assignee
+    mine: Joi.boolean().optional(),
+    unresolved: Joi.boolean().optional(),
+    sla: Joi.string().valid('breached', 'at-risk', 'on-track', 'met').optional()
+  }),
+
+  // SLA targets in minutes, at most a year
+  slaPolicyUpdate: Joi.object({
+    responseMinutes: Joi.number().integer().min(1).max(525600).optional(),
+    resolutionMinutes: Joi.number().integer().min(1).max(525600).optional()
+  }).or('responseMinutes', 'resolutionMinutes'),
+
+  // The whole ordered rule set; only RDHX rules can match the fan, valve and leak selects
+  severityRuleSet: Joi.object({
+    rules: Joi.array().items(severityRule).max(200).required()
+  }),
+
+  // Dry run with unsaved rules, or the saved ones when `rules` is omitted
+  severityRulePreview: Joi.object({
+    rules: Joi.array().items(severityRule).max(200).optional(),
+    datacenter: Joi.string().optional(),
+    datahall: Joi.string().optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().optional(),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  }),
+
+  notificationDeliveryFilters: Joi.object({
+    status: Joi.string().valid('pending', 'sent', 'failed').optional(),
+    event: Joi.string().valid('incident.critical', 'incident.sla_breach', 'notification.test').optional(),
+    channel: Joi.string().valid('email', 'webhook').optional(),
+    incidentId: Joi.string().uuid().optional()
+  }),
+
+  userNotificationParams: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    unreadOnly: Joi.boolean().default(false)
+  }),
+
+  webhookSubscription: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    url: Joi.string().uri({ scheme: ['https'] }).max(2000).required(),
+    events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique().required(),
+    isActive: Joi.boolean().default(true)
   }),
 
+  // `rotateSecret` issues a new signing secret, returned once in the response
+  webhookSubscriptionUpdate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    url: Joi.string().uri({ scheme: ['https'] }).max(2000).optional(),
+    events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique().optional(),
+    isActive: Joi.boolean().optional(),
+    rotateSecret: Joi.boolean().valid(true).optional()
+  }).min(1),
+
+  webhookDeliveryFilters: Joi.object({
+    status: Joi.string().valid('pending', 'sent', 'failed').optional(),
+    event: Joi.string().valid(...WEBHOOK_EVENTS).optional()
+  }),
+
+  severityParam: Joi.string().valid('critical', 'high', 'medium', 'low').required(),
+
   // UUID validation
   uuidParam: Joi.string().uuid().required()
 };
@@ -131,7 +331,10 @@ class ValidationService {
         data = request.body || {};
         break;
       case 'query':
-        data = request.query || {};
+        // v4 HttpRequest exposes query parameters as URLSearchParams
+        data = request.query instanceof URLSearchParams
+          ? Object.fromEntries(request.query)
+          : request.query || {};
         break;
       case 'params':
         data = request.params || {};
@@ -146,6 +349,16 @@ class ValidationService {
     return this.validate(data, schema);
   }
 
+  // v4 HttpRequest bodies are streams, so they have to be read before validation
+  async parseJsonBody(request) {
+    try {
+      const text = await request.text();
+      return { success: true, data: text ? JSON.parse(text) : {} };
+    } catch (error) {
+      return { success: false, message: 'Request body must be valid JSON' };
+    }
+  }
+
   // Middleware function for Azure Functions
   createValidationMiddleware(schema, source = 'body') {
     return (request) => {
@@ -187,23 +400,8 @@ class ValidationService {
   }
 
   // Custom validation rules
+  // Sites, data halls and racks are checked against the database by inventoryService.validateLocation
   customValidations = {
-    isDatahall: (value) => {
-      const validDatahalls = [
-        'DH-01', 'DH-02', 'DH-03', 'DH-04', 'DH-05',
-        'DH-06', 'DH-07', 'DH-08', 'DH-09', 'DH-10'
-      ];
-      return validDatahalls.includes(value);
-    },
-
-    isDatacenter: (value) => {
-      const validDatacenters = [
-        'DC-East-01', 'DC-West-01', 'DC-Central-01',
-        'DC-North-01', 'DC-South-01'
-      ];
-      return validDatacenters.includes(value);
-    },
-
     isValidWalkthroughId: (value) => {
       return Number.isInteger(value) && value > 0 && value < 1000000;
     }
@@ -215,20 +413,6 @@ class ValidationService {
       ...schemas,
       
       inspectionSubmissionEnhanced: schemas.inspectionSubmission.keys({
-        datacenter: Joi.string().custom((value, helpers) => {
-          if (!this.customValidations.isDatacenter(value)) {
-            return helpers.error('any.invalid');
-          }
-          return value;
-        }).required(),
-        
-        datahall: Joi.string().custom((value, helpers) => {
-          if (!this.customValidations.isDatahall(value)) {
-            return helpers.error('any.invalid');
-          }
-          return value;
-        }).required(),
-        
         walkthroughId: Joi.number().custom((value, helpers) => {
           if (!this.customValidations.isValidWalkthroughId(value)) {
             return helpers.error('any.invalid');
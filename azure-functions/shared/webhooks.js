@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const { database } = require('./database');
+const { checkPublicUrl } = require('./outboundUrl');
+
+const WEBHOOK_EVENTS = ['incident.created', 'incident.status_changed', 'walkthrough.submitted', 'report.published'];
+
+// A failed delivery is retried after 1, 2, 4, ... 64 minutes, then marked failed
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MINUTES = 1;
+// Claimed deliveries are hidden from other senders for this long
+const CLAIM_MINUTES = 5;
+const DELIVERY_BATCH_SIZE = 50;
+const SEND_TIMEOUT_MS = 10000;
+
+// The secret is only returned when a subscription is created or its secret rotated
+const SUBSCRIPTION_COLUMNS = 'id, name, url, events, is_active, created_by, created_at, updated_at';
+const DELIVERY_COLUMNS = `id, subscription_id, event, event_id, status, attempts, response_status, last_error,
+       next_attempt_at, sent_at, redelivery_of, created_at`;
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+/**
+ * Signature of a request body: HMAC-SHA256 with the subscription secret over
+ * "<timestamp>.<body>", hex encoded and prefixed with "sha256=". Receivers recompute it from the
+ * X-DAT-Bolt-Timestamp header and the raw body, and reject old timestamps to stop replays.
+ */
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Outbound webhooks for incident, walkthrough and report events. Producers call publish with
+ * their transaction client, so an event is delivered only when its change was committed and
+ * never lost when it was. deliverPending sends due deliveries; failures are retried with
+ * exponential backoff. Endpoint URLs are checked when saved and before every send, so they
+ * cannot reach this host or a private network, and redirects are not followed.
+ */
+class WebhookService {
+  constructor({ fetchImpl = fetch, clock = () => new Date(), lookup } = {}) {
+    this.fetch = fetchImpl;
+    this.clock = clock;
+    // DNS lookup for endpoint URL checks; tests pass a fake
+    this.lookup = lookup;
+  }
+
+  now() {
+    return this.clock();
+  }
+
+  // Subscriptions with the outcome of their latest delivery
+  async listSubscriptions() {
+    const result = await database.query(
+      `SELECT s.id, s.name, s.url, s.events, s.is_active, s.created_by, s.created_at, s.updated_at,
+              last.status AS last_delivery_status, last.created_at AS last_delivery_at,
+              (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'failed') AS failed_deliveries
+       FROM webhook_subscriptions s
+       LEFT JOIN LATERAL (
+         SELECT status, created_at FROM webhook_deliveries d
+         WHERE d.subscription_id = s.id
+         ORDER BY d.created_at DESC
+         LIMIT 1
+       ) last ON true
+       ORDER BY s.name, s.created_at`
+    );
+    return result.rows;
+  }
+
+  async checkUrl(url) {
+    const check = await checkPublicUrl(url, { lookup: this.lookup });
+    if (!check.success) {
+      return { success: false, message: `Webhook URL rejected: ${check.message}`, status: 400 };
+    }
+    return { success: true };
+  }
+
+  async createSubscription(data, user) {
+    const check = await this.checkUrl(data.url);
+    if (!check.success) {
+      return check;
+    }
+
+    const result = await database.query(
+      `INSERT INTO webhook_subscriptions (name, url, secret, events, is_active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${SUBSCRIPTION_COLUMNS}, secret`,
+      [data.name, data.url, newSecret(), data.events, data.isActive, user.id]
+    );
+    return { success: true, subscription: result.rows[0] };
+  }
+
+  // `rotateSecret` replaces the secret and returns the new one
+  async updateSubscription(id, changes) {
+    if (changes.url) {
+      const check = await this.checkUrl(changes.url);
+      if (!check.success) {
+        return check;
+      }
+    }
+
+    return database.transaction(async (client) => {
+      const existing = await client.query('SELECT * FROM webhook_subscriptions WHERE id = $1 FOR UPDATE', [id]);
+      if (existing.rows.length === 0) {
+        return { success: false, message: 'Webhook not found', status: 404 };
+      }
+      const subscription = existing.rows[0];
+
+      const result = await client.query(
+        `UPDATE webhook_subscriptions
+         SET name = $2, url = $3, events = $4, is_active = $5, secret = $6, updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${SUBSCRIPTION_COLUMNS}${changes.rotateSecret ? ', secret' : ''}`,
+        [
+          id,
+          changes.name ?? subscription.name,
+          changes.url ?? subscription.url,
+          changes.events ?? subscription.events,
+          changes.isActive ?? subscription.is_active,
+          changes.rotateSecret ? newSecret() : subscription.secret
+        ]
+      );
+
+      // A paused subscription drops what it has not sent; redeliver to send it later
+      if (changes.isActive === false) {
+        await client.query(
+          `UPDATE webhook_deliveries
+           SET status = 'failed', last_error = 'Webhook deactivated before delivery'
+           WHERE subscription_id = $1 AND status = 'pending'`,
+          [id]
+        );
+      }
+
+      return { success: true, subscription: result.rows[0] };
+    });
+  }
+
+  async deleteSubscription(id) {
+    const result = await database.query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id', [id]);
+    if (result.rows.length === 0) {
+      return { success: false, message: 'Webhook not found', status: 404 };
+    }
+    return { success: true };
+  }
+
+  // Queues `event` for every active subscription that includes it, inside the caller's transaction
+  async publish(db, event, data) {
+    const payload = { id: crypto.randomUUID(), event, occurredAt: this.now().toISOString(), data };
+    await db.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event, event_id, payload)
+       SELECT id, $1, $2, $3
+       FROM webhook_subscriptions
+       WHERE is_active AND $1 = ANY(events)`,
+      [event, payload.id, payload]
+    );
+  }
+
+  /**
+   * Sends deliveries that are due, including retries and ones whose sender stopped before
+   * recording the outcome. Rows are claimed with SKIP LOCKED so overlapping runs send each once.
+   */
+  async deliverPending() {
+    const now = this.now();
+    const claimed = await database.query(
+      `UPDATE webhook_deliveries d
+       SET next_attempt_at = $2
+       FROM webhook_subscriptions s
+       WHERE s.id = d.subscription_id
+         AND d.id IN (
+           SELECT id FROM webhook_deliveries
+           WHERE status = 'pending' AND next_attempt_at <= $1
+           ORDER BY next_attempt_at
+           LIMIT $3
+           FOR UPDATE SKIP LOCKED
+         )
+       RETURNING d.id, d.event, d.payload, d.attempts, s.url, s.secret`,
+      [now, addMinutes(now, CLAIM_MINUTES), DELIVERY_BATCH_SIZE]
+    );
+
+    const results = [];
+    for (const delivery of claimed.rows) {
+      results.push(await this.send(delivery));
+    }
+    return results;
+  }
+
+  /**
+   * One signed POST; records the outcome and schedules a retry on failure. The URL is checked
+   * again first, since what its host resolves to can change after it was saved. Response bodies
+   * are not kept: an endpoint could echo back anything it was asked to fetch.
+   */
+  async send(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(this.now().getTime() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    let responseStatus = null;
+    let error = null;
+    try {
+      const check = await checkPublicUrl(delivery.url, { lookup: this.lookup });
+      if (!check.success) {
+        throw new Error(check.message);
+      }
+
+      const response = await this.fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'DAT-Bolt-Webhooks/1.0',
+          'X-DAT-Bolt-Event': delivery.event,
+          'X-DAT-Bolt-Delivery': delivery.id,
+          'X-DAT-Bolt-Timestamp': String(timestamp),
+          'X-DAT-Bolt-Signature': sign(delivery.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+      });
+      responseStatus = response.status;
+      if (response.status >= 300 && response.status < 400) {
+        error = `Endpoint responded ${response.status}; redirects are not followed`;
+      } else if (!response.ok) {
+        error = `Endpoint responded ${response.status} ${response.statusText || ''}`.trim();
+      }
+    } catch (sendError) {
+      error = sendError.name === 'TimeoutError' ? `No response within ${SEND_TIMEOUT_MS / 1000} seconds` : sendError.message;
+    }
+
+    const status = !error ? 'sent' : attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    const result = await database.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = $3, response_status = $4, last_error = $5,
+           sent_at = CASE WHEN $2 = 'sent' THEN $6::timestamptz END,
+           next_attempt_at = $7
+       WHERE id = $1
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [
+        delivery.id, status, attempts, responseStatus, error, this.now(),
+        addMinutes(this.now(), RETRY_BASE_MINUTES * 2 ** (attempts - 1))
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async listDeliveries(subscriptionId, filters = {}, pagination = {}) {
+    const subscription = await database.query('SELECT id FROM webhook_subscriptions WHERE id = $1', [subscriptionId]);
+    if (subscription.rows.length === 0) {
+      return { success: false, message: 'Webhook not found', status: 404 };
+    }
+
+    const conditions = ['subscription_id = $1'];
+    const params = [subscriptionId];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    if (filters.status) addCondition('status = ?', filters.status);
+    if (filters.event) addCondition('event = ?', filters.event);
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const { page = 1, limit = 20 } = pagination;
+
+    const countResult = await database.query(`SELECT COUNT(*)::int AS total FROM webhook_deliveries ${where}`, params);
+    const dataResult = await database.query(
+      `SELECT ${DELIVERY_COLUMNS}
+       FROM webhook_deliveries
+       ${where}
+       ORDER BY created_at DESC, id
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      success: true,
+      deliveries: dataResult.rows,
+      pagination: { page, limit, total: countResult.rows[0].total }
+    };
+  }
+
+  async getDelivery(id) {
+    const result = await database.query(`SELECT ${DELIVERY_COLUMNS}, payload FROM webhook_deliveries WHERE id = $1`, [id]);
+    if (result.rows.length === 0) {
+      return { success: false, message: 'Webhook delivery not found', status: 404 };
+    }
+    return { success: true, delivery: result.rows[0] };
+  }
+
+  /**
+   * Sends a delivery's payload again, right away, as a new delivery that keeps the event id so
+   * receivers can recognise duplicates. Failed redeliveries are retried like any other.
+   */
+  async redeliver(id) {
+    const original = await database.query(
+      `SELECT d.id, d.subscription_id, d.event, d.event_id, d.payload, s.is_active
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.id = $1`,
+      [id]
+    );
+    if (original.rows.length === 0) {
+      return { success: false, message: 'Webhook delivery not found', status: 404 };
+    }
+    const delivery = original.rows[0];
+    if (!delivery.is_active) {
+      return { success: false, message: 'Activate the webhook before redelivering to it', status: 409 };
+    }
+
+    // Claimed from the start so the timer leaves it to this request
+    const created = await database.query(
+      `WITH inserted AS (
+         INSERT INTO webhook_deliveries (subscription_id, event, event_id, payload, redelivery_of, next_attempt_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, event, payload, attempts, subscription_id
+       )
+       SELECT inserted.id, inserted.event, inserted.payload, inserted.attempts, s.url, s.secret
+       FROM inserted
+       JOIN webhook_subscriptions s ON s.id = inserted.subscription_id`,
+      [delivery.subscription_id, delivery.event, delivery.event_id, delivery.payload, delivery.id,
+        addMinutes(this.now(), CLAIM_MINUTES)]
+    );
+
+    return { success: true, delivery: await this.send(created.rows[0]) };
+  }
+}
+
+// Singleton instance
+const webhookService = new WebhookService();
+
+module.exports = {
+  webhookService,
+  WebhookService,
+  WEBHOOK_EVENTS,
+  sign
+};
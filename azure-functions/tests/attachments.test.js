@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useFakeDatabase } = require('./helpers');
+
+// Files go to a scratch folder through the local storage backend
+const STORAGE_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-test-'));
+process.env.ATTACHMENT_STORAGE = 'local';
+process.env.ATTACHMENT_STORAGE_PATH = STORAGE_ROOT;
+
+const { attachmentService, MAX_FILE_BYTES, MAX_THUMBNAIL_BYTES } = require('../shared/attachments');
+
+const TECHNICIAN = { id: 'u1', email: 'sam@example.com', role: 'technician' };
+const OTHER_TECHNICIAN = { id: 'u2', email: 'kim@example.com', role: 'technician' };
+const ATTACHMENT_ID = '0b6f2f8e-5f43-4a8e-9d7a-3f2b1c0d9e8f';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+afterAll(() => {
+  fs.rmSync(STORAGE_ROOT, { recursive: true, force: true });
+});
+
+describe('attachmentService.create with a client id', () => {
+  let db;
+  let stored;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    stored = { id: ATTACHMENT_ID, incident_id: 'i1', audit_report_id: null, uploaded_by: TECHNICIAN.id, file_name: 'psu.png' };
+    db.respond = (sql) => {
+      if (sql.startsWith('SELECT a.id')) return { rows: stored ? [stored] : [] };
+      if (sql.startsWith('SELECT id FROM incidents')) return { rows: [{ id: 'i1' }] };
+      if (sql.startsWith('INSERT INTO attachments')) return { rows: [{ id: ATTACHMENT_ID }] };
+      return { rows: [] };
+    };
+  });
+
+  const upload = (user, data = {}) => attachmentService.create(
+    { id: ATTACHMENT_ID, incidentId: 'i1', ...data },
+    { name: 'psu.png', content: PNG },
+    null,
+    user
+  );
+  const inserts = () => db.sql().filter(sql => sql.startsWith('INSERT INTO attachments'));
+
+  it('returns the stored attachment to a retry of the same upload', async () => {
+    expect(await upload(TECHNICIAN)).toEqual({ success: true, attachment: stored, duplicate: true });
+    expect(inserts()).toEqual([]);
+  });
+
+  it.each([
+    ['another user', OTHER_TECHNICIAN, {}],
+    ['another incident', TECHNICIAN, { incidentId: 'i2' }],
+    ['a walkthrough', TECHNICIAN, { incidentId: undefined, auditReportId: 'a1' }]
+  ])('rejects the id with 409 when it is reused by %s', async (_, user, data) => {
+    expect(await upload(user, data)).toEqual({ success: false, message: 'Another attachment already uses this id', status: 409 });
+    expect(inserts()).toEqual([]);
+  });
+
+  it('rejects the id with 409 when another upload takes it first', async () => {
+    let found = 0;
+    db.respond = (sql) => {
+      // Not there when checked, then stored by a concurrent upload for another incident
+      if (sql.startsWith('SELECT a.id')) return { rows: found++ === 0 ? [] : [{ ...stored, incident_id: 'i2' }] };
+      if (sql.startsWith('SELECT id FROM incidents')) return { rows: [{ id: 'i1' }] };
+      return { rows: [] };
+    };
+
+    expect(await upload(TECHNICIAN)).toMatchObject({ success: false, status: 409 });
+    expect(fs.existsSync(path.join(STORAGE_ROOT, 'incidents/i1', ATTACHMENT_ID, 'psu.png'))).toBe(false);
+  });
+});
+
+describe('attachmentService file checks', () => {
+  const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]);
+  const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')]);
+  const PDF = Buffer.from('%PDF-1.7\n');
+  const EXE = Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03]);
+
+  it.each([
+    ['a JPEG', JPEG, 'image/jpeg'],
+    ['a PNG', PNG, 'image/png'],
+    ['a WebP image', WEBP, 'image/webp'],
+    ['a PDF', PDF, 'application/pdf'],
+    ['a text file', Buffer.from('2024-01-15 PSU fault on X2401\n'), 'text/plain'],
+    ['a binary file', EXE, null]
+  ])('recognises %s by its first bytes', (_, content, type) => {
+    expect(attachmentService.detectContentType(content)).toBe(type);
+  });
+
+  it('goes by the content rather than the name', () => {
+    expect(attachmentService.checkFile({ name: 'photo.png', content: PDF }, 1024)).toEqual({ success: true, contentType: 'application/pdf' });
+    expect(attachmentService.checkFile({ name: 'notes.txt', content: EXE }, 1024)).toEqual({
+      success: false, message: 'notes.txt is not a JPEG, PNG or WebP image, PDF or text file'
+    });
+  });
+
+  it('accepts files up to 10 MB', () => {
+    const content = Buffer.alloc(MAX_FILE_BYTES, 'a');
+
+    expect(attachmentService.checkFile({ name: 'console.log', content }, MAX_FILE_BYTES).success).toBe(true);
+    expect(attachmentService.checkFile({ name: 'console.log', content: Buffer.concat([content, Buffer.from('a')]) }, MAX_FILE_BYTES))
+      .toEqual({ success: false, message: 'console.log is larger than 10 MB' });
+  });
+
+  it('rejects empty files', () => {
+    expect(attachmentService.checkFile({ name: 'empty.txt', content: Buffer.alloc(0) }, MAX_FILE_BYTES))
+      .toEqual({ success: false, message: 'empty.txt is empty' });
+  });
+});
+
+describe('attachmentService thumbnails', () => {
+  let db;
+  let row;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    row = null;
+    db.respond = (sql, params) => {
+      if (sql.startsWith('SELECT id FROM incidents')) return { rows: [{ id: 'i1' }] };
+      if (sql.startsWith('INSERT INTO attachments')) {
+        row = { storage_key: params[7], thumbnail_key: params[8], file_name: params[4], content_type: params[5] };
+        return { rows: [{ id: params[0] }] };
+      }
+      if (sql.startsWith('SELECT file_name')) return { rows: row ? [row] : [] };
+      if (sql.startsWith('SELECT a.id')) return { rows: row ? [{ id: ATTACHMENT_ID, has_thumbnail: row.thumbnail_key !== null }] : [] };
+      return { rows: [] };
+    };
+  });
+
+  const upload = (thumbnail) => attachmentService.create(
+    { id: ATTACHMENT_ID, incidentId: 'i1' },
+    { name: 'X2401 rear.png', content: PNG },
+    thumbnail,
+    TECHNICIAN
+  );
+
+  it('stores the thumbnail next to the file and serves it with its sniffed type', async () => {
+    const thumbnail = Buffer.from([0xff, 0xd8, 0xff, 0xdb, 1, 2, 3]);
+
+    expect(await upload({ name: 'blob', content: thumbnail })).toMatchObject({ success: true, duplicate: false });
+    expect(row.thumbnail_key).toBe(`incidents/i1/${ATTACHMENT_ID}/thumbnail`);
+
+    const served = await attachmentService.getContent(ATTACHMENT_ID, 'thumbnail');
+    expect(served).toMatchObject({ success: true, contentType: 'image/jpeg' });
+    expect(served.content.equals(thumbnail)).toBe(true);
+    expect((await attachmentService.getContent(ATTACHMENT_ID)).content.equals(PNG)).toBe(true);
+  });
+
+  it('answers 404 for the thumbnail of a file uploaded without one', async () => {
+    await upload(null);
+
+    expect(await attachmentService.getContent(ATTACHMENT_ID, 'thumbnail'))
+      .toEqual({ success: false, message: 'This attachment has no thumbnail', status: 404 });
+  });
+
+  it.each([
+    ['a PDF', Buffer.from('%PDF-1.7\n'), 'Thumbnail rejected: thumb is not a JPEG, PNG or WebP image, PDF or text file'],
+    ['larger than 256 KB', Buffer.concat([PNG, Buffer.alloc(MAX_THUMBNAIL_BYTES)]), 'Thumbnail rejected: thumb is larger than 256 KB']
+  ])('rejects a thumbnail that is %s', async (_, content, message) => {
+    expect(await upload({ name: 'thumb', content })).toEqual({ success: false, message, status: 422 });
+    expect(db.sql().some(sql => sql.startsWith('INSERT INTO attachments'))).toBe(false);
+  });
+});
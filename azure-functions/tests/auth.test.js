@@ -0,0 +1,57 @@
+const bcrypt = require('bcryptjs');
+const { useFakeDatabase, loadFunction, httpRequest, context } = require('./helpers');
+const { authService } = require('../shared/auth');
+
+const { Auth } = loadFunction('Auth');
+
+const USER = { id: 'u1', email: 'tech@example.com', full_name: 'Tech', role: 'admin', is_active: true };
+
+describe('password login', () => {
+  let db;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+  });
+
+  const withUser = (user) => {
+    db.respond = (sql) => {
+      if (sql.startsWith('SELECT id, email, encrypted_password')) return { rows: [user] };
+      if (sql.startsWith('INSERT INTO refresh_tokens')) return { rows: [{ id: 'rt1', expires_at: '2030-01-01T00:00:00Z' }] };
+      return { rows: [] };
+    };
+  };
+
+  const login = (password) => Auth(
+    httpRequest('POST', 'auth/login', { body: { email: USER.email, password }, params: { action: 'login' } }),
+    context
+  );
+
+  it('rejects accounts without a password', async () => {
+    withUser({ ...USER, encrypted_password: null });
+
+    const result = await authService.validateUser(USER.email, 'anything');
+    expect(result).toEqual({ success: false, message: 'No password set' });
+
+    const response = await login('anything');
+    expect(response.status).toBe(401);
+    expect(JSON.parse(response.body).message).toBe('Invalid email or password');
+    expect(db.sql().some(sql => sql.includes('refresh_tokens'))).toBe(false);
+  });
+
+  it('rejects a wrong password', async () => {
+    withUser({ ...USER, encrypted_password: await bcrypt.hash('right-password', 4) });
+
+    const response = await login('wrong-password');
+    expect(response.status).toBe(401);
+  });
+
+  it('starts a session for the right password', async () => {
+    withUser({ ...USER, encrypted_password: await bcrypt.hash('right-password', 4) });
+
+    const response = await login('right-password');
+    expect(response.status).toBe(200);
+    const { data } = JSON.parse(response.body);
+    expect(data.user).toEqual({ id: 'u1', email: USER.email, fullName: 'Tech', role: 'admin' });
+    expect(data.refreshToken).toEqual(expect.any(String));
+  });
+});
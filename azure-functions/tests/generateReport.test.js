@@ -0,0 +1,77 @@
+const { useFakeDatabase, loadFunction, httpRequest, context } = require('./helpers');
+const { authService } = require('../shared/auth');
+
+const { GenerateReport } = loadFunction('GenerateReport');
+const USER = { id: 'u1', email: 'sam@example.com', fullName: 'Sam Lee', role: 'technician' };
+
+describe('GenerateReport date range', () => {
+  let db;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    db.respond = (sql, params) => {
+      if (sql.includes('COUNT(*)')) return { rows: [{ total: 0, healthy: 0, warning: 0, critical: 0, issues: 0 }] };
+      if (sql.startsWith('INSERT INTO reports')) return { rows: [{ id: 'r1', title: params[0], date_range_start: params[2], date_range_end: params[3] }] };
+      return { rows: [] };
+    };
+    jest.spyOn(authService, 'requireAuth').mockResolvedValue({ success: true, user: USER });
+  });
+
+  it('includes the whole last day and compares with the period of the same length before it', async () => {
+    const response = await GenerateReport(httpRequest('POST', 'GenerateReport', {
+      body: {
+        title: 'Weekly',
+        dateRangeStart: '2024-01-01T00:00:00.000Z',
+        dateRangeEnd: '2024-01-07T00:00:00.000Z',
+        includeIncidents: true
+      }
+    }), context);
+
+    expect(response.status).toBe(201);
+    const ranges = (table) => db.queries
+      .filter(query => query.sql.includes(`FROM ${table}`) && query.sql.includes('< $2'))
+      .map(query => query.params.slice(0, 2).map(date => date.toISOString()));
+    expect(ranges('"AuditReports"')).toEqual([
+      ['2024-01-01T00:00:00.000Z', '2024-01-08T00:00:00.000Z'],
+      ['2023-12-25T00:00:00.000Z', '2024-01-01T00:00:00.000Z']
+    ]);
+    expect(ranges('incidents')).toEqual([
+      ['2024-01-01T00:00:00.000Z', '2024-01-08T00:00:00.000Z'],
+      ['2023-12-25T00:00:00.000Z', '2024-01-01T00:00:00.000Z'],
+      ['2024-01-01T00:00:00.000Z', '2024-01-08T00:00:00.000Z']
+    ]);
+    expect(db.queries.find(query => query.sql.startsWith('INSERT INTO reports')).params[3].toISOString())
+      .toBe('2024-01-07T00:00:00.000Z');
+  });
+
+  const auditRanges = () => db.queries
+    .filter(query => query.sql.includes('FROM "AuditReports"'))
+    .map(query => query.params.slice(0, 2).map(date => date.toISOString()));
+
+  it('covers a single day when the range starts and ends on it', async () => {
+    await GenerateReport(httpRequest('POST', 'GenerateReport', {
+      body: { title: 'Daily', dateRangeStart: '2024-01-07', dateRangeEnd: '2024-01-07' }
+    }), context);
+
+    expect(auditRanges()).toEqual([
+      ['2024-01-07T00:00:00.000Z', '2024-01-08T00:00:00.000Z'],
+      ['2024-01-06T00:00:00.000Z', '2024-01-07T00:00:00.000Z']
+    ]);
+  });
+
+  it.each([
+    ['the end of the last day', '2024-01-07T23:59:59.999Z'],
+    ['a time during the last day', '2024-01-07T14:25:00.000Z']
+  ])('cuts an end at %s to the start of its day', async (_, dateRangeEnd) => {
+    await GenerateReport(httpRequest('POST', 'GenerateReport', {
+      body: { title: 'Weekly', dateRangeStart: '2024-01-01T09:30:00.000Z', dateRangeEnd }
+    }), context);
+
+    expect(auditRanges()).toEqual([
+      ['2024-01-01T00:00:00.000Z', '2024-01-08T00:00:00.000Z'],
+      ['2023-12-25T00:00:00.000Z', '2024-01-01T00:00:00.000Z']
+    ]);
+    expect(db.queries.find(query => query.sql.startsWith('INSERT INTO reports')).params.slice(2, 4).map(date => date.toISOString()))
+      .toEqual(['2024-01-01T00:00:00.000Z', '2024-01-07T00:00:00.000Z']);
+  });
+});
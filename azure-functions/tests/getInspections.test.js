@@ -0,0 +1,68 @@
+const { useFakeDatabase, loadFunction, httpRequest, context } = require('./helpers');
+const { authService } = require('../shared/auth');
+
+const { GetInspections } = loadFunction('GetInspections');
+const USER = { id: 'u1', email: 'sam@example.com', role: 'technician' };
+
+describe('GetInspections list', () => {
+  let db;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    db.respond = (sql) => (sql.startsWith('SELECT COUNT(*)') ? { rows: [{ total: 45 }] } : { rows: [{ Id: 'a1' }] });
+    jest.spyOn(authService, 'requireAuth').mockResolvedValue({ success: true, user: USER });
+  });
+
+  const list = async (query) => {
+    const response = await GetInspections(httpRequest('GET', `GetInspections?${query}`), context);
+    return { status: response.status, body: JSON.parse(response.body) };
+  };
+  const page = () => db.queries[1];
+
+  it('filters with the same conditions in the count and the page', async () => {
+    await list('datacenter=Quebec&datahall=Island%201&state=Critical&userEmail=Sam@Example.com');
+
+    const where = 'WHERE "datacenter" = $1 AND "datahall" = $2 AND "state" = $3 AND LOWER("UserEmail") = $4';
+    expect(db.queries[0].sql).toBe(`SELECT COUNT(*)::int AS total FROM "AuditReports" ${where}`);
+    expect(page().sql).toContain(where);
+    expect(db.queries[0].params).toEqual(['Quebec', 'Island 1', 'Critical', 'sam@example.com']);
+  });
+
+  it.each([
+    ['a date', '2024-01-07'],
+    ['midnight', '2024-01-07T00:00:00.000Z'],
+    ['the end of the day', '2024-01-07T23:59:59.999Z']
+  ])('includes the whole last day when endDate is %s', async (_, endDate) => {
+    await list(`startDate=2024-01-01&endDate=${endDate}`);
+
+    expect(db.queries[0].sql).toContain('WHERE "Timestamp" >= $1 AND "Timestamp" < $2');
+    expect(db.queries[0].params.map(date => date.toISOString())).toEqual(['2024-01-01T00:00:00.000Z', '2024-01-08T00:00:00.000Z']);
+  });
+
+  it('sorts by a known column with the id as tie-breaker', async () => {
+    await list('sortBy=issuesReported&sortOrder=asc');
+
+    expect(page().sql).toContain('ORDER BY "issues_reported" ASC, "Id"');
+  });
+
+  it('sorts newest first by default', async () => {
+    await list('');
+
+    expect(page().sql).toContain('ORDER BY "Timestamp" DESC, "Id"');
+  });
+
+  it('falls back to the timestamp for a column it does not know', async () => {
+    await list('sortBy=%22ReportData%22%3B%20DROP%20TABLE%20users&sortOrder=asc');
+
+    expect(page().sql).toContain('ORDER BY "Timestamp" ASC, "Id"');
+  });
+
+  it('pages with LIMIT and OFFSET after the filter parameters', async () => {
+    const { body } = await list('state=Warning&page=3&limit=10');
+
+    expect(page().sql).toMatch(/LIMIT \$2 OFFSET \$3$/);
+    expect(page().params).toEqual(['Warning', 10, 20]);
+    expect(body.data).toEqual([{ Id: 'a1' }]);
+    expect(body.pagination).toMatchObject({ page: 3, limit: 10, total: 45 });
+  });
+});
@@ -0,0 +1,51 @@
+const { app, HttpRequest } = require('@azure/functions');
+const { database } = require('../shared/database');
+
+/**
+ * Replaces the connection pool with a fake client. Every statement is recorded in `queries`
+ * with its whitespace collapsed, and answered by `respond(sql, params)` (no rows by default).
+ */
+function useFakeDatabase() {
+  const fake = {
+    queries: [],
+    respond: () => ({ rows: [] }),
+    sql: () => fake.queries.map(query => query.sql)
+  };
+  const client = {
+    async query(text, params = []) {
+      const sql = text.replace(/\s+/g, ' ').trim();
+      fake.queries.push({ sql, params });
+      return (await fake.respond(sql, params)) || { rows: [] };
+    },
+    release() {}
+  };
+  database.pool = { connect: async () => client, end: async () => {} };
+  return fake;
+}
+
+// Loads a function folder and returns the handlers it registers, by function name. Call it once
+// per test file: the folder registers its handlers when it is first required.
+function loadFunction(folder) {
+  const handlers = {};
+  const register = (name, options) => {
+    handlers[name] = options.handler;
+  };
+  jest.spyOn(app, 'http').mockImplementation(register);
+  jest.spyOn(app, 'timer').mockImplementation(register);
+  require(`../${folder}/index.js`);
+  return handlers;
+}
+
+function httpRequest(method, path, { body, params = {}, headers = {} } = {}) {
+  return new HttpRequest({
+    method,
+    url: `http://localhost/api/${path}`,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : { string: JSON.stringify(body) },
+    params
+  });
+}
+
+const context = { log: () => {} };
+
+module.exports = { useFakeDatabase, loadFunction, httpRequest, context };
@@ -0,0 +1,112 @@
+const { useFakeDatabase } = require('./helpers');
+const { incidentService, STATUS_TRANSITIONS } = require('../shared/incidents');
+
+const TECHNICIAN = { id: 'u1', email: 'sam@example.com', role: 'technician' };
+const SUPERVISOR = { id: 'u2', email: 'kim@example.com', role: 'supervisor' };
+
+describe('incident status transitions', () => {
+  it.each([
+    ['open', 'in-progress', true],
+    ['in-progress', 'resolved', true],
+    ['resolved', 'open', true],
+    ['open', 'open', true],
+    ['open', 'resolved', false],
+    ['in-progress', 'open', false],
+    ['resolved', 'in-progress', false]
+  ])('%s -> %s allowed: %s', (from, to, allowed) => {
+    expect(incidentService.canTransition(from, to)).toBe(allowed);
+  });
+
+  it('lists a next status for every status', () => {
+    expect(Object.keys(STATUS_TRANSITIONS).sort()).toEqual(['in-progress', 'open', 'resolved']);
+  });
+});
+
+describe('incidentService.update', () => {
+  let db;
+  let stored;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    stored = { id: 'i1', status: 'open', severity: 'high', description: 'PSU failed', user_id: 'u1', assignee_id: null, location: 'DC1', datahall: 'H1' };
+    db.respond = (sql) => {
+      if (sql.startsWith('SELECT * FROM incidents')) return { rows: stored ? [stored] : [] };
+      if (sql.includes('WHERE i.id = $1')) return { rows: [{ ...stored, response_due_at: null, resolution_due_at: null }] };
+      return { rows: [] };
+    };
+  });
+
+  const statusUpdate = () => db.queries.find(query => query.sql.startsWith('UPDATE incidents SET'));
+  const history = () => db.queries.filter(query => query.sql.startsWith('INSERT INTO incident_history')).map(query => query.params);
+
+  it('returns 404 for an unknown incident', async () => {
+    stored = null;
+    expect(await incidentService.update('missing', { status: 'in-progress' }, TECHNICIAN))
+      .toMatchObject({ success: false, status: 404 });
+  });
+
+  it('moves an open incident to in progress and records the change', async () => {
+    const result = await incidentService.update('i1', { status: 'in-progress' }, TECHNICIAN);
+
+    expect(result).toMatchObject({ success: true, changed: ['status'] });
+    expect(statusUpdate().params).toEqual(['i1', 'in-progress', expect.any(Date)]);
+    expect(statusUpdate().sql).toContain('status = $2, responded_at = COALESCE(responded_at, $3::timestamptz), resolved_at = NULL');
+    expect(history()).toEqual([['i1', 'u1', 'status', 'open', 'in-progress', null]]);
+  });
+
+  it('rejects skipping a status with 409', async () => {
+    const result = await incidentService.update('i1', { status: 'resolved' }, TECHNICIAN);
+
+    expect(result).toEqual({ success: false, message: 'Cannot change status from open to resolved', status: 409 });
+    expect(statusUpdate()).toBeUndefined();
+  });
+
+  it('requires a reason to reopen a resolved incident', async () => {
+    stored.status = 'resolved';
+
+    expect(await incidentService.update('i1', { status: 'open' }, TECHNICIAN))
+      .toMatchObject({ success: false, status: 422 });
+    expect(statusUpdate()).toBeUndefined();
+  });
+
+  it('reopens with a reason and clears the resolution time', async () => {
+    stored.status = 'resolved';
+
+    const result = await incidentService.update('i1', { status: 'open', reason: 'Fan failed again' }, TECHNICIAN);
+
+    expect(result.success).toBe(true);
+    expect(statusUpdate().sql).toBe('UPDATE incidents SET status = $2, resolved_at = NULL WHERE id = $1');
+    expect(history()).toEqual([['i1', 'u1', 'status', 'resolved', 'open', 'Fan failed again']]);
+  });
+
+  it('changes nothing when the status is unchanged', async () => {
+    expect(await incidentService.update('i1', { status: 'open' }, TECHNICIAN)).toMatchObject({ success: true, changed: [] });
+    expect(statusUpdate()).toBeUndefined();
+  });
+
+  it('counts a resolution towards the user activity', async () => {
+    stored.status = 'in-progress';
+
+    await incidentService.update('i1', { status: 'resolved' }, TECHNICIAN);
+
+    expect(db.queries.find(query => query.sql.startsWith('SELECT log_user_activity')).params)
+      .toEqual(['u1', 'issue', 'Resolved incident in DC1 - H1']);
+  });
+
+  it('only lets technicians change incidents they reported or are assigned to', async () => {
+    stored.user_id = 'someone-else';
+
+    expect(await incidentService.update('i1', { status: 'in-progress' }, TECHNICIAN))
+      .toMatchObject({ success: false, status: 403 });
+    expect(statusUpdate()).toBeUndefined();
+
+    stored.assignee_id = TECHNICIAN.id;
+    expect((await incidentService.update('i1', { status: 'in-progress' }, TECHNICIAN)).success).toBe(true);
+  });
+
+  it('lets supervisors change any incident', async () => {
+    stored.user_id = 'someone-else';
+
+    expect((await incidentService.update('i1', { status: 'in-progress' }, SUPERVISOR)).success).toBe(true);
+  });
+});
@@ -0,0 +1,147 @@
+const { useFakeDatabase } = require('./helpers');
+const { inventoryService } = require('../shared/inventory');
+
+describe('inventoryService.validateLocation', () => {
+  let db;
+  let location;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    location = { site_id: 's1', data_hall_id: 'h1', rack_count: 3, known_racks: ['X2401'] };
+    db.respond = () => ({ rows: location ? [location] : [] });
+  });
+
+  it('accepts a known site, hall and racks', async () => {
+    expect(await inventoryService.validateLocation({ datacenter: 'Quebec', datahall: 'Island 1', racks: ['X2401'] }))
+      .toEqual({ success: true });
+    expect(db.queries[0].params).toEqual(['Quebec', 'Island 1', ['X2401']]);
+  });
+
+  it('rejects an unknown site', async () => {
+    location = null;
+
+    expect(await inventoryService.validateLocation({ datacenter: 'Paris', datahall: 'Hall 1' })).toEqual({
+      success: false,
+      message: 'Location is not in the inventory',
+      errors: [{ field: 'datacenter', message: 'Unknown site "Paris"', value: 'Paris' }]
+    });
+  });
+
+  it('rejects an unknown data hall', async () => {
+    location.data_hall_id = null;
+
+    const result = await inventoryService.validateLocation({ datacenter: 'Quebec', datahall: 'Island 9' });
+    expect(result.errors).toEqual([{ field: 'datahall', message: 'Unknown data hall "Island 9" for Quebec', value: 'Island 9' }]);
+  });
+
+  it('reports each unknown rack under the caller\'s field names', async () => {
+    const result = await inventoryService.validateLocation(
+      { datacenter: 'Quebec', datahall: 'Island 1', racks: ['X2401', 'X2499'] },
+      { rack: index => `reportData.racks.${index}.location` }
+    );
+
+    expect(result.errors).toEqual([
+      { field: 'reportData.racks.1.location', message: 'Unknown rack "X2499" in Island 1', value: 'X2499' }
+    ]);
+  });
+
+  it('accepts any rack in a hall without racks in the inventory', async () => {
+    location = { ...location, rack_count: 0, known_racks: [] };
+
+    expect((await inventoryService.validateLocation({ datacenter: 'Quebec', datahall: 'Island 1', racks: ['X2499'] })).success)
+      .toBe(true);
+  });
+});
+
+const rackRow = (site, hall, rack, changes = {}) => ({
+  site_id: `s-${site}`, site_name: site, site_active: true,
+  data_hall_id: `h-${site}-${hall}`, data_hall_name: hall, data_hall_active: true,
+  rack_id: `r-${rack}`, rack_name: rack, rack_active: true,
+  row_label: rack.slice(1, -2), position: Number(rack.slice(-2)), rack_type: null,
+  ...changes
+});
+
+describe('inventoryService.planImport', () => {
+  let db;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    db.respond = () => ({
+      rows: [
+        rackRow('Quebec', 'Island 1', 'X2401'),
+        rackRow('Quebec', 'Island 1', 'X2402'),
+        rackRow('Quebec', 'Island 1', 'X2403'),
+        rackRow('Quebec', 'Island 1', 'X2404', { rack_active: false }),
+        rackRow('Quebec', 'Island 2', 'X2501'),
+        rackRow('London', 'Hall A', 'X0101', { site_active: false, data_hall_active: false })
+      ]
+    });
+  });
+
+  const row = (line, rackId, changes = {}) => ({ line, site: 'Quebec', dataHall: 'Island 1', rackId, ...changes });
+
+  it('adds new racks, updates changed ones and deactivates the ones the file leaves out', async () => {
+    const plan = await inventoryService.planImport([
+      row(2, 'X2401'),
+      row(3, 'x2402', { rackType: 'GPU' }),
+      row(4, 'X2405')
+    ]);
+
+    expect(plan.errors).toEqual([]);
+    expect(plan.summary).toEqual({ added: 1, updated: 1, deactivated: 1, unchanged: 1, sitesAdded: 0, dataHallsAdded: 0, reactivated: 0 });
+    expect(plan.changes).toEqual([
+      {
+        action: 'update', site: 'Quebec', dataHall: 'Island 1', rackId: 'X2402',
+        before: { rowLabel: '24', position: 2, rackType: null, isActive: true },
+        after: { rowLabel: '24', position: 2, rackType: 'GPU', isActive: true }
+      },
+      {
+        action: 'add', site: 'Quebec', dataHall: 'Island 1', rackId: 'X2405',
+        before: null,
+        after: { rowLabel: '24', position: 5, rackType: null, isActive: true }
+      },
+      {
+        action: 'deactivate', site: 'Quebec', dataHall: 'Island 1', rackId: 'X2403',
+        before: { rowLabel: '24', position: 3, rackType: null, isActive: true },
+        after: { rowLabel: '24', position: 3, rackType: null, isActive: false }
+      }
+    ]);
+    expect(plan.racks.map(rack => [rack.rackId, rack.action])).toEqual([['X2401', 'unchanged'], ['X2402', 'update'], ['X2405', 'add']]);
+  });
+
+  it('reactivates a rack the file lists again and leaves halls it does not mention alone', async () => {
+    const plan = await inventoryService.planImport([row(2, 'X2401'), row(3, 'X2402'), row(4, 'X2403'), row(5, 'X2404')]);
+
+    expect(plan.changes).toEqual([expect.objectContaining({
+      action: 'update', rackId: 'X2404', before: expect.objectContaining({ isActive: false }), after: expect.objectContaining({ isActive: true })
+    })]);
+    expect(plan.changes.some(change => change.dataHall === 'Island 2')).toBe(false);
+  });
+
+  it('counts new sites and halls and reactivated ones', async () => {
+    const plan = await inventoryService.planImport([
+      row(2, 'X0101', { site: 'London', dataHall: 'Hall A' }),
+      row(3, 'X0101', { site: 'Paris', dataHall: 'Hall 1' }),
+      row(4, 'X0102', { site: 'Paris', dataHall: 'Hall 1' })
+    ]);
+
+    expect(plan.summary).toMatchObject({ added: 2, unchanged: 1, updated: 0, sitesAdded: 1, dataHallsAdded: 1, reactivated: 2 });
+  });
+
+  it('reports malformed and duplicate rack ids by line', async () => {
+    const plan = await inventoryService.planImport([row(2, 'X2401'), row(3, 'R-17'), row(4, 'x2401')]);
+
+    expect(plan.errors).toEqual([
+      { line: 3, field: 'rackId', message: '"R-17" is not a rack id (expected X2401 or X230101)', value: 'R-17' },
+      { line: 4, field: 'rackId', message: 'X2401 is already listed on line 2', value: 'x2401' }
+    ]);
+    expect(plan.racks.map(rack => rack.rackId)).toEqual(['X2401']);
+  });
+
+  it('writes nothing', async () => {
+    await inventoryService.planImport([row(2, 'X2405')]);
+
+    expect(db.sql()).toHaveLength(1);
+    expect(db.sql()[0]).toMatch(/^SELECT/);
+  });
+});
@@ -0,0 +1,152 @@
+const { useFakeDatabase } = require('./helpers');
+const { WebhookChannel } = require('../shared/notificationChannels');
+const { NotificationService } = require('../shared/notifications');
+
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address }));
+const delivery = (changes) => ({
+  id: 'd1', event: 'incident.critical', format: 'generic', subject: 'Subject', body: 'Body', payload: {}, ...changes
+});
+
+describe('WebhookChannel', () => {
+  it('does not send to a personal webhook that resolves to a private address', async () => {
+    const fetchImpl = jest.fn();
+    const channel = new WebhookChannel({ fetchImpl, lookup: resolvesTo('169.254.169.254') });
+
+    await expect(channel.send(delivery({ user_id: 'u1', target: 'https://metadata.example.com/' })))
+      .rejects.toThrow('The URL must point to a public address');
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it('sends to a public personal webhook without following redirects', async () => {
+    const fetchImpl = jest.fn(async () => ({ ok: true, status: 200 }));
+    const channel = new WebhookChannel({ fetchImpl, lookup: resolvesTo('8.8.8.8') });
+
+    await channel.send(delivery({ user_id: 'u1', target: 'https://hooks.example.com/x' }));
+    expect(fetchImpl).toHaveBeenCalledWith('https://hooks.example.com/x', expect.objectContaining({ redirect: 'manual' }));
+  });
+
+  it('treats a redirect as a failed delivery', async () => {
+    const fetchImpl = async () => ({ ok: false, status: 302, statusText: 'Found' });
+    const channel = new WebhookChannel({ fetchImpl, lookup: resolvesTo('8.8.8.8') });
+
+    await expect(channel.send(delivery({ user_id: 'u1', target: 'https://hooks.example.com/x' })))
+      .rejects.toThrow('Webhook responded 302 Found');
+  });
+
+  it('trusts the operations webhook from the settings', async () => {
+    const fetchImpl = jest.fn(async () => ({ ok: true, status: 200 }));
+    const lookup = jest.fn();
+    const channel = new WebhookChannel({ fetchImpl, lookup });
+
+    await channel.send(delivery({ user_id: null, target: 'http://localhost:4000/ops' }));
+    expect(lookup).not.toHaveBeenCalled();
+    expect(fetchImpl).toHaveBeenCalled();
+  });
+});
+
+describe('notification preferences', () => {
+  let db;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+  });
+
+  it('rejects a webhook URL on a private network', async () => {
+    const service = new NotificationService({ channels: {}, lookup: resolvesTo('192.168.0.10') });
+
+    const result = await service.updatePreferences('u1', { webhookUrl: 'https://router.example.com/hook' });
+    expect(result).toEqual({
+      success: false,
+      message: 'Webhook URL rejected: The URL must point to a public address',
+      status: 400
+    });
+    expect(db.queries).toHaveLength(0);
+  });
+
+  it('allows one test message per minute', async () => {
+    const send = jest.fn();
+    const service = new NotificationService({ channels: { webhook: { send } } });
+    db.respond = (sql) => (sql.includes('MAX(created_at)') ? { rows: [{ seconds: 20 }] } : { rows: [] });
+
+    const result = await service.sendTest({ id: 'u1', email: 'me@example.com' });
+    expect(result).toEqual({ success: false, message: 'Wait 40 seconds before sending another test', status: 429, retryAfter: 40 });
+    expect(send).not.toHaveBeenCalled();
+  });
+});
+
+describe('EmailChannel', () => {
+  it('sends plain-text mail through nodemailer', async () => {
+    const nodemailer = require('nodemailer');
+    const { EmailChannel } = require('../shared/notificationChannels');
+    const channel = new EmailChannel({ from: 'dat-bolt@example.com', transport: nodemailer.createTransport({ jsonTransport: true }) });
+    const sendMail = jest.spyOn(channel.transport, 'sendMail');
+
+    await channel.send({ target: 'ops@example.com', subject: 'Critical incident — Quebec', body: 'Rack X2401' });
+    const info = await sendMail.mock.results[0].value;
+    expect(JSON.parse(info.message)).toMatchObject({
+      from: { address: 'dat-bolt@example.com' },
+      to: [{ address: 'ops@example.com' }],
+      subject: 'Critical incident — Quebec',
+      text: 'Rack X2401'
+    });
+  });
+});
+
+describe('notification delivery', () => {
+  const NOW = new Date('2024-01-15T10:00:00Z');
+  const INCIDENT = {
+    id: 'i1', location: 'Canada - Quebec', datahall: 'Island 1', rack_number: 'X2401', part_type: 'PSU',
+    part_identifier: 'PSU 1', description: 'PSU powered off', severity: 'critical', status: 'open'
+  };
+  let db;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+  });
+
+  it('only queues deliveries when an event is raised', async () => {
+    const send = jest.fn();
+    const service = new NotificationService({ channels: { email: { send } }, env: {}, clock: () => NOW });
+    let nextId = 0;
+    db.respond = (sql, params) => {
+      if (sql.includes('FROM incidents i')) return { rows: [INCIDENT] };
+      if (sql.includes('FROM users u')) {
+        return { rows: [{ id: 'u1', email: 'sup@example.com', emailEnabled: true, webhookUrl: null }] };
+      }
+      if (sql.startsWith('INSERT INTO notification_deliveries')) {
+        return { rows: [{ id: `d${++nextId}`, channel: params[3], target: params[5], next_attempt_at: params[9] }] };
+      }
+      return { rows: [] };
+    };
+
+    const queued = await service.notify('incident.critical', ['i1']);
+    expect(queued).toEqual([{ id: 'd1', channel: 'email', target: 'sup@example.com', next_attempt_at: NOW }]);
+    expect(send).not.toHaveBeenCalled();
+    expect(db.sql().some(sql => sql.startsWith('UPDATE notification_deliveries'))).toBe(false);
+  });
+
+  it('sends due deliveries from the timer and schedules a retry when a send fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const send = jest.fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('Connection refused'));
+    const service = new NotificationService({ channels: { email: { send } }, env: {}, clock: () => NOW });
+    db.respond = (sql, params) => {
+      if (sql.includes('FOR UPDATE SKIP LOCKED')) {
+        return {
+          rows: [
+            { id: 'd1', channel: 'email', target: 'a@example.com', attempts: 0 },
+            { id: 'd2', channel: 'email', target: 'b@example.com', attempts: 1 }
+          ]
+        };
+      }
+      if (sql.startsWith('UPDATE notification_deliveries')) return { rows: [{ id: params[0], params }] };
+      return { rows: [] };
+    };
+
+    const [sent, retried] = await service.deliverPending();
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(sent.params).toEqual(['d1', 1, NOW]);
+    expect(retried.params).toEqual(['d2', 'pending', 2, 'Connection refused', new Date('2024-01-15T10:02:00Z')]);
+  });
+});
@@ -0,0 +1,48 @@
+const { checkPublicUrl, isPublicAddress } = require('../shared/outboundUrl');
+
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address }));
+
+describe('isPublicAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '224.0.0.1', '255.255.255.255', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1'
+  ])('blocks %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  it.each(['8.8.8.8', '52.96.0.1', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8'])('allows %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe('checkPublicUrl', () => {
+  it('requires https', async () => {
+    const result = await checkPublicUrl('http://hooks.example.com/x', { lookup: resolvesTo('8.8.8.8') });
+    expect(result).toEqual({ success: false, message: 'The URL must use https' });
+  });
+
+  it('accepts a host that only resolves to public addresses', async () => {
+    expect(await checkPublicUrl('https://hooks.example.com/x', { lookup: resolvesTo('8.8.8.8', '2606:4700::1111') }))
+      .toEqual({ success: true });
+  });
+
+  it('rejects a host with any private address', async () => {
+    const result = await checkPublicUrl('https://hooks.example.com/x', { lookup: resolvesTo('8.8.8.8', '10.0.0.5') });
+    expect(result.success).toBe(false);
+  });
+
+  it('checks IP literals without a lookup', async () => {
+    const lookup = jest.fn();
+    expect((await checkPublicUrl('https://169.254.169.254/latest/meta-data', { lookup })).success).toBe(false);
+    expect((await checkPublicUrl('https://[::1]:8443/', { lookup })).success).toBe(false);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it('rejects hosts that do not resolve', async () => {
+    const lookup = async () => {
+      throw new Error('ENOTFOUND');
+    };
+    expect(await checkPublicUrl('https://nowhere.invalid/', { lookup }))
+      .toEqual({ success: false, message: 'The host nowhere.invalid could not be resolved' });
+  });
+});
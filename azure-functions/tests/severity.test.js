@@ -0,0 +1,119 @@
+const { useFakeDatabase } = require('./helpers');
+const { severityRuleService } = require('../shared/severity');
+
+const rule = (changes) => ({
+  name: 'Rule', part_type: 'PSU', field: 'status', value: 'powered-off', min_per_rack: 1, severity: 'high', is_active: true, ...changes
+});
+
+const psuRack = (location, ...statuses) => statuses.map((status, index) => ({
+  location,
+  devices: { powerSupplyUnit: true },
+  psuDetails: { psuId: `PSU-${index + 1}`, status }
+}));
+
+describe('severityRuleService.classify', () => {
+  const rules = [
+    rule({ name: 'Two PSUs off', min_per_rack: 2, severity: 'critical' }),
+    rule({ name: 'PSU off' }),
+    rule({ name: 'Retired', part_type: 'PDU', value: 'tripped', severity: 'critical', is_active: false })
+  ];
+
+  it('is healthy without reported racks', () => {
+    expect(severityRuleService.classify([], rules)).toEqual({ state: 'Healthy', issues: [] });
+  });
+
+  it('lets the first matching rule set the severity', () => {
+    const { state, issues } = severityRuleService.classify(psuRack('R1', 'powered-off'), rules);
+
+    expect(state).toBe('Warning');
+    expect(issues).toEqual([expect.objectContaining({
+      partType: 'PSU', partIdentifier: 'PSU-1', rackNumber: 'R1', severity: 'high', rule: 'PSU off'
+    })]);
+  });
+
+  it('applies min_per_rack per rack', () => {
+    const racks = [...psuRack('R1', 'powered-off', 'powered-off'), ...psuRack('R2', 'powered-off')];
+    const { state, issues } = severityRuleService.classify(racks, rules);
+
+    expect(state).toBe('Critical');
+    expect(issues.map(issue => [issue.rackNumber, issue.severity, issue.rule])).toEqual([
+      ['R1', 'critical', 'Two PSUs off'],
+      ['R1', 'critical', 'Two PSUs off'],
+      ['R2', 'high', 'PSU off']
+    ]);
+  });
+
+  it('skips inactive rules and falls back to medium', () => {
+    const rack = { location: 'R3', devices: { powerDistributionUnit: true }, pduDetails: { pduId: 'PDU-A', status: 'tripped' } };
+    const [issue] = severityRuleService.classify([rack], rules).issues;
+
+    expect(issue).toMatchObject({ partType: 'PDU', severity: 'medium', rule: null });
+  });
+
+  it('reports a rack flagged without device details as one incident', () => {
+    const { issues } = severityRuleService.classify([{ location: 'R4', devices: {} }], rules);
+
+    expect(issues).toEqual([expect.objectContaining({
+      partType: 'Other', description: 'Issue reported on rack R4', severity: 'medium'
+    })]);
+  });
+});
+
+describe('severityRuleService.previewReclassification', () => {
+  let db;
+
+  const report = (id, state, racks) => ({
+    Id: id, Timestamp: '2024-01-15T10:00:00.000Z', walkthrough_id: 7, datacenter: 'DC1', datahall: 'H1', state,
+    ReportData: { racks }
+  });
+  const description = 'PSU Issue - Rack: R1, Status: powered-off, PSU ID: PSU-1';
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    db.respond = (sql) => {
+      if (sql.includes('FROM "AuditReports"')) {
+        return {
+          rows: [
+            report('a1', 'Warning', psuRack('R1', 'powered-off')),
+            report('a2', 'Warning', psuRack('R1', 'powered-off')),
+            report('a3', 'Warning', [{ location: 'R9' }])
+          ]
+        };
+      }
+      if (sql.includes('FROM incidents')) {
+        return {
+          rows: [
+            { id: 'i1', audit_report_id: 'a1', description, severity: 'high' },
+            { id: 'i2', audit_report_id: 'a2', description, severity: 'critical' }
+          ]
+        };
+      }
+      return { rows: [] };
+    };
+  });
+
+  it('lists what the proposed rules would change without writing anything', async () => {
+    const proposed = [{ name: 'PSU off', partType: 'PSU', field: 'status', value: 'powered-off', minPerRack: 1, severity: 'critical', isActive: true }];
+
+    const preview = await severityRuleService.previewReclassification(proposed, { datacenter: 'DC1', limit: 20 });
+
+    expect(preview.summary).toEqual({ walkthroughs: 3, skipped: 1, stateChanges: 2, severityChanges: 1 });
+    expect(preview.changes).toEqual([
+      expect.objectContaining({
+        auditReportId: 'a1',
+        before: 'Warning',
+        after: 'Critical',
+        incidents: [expect.objectContaining({ incidentId: 'i1', before: 'high', after: 'critical', rule: 'PSU off' })]
+      }),
+      expect.objectContaining({ auditReportId: 'a2', before: 'Warning', after: 'Critical', incidents: [] })
+    ]);
+    expect(db.queries[0].params).toEqual(['DC1', 20]);
+    expect(db.sql().every(sql => sql.startsWith('SELECT'))).toBe(true);
+  });
+
+  it('uses the saved rules when none are proposed', async () => {
+    await severityRuleService.previewReclassification();
+
+    expect(db.queries[0].sql).toContain('FROM severity_rules');
+  });
+});
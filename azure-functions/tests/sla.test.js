@@ -0,0 +1,146 @@
+const { useFakeDatabase } = require('./helpers');
+const { SlaService, slaService } = require('../shared/sla');
+const { incidentService } = require('../shared/incidents');
+
+const NOW = new Date('2024-01-15T12:00:00Z');
+const minutesBefore = (minutes) => new Date(NOW.getTime() - minutes * 60000).toISOString();
+const minutesAfter = (minutes) => new Date(NOW.getTime() + minutes * 60000).toISOString();
+
+// A high incident with a 60-minute response and 240-minute resolution target
+const incident = (createdMinutesAgo, changes = {}) => ({
+  id: 'i1',
+  status: 'open',
+  created_at: minutesBefore(createdMinutesAgo),
+  response_due_at: minutesAfter(60 - createdMinutesAgo),
+  resolution_due_at: minutesAfter(240 - createdMinutesAgo),
+  responded_at: null,
+  resolved_at: null,
+  ...changes
+});
+
+describe('SlaService.evaluate with a fixed clock', () => {
+  const sla = new SlaService({ clock: () => NOW });
+
+  it('is on track well before the deadlines', () => {
+    expect(sla.evaluate(incident(10))).toMatchObject({
+      response_breached: false, resolution_breached: false, sla_status: 'on-track'
+    });
+  });
+
+  it('is at risk in the last quarter of the response window', () => {
+    expect(sla.evaluate(incident(50)).sla_status).toBe('at-risk');
+  });
+
+  it('ignores the response window once the incident was responded to', () => {
+    const responded = incident(50, { status: 'in-progress', responded_at: minutesBefore(40) });
+    expect(sla.evaluate(responded).sla_status).toBe('on-track');
+  });
+
+  it('breaches the response target when nobody responded in time', () => {
+    expect(sla.evaluate(incident(61))).toMatchObject({
+      response_breached: true, resolution_breached: false, sla_status: 'breached'
+    });
+  });
+
+  it('breaches the resolution target when the incident is still unresolved', () => {
+    const late = incident(241, { status: 'in-progress', responded_at: minutesBefore(230) });
+    expect(sla.evaluate(late)).toMatchObject({
+      response_breached: false, resolution_breached: true, sla_status: 'breached'
+    });
+  });
+
+  it('counts a late resolution as breached and an on-time one as met', () => {
+    const resolved = { status: 'resolved', responded_at: minutesBefore(290) };
+    expect(sla.evaluate(incident(300, { ...resolved, resolved_at: minutesBefore(100) })).sla_status).toBe('met');
+    expect(sla.evaluate(incident(300, { ...resolved, resolved_at: minutesBefore(10) })).sla_status).toBe('breached');
+  });
+
+  it('has no SLA state without a policy', () => {
+    expect(sla.evaluate(incident(10, { response_due_at: null, resolution_due_at: null }))).toMatchObject({
+      response_breached: null, resolution_breached: null, sla_status: null
+    });
+  });
+});
+
+describe('incident SLA clocks', () => {
+  let db;
+  let clock;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    clock = slaService.clock;
+    slaService.clock = () => NOW;
+  });
+
+  afterEach(() => {
+    slaService.clock = clock;
+  });
+
+  it('escalates response and resolution breaches at the given time', async () => {
+    db.respond = (sql) => {
+      if (sql.includes('FOR UPDATE OF i SKIP LOCKED')) {
+        return {
+          rows: [
+            { id: 'due', location: 'DC1', datahall: 'H1', severity: 'high', escalation_level: 0, response_minutes: 60, resolution_minutes: 240, resolution_breached: false },
+            { id: 'late', location: 'DC1', datahall: 'H1', severity: 'critical', escalation_level: 1, response_minutes: 15, resolution_minutes: 120, resolution_breached: true }
+          ]
+        };
+      }
+      return { rows: [] };
+    };
+
+    const escalated = await incidentService.escalateBreaches();
+
+    expect(db.queries.find(query => query.sql.includes('SKIP LOCKED')).params).toEqual([NOW]);
+    expect(escalated.map(({ id, escalation_level }) => ({ id, escalation_level }))).toEqual([
+      { id: 'due', escalation_level: 1 },
+      { id: 'late', escalation_level: 2 }
+    ]);
+    const updates = db.queries.filter(query => query.sql.startsWith('UPDATE incidents SET escalation_level'));
+    expect(updates.map(query => query.params)).toEqual([['due', 1, NOW], ['late', 2, NOW]]);
+    const history = db.queries.filter(query => query.sql.startsWith('INSERT INTO incident_history'));
+    expect(history.map(query => query.params)).toEqual([
+      ['due', null, 'escalation', null, 'response', 'Response target of 60 minutes for high incidents breached'],
+      ['late', null, 'escalation', 'response', 'resolution', 'Resolution target of 120 minutes for critical incidents breached']
+    ]);
+  });
+
+  it('escalates nothing when no incident is past its targets', async () => {
+    expect(await incidentService.escalateBreaches()).toEqual([]);
+    expect(db.sql().some(sql => sql.startsWith('UPDATE incidents'))).toBe(false);
+  });
+
+  it('stamps status changes with the SLA clock', async () => {
+    db.respond = (sql) => {
+      if (sql.startsWith('SELECT * FROM incidents')) {
+        return { rows: [{ id: 'i1', status: 'in-progress', severity: 'high', description: 'PSU', user_id: 'u1', location: 'DC1', datahall: 'H1' }] };
+      }
+      if (sql.includes('WHERE i.id = $1')) return { rows: [incident(30, { status: 'resolved' })] };
+      return { rows: [] };
+    };
+
+    const result = await incidentService.update('i1', { status: 'resolved' }, { id: 'u1', role: 'technician' });
+
+    expect(result.success).toBe(true);
+    const update = db.queries.find(query => query.sql.startsWith('UPDATE incidents SET'));
+    expect(update.sql).toBe(
+      'UPDATE incidents SET status = $2, responded_at = COALESCE(responded_at, $3::timestamptz), resolved_at = $3::timestamptz WHERE id = $1'
+    );
+    expect(update.params).toEqual(['i1', 'resolved', NOW]);
+  });
+
+  it('does not bind the clock when a reopen only clears the resolution time', async () => {
+    db.respond = (sql) => {
+      if (sql.startsWith('SELECT * FROM incidents')) {
+        return { rows: [{ id: 'i1', status: 'resolved', severity: 'high', description: 'PSU', user_id: 'u1', location: 'DC1', datahall: 'H1' }] };
+      }
+      if (sql.includes('WHERE i.id = $1')) return { rows: [incident(30)] };
+      return { rows: [] };
+    };
+
+    await incidentService.update('i1', { status: 'open', reason: 'Failed again' }, { id: 'u1', role: 'technician' });
+
+    const update = db.queries.find(query => query.sql.startsWith('UPDATE incidents SET'));
+    expect(update.params).toEqual(['i1', 'open']);
+  });
+});
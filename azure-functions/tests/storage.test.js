@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalStorage, createStorage } = require('../shared/storage');
+
+describe('LocalStorage', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    storage = new LocalStorage(path.join(root, 'attachments'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('keeps files in subdirectories of its root', async () => {
+    await storage.put('incidents/i1/a1/psu.jpg', Buffer.from('photo'));
+
+    expect(fs.readFileSync(path.join(root, 'attachments/incidents/i1/a1/psu.jpg'), 'utf8')).toBe('photo');
+    expect((await storage.get('incidents/i1/a1/psu.jpg')).toString()).toBe('photo');
+
+    await storage.delete('incidents/i1/a1/psu.jpg');
+    expect(await storage.get('incidents/i1/a1/psu.jpg')).toBeNull();
+  });
+
+  it.each([
+    '../secret.txt',
+    'incidents/../../secret.txt',
+    '../attachments-other/secret.txt',
+    '/etc/passwd',
+    '.',
+    ''
+  ])('refuses the key %j, which is outside its root', async (key) => {
+    fs.writeFileSync(path.join(root, 'secret.txt'), 'secret');
+
+    expect(() => storage.resolve(key)).toThrow(`Invalid storage key: ${key}`);
+    await expect(storage.get(key)).rejects.toThrow('Invalid storage key');
+    await expect(storage.put(key, Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.delete(key)).rejects.toThrow('Invalid storage key');
+    expect(fs.readFileSync(path.join(root, 'secret.txt'), 'utf8')).toBe('secret');
+  });
+});
+
+describe('createStorage', () => {
+  it('uses the local disk outside production', () => {
+    expect(createStorage({ ATTACHMENT_STORAGE_PATH: '/tmp/x' })).toBeInstanceOf(LocalStorage);
+  });
+
+  it('needs a connection string for blob storage', () => {
+    expect(() => createStorage({ NODE_ENV: 'production' }))
+      .toThrow('ATTACHMENT_STORAGE_CONNECTION_STRING is required for blob attachment storage');
+  });
+
+  it('rejects an unknown backend', () => {
+    expect(() => createStorage({ ATTACHMENT_STORAGE: 's3' })).toThrow('Unknown ATTACHMENT_STORAGE backend: s3');
+  });
+});
@@ -0,0 +1,75 @@
+const { useFakeDatabase, loadFunction, httpRequest, context } = require('./helpers');
+const { authService } = require('../shared/auth');
+
+const { SubmitInspection } = loadFunction('SubmitInspection');
+const USER = { id: 'u1', email: 'sam@example.com', fullName: 'Sam Lee', role: 'technician' };
+const SUBMISSION_ID = '3f1c2a4e-8b7d-4c6a-9e5f-1a2b3c4d5e6f';
+const STORED = { Id: 'a1', Timestamp: '2024-01-15T10:00:00.000Z', walkthrough_id: 42, state: 'Healthy' };
+
+const submit = () => SubmitInspection(httpRequest('POST', 'SubmitInspection', {
+  body: {
+    userEmail: USER.email,
+    userFullName: USER.fullName,
+    datacenter: 'DC1',
+    datahall: 'H1',
+    reportData: { datahall: 'H1', racks: [] },
+    clientSubmissionId: SUBMISSION_ID
+  }
+}), context);
+
+const uniqueViolation = (constraint) => Object.assign(new Error('duplicate key value'), { code: '23505', constraint });
+
+describe('SubmitInspection replays', () => {
+  let db;
+  let stored;
+  let insertError;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    stored = false;
+    insertError = null;
+    db.respond = (sql) => {
+      if (sql.includes(`"ReportData"->>'clientSubmissionId' = $1`)) return { rows: stored ? [STORED] : [] };
+      if (sql.startsWith('SELECT id FROM incidents')) return { rows: [{ id: 'i1' }] };
+      if (sql.includes('FROM sites s')) return { rows: [{ site_id: 's1', data_hall_id: 'h1', rack_count: 0, known_racks: [] }] };
+      if (sql.startsWith('INSERT INTO "AuditReports"')) {
+        if (insertError) {
+          // The other request committed while this one was inserting
+          stored = true;
+          throw insertError;
+        }
+        return { rows: [{ Id: 'a2', Timestamp: STORED.Timestamp, walkthrough_id: 43 }] };
+      }
+      return { rows: [] };
+    };
+    jest.spyOn(authService, 'requireAuth').mockResolvedValue({ success: true, user: USER });
+  });
+
+  it('returns the stored walkthrough when the submission was already stored', async () => {
+    stored = true;
+
+    const response = await submit();
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body).data).toEqual({ ...STORED, incidentIds: ['i1'] });
+    expect(db.sql().some(sql => sql.startsWith('INSERT INTO "AuditReports"'))).toBe(false);
+  });
+
+  it('returns the stored walkthrough when a concurrent replay stored it first', async () => {
+    insertError = uniqueViolation('idx_audit_reports_client_submission');
+
+    const response = await submit();
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body).message).toBe('Inspection already submitted');
+    expect(JSON.parse(response.body).data).toEqual({ ...STORED, incidentIds: ['i1'] });
+  });
+
+  it('still reports other duplicates as a conflict', async () => {
+    insertError = uniqueViolation('AuditReports_walkthrough_id_key');
+
+    const response = await submit();
+
+    expect(response.status).toBe(409);
+  });
+});
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { useFakeDatabase } = require('./helpers');
+const { WebhookService, sign } = require('../shared/webhooks');
+const { schemas } = require('../shared/validation');
+
+const SECRET = 'whsec_test';
+const NOW = new Date('2024-01-15T12:00:00Z');
+const ADMIN = { id: 'u1', email: 'admin@example.com', role: 'admin' };
+
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address }));
+const publicLookup = resolvesTo('93.184.216.34');
+
+// What a receiver does: recompute the signature from the timestamp header and the raw body
+const verify = (secret, timestamp, body, signature) => {
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  return expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+describe('sign', () => {
+  it('is a sha256= prefixed hex HMAC over "<timestamp>.<body>"', () => {
+    // printf '%s' '1700000000.{"a":1}' | openssl dgst -sha256 -hmac secret
+    expect(sign('secret', 1700000000, '{"a":1}'))
+      .toBe('sha256=49f24e537407743fa4a0242bb63b94b9a47ee99cbbe071ccd8a22550ae411686');
+  });
+
+  it('changes with the secret, the timestamp and the body', () => {
+    const signature = sign(SECRET, 1700000000, '{"a":1}');
+
+    expect(sign('whsec_other', 1700000000, '{"a":1}')).not.toBe(signature);
+    expect(sign(SECRET, 1700000001, '{"a":1}')).not.toBe(signature);
+    expect(sign(SECRET, 1700000000, '{"a":2}')).not.toBe(signature);
+  });
+});
+
+describe('WebhookService.send', () => {
+  let db;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    db.respond = (sql, params) => (sql.startsWith('UPDATE webhook_deliveries') ? { rows: [{ id: params[0], status: params[1] }] } : { rows: [] });
+  });
+
+  const delivery = {
+    id: 'd1', event: 'incident.created', attempts: 0, url: 'https://receiver.example.com/hook', secret: SECRET,
+    payload: { id: 'e1', event: 'incident.created', occurredAt: NOW.toISOString(), data: { incident: { id: 'i1' } } }
+  };
+
+  it('signs the exact body it sends with the send time', async () => {
+    const fetchImpl = jest.fn(async () => ({ ok: true, status: 204 }));
+    const service = new WebhookService({ fetchImpl, clock: () => NOW, lookup: publicLookup });
+
+    expect(await service.send(delivery)).toEqual({ id: 'd1', status: 'sent' });
+
+    const [url, request] = fetchImpl.mock.calls[0];
+    expect(url).toBe(delivery.url);
+    expect(request.body).toBe(JSON.stringify(delivery.payload));
+    expect(request.headers).toMatchObject({
+      'X-DAT-Bolt-Event': 'incident.created',
+      'X-DAT-Bolt-Delivery': 'd1',
+      'X-DAT-Bolt-Timestamp': String(NOW.getTime() / 1000)
+    });
+    const { 'X-DAT-Bolt-Timestamp': timestamp, 'X-DAT-Bolt-Signature': signature } = request.headers;
+    expect(verify(SECRET, timestamp, request.body, signature)).toBe(true);
+    expect(verify('whsec_other', timestamp, request.body, signature)).toBe(false);
+  });
+
+  it('schedules a retry with backoff when the receiver rejects the delivery', async () => {
+    const fetchImpl = async () => ({ ok: false, status: 401, statusText: 'Unauthorized', text: async () => 'bad signature' });
+    const service = new WebhookService({ fetchImpl, clock: () => NOW, lookup: publicLookup });
+
+    await service.send({ ...delivery, attempts: 2 });
+
+    expect(db.queries[0].params).toEqual([
+      'd1', 'pending', 3, 401, 'Endpoint responded 401 Unauthorized', NOW, new Date('2024-01-15T12:04:00Z')
+    ]);
+  });
+
+  it('does not follow redirects', async () => {
+    const fetchImpl = jest.fn(async () => ({ ok: false, status: 302, statusText: 'Found', headers: new Headers({ location: 'http://169.254.169.254/' }) }));
+    const service = new WebhookService({ fetchImpl, clock: () => NOW, lookup: publicLookup });
+
+    await service.send(delivery);
+
+    expect(fetchImpl.mock.calls[0][1].redirect).toBe('manual');
+    expect(db.queries[0].params.slice(1, 5)).toEqual(['pending', 1, 302, 'Endpoint responded 302; redirects are not followed']);
+  });
+
+  it.each([
+    ['a private', '10.0.0.5'],
+    ['a loopback', '127.0.0.1'],
+    ['the metadata service', '169.254.169.254']
+  ])('does not send to a host that now resolves to %s address', async (_, address) => {
+    const fetchImpl = jest.fn();
+    const service = new WebhookService({ fetchImpl, clock: () => NOW, lookup: resolvesTo(address) });
+
+    await service.send(delivery);
+
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(db.queries[0].params.slice(1, 5)).toEqual(['pending', 1, null, 'The URL must point to a public address']);
+  });
+});
+
+describe('webhook subscription URLs', () => {
+  let db;
+
+  beforeEach(() => {
+    db = useFakeDatabase();
+    db.respond = (sql) => (sql.startsWith('SELECT * FROM webhook_subscriptions') ? { rows: [{ id: 'w1', url: 'https://receiver.example.com/hook' }] } : { rows: [{ id: 'w1' }] });
+  });
+
+  const subscription = { name: 'Ticketing', url: 'https://receiver.example.com/hook', events: ['incident.created'], isActive: true };
+
+  it('must use https', () => {
+    expect(schemas.webhookSubscription.validate({ ...subscription, url: 'http://receiver.example.com/hook' }).error).toBeDefined();
+    expect(schemas.webhookSubscriptionUpdate.validate({ url: 'http://receiver.example.com/hook' }).error).toBeDefined();
+  });
+
+  it('creates a subscription to a public host', async () => {
+    const service = new WebhookService({ lookup: publicLookup });
+
+    expect(await service.createSubscription(subscription, ADMIN)).toEqual({ success: true, subscription: { id: 'w1' } });
+  });
+
+  it.each([
+    ['https://10.0.0.5/hook', publicLookup],
+    ['https://[::1]/hook', publicLookup],
+    ['https://internal.example.com/hook', resolvesTo('93.184.216.34', '192.168.1.10')],
+    ['https://localhost/hook', resolvesTo('127.0.0.1')]
+  ])('rejects %s on create and update', async (url, lookup) => {
+    const service = new WebhookService({ lookup });
+    const rejected = { success: false, message: 'Webhook URL rejected: The URL must point to a public address', status: 400 };
+
+    expect(await service.createSubscription({ ...subscription, url }, ADMIN)).toEqual(rejected);
+    expect(await service.updateSubscription('w1', { url })).toEqual(rejected);
+    expect(db.queries).toEqual([]);
+  });
+});
@@ -8,9 +8,18 @@
 -- Using built-in PostgreSQL functions (no extensions needed)
 
 -- Create enums
-CREATE TYPE activity_type AS ENUM ('inspection', 'issue', 'report');
+CREATE TYPE activity_type AS ENUM ('inspection', 'issue', 'report', 'comment', 'update');
 CREATE TYPE incident_severity AS ENUM ('critical', 'high', 'medium', 'low');
 CREATE TYPE incident_status AS ENUM ('open', 'in-progress', 'resolved');
+CREATE TYPE user_role AS ENUM ('technician', 'supervisor', 'admin');
+
+-- Create teams table (groups of users incidents can be assigned to)
+CREATE TABLE IF NOT EXISTS teams (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text UNIQUE NOT NULL,
+  is_active boolean DEFAULT true NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL
+);
 
 -- Create users table (replaces Supabase auth.users)
 CREATE TABLE IF NOT EXISTS users (
@@ -25,12 +34,28 @@ CREATE TABLE IF NOT EXISTS users (
   updated_at timestamptz DEFAULT now() NOT NULL,
   last_sign_in_at timestamptz,
   email_confirmed_at timestamptz,
-  is_active boolean DEFAULT true NOT NULL
+  is_active boolean DEFAULT true NOT NULL,
+  role user_role DEFAULT 'technician' NOT NULL,
+  team_id uuid REFERENCES teams(id) ON DELETE SET NULL
+);
+
+-- Create refresh_tokens table (rotating refresh tokens for API sessions)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  token_hash text UNIQUE NOT NULL,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  revoked_at timestamptz,
+  replaced_by uuid REFERENCES refresh_tokens(id) ON DELETE SET NULL
 );
 
 -- Create indexes for users table
 CREATE INDEX users_email_idx ON users(email);
 CREATE INDEX users_created_at_idx ON users(created_at DESC);
+CREATE INDEX users_role_idx ON users(role);
+CREATE INDEX users_team_id_idx ON users(team_id);
+CREATE INDEX refresh_tokens_user_id_idx ON refresh_tokens(user_id);
 
 -- Create user_profiles table
 CREATE TABLE IF NOT EXISTS user_profiles (
@@ -60,6 +85,17 @@ CREATE TABLE IF NOT EXISTS user_stats (
   updated_at timestamptz DEFAULT now() NOT NULL
 );
 
+-- Create notification_preferences table (users without a row get the defaults)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id uuid PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  events text[] DEFAULT '{incident.critical,incident.sla_breach}' NOT NULL,
+  email_enabled boolean DEFAULT true NOT NULL,
+  webhook_url text,
+  webhook_format text DEFAULT 'generic' NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT notification_preferences_webhook_format_check CHECK (webhook_format IN ('generic', 'slack', 'teams'))
+);
+
 -- Create AuditReports table (main table for audit data)
 CREATE TABLE IF NOT EXISTS "AuditReports" (
   "Id" uuid PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -70,10 +106,12 @@ CREATE TABLE IF NOT EXISTS "AuditReports" (
   "datahall" text NOT NULL,
   "issues_reported" integer DEFAULT 0 NOT NULL,
   "state" text DEFAULT 'Healthy' NOT NULL,
-  "walkthrough_id" integer NOT NULL,
+  -- Assigned from the identity sequence unless a walkthrough id is supplied (e.g. migrated data)
+  "walkthrough_id" integer GENERATED BY DEFAULT AS IDENTITY NOT NULL,
   "user_full_name" text NOT NULL,
   "ReportData" jsonb DEFAULT '{}' NOT NULL,
-  CONSTRAINT state_check CHECK ("state" IN ('Healthy', 'Warning', 'Critical'))
+  CONSTRAINT state_check CHECK ("state" IN ('Healthy', 'Warning', 'Critical')),
+  CONSTRAINT audit_reports_walkthrough_id_key UNIQUE ("walkthrough_id")
 );
 
 -- Create incidents table
@@ -86,7 +124,37 @@ CREATE TABLE IF NOT EXISTS incidents (
   status incident_status DEFAULT 'open' NOT NULL,
   created_at timestamptz DEFAULT now() NOT NULL,
   updated_at timestamptz DEFAULT now() NOT NULL,
-  user_id uuid REFERENCES users(id) ON DELETE SET NULL
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  -- Device details for incidents raised from a walkthrough, one incident per impacted device
+  rack_number text,
+  part_type text,
+  part_identifier text,
+  u_height text,
+  comments text,
+  walkthrough_id integer,
+  audit_report_id uuid REFERENCES "AuditReports"("Id") ON DELETE SET NULL,
+  -- Owner of the fault: a user, a team or both
+  assignee_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  team_id uuid REFERENCES teams(id) ON DELETE SET NULL,
+  assigned_at timestamptz,
+  -- SLA clocks: first left "open", reached "resolved"; escalation 1 = response, 2 = resolution missed
+  responded_at timestamptz,
+  resolved_at timestamptz,
+  escalation_level smallint DEFAULT 0 NOT NULL,
+  escalated_at timestamptz,
+  CONSTRAINT part_type_check CHECK (part_type IN ('PSU', 'PDU', 'RDHX', 'Other'))
+);
+
+-- Create incident_history table (audit trail of incident changes)
+CREATE TABLE IF NOT EXISTS incident_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id uuid REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+  changed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  field text NOT NULL,
+  old_value text,
+  new_value text,
+  reason text,
+  created_at timestamptz DEFAULT now() NOT NULL
 );
 
 -- Create reports table
@@ -106,6 +174,101 @@ CREATE TABLE IF NOT EXISTS reports (
   CONSTRAINT type_check CHECK (status IN ('draft', 'published', 'archived'))
 );
 
+-- Create inventory tables (sites, data halls and racks offered in location pickers)
+-- Audit reports and incidents reference them by name, so entries are deactivated rather than deleted
+CREATE TABLE IF NOT EXISTS sites (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text UNIQUE NOT NULL,
+  is_active boolean DEFAULT true NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS data_halls (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_id uuid REFERENCES sites(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  is_active boolean DEFAULT true NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT data_halls_site_id_name_key UNIQUE (site_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS racks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  data_hall_id uuid REFERENCES data_halls(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  row_label text,
+  position integer,
+  rack_type text,
+  is_active boolean DEFAULT true NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT racks_data_hall_id_name_key UNIQUE (data_hall_id, name)
+);
+
+-- Create sla_policies table (response and resolution targets per severity, in minutes)
+CREATE TABLE IF NOT EXISTS sla_policies (
+  severity incident_severity PRIMARY KEY,
+  response_minutes integer NOT NULL CHECK (response_minutes > 0),
+  resolution_minutes integer NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT sla_policies_resolution_check CHECK (resolution_minutes >= response_minutes)
+);
+
+-- Create severity_rules table (ordered rules classifying walkthrough incidents; first match wins)
+CREATE TABLE IF NOT EXISTS severity_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  position integer NOT NULL,
+  name text NOT NULL,
+  part_type text NOT NULL,
+  field text NOT NULL,
+  value text NOT NULL,
+  min_per_rack integer DEFAULT 1 NOT NULL CHECK (min_per_rack > 0),
+  severity incident_severity NOT NULL,
+  is_active boolean DEFAULT true NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT severity_rules_part_type_check CHECK (part_type IN ('PSU', 'PDU', 'RDHX')),
+  CONSTRAINT severity_rules_field_check CHECK (field IN ('status', 'fanState', 'valveState', 'leakState'))
+);
+
+-- Create incident_comments table (comment thread; replies point at their parent comment)
+CREATE TABLE IF NOT EXISTS incident_comments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id uuid NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  parent_id uuid REFERENCES incident_comments(id) ON DELETE CASCADE,
+  author_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  body text NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL
+);
+
+-- Create attachments table (photos and files on incidents and walkthroughs)
+-- Files live in the attachment storage backend; walkthrough attachments can name their rack
+CREATE TABLE IF NOT EXISTS attachments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id uuid REFERENCES incidents(id) ON DELETE CASCADE,
+  audit_report_id uuid REFERENCES "AuditReports"("Id") ON DELETE CASCADE,
+  rack_location text,
+  file_name text NOT NULL,
+  content_type text NOT NULL,
+  size_bytes integer NOT NULL,
+  storage_key text NOT NULL,
+  thumbnail_key text,
+  comment_id uuid REFERENCES incident_comments(id) ON DELETE SET NULL,
+  uploaded_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT attachments_owner_check CHECK ((incident_id IS NULL) <> (audit_report_id IS NULL)),
+  CONSTRAINT attachments_storage_key_key UNIQUE (storage_key)
+);
+
+-- Create schema_migrations table (maintained by migrate.js)
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version text PRIMARY KEY,
+  name text NOT NULL,
+  checksum text NOT NULL,
+  applied_at timestamptz DEFAULT now() NOT NULL
+);
+
 -- Create indexes for performance
 -- AuditReports indexes
 CREATE INDEX idx_audit_reports_timestamp ON "AuditReports"("Timestamp" DESC);
@@ -114,6 +277,8 @@ CREATE INDEX idx_audit_reports_datahall ON "AuditReports"("datahall");
 CREATE INDEX idx_audit_reports_state ON "AuditReports"("state");
 CREATE INDEX idx_audit_reports_walkthrough_id ON "AuditReports"("walkthrough_id");
 CREATE INDEX idx_audit_reports_user_email ON "AuditReports"("UserEmail");
+-- Offline submissions are replayed with the same client id; keeps them from being stored twice
+CREATE UNIQUE INDEX idx_audit_reports_client_submission ON "AuditReports"(("ReportData"->>'clientSubmissionId'));
 
 -- User activities indexes
 CREATE INDEX user_activities_user_id_idx ON user_activities(user_id);
@@ -125,14 +290,107 @@ CREATE INDEX incidents_user_id_idx ON incidents(user_id);
 CREATE INDEX incidents_status_idx ON incidents(status);
 CREATE INDEX incidents_severity_idx ON incidents(severity);
 CREATE INDEX incidents_created_at_idx ON incidents(created_at DESC);
+CREATE INDEX incidents_audit_report_id_idx ON incidents(audit_report_id);
+CREATE INDEX incidents_assignee_id_idx ON incidents(assignee_id);
+CREATE INDEX incidents_team_id_idx ON incidents(team_id);
+CREATE INDEX incidents_escalation_idx ON incidents(status, escalation_level);
 CREATE INDEX incidents_description_idx ON incidents USING gin(to_tsvector('english', description));
 
+-- Incident history indexes
+CREATE INDEX incident_history_incident_id_idx ON incident_history(incident_id, created_at);
+
+-- Incident comments indexes
+CREATE INDEX incident_comments_incident_id_idx ON incident_comments(incident_id, created_at);
+
+-- Attachments indexes
+CREATE INDEX attachments_incident_id_idx ON attachments(incident_id);
+CREATE INDEX attachments_audit_report_id_idx ON attachments(audit_report_id, rack_location);
+CREATE INDEX attachments_comment_id_idx ON attachments(comment_id);
+
 -- Reports indexes
 CREATE INDEX reports_generated_by_idx ON reports(generated_by);
 CREATE INDEX reports_generated_at_idx ON reports(generated_at DESC);
 CREATE INDEX reports_date_range_idx ON reports(date_range_start, date_range_end);
 CREATE INDEX reports_status_idx ON reports(status);
 
+-- Create notification_deliveries table (one row per message and target, retried while pending)
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event text NOT NULL,
+  incident_id uuid REFERENCES incidents(id) ON DELETE SET NULL,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  channel text NOT NULL,
+  format text,
+  target text NOT NULL,
+  subject text NOT NULL,
+  body text NOT NULL,
+  payload jsonb DEFAULT '{}' NOT NULL,
+  status text DEFAULT 'pending' NOT NULL,
+  attempts integer DEFAULT 0 NOT NULL,
+  last_error text,
+  next_attempt_at timestamptz DEFAULT now() NOT NULL,
+  sent_at timestamptz,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT notification_deliveries_channel_check CHECK (channel IN ('email', 'webhook')),
+  CONSTRAINT notification_deliveries_status_check CHECK (status IN ('pending', 'sent', 'failed'))
+);
+
+CREATE INDEX notification_deliveries_pending_idx ON notification_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX notification_deliveries_incident_id_idx ON notification_deliveries(incident_id);
+CREATE INDEX notification_deliveries_created_at_idx ON notification_deliveries(created_at DESC);
+
+-- Create user_notifications table (in-app notifications linking to an incident, walkthrough or report)
+CREATE TABLE IF NOT EXISTS user_notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  type text NOT NULL,
+  title text NOT NULL,
+  body text DEFAULT '' NOT NULL,
+  subject_type text NOT NULL,
+  subject_id uuid NOT NULL,
+  read_at timestamptz,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT user_notifications_type_check CHECK (type IN ('incident.assigned', 'walkthrough.critical', 'report.published')),
+  CONSTRAINT user_notifications_subject_type_check CHECK (subject_type IN ('incident', 'walkthrough', 'report'))
+);
+
+CREATE INDEX user_notifications_user_id_idx ON user_notifications(user_id, created_at DESC);
+CREATE INDEX user_notifications_unread_idx ON user_notifications(user_id) WHERE read_at IS NULL;
+
+-- Create webhook_subscriptions table (admin-registered endpoints for outbound events)
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  url text NOT NULL,
+  secret text NOT NULL,
+  events text[] NOT NULL,
+  is_active boolean DEFAULT true NOT NULL,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+-- Create webhook_deliveries table (one row per event and subscription, retried while pending)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id uuid REFERENCES webhook_subscriptions(id) ON DELETE CASCADE NOT NULL,
+  event text NOT NULL,
+  event_id uuid NOT NULL,
+  payload jsonb NOT NULL,
+  status text DEFAULT 'pending' NOT NULL,
+  attempts integer DEFAULT 0 NOT NULL,
+  response_status integer,
+  last_error text,
+  next_attempt_at timestamptz DEFAULT now() NOT NULL,
+  sent_at timestamptz,
+  redelivery_of uuid REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT webhook_deliveries_status_check CHECK (status IN ('pending', 'sent', 'failed'))
+);
+
+CREATE INDEX webhook_deliveries_pending_idx ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX webhook_deliveries_subscription_id_idx ON webhook_deliveries(subscription_id, created_at DESC);
+
 -- Create updated_at trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -163,6 +421,21 @@ CREATE TRIGGER set_incidents_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_sites_updated_at
+  BEFORE UPDATE ON sites
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_data_halls_updated_at
+  BEFORE UPDATE ON data_halls
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_racks_updated_at
+  BEFORE UPDATE ON racks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
 -- Create functions for common operations
 -- Function to create or update user profile
 CREATE OR REPLACE FUNCTION upsert_user_profile(
@@ -248,18 +521,163 @@ LEFT JOIN user_profiles up ON u.id = up.user_id
 LEFT JOIN user_stats us ON u.id = us.user_id
 WHERE u.is_active = true;
 
+-- Default SLA targets
+INSERT INTO sla_policies (severity, response_minutes, resolution_minutes) VALUES
+  ('critical', 15, 240),
+  ('high', 60, 1440),
+  ('medium', 240, 4320),
+  ('low', 1440, 10080)
+ON CONFLICT (severity) DO NOTHING;
+
+-- Default severity rules
+INSERT INTO severity_rules (position, name, part_type, field, value, min_per_rack, severity)
+SELECT * FROM (VALUES
+  (1, 'Several PSUs powered off in one rack', 'PSU', 'status', 'Powered-Off', 2, 'critical'::incident_severity),
+  (2, 'RDHX leak detected', 'RDHX', 'status', 'Leak Detected', 1, 'critical'::incident_severity),
+  (3, 'RDHX active leak', 'RDHX', 'leakState', 'Active Leak', 1, 'critical'::incident_severity),
+  (4, 'PDU breaker tripped', 'PDU', 'status', 'Breaker Tripped', 1, 'high'::incident_severity),
+  (5, 'PDU powered off', 'PDU', 'status', 'Powered-Off', 1, 'high'::incident_severity),
+  (6, 'PSU powered off', 'PSU', 'status', 'Powered-Off', 1, 'high'::incident_severity),
+  (7, 'RDHX fans failed', 'RDHX', 'fanState', 'Failed', 1, 'high'::incident_severity),
+  (8, 'RDHX moisture', 'RDHX', 'leakState', 'Moisture', 1, 'high'::incident_severity),
+  (9, 'PSU amber LED', 'PSU', 'status', 'Amber LED', 1, 'low'::incident_severity)
+) AS defaults
+WHERE NOT EXISTS (SELECT 1 FROM severity_rules);
+
+-- Seed the inventory with the locations the UI shipped with
+-- (the original rack lists all belong to the Canada - Quebec halls)
+INSERT INTO sites (name) VALUES
+  ('Canada - Quebec'),
+  ('Norway - Enebakk'),
+  ('Norway - Rjukan'),
+  ('United States - Dallas'),
+  ('United States - Houston')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO data_halls (site_id, name)
+SELECT s.id, h.name
+FROM (VALUES
+  ('Canada - Quebec', 'Island 1'),
+  ('Canada - Quebec', 'Island 8'),
+  ('Canada - Quebec', 'Island 9'),
+  ('Canada - Quebec', 'Island 10'),
+  ('Canada - Quebec', 'Island 11'),
+  ('Canada - Quebec', 'Island 12'),
+  ('Canada - Quebec', 'Green Nitrogen'),
+  ('Norway - Enebakk', 'Flying Whale'),
+  ('Norway - Rjukan', 'Flying Whale'),
+  ('United States - Dallas', 'Island 1'),
+  ('United States - Dallas', 'Island 2'),
+  ('United States - Dallas', 'Island 3'),
+  ('United States - Dallas', 'Island 4'),
+  ('United States - Houston', 'H20 Lab')
+) AS h(site, name)
+JOIN sites s ON s.name = h.site
+ON CONFLICT (site_id, name) DO NOTHING;
+
+INSERT INTO racks (data_hall_id, name)
+SELECT dh.id, r.name
+FROM (VALUES
+  ('Island 1', ARRAY[
+    'X2401', 'X2402', 'X2403', 'X2404', 'X2405', 'X2406', 'X2407', 'X2408', 'X2409', 'X2410',
+    'X2411', 'X2412', 'X2413', 'X2414', 'X2415', 'X2416', 'X2501', 'X2502', 'X2503', 'X2504',
+    'X2505', 'X2506', 'X2507', 'X2508', 'X2509', 'X2510', 'X2511', 'X2512', 'X2513', 'X2514',
+    'X2515', 'X2516', 'X2601', 'X2602', 'X2603', 'X2604', 'X2605', 'X2606', 'X2607', 'X2608',
+    'X2609', 'X2610', 'X2611', 'X2612', 'X2613', 'X2614', 'X2615', 'X2616', 'X2701', 'X2702',
+    'X2703', 'X2704', 'X2705', 'X2706', 'X2707', 'X2708', 'X2709', 'X2710', 'X2711', 'X2712',
+    'X2713', 'X2714', 'X2715', 'X2716', 'X2801', 'X2802', 'X2803', 'X2804', 'X2805', 'X2806',
+    'X2807', 'X2808', 'X2809', 'X2810', 'X2811', 'X2812', 'X2813', 'X2814', 'X2815', 'X2816',
+    'X2901', 'X2902', 'X2903', 'X2904', 'X2905', 'X2906', 'X2907', 'X2908', 'X2909', 'X2910',
+    'X2911', 'X2912', 'X2913', 'X2914', 'X2915', 'X2916'
+  ]),
+  ('Island 8', ARRAY[
+    'X2101', 'X2102', 'X2103', 'X2104', 'X2105', 'X2106', 'X2107', 'X2108', 'X2109', 'X2110',
+    'X2111', 'X2112', 'X2113', 'X2114', 'X2115', 'X2116', 'X2201', 'X2202', 'X2206', 'X2207',
+    'X2208', 'X2209', 'X2210', 'X2215', 'X2216', 'X2301', 'X2302', 'X2303', 'X2304', 'X2305',
+    'X2306', 'X2307', 'X2308', 'X2309', 'X2310', 'X2311', 'X2312', 'X2313', 'X2314', 'X2315',
+    'X2316'
+  ]),
+  ('Island 9', ARRAY[
+    'X230101', 'X230102', 'X230103', 'X230104', 'X230105', 'X230106', 'X230107', 'X230108', 'X230109', 'X230110',
+    'X230111', 'X230112', 'X230113', 'X230114', 'X230115', 'X230116', 'X230117', 'X230118', 'X230201', 'X230202',
+    'X230203', 'X230204', 'X230205', 'X230206', 'X230207', 'X230208', 'X230209', 'X230210', 'X230211', 'X230212',
+    'X230213', 'X230214', 'X230215', 'X230216', 'X230217', 'X230218', 'X230301', 'X230302', 'X230303', 'X230304',
+    'X230305', 'X230306', 'X230307', 'X230308', 'X230309', 'X230310', 'X230311', 'X230312', 'X230313', 'X230314',
+    'X230315', 'X230316', 'X230317', 'X230318', 'X230319', 'X230401', 'X230402', 'X230403', 'X230404', 'X230405',
+    'X230406', 'X230407', 'X230408', 'X230409', 'X230410', 'X230411', 'X230412', 'X230413', 'X230414', 'X230415',
+    'X230416', 'X230417', 'X230418'
+  ]),
+  ('Island 10', ARRAY[
+    'X230501', 'X230502', 'X230503', 'X230504', 'X230505', 'X230506', 'X230507', 'X230508', 'X230509', 'X230510',
+    'X230511', 'X230512', 'X230513', 'X230514', 'X230515', 'X230516', 'X230517', 'X230518', 'X230601', 'X230602',
+    'X230603', 'X230604', 'X230605', 'X230606', 'X230607', 'X230608', 'X230609', 'X230610', 'X230611', 'X230612',
+    'X230613', 'X230614', 'X230615', 'X230616', 'X230617', 'X230618', 'X230701', 'X230702', 'X230703', 'X230704',
+    'X230705', 'X230706', 'X230707', 'X230708', 'X230709', 'X230710', 'X230711', 'X230712', 'X230713', 'X230714',
+    'X230715', 'X230716', 'X230717', 'X230718', 'X230719', 'X230801', 'X230802', 'X230803', 'X230804', 'X230805',
+    'X230806', 'X230807', 'X230808', 'X230809', 'X230810', 'X230811', 'X230812', 'X230813', 'X230814', 'X230815',
+    'X230816', 'X230817', 'X230818'
+  ]),
+  ('Island 11', ARRAY[
+    'X230901', 'X230902', 'X230903', 'X230904', 'X230905', 'X230906', 'X230907', 'X230908', 'X230909', 'X230910',
+    'X230911', 'X230912', 'X230913', 'X230914', 'X230915', 'X230916', 'X230917', 'X230918', 'X230919', 'X231001',
+    'X231002', 'X231003', 'X231004', 'X231005', 'X231006', 'X231007', 'X231008', 'X231009', 'X231010', 'X231011',
+    'X231012', 'X231013', 'X231014', 'X231015', 'X231016', 'X231017', 'X231018', 'X231101', 'X231102', 'X231103',
+    'X231104', 'X231105', 'X231106', 'X231107', 'X231108', 'X231109', 'X231110', 'X231111', 'X231112', 'X231113',
+    'X231114', 'X231115', 'X231116', 'X231117', 'X231118', 'X231201', 'X231202', 'X231203', 'X231204', 'X231205',
+    'X231206', 'X231207', 'X231208', 'X231209', 'X231210', 'X231211', 'X231212', 'X231213', 'X231214', 'X231215',
+    'X231216', 'X231217', 'X231218'
+  ]),
+  ('Island 12', ARRAY[
+    'X221301', 'X221302', 'X221303', 'X221304', 'X221305', 'X221306', 'X221307', 'X221308', 'X221309', 'X221310',
+    'X221311', 'X221312', 'X221313', 'X221314', 'X221315', 'X221316', 'X221317', 'X221318', 'X221319', 'X221320',
+    'X221321', 'X221322', 'X221323', 'X221324', 'X221325', 'X221401', 'X221402', 'X221403', 'X221404', 'X221405',
+    'X221406', 'X221407', 'X221408', 'X221409', 'X221410', 'X221411', 'X221412', 'X221413', 'X221414', 'X221415',
+    'X221416', 'X221417', 'X221418', 'X221501', 'X221502', 'X221503', 'X221504', 'X221505', 'X221506', 'X221507',
+    'X221508', 'X221509', 'X221510', 'X221511', 'X221512', 'X221513', 'X221514', 'X221515', 'X221516', 'X221517',
+    'X221518', 'X221601', 'X221602', 'X221603', 'X221604', 'X221605', 'X221606', 'X221607', 'X221608', 'X221609',
+    'X221610', 'X221611', 'X221612', 'X221613', 'X221614', 'X221615', 'X221616', 'X221617', 'X221618'
+  ]),
+  ('Green Nitrogen', ARRAY[
+    'X3401', 'X3402', 'X3403', 'X3404', 'X3405', 'X3406', 'X3407', 'X3408', 'X3409', 'X3410',
+    'X3411', 'X3412', 'X3413', 'X3414', 'X3415', 'X3416', 'X3502', 'X3504', 'X3505', 'X3507',
+    'X3508', 'X3509', 'X3510', 'X3512', 'X3513', 'X3514', 'X3515', 'X3516', 'X3701', 'X3702',
+    'X3703', 'X3704', 'X3801', 'X3802', 'X3803', 'X3804', 'X3805', 'X3806', 'X3807', 'X3808',
+    'X3809', 'X3810', 'X3811', 'X3812', 'X3813', 'X3814', 'X3815', 'X3816'
+  ])
+) AS v(hall, names)
+CROSS JOIN LATERAL unnest(v.names) AS r(name)
+JOIN data_halls dh ON dh.name = v.hall
+JOIN sites s ON s.id = dh.site_id AND s.name = 'Canada - Quebec'
+ON CONFLICT (data_hall_id, name) DO NOTHING;
+
+-- Row and position come from the rack id: X2401 is row 24, position 1; X230101 is row 2301, position 1
+UPDATE racks
+SET row_label = substr(name, 2, length(name) - 3),
+    position = substr(name, length(name) - 1, 2)::integer
+WHERE row_label IS NULL
+  AND name ~ '^X([0-9]{4}|[0-9]{6})$';
+
 -- Note: Admin user creation removed due to Azure PostgreSQL limitations
 -- Admin users should be created through the application after deployment
 -- The application will handle password hashing using Node.js libraries
 
 -- Add comments for documentation
 COMMENT ON TABLE users IS 'Main users table replacing Supabase auth.users';
+COMMENT ON COLUMN users.role IS 'Access level: technician < supervisor < admin';
+COMMENT ON TABLE refresh_tokens IS 'Hashed refresh tokens with rotation and revocation';
 COMMENT ON TABLE user_profiles IS 'Extended user profile information';
 COMMENT ON TABLE user_activities IS 'Log of user activities for audit trail';
 COMMENT ON TABLE user_stats IS 'User statistics and metrics';
 COMMENT ON TABLE "AuditReports" IS 'Main audit reports data';
 COMMENT ON TABLE incidents IS 'Incident tracking and management';
+COMMENT ON TABLE incident_history IS 'Status, severity and description changes per incident';
 COMMENT ON TABLE reports IS 'Generated reports and analytics';
+COMMENT ON TABLE sites IS 'Data center sites offered in location pickers';
+COMMENT ON TABLE data_halls IS 'Data halls per site';
+COMMENT ON TABLE racks IS 'Racks per data hall; walkthrough rack numbers are checked against this list';
+COMMENT ON COLUMN racks.row_label IS 'Row the rack stands in, e.g. 24 for X2401';
+COMMENT ON COLUMN racks.position IS 'Position of the rack within its row';
+COMMENT ON TABLE schema_migrations IS 'Files in migrations/ applied to this database, with the checksum of each up file';
 
 COMMENT ON FUNCTION upsert_user_profile IS 'Creates or updates user profile information';
 COMMENT ON FUNCTION log_user_activity IS 'Logs user activity and updates statistics';
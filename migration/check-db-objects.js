@@ -1,7 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * Lists the objects in the database and checks them against the expected model in schema-model.js.
+ *
+ * Usage: node check-db-objects.js [--drift-only]
+ *
+ * Connects to AZURE_POSTGRESQL_CONNECTION_STRING when it is set, otherwise to the dev server.
+ * Exits with code 1 when the database has drifted from the model.
+ */
+
+require('dotenv').config();
+
 const { Client } = require('pg');
+const model = require('./schema-model');
 
-async function checkDatabaseObjects() {
-  const client = new Client({
+const driftOnly = process.argv.includes('--drift-only');
+
+function createClient() {
+  if (process.env.AZURE_POSTGRESQL_CONNECTION_STRING) {
+    return new Client({
+      connectionString: process.env.AZURE_POSTGRESQL_CONNECTION_STRING,
+      ssl: { rejectUnauthorized: false }
+    });
+  }
+
+  return new Client({
     host: 'psql-dat-bolt-dev-61206194.postgres.database.azure.com',
     port: 5432,
     user: 'datboltadmin',
@@ -9,56 +32,208 @@ async function checkDatabaseObjects() {
     database: 'dat_bolt_db',
     ssl: { rejectUnauthorized: false }
   });
+}
+
+async function listObjects(client) {
+  // Check tables
+  const tables = await client.query(`
+    SELECT table_name
+    FROM information_schema.tables
+    WHERE table_schema = 'public'
+    ORDER BY table_name
+  `);
+  console.log('\n📊 Tables:', tables.rows.length);
+  tables.rows.forEach(row => console.log(`  - ${row.table_name}`));
+
+  // Check enums/types
+  const types = await client.query(`
+    SELECT typname as type_name, typtype as type_type
+    FROM pg_type
+    WHERE typnamespace = (SELECT oid FROM pg_namespace WHERE nspname = 'public')
+    ORDER BY typname
+  `);
+  console.log('\n🏷️ Custom Types:', types.rows.length);
+  types.rows.forEach(row => console.log(`  - ${row.type_name} (${row.type_type})`));
+
+  // Check functions
+  const functions = await client.query(`
+    SELECT routine_name
+    FROM information_schema.routines
+    WHERE routine_schema = 'public'
+    ORDER BY routine_name
+  `);
+  console.log('\n⚙️ Functions:', functions.rows.length);
+  functions.rows.forEach(row => console.log(`  - ${row.routine_name}`));
+
+  // Check views
+  const views = await client.query(`
+    SELECT table_name
+    FROM information_schema.views
+    WHERE table_schema = 'public'
+    ORDER BY table_name
+  `);
+  console.log('\n👁️ Views:', views.rows.length);
+  views.rows.forEach(row => console.log(`  - ${row.table_name}`));
+}
+
+async function readLiveModel(client) {
+  const columns = await client.query(`
+    SELECT c.table_name, c.column_name, c.udt_name, c.is_nullable, c.is_identity
+    FROM information_schema.columns c
+    JOIN information_schema.tables t
+      ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+    WHERE c.table_schema = 'public' AND t.table_type = 'BASE TABLE'
+  `);
+
+  const enums = await client.query(`
+    SELECT t.typname, array_agg(e.enumlabel ORDER BY e.enumsortorder) AS labels
+    FROM pg_type t
+    JOIN pg_enum e ON e.enumtypid = t.oid
+    WHERE t.typnamespace = 'public'::regnamespace
+    GROUP BY t.typname
+  `);
+
+  const foreignKeys = await client.query(`
+    SELECT src.relname AS table_name, src_col.attname AS column_name,
+           ref.relname AS ref_table, ref_col.attname AS ref_column
+    FROM pg_constraint con
+    JOIN pg_class src ON src.oid = con.conrelid
+    JOIN pg_class ref ON ref.oid = con.confrelid
+    JOIN pg_attribute src_col ON src_col.attrelid = con.conrelid AND src_col.attnum = con.conkey[1]
+    JOIN pg_attribute ref_col ON ref_col.attrelid = con.confrelid AND ref_col.attnum = con.confkey[1]
+    WHERE con.contype = 'f' AND src.relnamespace = 'public'::regnamespace
+  `);
+
+  const functions = await client.query(`
+    SELECT DISTINCT routine_name FROM information_schema.routines WHERE routine_schema = 'public'
+  `);
+
+  const views = await client.query(`
+    SELECT table_name FROM information_schema.views WHERE table_schema = 'public'
+  `);
+
+  const tables = {};
+  const identityColumns = [];
+  for (const row of columns.rows) {
+    tables[row.table_name] = tables[row.table_name] || {};
+    tables[row.table_name][row.column_name] = { type: row.udt_name, nullable: row.is_nullable === 'YES' };
+    if (row.is_identity === 'YES') identityColumns.push(`${row.table_name}.${row.column_name}`);
+  }
+
+  return {
+    tables,
+    identityColumns,
+    enums: Object.fromEntries(enums.rows.map(row => [row.typname, row.labels])),
+    foreignKeys: Object.fromEntries(foreignKeys.rows.map(row => [
+      `${row.table_name}.${row.column_name}`,
+      `${row.ref_table}.${row.ref_column}`
+    ])),
+    functions: functions.rows.map(row => row.routine_name),
+    views: views.rows.map(row => row.table_name)
+  };
+}
+
+// Returns one human-readable line per difference; extra tables/columns in the database are reported too
+function compareModels(expected, live) {
+  const drift = [];
+
+  for (const [name, labels] of Object.entries(expected.enums)) {
+    if (!live.enums[name]) {
+      drift.push(`Missing enum ${name}`);
+    } else if (live.enums[name].join(',') !== labels.join(',')) {
+      drift.push(`Enum ${name} is (${live.enums[name].join(', ')}), expected (${labels.join(', ')})`);
+    }
+  }
+
+  for (const [table, columns] of Object.entries(expected.tables)) {
+    const liveColumns = live.tables[table];
+    if (!liveColumns) {
+      drift.push(`Missing table ${table}`);
+      continue;
+    }
+
+    for (const [column, spec] of Object.entries(columns)) {
+      const actual = liveColumns[column];
+      if (!actual) {
+        drift.push(`Missing column ${table}.${column}`);
+        continue;
+      }
+      if (actual.type !== spec.type) {
+        drift.push(`Column ${table}.${column} is ${actual.type}, expected ${spec.type}`);
+      }
+      if (actual.nullable !== spec.nullable) {
+        drift.push(`Column ${table}.${column} is ${actual.nullable ? 'nullable' : 'NOT NULL'}, expected ${spec.nullable ? 'nullable' : 'NOT NULL'}`);
+      }
+    }
+
+    for (const column of Object.keys(liveColumns)) {
+      if (!columns[column]) drift.push(`Unexpected column ${table}.${column}`);
+    }
+  }
+
+  for (const table of Object.keys(live.tables)) {
+    if (!expected.tables[table]) drift.push(`Unexpected table ${table}`);
+  }
+
+  for (const [source, target] of Object.entries(expected.foreignKeys)) {
+    if (!live.foreignKeys[source]) {
+      drift.push(`Missing foreign key ${source} -> ${target}`);
+    } else if (live.foreignKeys[source] !== target) {
+      drift.push(`Foreign key ${source} references ${live.foreignKeys[source]}, expected ${target}`);
+    }
+  }
+
+  for (const column of expected.identityColumns) {
+    if (!live.identityColumns.includes(column)) drift.push(`Column ${column} is not an identity column`);
+  }
+
+  for (const fn of expected.functions) {
+    if (!live.functions.includes(fn)) drift.push(`Missing function ${fn}`);
+  }
+
+  for (const view of expected.views) {
+    if (!live.views.includes(view)) drift.push(`Missing view ${view}`);
+  }
+
+  return drift;
+}
+
+async function checkDatabaseObjects() {
+  const client = createClient();
+  let drifted = false;
 
   try {
     await client.connect();
     console.log('✅ Connected to database');
 
-    // Check tables
-    const tables = await client.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public'
-      ORDER BY table_name
-    `);
-    console.log('\n📊 Tables:', tables.rows.length);
-    tables.rows.forEach(row => console.log(`  - ${row.table_name}`));
-
-    // Check enums/types
-    const types = await client.query(`
-      SELECT typname as type_name, typtype as type_type
-      FROM pg_type 
-      WHERE typnamespace = (SELECT oid FROM pg_namespace WHERE nspname = 'public')
-      ORDER BY typname
-    `);
-    console.log('\n🏷️ Custom Types:', types.rows.length);
-    types.rows.forEach(row => console.log(`  - ${row.type_name} (${row.type_type})`));
-
-    // Check functions
-    const functions = await client.query(`
-      SELECT routine_name
-      FROM information_schema.routines 
-      WHERE routine_schema = 'public'
-      ORDER BY routine_name
-    `);
-    console.log('\n⚙️ Functions:', functions.rows.length);
-    functions.rows.forEach(row => console.log(`  - ${row.routine_name}`));
-
-    // Check views
-    const views = await client.query(`
-      SELECT table_name 
-      FROM information_schema.views 
-      WHERE table_schema = 'public'
-      ORDER BY table_name
-    `);
-    console.log('\n👁️ Views:', views.rows.length);
-    views.rows.forEach(row => console.log(`  - ${row.table_name}`));
+    if (!driftOnly) {
+      await listObjects(client);
+    }
+
+    const drift = compareModels(model, await readLiveModel(client));
+    if (drift.length === 0) {
+      console.log('\n✅ Schema matches the expected model');
+    } else {
+      drifted = true;
+      console.log(`\n⚠️ Schema drift: ${drift.length} difference(s) from schema-model.js`);
+      drift.forEach(line => console.log(`  - ${line}`));
+      console.log('\nRun `node migrate.js up` to apply pending migrations, or update schema-model.js if the change is intended.');
+    }
 
   } catch (error) {
     console.error('❌ Error:', error.message);
+    drifted = true;
   } finally {
     await client.end();
   }
+
+  if (drifted) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  checkDatabaseObjects().catch(console.error);
 }
 
-checkDatabaseObjects().catch(console.error); 
\ No newline at end of file
+module.exports = { compareModels, readLiveModel };
@@ -36,9 +36,9 @@ async function createTestUser() {
       try {
         // Insert user
         await client.query(`
-          INSERT INTO users (id, email, encrypted_password, full_name, is_active, created_at, email_confirmed_at)
-          VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-        `, [userId, 'test@hpe.com', hashedPassword, 'Test User', true]);
+          INSERT INTO users (id, email, encrypted_password, full_name, is_active, role, created_at, email_confirmed_at)
+          VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+        `, [userId, 'test@hpe.com', hashedPassword, 'Test User', true, 'admin']);
         
         // Create user profile
         await client.query(`
@@ -58,6 +58,7 @@ async function createTestUser() {
         console.log('📧 Email: test@hpe.com');
         console.log('🔑 Password: TestPassword123!');
         console.log('🆔 User ID:', userId);
+        console.log('🛡️ Role: admin');
         
       } catch (error) {
         await client.query('ROLLBACK');
@@ -68,10 +69,10 @@ async function createTestUser() {
       console.log('✅ Users already exist in database');
       
       // Show existing users
-      const usersResult = await client.query('SELECT id, email, full_name, is_active FROM users LIMIT 5');
+      const usersResult = await client.query('SELECT id, email, full_name, role, is_active FROM users LIMIT 5');
       console.log('👥 Existing users:');
       usersResult.rows.forEach(user => {
-        console.log(`   - ${user.email} (${user.full_name}) - ${user.is_active ? 'Active' : 'Inactive'}`);
+        console.log(`   - ${user.email} (${user.full_name}) - ${user.role} - ${user.is_active ? 'Active' : 'Inactive'}`);
       });
     }
 
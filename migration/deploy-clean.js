@@ -3,6 +3,7 @@
 const { Client } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const { baselineMigrations } = require('./migrate');
 
 async function deploySchema() {
   // Use environment variables to avoid shell escaping issues
@@ -32,6 +33,8 @@ async function deploySchema() {
     
     try {
       await client.query(schemaSQL);
+      // azure-schema.sql already includes every file in migrations/
+      await baselineMigrations(client);
       await client.query('COMMIT');
       console.log('✅ Schema deployed successfully!');
     } catch (error) {
@@ -3,6 +3,7 @@
 const { Client } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const { baselineMigrations } = require('./migrate');
 
 async function deployFreshSchema() {
   const client = new Client({
@@ -35,15 +36,32 @@ async function deployFreshSchema() {
       await client.query('DROP FUNCTION IF EXISTS log_user_activity(uuid, activity_type, text) CASCADE');
       
       console.log('  - Dropping tables...');
+      await client.query('DROP TABLE IF EXISTS schema_migrations CASCADE');
+      await client.query('DROP TABLE IF EXISTS webhook_deliveries CASCADE');
+      await client.query('DROP TABLE IF EXISTS webhook_subscriptions CASCADE');
+      await client.query('DROP TABLE IF EXISTS user_notifications CASCADE');
+      await client.query('DROP TABLE IF EXISTS notification_deliveries CASCADE');
+      await client.query('DROP TABLE IF EXISTS attachments CASCADE');
+      await client.query('DROP TABLE IF EXISTS incident_comments CASCADE');
+      await client.query('DROP TABLE IF EXISTS severity_rules CASCADE');
+      await client.query('DROP TABLE IF EXISTS sla_policies CASCADE');
+      await client.query('DROP TABLE IF EXISTS racks CASCADE');
+      await client.query('DROP TABLE IF EXISTS data_halls CASCADE');
+      await client.query('DROP TABLE IF EXISTS sites CASCADE');
       await client.query('DROP TABLE IF EXISTS reports CASCADE');
+      await client.query('DROP TABLE IF EXISTS incident_history CASCADE');
       await client.query('DROP TABLE IF EXISTS incidents CASCADE');
       await client.query('DROP TABLE IF EXISTS "AuditReports" CASCADE');
+      await client.query('DROP TABLE IF EXISTS notification_preferences CASCADE');
       await client.query('DROP TABLE IF EXISTS user_stats CASCADE');
       await client.query('DROP TABLE IF EXISTS user_activities CASCADE');
       await client.query('DROP TABLE IF EXISTS user_profiles CASCADE');
+      await client.query('DROP TABLE IF EXISTS refresh_tokens CASCADE');
       await client.query('DROP TABLE IF EXISTS users CASCADE');
+      await client.query('DROP TABLE IF EXISTS teams CASCADE');
       
       console.log('  - Dropping types...');
+      await client.query('DROP TYPE IF EXISTS user_role CASCADE');
       await client.query('DROP TYPE IF EXISTS incident_status CASCADE');
       await client.query('DROP TYPE IF EXISTS incident_severity CASCADE');
       await client.query('DROP TYPE IF EXISTS activity_type CASCADE');
@@ -69,6 +87,8 @@ async function deployFreshSchema() {
     
     try {
       await client.query(schemaSQL);
+      // azure-schema.sql already includes every file in migrations/
+      await baselineMigrations(client);
       await client.query('COMMIT');
       console.log('✅ Schema deployed successfully!');
     } catch (error) {
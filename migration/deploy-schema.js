@@ -15,6 +15,7 @@ require('dotenv').config();
 const { Client } = require('pg');
 const fs = require('fs').promises;
 const path = require('path');
+const { baselineMigrations } = require('./migrate');
 
 // Configuration
 const CONFIG = {
@@ -166,13 +167,29 @@ async function validateDeployment(client) {
   try {
     // Check that expected tables exist
     const expectedTables = [
+      'teams',
       'users',
+      'refresh_tokens',
       'user_profiles', 
       'user_activities',
       'user_stats',
+      'notification_preferences',
       'AuditReports',
       'incidents',
-      'reports'
+      'incident_history',
+      'reports',
+      'sites',
+      'data_halls',
+      'racks',
+      'sla_policies',
+      'severity_rules',
+      'incident_comments',
+      'attachments',
+      'notification_deliveries',
+      'user_notifications',
+      'webhook_subscriptions',
+      'webhook_deliveries',
+      'schema_migrations'
     ];
     
     const result = await client.query(`
@@ -221,7 +238,7 @@ async function validateDeployment(client) {
       SELECT typname 
       FROM pg_type 
       WHERE typtype = 'e'
-      AND typname IN ('activity_type', 'incident_severity', 'incident_status')
+      AND typname IN ('activity_type', 'incident_severity', 'incident_status', 'user_role')
     `);
     
     const createdEnums = enumsResult.rows.map(row => row.typname);
@@ -295,6 +312,14 @@ async function main() {
     let validation = null;
     if (!CONFIG.dryRun) {
       validation = await validateDeployment(client);
+
+      // azure-schema.sql already includes every file in migrations/. With --force the tables
+      // may predate it, so leave the migrations pending for migrate.js to apply.
+      if (CONFIG.force) {
+        logger.warn('Run `node migrate.js up` to bring existing tables up to date');
+      } else {
+        await baselineMigrations(client);
+      }
     }
     
     // Generate report
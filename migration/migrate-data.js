@@ -4,7 +4,13 @@
  * DAT-Bolt Data Migration Script
  * Migrates data from Supabase to Azure PostgreSQL
  * 
- * Usage: node migrate-data.js [--dry-run] [--table=table_name]
+ * Usage: node migrate-data.js [--dry-run] [--table=table_name] [--since=ISO-date] [--restart] [--validate-only]
+ *
+ * Rows are upserted on their primary key, so a table can be copied any number of times.
+ * Progress is checkpointed after every batch and an interrupted run continues from the last
+ * batch it wrote; --restart discards the checkpoint. Rows that cannot be transformed, or that the
+ * target rejects as invalid, are appended to the quarantine file instead of failing the table.
+ * Any other database error stops the run with the checkpoint kept.
  * 
  * Environment Variables Required:
  * - SUPABASE_URL: Source Supabase URL
@@ -14,6 +20,7 @@
 
 const { createClient } = require('@supabase/supabase-js');
 const { Client } = require('pg');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -21,7 +28,12 @@ const path = require('path');
 const CONFIG = {
   dryRun: process.argv.includes('--dry-run'),
   specificTable: process.argv.find(arg => arg.startsWith('--table='))?.split('=')[1],
+  since: process.argv.find(arg => arg.startsWith('--since='))?.split('=')[1],
+  restart: process.argv.includes('--restart'),
+  validateOnly: process.argv.includes('--validate-only'),
   batchSize: 1000,
+  checkpointFile: path.join(__dirname, 'migration-checkpoint.json'),
+  quarantineFile: path.join(__dirname, 'migration-quarantine.jsonl'),
   logLevel: process.env.LOG_LEVEL || 'info'
 };
 
@@ -72,10 +84,19 @@ async function initializeClients() {
 }
 
 // Table migration configurations
+//
+// primaryKey drives the upsert and the resume cursor; sinceColumn selects the rows that changed
+// for --since. Columns listed in generated are filled from the given SQL expression when the
+// source has no value and are never overwritten once set.
 const tableMigrations = {
   'AuditReports': {
     sourceTable: 'AuditReports',
     targetTable: 'AuditReports',
+    primaryKey: 'Id',
+    sinceColumn: 'Timestamp',
+    generated: {
+      walkthrough_id: `nextval(pg_get_serial_sequence('"AuditReports"', 'walkthrough_id'))`
+    },
     transform: (row) => ({
       Id: row.Id,
       UserEmail: row.UserEmail,
@@ -85,7 +106,7 @@ const tableMigrations = {
       datahall: row.datahall || 'Unknown',
       issues_reported: row.issues_reported || 0,
       state: row.state || 'Healthy',
-      walkthrough_id: row.walkthrough_id || Math.floor(Math.random() * 10000),
+      walkthrough_id: row.walkthrough_id || null,
       user_full_name: row.user_full_name || 'Unknown User',
       ReportData: row.ReportData || {}
     }),
@@ -99,6 +120,8 @@ const tableMigrations = {
   'user_profiles': {
     sourceTable: 'user_profiles',
     targetTable: 'user_profiles',
+    primaryKey: 'user_id',
+    sinceColumn: 'updated_at',
     transform: (row) => ({
       user_id: row.user_id,
       full_name: row.full_name,
@@ -113,6 +136,8 @@ const tableMigrations = {
   'user_activities': {
     sourceTable: 'user_activities',
     targetTable: 'user_activities',
+    primaryKey: 'id',
+    sinceColumn: 'created_at',
     transform: (row) => ({
       id: row.id,
       user_id: row.user_id,
@@ -126,6 +151,8 @@ const tableMigrations = {
   'user_stats': {
     sourceTable: 'user_stats',
     targetTable: 'user_stats',
+    primaryKey: 'user_id',
+    sinceColumn: 'updated_at',
     transform: (row) => ({
       user_id: row.user_id,
       walkthroughs_completed: row.walkthroughs_completed || 0,
@@ -139,6 +166,8 @@ const tableMigrations = {
   'incidents': {
     sourceTable: 'incidents',
     targetTable: 'incidents',
+    primaryKey: 'id',
+    sinceColumn: 'updated_at',
     transform: (row) => ({
       id: row.id,
       location: row.location,
@@ -148,14 +177,22 @@ const tableMigrations = {
       status: row.status || 'open',
       created_at: row.created_at,
       updated_at: row.updated_at,
-      user_id: row.user_id
+      user_id: row.user_id,
+      rack_number: row.rack_number || null,
+      part_type: row.part_type || null,
+      part_identifier: row.part_identifier || null,
+      u_height: row.u_height || null,
+      comments: row.comments || null
     }),
-    columns: ['id', 'location', 'datahall', 'description', 'severity', 'status', 'created_at', 'updated_at', 'user_id']
+    columns: ['id', 'location', 'datahall', 'description', 'severity', 'status', 'created_at', 'updated_at', 'user_id',
+      'rack_number', 'part_type', 'part_identifier', 'u_height', 'comments']
   },
   
   'reports': {
     sourceTable: 'reports',
     targetTable: 'reports',
+    primaryKey: 'id',
+    sinceColumn: 'generated_at',
     transform: (row) => ({
       id: row.id,
       title: row.title,
@@ -173,107 +210,239 @@ const tableMigrations = {
   }
 };
 
-async function migrateTable(tableName, config) {
+// The checkpoint a run continues from. A checkpoint only describes the window it was written
+// for, so one saved with another --since value starts the run over.
+function resumeCheckpoint(saved, since = null) {
+  if (!saved || saved.since !== (since || null)) {
+    return { since: since || null, tables: {} };
+  }
+  return saved;
+}
+
+// Progress of one table in the checkpoint, added when the table is first reached
+function tableProgress(checkpoint, tableName) {
+  if (!checkpoint.tables[tableName]) {
+    checkpoint.tables[tableName] = { lastKey: null, recordsMigrated: 0, quarantined: 0, completed: false };
+  }
+  return checkpoint.tables[tableName];
+}
+
+async function loadCheckpoint() {
+  if (CONFIG.dryRun || CONFIG.restart) return resumeCheckpoint(null, CONFIG.since);
+
+  let saved;
+  try {
+    saved = JSON.parse(await fs.readFile(CONFIG.checkpointFile, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return resumeCheckpoint(null, CONFIG.since);
+    throw new Error(`Cannot read checkpoint ${CONFIG.checkpointFile}: ${error.message}`);
+  }
+
+  const checkpoint = resumeCheckpoint(saved, CONFIG.since);
+  if (checkpoint === saved) {
+    logger.info(`Resuming from checkpoint saved at ${saved.savedAt}`);
+  } else {
+    logger.warn(`Ignoring checkpoint written for --since=${saved.since || '(none)'}`);
+  }
+  return checkpoint;
+}
+
+async function saveCheckpoint(checkpoint) {
+  if (CONFIG.dryRun) return;
+
+  // Write then rename so an interrupted write never leaves a truncated checkpoint
+  const tempFile = `${CONFIG.checkpointFile}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify({ ...checkpoint, savedAt: new Date().toISOString() }, null, 2));
+  await fs.rename(tempFile, CONFIG.checkpointFile);
+}
+
+// SQLSTATE classes caused by the row itself: 22 (data exception, such as a bad or out of range
+// value) and 23 (integrity constraint violation). Other errors come from the connection or the
+// server and would fail every row the same way.
+function isRowError(error) {
+  return typeof error?.code === 'string' && /^2[23]/.test(error.code);
+}
+
+// One line of the quarantine file
+function quarantineEntry(tableName, key, row, error, now = new Date()) {
+  return { table: tableName, key, error: error.message, code: error.code || null, row, quarantinedAt: now.toISOString() };
+}
+
+async function quarantineRow(tableName, key, row, error) {
+  logger.warn(`Quarantined ${tableName} row ${key}: ${error.message}`);
+  if (CONFIG.dryRun) return;
+
+  await fs.appendFile(CONFIG.quarantineFile, `${JSON.stringify(quarantineEntry(tableName, key, row, error))}\n`);
+}
+
+// --since must be a date or timestamp; returns the problem with the value, or null
+function checkSince(since) {
+  if (since && Number.isNaN(new Date(since).getTime())) {
+    return `--since must be an ISO date or timestamp, got "${since}"`;
+  }
+  return null;
+}
+
+// Keyset pagination on the primary key: stable while rows are being added and resumable from any
+// key. With --since only rows whose sinceColumn is at or after it are read.
+function pageQuery(query, config, { afterKey = null, since = null, batchSize }) {
+  let page = query.order(config.primaryKey, { ascending: true }).limit(batchSize);
+  if (afterKey !== null) {
+    page = page.gt(config.primaryKey, afterKey);
+  }
+  if (since) {
+    page = page.gte(config.sinceColumn, since);
+  }
+  return page;
+}
+
+async function fetchBatch(config, afterKey) {
+  const query = pageQuery(supabaseClient.from(config.sourceTable).select('*'), config, {
+    afterKey,
+    since: CONFIG.since,
+    batchSize: CONFIG.batchSize
+  });
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch data from ${config.sourceTable}: ${error.message}`);
+  }
+  return data || [];
+}
+
+async function migrateTable(tableName, config, checkpoint) {
   logger.info(`Starting migration for table: ${tableName}`);
-  
+
+  const progress = tableProgress(checkpoint, tableName);
+
+  if (progress.completed) {
+    logger.info(`Skipping ${tableName}: completed in a previous run (${progress.recordsMigrated} records)`);
+    return { success: true, recordsMigrated: progress.recordsMigrated, quarantined: progress.quarantined, resumed: true };
+  }
+  if (progress.lastKey !== null) {
+    logger.info(`Resuming ${tableName} after ${config.primaryKey}=${progress.lastKey}`);
+  }
+
   try {
-    // Count total records
-    const { count: totalRecords } = await supabaseClient
-      .from(config.sourceTable)
-      .select('*', { count: 'exact', head: true });
-    
-    logger.info(`Total records to migrate: ${totalRecords}`);
-    
-    if (totalRecords === 0) {
-      logger.warn(`No data found in table ${tableName}`);
-      return { success: true, recordsMigrated: 0 };
-    }
-    
-    let recordsMigrated = 0;
-    let offset = 0;
-    
-    while (offset < totalRecords) {
-      // Fetch batch from Supabase
-      const { data: sourceData, error: fetchError } = await supabaseClient
-        .from(config.sourceTable)
-        .select('*')
-        .range(offset, offset + CONFIG.batchSize - 1)
-        .order('created_at', { ascending: true });
-      
-      if (fetchError) {
-        throw new Error(`Failed to fetch data from ${tableName}: ${fetchError.message}`);
-      }
-      
-      if (!sourceData || sourceData.length === 0) {
+    while (true) {
+      const sourceData = await fetchBatch(config, progress.lastKey);
+      if (sourceData.length === 0) {
         break;
       }
-      
-      // Transform data
-      const transformedData = sourceData.map(config.transform);
-      
+
+      // Transform data; a row that cannot be transformed is quarantined rather than stopping the table
+      const transformedData = [];
+      for (const row of sourceData) {
+        try {
+          transformedData.push(config.transform(row));
+        } catch (error) {
+          await quarantineRow(tableName, row[config.primaryKey], row, error);
+          progress.quarantined++;
+        }
+      }
+
       if (CONFIG.dryRun) {
-        logger.info(`[DRY RUN] Would insert ${transformedData.length} records into ${config.targetTable}`);
+        logger.info(`[DRY RUN] Would upsert ${transformedData.length} records into ${config.targetTable}`);
         logger.debug(`Sample record: ${JSON.stringify(transformedData[0], null, 2)}`);
+        progress.recordsMigrated += transformedData.length;
       } else {
-        // Insert into Azure PostgreSQL
-        await insertBatch(config.targetTable, transformedData, config.columns);
+        const { written, failed } = await writeBatch(tableName, transformedData, config);
+        progress.recordsMigrated += written;
+        progress.quarantined += failed;
+      }
+
+      progress.lastKey = sourceData[sourceData.length - 1][config.primaryKey];
+      await saveCheckpoint(checkpoint);
+
+      logger.info(`Progress: ${progress.recordsMigrated} records migrated, ${progress.quarantined} quarantined`);
+
+      if (sourceData.length < CONFIG.batchSize) {
+        break;
       }
-      
-      recordsMigrated += transformedData.length;
-      offset += CONFIG.batchSize;
-      
-      logger.info(`Progress: ${recordsMigrated}/${totalRecords} records migrated`);
     }
-    
-    logger.info(`Completed migration for table: ${tableName} (${recordsMigrated} records)`);
-    return { success: true, recordsMigrated };
-    
+
+    progress.completed = true;
+    await saveCheckpoint(checkpoint);
+
+    logger.info(`Completed migration for table: ${tableName} (${progress.recordsMigrated} records, ${progress.quarantined} quarantined)`);
+    return { success: true, recordsMigrated: progress.recordsMigrated, quarantined: progress.quarantined };
+
   } catch (error) {
     logger.error(`Failed to migrate table ${tableName}: ${error.message}`);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, recordsMigrated: progress.recordsMigrated };
   }
 }
 
-async function insertBatch(tableName, data, columns) {
-  if (data.length === 0) return;
-  
+/**
+ * Upserts the whole batch in one statement. When a row makes that fail, retries row by row and
+ * quarantines the rows the target rejects. Any other error is thrown, so the table stops before
+ * its checkpoint moves past the batch.
+ */
+async function writeBatch(tableName, data, config, { upsert = upsertRows, quarantine = quarantineRow } = {}) {
+  if (data.length === 0) return { written: 0, failed: 0 };
+
   try {
-    // Generate placeholders for prepared statement
-    const placeholders = data.map((_, rowIndex) => {
-      const rowPlaceholders = columns.map((_, colIndex) => 
-        `$${rowIndex * columns.length + colIndex + 1}`
-      ).join(', ');
-      return `(${rowPlaceholders})`;
-    }).join(', ');
-    
-    // Generate column names with proper quoting
-    const columnNames = columns.map(col => `"${col}"`).join(', ');
-    
-    // Flatten data for prepared statement
-    const values = data.flatMap(row => 
-      columns.map(col => {
-        const value = row[col];
-        // Handle JSON objects
-        if (typeof value === 'object' && value !== null) {
-          return JSON.stringify(value);
-        }
-        return value;
-      })
-    );
-    
-    const query = `
-      INSERT INTO "${tableName}" (${columnNames})
-      VALUES ${placeholders}
-      ON CONFLICT DO NOTHING
-    `;
-    
-    await azureClient.query(query, values);
-    logger.debug(`Inserted ${data.length} records into ${tableName}`);
-    
+    await upsert(data, config);
+    logger.debug(`Upserted ${data.length} records into ${config.targetTable}`);
+    return { written: data.length, failed: 0 };
   } catch (error) {
-    logger.error(`Failed to insert batch into ${tableName}: ${error.message}`);
-    throw error;
+    if (!isRowError(error)) throw error;
+    logger.warn(`Batch upsert into ${config.targetTable} failed (${error.message}); retrying row by row`);
+  }
+
+  let written = 0;
+  let failed = 0;
+  for (const row of data) {
+    try {
+      await upsert([row], config);
+      written++;
+    } catch (error) {
+      if (!isRowError(error)) throw error;
+      await quarantine(tableName, row[config.primaryKey], row, error);
+      failed++;
+    }
   }
+  return { written, failed };
+}
+
+async function upsertRows(data, config) {
+  const { columns, primaryKey, generated = {} } = config;
+
+  // Generate placeholders for prepared statement
+  const placeholders = data.map((_, rowIndex) => {
+    const rowPlaceholders = columns.map((col, colIndex) => {
+      const placeholder = `$${rowIndex * columns.length + colIndex + 1}`;
+      return generated[col] ? `COALESCE(${placeholder}, ${generated[col]})` : placeholder;
+    }).join(', ');
+    return `(${rowPlaceholders})`;
+  }).join(', ');
+
+  // Generate column names with proper quoting
+  const columnNames = columns.map(col => `"${col}"`).join(', ');
+  const updates = columns
+    .filter(col => col !== primaryKey && !generated[col])
+    .map(col => `"${col}" = EXCLUDED."${col}"`)
+    .join(', ');
+
+  // Flatten data for prepared statement
+  const values = data.flatMap(row =>
+    columns.map(col => {
+      const value = row[col];
+      // Handle JSON objects
+      if (typeof value === 'object' && value !== null) {
+        return JSON.stringify(value);
+      }
+      return value;
+    })
+  );
+
+  const query = `
+    INSERT INTO "${config.targetTable}" (${columnNames})
+    VALUES ${placeholders}
+    ON CONFLICT ("${primaryKey}") DO UPDATE SET ${updates}
+  `;
+
+  await azureClient.query(query, values);
 }
 
 async function createUsersFromProfiles() {
@@ -338,7 +507,8 @@ async function createUsersFromProfiles() {
           [user.id, user.email, user.full_name, user.department, true, new Date(), new Date()]
         );
       } catch (error) {
-        logger.warn(`Failed to insert user ${user.email}: ${error.message}`);
+        if (!isRowError(error)) throw error;
+        await quarantineRow('users', user.email, user, error);
       }
     }
     
@@ -351,54 +521,139 @@ async function createUsersFromProfiles() {
   }
 }
 
-async function validateMigration() {
+// Timestamps are compared as instants (both sides serialise them differently) and object keys are sorted
+function canonicalValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date.toISOString();
+  }
+  if (Array.isArray(value)) return value.map(canonicalValue);
+  if (typeof value === 'object' && value !== null) {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalValue(value[key])]));
+  }
+  return value ?? null;
+}
+
+// Generated columns are left out: a value the target filled in has nothing to compare against
+function checksumColumns(config) {
+  return config.columns.filter(col => !(config.generated && config.generated[col]));
+}
+
+function rowChecksum(row, columns) {
+  const canonical = columns.map(col => canonicalValue(row[col]));
+  return crypto.createHash('md5').update(JSON.stringify(canonical)).digest('hex');
+}
+
+async function sourceChecksums(config) {
+  const checksums = new Map();
+  const columns = checksumColumns(config);
+  let lastKey = null;
+
+  while (true) {
+    const rows = await fetchBatch(config, lastKey);
+    for (const row of rows) {
+      try {
+        checksums.set(String(row[config.primaryKey]), rowChecksum(config.transform(row), columns));
+      } catch (error) {
+        checksums.set(String(row[config.primaryKey]), null);
+      }
+    }
+    if (rows.length < CONFIG.batchSize) break;
+    lastKey = rows[rows.length - 1][config.primaryKey];
+  }
+
+  return checksums;
+}
+
+// Source rows missing from the target, and rows whose checksums differ; both are lists of keys
+function compareChecksums(source, target) {
+  const missing = [];
+  const mismatched = [];
+  for (const [key, checksum] of source) {
+    if (!target.has(key)) {
+      missing.push(key);
+    } else if (checksum !== target.get(key)) {
+      mismatched.push(key);
+    }
+  }
+  return { missing, mismatched };
+}
+
+async function targetChecksums(config, keys) {
+  const checksums = new Map();
+  const columns = checksumColumns(config);
+  const selected = columns.map(col => `'${col}', "${col}"`).join(', ');
+
+  // json_build_object gives the same representation for jsonb, enums and timestamps as the Supabase API
+  for (let i = 0; i < keys.length; i += CONFIG.batchSize) {
+    const result = await azureClient.query(
+      `SELECT "${config.primaryKey}"::text AS key, json_build_object(${selected}) AS row
+       FROM "${config.targetTable}"
+       WHERE "${config.primaryKey}"::text = ANY($1)`,
+      [keys.slice(i, i + CONFIG.batchSize)]
+    );
+    result.rows.forEach(({ key, row }) => checksums.set(key, rowChecksum(row, columns)));
+  }
+
+  return checksums;
+}
+
+async function validateMigration(tables) {
   logger.info('Validating migration...');
-  
+
   const results = {};
-  
-  for (const [tableName, config] of Object.entries(tableMigrations)) {
+
+  for (const [tableName, config] of Object.entries(tables)) {
     try {
-      // Count records in source
-      const { count: sourceCount } = await supabaseClient
-        .from(config.sourceTable)
-        .select('*', { count: 'exact', head: true });
-      
-      // Count records in target
+      // Row checksums of every source row (inside the --since window) against the same rows in the target
+      const source = await sourceChecksums(config);
+      const target = await targetChecksums(config, [...source.keys()]);
+      const { missing, mismatched } = compareChecksums(source, target);
+
       const targetResult = await azureClient.query(`SELECT COUNT(*) FROM "${config.targetTable}"`);
-      const targetCount = parseInt(targetResult.rows[0].count);
-      
+
       results[tableName] = {
-        source: sourceCount || 0,
-        target: targetCount,
-        match: (sourceCount || 0) === targetCount
+        source: source.size,
+        target: parseInt(targetResult.rows[0].count),
+        missing: missing.length,
+        mismatched: mismatched.length,
+        sampleKeys: [...missing, ...mismatched].slice(0, 20),
+        match: missing.length === 0 && mismatched.length === 0
       };
-      
-      logger.info(`${tableName}: Source=${results[tableName].source}, Target=${results[tableName].target}, Match=${results[tableName].match}`);
-      
+
+      logger.info(`${tableName}: Source=${results[tableName].source}, Target=${results[tableName].target}, Missing=${missing.length}, Mismatched=${mismatched.length}, Match=${results[tableName].match}`);
+
     } catch (error) {
       logger.error(`Failed to validate ${tableName}: ${error.message}`);
       results[tableName] = { error: error.message };
     }
   }
-  
+
   return results;
 }
 
-async function generateMigrationReport(results) {
+async function generateMigrationReport(results, validation) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const reportPath = path.join(__dirname, `migration-report-${timestamp}.json`);
   
   const report = {
     timestamp: new Date().toISOString(),
     dryRun: CONFIG.dryRun,
+    since: CONFIG.since || null,
     results: results,
+    validation: validation,
     summary: {
       totalTables: Object.keys(results).length,
       successfulTables: Object.values(results).filter(r => r.success).length,
       failedTables: Object.values(results).filter(r => !r.success).length,
       totalRecordsMigrated: Object.values(results)
         .filter(r => r.success)
-        .reduce((sum, r) => sum + (r.recordsMigrated || 0), 0)
+        .reduce((sum, r) => sum + (r.recordsMigrated || 0), 0),
+      totalQuarantined: Object.values(results).reduce((sum, r) => sum + (r.quarantined || 0), 0),
+      tablesNotMatching: validation
+        ? Object.entries(validation).filter(([, v]) => !v.match).map(([table]) => table)
+        : []
     }
   };
   
@@ -408,45 +663,111 @@ async function generateMigrationReport(results) {
   return report;
 }
 
+// Migrated walkthroughs keep their Supabase numbers, so new ones must continue after the highest.
+// Called before copying as well, with the source maximum, so numbers generated for rows without
+// one cannot collide with a walkthrough that has not been copied yet.
+async function syncWalkthroughSequence(minimum = 0) {
+  await azureClient.query(`
+    SELECT setval(
+      pg_get_serial_sequence('"AuditReports"', 'walkthrough_id'),
+      GREATEST(COALESCE((SELECT MAX(walkthrough_id) FROM "AuditReports"), 0), $1) + 1,
+      false
+    )
+  `, [minimum]);
+  logger.info('Walkthrough id sequence synchronised with migrated audit reports');
+}
+
+async function sourceMaxWalkthroughId() {
+  const { data, error } = await supabaseClient
+    .from('AuditReports')
+    .select('walkthrough_id')
+    .not('walkthrough_id', 'is', null)
+    .order('walkthrough_id', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to read walkthrough ids: ${error.message}`);
+  }
+  return data?.[0]?.walkthrough_id || 0;
+}
+
 async function main() {
   logger.info('Starting DAT-Bolt data migration...');
   logger.info(`Configuration: ${JSON.stringify(CONFIG, null, 2)}`);
-  
+
+  const sinceProblem = checkSince(CONFIG.since);
+  if (sinceProblem) {
+    logger.error(sinceProblem);
+    process.exit(1);
+  }
+  if (CONFIG.specificTable && !tableMigrations[CONFIG.specificTable]) {
+    logger.error(`Unknown table "${CONFIG.specificTable}". Expected one of: ${Object.keys(tableMigrations).join(', ')}`);
+    process.exit(1);
+  }
+
   try {
     await initializeClients();
     
     const results = {};
+    const failed = () => Object.values(results).some(result => !result.success);
     const tablesToMigrate = CONFIG.specificTable 
       ? { [CONFIG.specificTable]: tableMigrations[CONFIG.specificTable] }
       : tableMigrations;
     
-    // First, create users (special case)
-    results.users = await createUsersFromProfiles();
-    
-    // Migrate tables in dependency order
-    const migrationOrder = ['user_profiles', 'user_activities', 'user_stats', 'AuditReports', 'incidents', 'reports'];
-    
-    for (const tableName of migrationOrder) {
-      if (tablesToMigrate[tableName]) {
-        results[tableName] = await migrateTable(tableName, tablesToMigrate[tableName]);
+    if (!CONFIG.validateOnly) {
+      const checkpoint = await loadCheckpoint();
+
+      // First, create users (special case)
+      results.users = await createUsersFromProfiles();
+
+      if (tablesToMigrate.AuditReports && !CONFIG.dryRun) {
+        await syncWalkthroughSequence(await sourceMaxWalkthroughId());
+      }
+
+      // Migrate tables in dependency order
+      const migrationOrder = ['user_profiles', 'user_activities', 'user_stats', 'AuditReports', 'incidents', 'reports'];
+
+      for (const tableName of migrationOrder.filter(name => tablesToMigrate[name])) {
+        // Only the connection, the server or the checkpoint file fail a step; stop there and
+        // let the next run resume from the checkpoint
+        if (failed()) break;
+        results[tableName] = await migrateTable(tableName, tablesToMigrate[tableName], checkpoint);
+      }
+
+      if (results.AuditReports?.success && !CONFIG.dryRun) {
+        await syncWalkthroughSequence();
+      }
+
+      // The next run starts from scratch once every table made it through
+      if (!CONFIG.dryRun && Object.values(results).every(r => r.success)) {
+        await fs.rm(CONFIG.checkpointFile, { force: true });
       }
     }
     
-    // Validate migration if not dry run
-    if (!CONFIG.dryRun) {
-      logger.info('Validating migration...');
-      const validation = await validateMigration();
-      results.validation = validation;
+    // Validate migration if not dry run, and the run was not stopped
+    let validation = null;
+    if (!CONFIG.dryRun && !failed()) {
+      validation = await validateMigration(tablesToMigrate);
     }
     
     // Generate report
-    const report = await generateMigrationReport(results);
+    const report = await generateMigrationReport(results, validation);
     
     logger.info('Migration completed successfully!');
     logger.info(`Summary: ${report.summary.totalRecordsMigrated} records migrated across ${report.summary.successfulTables} tables`);
+
+    if (report.summary.totalQuarantined > 0) {
+      logger.warn(`${report.summary.totalQuarantined} rows were quarantined to ${CONFIG.quarantineFile}`);
+    }
+    if (report.summary.tablesNotMatching.length > 0) {
+      logger.warn(`Checksum validation failed for: ${report.summary.tablesNotMatching.join(', ')}`);
+    }
     
     if (report.summary.failedTables > 0) {
-      logger.warn(`${report.summary.failedTables} tables had migration failures`);
+      logger.warn(`The migration stopped at a failed step; run again to resume from the checkpoint`);
+      process.exit(1);
+    }
+    if (report.summary.tablesNotMatching.length > 0) {
       process.exit(1);
     }
     
@@ -460,29 +781,43 @@ async function main() {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('Received SIGINT, shutting down gracefully...');
-  if (azureClient) {
-    await azureClient.end();
-  }
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM, shutting down gracefully...');
-  if (azureClient) {
-    await azureClient.end();
-  }
-  process.exit(0);
-});
-
 // Run the migration
 if (require.main === module) {
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    logger.info('Received SIGINT, shutting down gracefully...');
+    if (azureClient) {
+      await azureClient.end();
+    }
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    logger.info('Received SIGTERM, shutting down gracefully...');
+    if (azureClient) {
+      await azureClient.end();
+    }
+    process.exit(0);
+  });
+
   main().catch(error => {
     logger.error(`Unhandled error: ${error.message}`);
     process.exit(1);
   });
 }
 
-module.exports = { main, tableMigrations };
\ No newline at end of file
+module.exports = {
+  main,
+  tableMigrations,
+  resumeCheckpoint,
+  tableProgress,
+  isRowError,
+  quarantineEntry,
+  checkSince,
+  pageQuery,
+  writeBatch,
+  canonicalValue,
+  rowChecksum,
+  checksumColumns,
+  compareChecksums
+};
\ No newline at end of file
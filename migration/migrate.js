@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * Versioned Schema Migration Runner
+ * Applies and reverts the numbered files in migrations/ and records them in schema_migrations
+ *
+ * Usage: node migrate.js <status|up|down|redo> [--to=version] [--steps=n] [--dry-run]
+ *
+ *   status  List every migration and whether it is applied, pending or modified
+ *   up      Apply pending migrations in order (up to --to when given)
+ *   down    Revert the latest applied migration (--steps=n reverts n, --to=version reverts above it)
+ *   redo    Revert and re-apply the latest applied migration
+ *
+ * Migrations are pairs of files named NNN_description.up.sql and NNN_description.down.sql.
+ * Each file runs in its own transaction together with its schema_migrations row, so a failed
+ * migration leaves nothing behind. The SHA-256 of every applied up file is stored; the runner
+ * refuses to continue when an applied file has been edited since.
+ *
+ * Environment Variables Required:
+ * - AZURE_POSTGRESQL_CONNECTION_STRING: Target Azure PostgreSQL connection string
+ */
+
+require('dotenv').config();
+
+const { Client } = require('pg');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Configuration
+const CONFIG = {
+  command: process.argv[2],
+  to: argValue('--to'),
+  steps: argValue('--steps'),
+  dryRun: process.argv.includes('--dry-run'),
+  migrationsDir: path.join(__dirname, 'migrations'),
+  logLevel: process.env.LOG_LEVEL || 'info'
+};
+
+// Arbitrary key shared by every runner so two deployments cannot migrate at the same time
+const LOCK_KEY = 72_410_001;
+
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Logger
+const logger = {
+  info: (msg) => CONFIG.logLevel !== 'silent' && console.log(`[INFO] ${msg}`),
+  warn: (msg) => console.warn(`[WARN] ${msg}`),
+  error: (msg) => console.error(`[ERROR] ${msg}`),
+  debug: (msg) => CONFIG.logLevel === 'debug' && console.log(`[DEBUG] ${msg}`)
+};
+
+function argValue(name) {
+  const arg = process.argv.find(value => value.startsWith(`${name}=`));
+  return arg ? arg.slice(name.length + 1) : undefined;
+}
+
+// Line endings are normalised so a checkout on Windows does not look like an edited file
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+async function loadMigrations() {
+  const files = await fs.readdir(CONFIG.migrationsDir);
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) {
+      if (file.endsWith('.sql')) logger.warn(`Ignoring ${file}: expected NNN_name.up.sql or NNN_name.down.sql`);
+      continue;
+    }
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names (${migration.name}, ${name})`);
+    }
+    migration[`${direction}File`] = path.join(CONFIG.migrationsDir, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (const migration of migrations) {
+    if (!migration.upFile || !migration.downFile) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+    }
+    migration.upSql = await fs.readFile(migration.upFile, 'utf8');
+    migration.checksum = checksum(migration.upSql);
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version text PRIMARY KEY,
+      name text NOT NULL,
+      checksum text NOT NULL,
+      applied_at timestamptz DEFAULT now() NOT NULL
+    )
+  `);
+}
+
+async function loadApplied(client) {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Joins the files on disk with the rows in schema_migrations
+function buildPlan(migrations, applied) {
+  const plan = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    let state = 'pending';
+    if (row) state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    return { ...migration, state, appliedAt: row?.applied_at };
+  });
+
+  const missing = [...applied.values()]
+    .filter(row => !migrations.some(migration => migration.version === row.version))
+    .map(row => ({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at }));
+
+  return [...plan, ...missing].sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+function assertConsistent(plan) {
+  const problems = plan.filter(entry => entry.state === 'modified' || entry.state === 'missing');
+  if (problems.length === 0) return;
+
+  problems.forEach(entry => logger.error(entry.state === 'modified'
+    ? `${entry.version}_${entry.name} was edited after it was applied (checksum mismatch)`
+    : `${entry.version}_${entry.name} is recorded as applied but its files are missing`));
+  throw new Error('Applied migrations do not match migrations/. Add a new migration instead of editing an applied one.');
+}
+
+async function applyMigration(client, migration) {
+  const label = `${migration.version}_${migration.name}`;
+  if (CONFIG.dryRun) {
+    logger.info(`[DRY RUN] Would apply ${label}`);
+    return;
+  }
+
+  const started = Date.now();
+  await client.query('BEGIN');
+  try {
+    await client.query(migration.upSql);
+    await client.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`${label} failed and was rolled back: ${error.message}`);
+  }
+  logger.info(`Applied ${label} (${Date.now() - started} ms)`);
+}
+
+async function revertMigration(client, migration) {
+  const label = `${migration.version}_${migration.name}`;
+  if (CONFIG.dryRun) {
+    logger.info(`[DRY RUN] Would revert ${label}`);
+    return;
+  }
+
+  const downSql = await fs.readFile(migration.downFile, 'utf8');
+  const started = Date.now();
+  await client.query('BEGIN');
+  try {
+    await client.query(downSql);
+    await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`${label} could not be reverted and was rolled back: ${error.message}`);
+  }
+  logger.info(`Reverted ${label} (${Date.now() - started} ms)`);
+}
+
+function printStatus(plan) {
+  if (plan.length === 0) {
+    logger.info('No migrations found in migrations/');
+    return;
+  }
+
+  plan.forEach(entry => {
+    const appliedAt = entry.appliedAt ? ` ${new Date(entry.appliedAt).toISOString()}` : '';
+    console.log(`  ${entry.state.padEnd(8)} ${entry.version}_${entry.name}${appliedAt}`);
+  });
+
+  const pending = plan.filter(entry => entry.state === 'pending').length;
+  logger.info(`${plan.length - pending} applied, ${pending} pending`);
+}
+
+async function migrateUp(client, plan) {
+  assertConsistent(plan);
+
+  const pending = plan.filter(entry =>
+    entry.state === 'pending' && (CONFIG.to === undefined || Number(entry.version) <= Number(CONFIG.to))
+  );
+  if (pending.length === 0) {
+    logger.info('Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    await applyMigration(client, migration);
+  }
+}
+
+async function migrateDown(client, plan) {
+  assertConsistent(plan);
+
+  const applied = plan.filter(entry => entry.state === 'applied').reverse();
+  let targets;
+  if (CONFIG.to !== undefined) {
+    targets = applied.filter(entry => Number(entry.version) > Number(CONFIG.to));
+  } else {
+    const steps = CONFIG.steps === undefined ? 1 : parseInt(CONFIG.steps, 10);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('--steps must be a positive integer');
+    }
+    targets = applied.slice(0, steps);
+  }
+
+  if (targets.length === 0) {
+    logger.info('Nothing to revert');
+    return;
+  }
+
+  for (const migration of targets) {
+    await revertMigration(client, migration);
+  }
+}
+
+async function migrateRedo(client, plan) {
+  assertConsistent(plan);
+
+  const latest = plan.filter(entry => entry.state === 'applied').pop();
+  if (!latest) {
+    logger.info('Nothing to redo');
+    return;
+  }
+
+  await revertMigration(client, latest);
+  await applyMigration(client, latest);
+}
+
+/**
+ * Records every migration on disk as applied without running it.
+ * Used by the deploy scripts: azure-schema.sql already contains every change in migrations/.
+ */
+async function baselineMigrations(client) {
+  const migrations = await loadMigrations();
+  await ensureMigrationsTable(client);
+
+  for (const migration of migrations) {
+    await client.query(
+      `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)
+       ON CONFLICT (version) DO NOTHING`,
+      [migration.version, migration.name, migration.checksum]
+    );
+  }
+
+  logger.info(`Recorded ${migrations.length} migration(s) as applied`);
+}
+
+const COMMANDS = {
+  status: async (client, plan) => printStatus(plan),
+  up: migrateUp,
+  down: migrateDown,
+  redo: migrateRedo
+};
+
+async function main() {
+  const run = COMMANDS[CONFIG.command];
+  if (!run) {
+    logger.error('Usage: node migrate.js <status|up|down|redo> [--to=version] [--steps=n] [--dry-run]');
+    process.exit(1);
+  }
+
+  const connectionString = process.env.AZURE_POSTGRESQL_CONNECTION_STRING;
+  if (!connectionString) {
+    throw new Error('AZURE_POSTGRESQL_CONNECTION_STRING environment variable is required');
+  }
+
+  const client = new Client({
+    connectionString: connectionString,
+    ssl: { rejectUnauthorized: false }
+  });
+
+  try {
+    await client.connect();
+    logger.debug('Connected to Azure PostgreSQL database');
+
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      const plan = buildPlan(await loadMigrations(), await loadApplied(client));
+      await run(client, plan);
+
+      if (CONFIG.command !== 'status' && !CONFIG.dryRun) {
+        printStatus(buildPlan(await loadMigrations(), await loadApplied(client)));
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } catch (error) {
+    logger.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    logger.error(`Unhandled error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, checksum, loadMigrations, buildPlan, baselineMigrations };
@@ -0,0 +1,28 @@
+-- 001 (down): return to the original azure-schema.sql model
+--
+-- Drops roles, sessions, incident history and incident device details. Everyone is signed out
+-- and that data is lost; walkthrough numbers already assigned are kept.
+
+DROP TABLE IF EXISTS incident_history;
+
+DROP INDEX IF EXISTS incidents_audit_report_id_idx;
+ALTER TABLE incidents
+  DROP CONSTRAINT IF EXISTS incidents_audit_report_id_fkey,
+  DROP CONSTRAINT IF EXISTS part_type_check,
+  DROP COLUMN IF EXISTS audit_report_id,
+  DROP COLUMN IF EXISTS walkthrough_id,
+  DROP COLUMN IF EXISTS comments,
+  DROP COLUMN IF EXISTS u_height,
+  DROP COLUMN IF EXISTS part_identifier,
+  DROP COLUMN IF EXISTS part_type,
+  DROP COLUMN IF EXISTS rack_number;
+
+DROP INDEX IF EXISTS idx_audit_reports_client_submission;
+ALTER TABLE "AuditReports" DROP CONSTRAINT IF EXISTS audit_reports_walkthrough_id_key;
+ALTER TABLE "AuditReports" ALTER COLUMN walkthrough_id DROP IDENTITY IF EXISTS;
+
+DROP TABLE IF EXISTS refresh_tokens;
+
+DROP INDEX IF EXISTS users_role_idx;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
+DROP TYPE IF EXISTS user_role;
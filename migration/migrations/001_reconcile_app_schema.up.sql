@@ -0,0 +1,114 @@
+-- 001: bring a database deployed from the original azure-schema.sql up to the model the API uses
+--
+--   * users.role (user_role enum) and refresh_tokens for the auth endpoints
+--   * incident_history for the incident change log
+--   * device columns on incidents and a foreign key to the walkthrough they came from
+--   * an identity sequence for "AuditReports".walkthrough_id, which the API expects to be assigned
+--   * the unique client submission index used to de-duplicate offline replays
+--
+-- Every statement is guarded, so running it against an already reconciled database is a no-op.
+
+-- Roles
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'user_role') THEN
+    CREATE TYPE user_role AS ENUM ('technician', 'supervisor', 'admin');
+  END IF;
+END $$;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role user_role DEFAULT 'technician' NOT NULL;
+CREATE INDEX IF NOT EXISTS users_role_idx ON users(role);
+COMMENT ON COLUMN users.role IS 'Access level: technician < supervisor < admin';
+
+-- Sessions
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  token_hash text UNIQUE NOT NULL,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  revoked_at timestamptz,
+  replaced_by uuid REFERENCES refresh_tokens(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS refresh_tokens_user_id_idx ON refresh_tokens(user_id);
+COMMENT ON TABLE refresh_tokens IS 'Hashed refresh tokens with rotation and revocation';
+
+-- Walkthrough ids: fail loudly on duplicates instead of building a unique index that cannot hold
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM "AuditReports" GROUP BY walkthrough_id HAVING COUNT(*) > 1
+  ) THEN
+    RAISE EXCEPTION 'Duplicate "AuditReports".walkthrough_id values found; resolve them before running this migration';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_attribute
+    WHERE attrelid = '"AuditReports"'::regclass AND attname = 'walkthrough_id' AND attidentity <> ''
+  ) THEN
+    ALTER TABLE "AuditReports" ALTER COLUMN walkthrough_id ADD GENERATED BY DEFAULT AS IDENTITY;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'audit_reports_walkthrough_id_key'
+  ) THEN
+    ALTER TABLE "AuditReports" ADD CONSTRAINT audit_reports_walkthrough_id_key UNIQUE (walkthrough_id);
+  END IF;
+END $$;
+
+-- Continue numbering after the highest existing walkthrough
+SELECT setval(
+  pg_get_serial_sequence('"AuditReports"', 'walkthrough_id'),
+  COALESCE((SELECT MAX(walkthrough_id) FROM "AuditReports"), 0) + 1,
+  false
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_reports_client_submission
+  ON "AuditReports"(("ReportData"->>'clientSubmissionId'));
+
+-- Incident device details
+ALTER TABLE incidents
+  ADD COLUMN IF NOT EXISTS rack_number text,
+  ADD COLUMN IF NOT EXISTS part_type text,
+  ADD COLUMN IF NOT EXISTS part_identifier text,
+  ADD COLUMN IF NOT EXISTS u_height text,
+  ADD COLUMN IF NOT EXISTS comments text,
+  ADD COLUMN IF NOT EXISTS walkthrough_id integer,
+  ADD COLUMN IF NOT EXISTS audit_report_id uuid;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'part_type_check') THEN
+    ALTER TABLE incidents
+      ADD CONSTRAINT part_type_check CHECK (part_type IN ('PSU', 'PDU', 'RDHX', 'Other'));
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'incidents_audit_report_id_fkey') THEN
+    ALTER TABLE incidents
+      ADD CONSTRAINT incidents_audit_report_id_fkey
+      FOREIGN KEY (audit_report_id) REFERENCES "AuditReports"("Id") ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Incidents that only carry a walkthrough number get linked to that audit
+UPDATE incidents i
+SET audit_report_id = ar."Id"
+FROM "AuditReports" ar
+WHERE i.audit_report_id IS NULL
+  AND i.walkthrough_id = ar.walkthrough_id;
+
+CREATE INDEX IF NOT EXISTS incidents_audit_report_id_idx ON incidents(audit_report_id);
+
+-- Incident change log
+CREATE TABLE IF NOT EXISTS incident_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id uuid REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+  changed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  field text NOT NULL,
+  old_value text,
+  new_value text,
+  reason text,
+  created_at timestamptz DEFAULT now() NOT NULL
+);
+CREATE INDEX IF NOT EXISTS incident_history_incident_id_idx ON incident_history(incident_id, created_at);
+COMMENT ON TABLE incident_history IS 'Status, severity and description changes per incident';
@@ -0,0 +1,5 @@
+-- 002 (down): drop the inventory tables. Locations fall back to whatever the client ships with.
+
+DROP TABLE IF EXISTS racks;
+DROP TABLE IF EXISTS data_halls;
+DROP TABLE IF EXISTS sites;
@@ -0,0 +1,6 @@
+-- 003 (down): drop the rack row, position and type
+
+ALTER TABLE racks
+  DROP COLUMN IF EXISTS rack_type,
+  DROP COLUMN IF EXISTS position,
+  DROP COLUMN IF EXISTS row_label;
@@ -0,0 +1,18 @@
+-- 003: row, position and type per rack, filled in by the rack import
+--
+-- Existing racks get their row and position from the id: X2401 is row 24, position 1 and
+-- X230101 is row 2301, position 1.
+
+ALTER TABLE racks
+  ADD COLUMN IF NOT EXISTS row_label text,
+  ADD COLUMN IF NOT EXISTS position integer,
+  ADD COLUMN IF NOT EXISTS rack_type text;
+
+UPDATE racks
+SET row_label = substr(name, 2, length(name) - 3),
+    position = substr(name, length(name) - 1, 2)::integer
+WHERE row_label IS NULL
+  AND name ~ '^X([0-9]{4}|[0-9]{6})$';
+
+COMMENT ON COLUMN racks.row_label IS 'Row the rack stands in, e.g. 24 for X2401';
+COMMENT ON COLUMN racks.position IS 'Position of the rack within its row';
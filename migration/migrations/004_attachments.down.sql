@@ -0,0 +1,3 @@
+-- 004 (down): drop attachment metadata. Files already in storage are left in place.
+
+DROP TABLE IF EXISTS attachments;
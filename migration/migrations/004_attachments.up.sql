@@ -0,0 +1,24 @@
+-- 004: photos and files attached to incidents and walkthroughs
+--
+-- The files live in the attachment storage backend (local disk or Azure Blob Storage); this table
+-- holds their metadata and storage keys. Walkthrough attachments can name the rack they were
+-- taken at, so incidents raised for that rack show them too.
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id uuid REFERENCES incidents(id) ON DELETE CASCADE,
+  audit_report_id uuid REFERENCES "AuditReports"("Id") ON DELETE CASCADE,
+  rack_location text,
+  file_name text NOT NULL,
+  content_type text NOT NULL,
+  size_bytes integer NOT NULL,
+  storage_key text NOT NULL,
+  thumbnail_key text,
+  uploaded_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT attachments_owner_check CHECK ((incident_id IS NULL) <> (audit_report_id IS NULL)),
+  CONSTRAINT attachments_storage_key_key UNIQUE (storage_key)
+);
+
+CREATE INDEX IF NOT EXISTS attachments_incident_id_idx ON attachments(incident_id);
+CREATE INDEX IF NOT EXISTS attachments_audit_report_id_idx ON attachments(audit_report_id, rack_location);
@@ -0,0 +1,53 @@
+-- 005 (down): drop incident comments and the comment/update activity types
+
+DROP INDEX IF EXISTS attachments_comment_id_idx;
+ALTER TABLE attachments DROP COLUMN IF EXISTS comment_id;
+
+DROP TABLE IF EXISTS incident_comments;
+
+-- Enum values cannot be dropped, so the type is rebuilt without them
+DELETE FROM user_activities WHERE type::text IN ('comment', 'update');
+
+ALTER TYPE activity_type RENAME TO activity_type_old;
+CREATE TYPE activity_type AS ENUM ('inspection', 'issue', 'report');
+ALTER TABLE user_activities ALTER COLUMN type TYPE activity_type USING type::text::activity_type;
+
+DROP FUNCTION IF EXISTS log_user_activity(uuid, activity_type_old, text);
+CREATE OR REPLACE FUNCTION log_user_activity(
+  p_user_id uuid,
+  p_type activity_type,
+  p_description text
+) RETURNS void AS $$
+BEGIN
+  INSERT INTO user_activities (user_id, type, description)
+  VALUES (p_user_id, p_type, p_description);
+  
+  -- Update user stats
+  IF p_type = 'inspection' THEN
+    INSERT INTO user_stats (user_id, walkthroughs_completed)
+    VALUES (p_user_id, 1)
+    ON CONFLICT (user_id)
+    DO UPDATE SET
+      walkthroughs_completed = user_stats.walkthroughs_completed + 1,
+      updated_at = now();
+  ELSIF p_type = 'issue' THEN
+    INSERT INTO user_stats (user_id, issues_resolved)
+    VALUES (p_user_id, 1)
+    ON CONFLICT (user_id)
+    DO UPDATE SET
+      issues_resolved = user_stats.issues_resolved + 1,
+      updated_at = now();
+  ELSIF p_type = 'report' THEN
+    INSERT INTO user_stats (user_id, reports_generated)
+    VALUES (p_user_id, 1)
+    ON CONFLICT (user_id)
+    DO UPDATE SET
+      reports_generated = user_stats.reports_generated + 1,
+      updated_at = now();
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION log_user_activity IS 'Logs user activity and updates statistics';
+
+DROP TYPE activity_type_old;
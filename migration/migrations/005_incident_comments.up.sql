@@ -0,0 +1,25 @@
+-- 005: comment thread on incidents
+--
+-- Comments and the status/severity changes in incident_history together make up the incident
+-- timeline. Replies point at the comment they answer; attachments can belong to a comment.
+-- New activity types record comments and incident updates in user_activities without counting
+-- them as resolved issues.
+
+ALTER TYPE activity_type ADD VALUE IF NOT EXISTS 'comment';
+ALTER TYPE activity_type ADD VALUE IF NOT EXISTS 'update';
+
+CREATE TABLE IF NOT EXISTS incident_comments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  incident_id uuid NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+  parent_id uuid REFERENCES incident_comments(id) ON DELETE CASCADE,
+  author_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  body text NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS incident_comments_incident_id_idx ON incident_comments(incident_id, created_at);
+
+ALTER TABLE attachments
+  ADD COLUMN IF NOT EXISTS comment_id uuid REFERENCES incident_comments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS attachments_comment_id_idx ON attachments(comment_id);
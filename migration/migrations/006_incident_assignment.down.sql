@@ -0,0 +1,14 @@
+-- 006 (down): drop incident assignment and teams. Assignment entries stay in incident_history.
+
+DROP INDEX IF EXISTS incidents_team_id_idx;
+DROP INDEX IF EXISTS incidents_assignee_id_idx;
+DROP INDEX IF EXISTS users_team_id_idx;
+
+ALTER TABLE incidents
+  DROP COLUMN IF EXISTS assigned_at,
+  DROP COLUMN IF EXISTS team_id,
+  DROP COLUMN IF EXISTS assignee_id;
+
+ALTER TABLE users DROP COLUMN IF EXISTS team_id;
+
+DROP TABLE IF EXISTS teams;
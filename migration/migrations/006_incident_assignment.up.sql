@@ -0,0 +1,24 @@
+-- 006: incident ownership
+--
+-- Incidents can be assigned to a user, a team or both. Users belong to at most one team, so
+-- "My work" can list what is assigned to a user directly and what waits unclaimed in their
+-- team. Assignments and reassignments are recorded in incident_history.
+
+CREATE TABLE IF NOT EXISTS teams (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text UNIQUE NOT NULL,
+  is_active boolean DEFAULT true NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL
+);
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS team_id uuid REFERENCES teams(id) ON DELETE SET NULL;
+
+ALTER TABLE incidents
+  ADD COLUMN IF NOT EXISTS assignee_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS team_id uuid REFERENCES teams(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS assigned_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS users_team_id_idx ON users(team_id);
+CREATE INDEX IF NOT EXISTS incidents_assignee_id_idx ON incidents(assignee_id);
+CREATE INDEX IF NOT EXISTS incidents_team_id_idx ON incidents(team_id);
@@ -0,0 +1,12 @@
+-- 007 (down): drop SLA policies and the SLA columns on incidents. Escalation entries stay in
+-- incident_history.
+
+DROP INDEX IF EXISTS incidents_escalation_idx;
+
+ALTER TABLE incidents
+  DROP COLUMN IF EXISTS escalated_at,
+  DROP COLUMN IF EXISTS escalation_level,
+  DROP COLUMN IF EXISTS resolved_at,
+  DROP COLUMN IF EXISTS responded_at;
+
+DROP TABLE IF EXISTS sla_policies;
@@ -0,0 +1,47 @@
+-- 007: SLA targets and escalation for incidents
+--
+-- sla_policies holds the response and resolution targets per severity. Due dates are computed
+-- from incidents.created_at and the current policy, so they are not stored. responded_at is set
+-- when an incident first leaves "open", resolved_at while it is resolved. escalation_level
+-- records how far an incident has been escalated: 1 for a missed response, 2 for a missed
+-- resolution.
+
+CREATE TABLE IF NOT EXISTS sla_policies (
+  severity incident_severity PRIMARY KEY,
+  response_minutes integer NOT NULL CHECK (response_minutes > 0),
+  resolution_minutes integer NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT sla_policies_resolution_check CHECK (resolution_minutes >= response_minutes)
+);
+
+INSERT INTO sla_policies (severity, response_minutes, resolution_minutes) VALUES
+  ('critical', 15, 240),
+  ('high', 60, 1440),
+  ('medium', 240, 4320),
+  ('low', 1440, 10080)
+ON CONFLICT (severity) DO NOTHING;
+
+ALTER TABLE incidents
+  ADD COLUMN IF NOT EXISTS responded_at timestamptz,
+  ADD COLUMN IF NOT EXISTS resolved_at timestamptz,
+  ADD COLUMN IF NOT EXISTS escalation_level smallint DEFAULT 0 NOT NULL,
+  ADD COLUMN IF NOT EXISTS escalated_at timestamptz;
+
+-- Backfill the SLA clocks from the status history; fall back to updated_at without history
+UPDATE incidents i
+SET responded_at = COALESCE(
+  (SELECT MIN(h.created_at) FROM incident_history h
+   WHERE h.incident_id = i.id AND h.field = 'status' AND h.old_value = 'open'),
+  i.updated_at
+)
+WHERE i.status <> 'open' AND i.responded_at IS NULL;
+
+UPDATE incidents i
+SET resolved_at = COALESCE(
+  (SELECT MAX(h.created_at) FROM incident_history h
+   WHERE h.incident_id = i.id AND h.field = 'status' AND h.new_value = 'resolved'),
+  i.updated_at
+)
+WHERE i.status = 'resolved' AND i.resolved_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS incidents_escalation_idx ON incidents(status, escalation_level);
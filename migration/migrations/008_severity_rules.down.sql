@@ -0,0 +1,3 @@
+-- 008 (down): drop the severity rules. Incidents keep the severities they were given.
+
+DROP TABLE IF EXISTS severity_rules;
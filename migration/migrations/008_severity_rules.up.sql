@@ -0,0 +1,34 @@
+-- 008: rules that classify the severity of incidents opened by walkthroughs
+--
+-- Rules are checked in position order and the first active rule that matches a device wins;
+-- devices no rule matches get "medium". A rule matches when the device's field has the value
+-- and at least min_per_rack devices of that type in the same rack do too.
+
+CREATE TABLE IF NOT EXISTS severity_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  position integer NOT NULL,
+  name text NOT NULL,
+  part_type text NOT NULL,
+  field text NOT NULL,
+  value text NOT NULL,
+  min_per_rack integer DEFAULT 1 NOT NULL CHECK (min_per_rack > 0),
+  severity incident_severity NOT NULL,
+  is_active boolean DEFAULT true NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT severity_rules_part_type_check CHECK (part_type IN ('PSU', 'PDU', 'RDHX')),
+  CONSTRAINT severity_rules_field_check CHECK (field IN ('status', 'fanState', 'valveState', 'leakState'))
+);
+
+INSERT INTO severity_rules (position, name, part_type, field, value, min_per_rack, severity)
+SELECT * FROM (VALUES
+  (1, 'Several PSUs powered off in one rack', 'PSU', 'status', 'Powered-Off', 2, 'critical'::incident_severity),
+  (2, 'RDHX leak detected', 'RDHX', 'status', 'Leak Detected', 1, 'critical'::incident_severity),
+  (3, 'RDHX active leak', 'RDHX', 'leakState', 'Active Leak', 1, 'critical'::incident_severity),
+  (4, 'PDU breaker tripped', 'PDU', 'status', 'Breaker Tripped', 1, 'high'::incident_severity),
+  (5, 'PDU powered off', 'PDU', 'status', 'Powered-Off', 1, 'high'::incident_severity),
+  (6, 'PSU powered off', 'PSU', 'status', 'Powered-Off', 1, 'high'::incident_severity),
+  (7, 'RDHX fans failed', 'RDHX', 'fanState', 'Failed', 1, 'high'::incident_severity),
+  (8, 'RDHX moisture', 'RDHX', 'leakState', 'Moisture', 1, 'high'::incident_severity),
+  (9, 'PSU amber LED', 'PSU', 'status', 'Amber LED', 1, 'low'::incident_severity)
+) AS defaults
+WHERE NOT EXISTS (SELECT 1 FROM severity_rules);
@@ -0,0 +1,4 @@
+-- 009 (down): drop notification preferences and the delivery log
+
+DROP TABLE IF EXISTS notification_deliveries;
+DROP TABLE IF EXISTS notification_preferences;
@@ -0,0 +1,42 @@
+-- 009: email and webhook notifications
+--
+-- notification_preferences holds each user's subscriptions next to user_profiles; users without
+-- a row get the defaults. notification_deliveries logs every message sent or still to be sent to
+-- one target. Failed deliveries stay pending with a later next_attempt_at until they succeed or
+-- run out of attempts.
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id uuid PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  events text[] DEFAULT '{incident.critical,incident.sla_breach}' NOT NULL,
+  email_enabled boolean DEFAULT true NOT NULL,
+  webhook_url text,
+  webhook_format text DEFAULT 'generic' NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT notification_preferences_webhook_format_check CHECK (webhook_format IN ('generic', 'slack', 'teams'))
+);
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event text NOT NULL,
+  incident_id uuid REFERENCES incidents(id) ON DELETE SET NULL,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  channel text NOT NULL,
+  format text,
+  target text NOT NULL,
+  subject text NOT NULL,
+  body text NOT NULL,
+  payload jsonb DEFAULT '{}' NOT NULL,
+  status text DEFAULT 'pending' NOT NULL,
+  attempts integer DEFAULT 0 NOT NULL,
+  last_error text,
+  next_attempt_at timestamptz DEFAULT now() NOT NULL,
+  sent_at timestamptz,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT notification_deliveries_channel_check CHECK (channel IN ('email', 'webhook')),
+  CONSTRAINT notification_deliveries_status_check CHECK (status IN ('pending', 'sent', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS notification_deliveries_pending_idx
+  ON notification_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS notification_deliveries_incident_id_idx ON notification_deliveries(incident_id);
+CREATE INDEX IF NOT EXISTS notification_deliveries_created_at_idx ON notification_deliveries(created_at DESC);
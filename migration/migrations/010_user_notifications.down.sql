@@ -0,0 +1,3 @@
+-- 010 (down): drop in-app notifications
+
+DROP TABLE IF EXISTS user_notifications;
@@ -0,0 +1,22 @@
+-- 010: in-app notifications
+--
+-- One row per user and event, shown in the header's notification menu. subject_type and
+-- subject_id name what the notification links to: an incident, a walkthrough (AuditReports) or
+-- a report. The subject is not a foreign key, so a notification outlives a deleted report.
+
+CREATE TABLE IF NOT EXISTS user_notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  type text NOT NULL,
+  title text NOT NULL,
+  body text DEFAULT '' NOT NULL,
+  subject_type text NOT NULL,
+  subject_id uuid NOT NULL,
+  read_at timestamptz,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT user_notifications_type_check CHECK (type IN ('incident.assigned', 'walkthrough.critical', 'report.published')),
+  CONSTRAINT user_notifications_subject_type_check CHECK (subject_type IN ('incident', 'walkthrough', 'report'))
+);
+
+CREATE INDEX IF NOT EXISTS user_notifications_user_id_idx ON user_notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS user_notifications_unread_idx ON user_notifications(user_id) WHERE read_at IS NULL;
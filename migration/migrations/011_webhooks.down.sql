@@ -0,0 +1,4 @@
+-- 011 (down): drop webhook subscriptions and their deliveries
+
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhook_subscriptions;
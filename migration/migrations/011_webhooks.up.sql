@@ -0,0 +1,39 @@
+-- 011: outbound webhooks
+--
+-- webhook_subscriptions are endpoints registered by admins for a set of events. Every event is
+-- written to webhook_deliveries, once per matching subscription, in the transaction of the change
+-- that raised it; the DeliverWebhooks timer sends pending rows and retries failures with backoff.
+-- A redelivery is a new row with the same event_id and payload that points at the original.
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  url text NOT NULL,
+  secret text NOT NULL,
+  events text[] NOT NULL,
+  is_active boolean DEFAULT true NOT NULL,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id uuid REFERENCES webhook_subscriptions(id) ON DELETE CASCADE NOT NULL,
+  event text NOT NULL,
+  event_id uuid NOT NULL,
+  payload jsonb NOT NULL,
+  status text DEFAULT 'pending' NOT NULL,
+  attempts integer DEFAULT 0 NOT NULL,
+  response_status integer,
+  last_error text,
+  next_attempt_at timestamptz DEFAULT now() NOT NULL,
+  sent_at timestamptz,
+  redelivery_of uuid REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  CONSTRAINT webhook_deliveries_status_check CHECK (status IN ('pending', 'sent', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_pending_idx
+  ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS webhook_deliveries_subscription_id_idx ON webhook_deliveries(subscription_id, created_at DESC);
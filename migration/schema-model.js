@@ -0,0 +1,320 @@
+/**
+ * Expected database model
+ *
+ * The tables, columns, enums and relationships the API relies on, as produced by
+ * azure-schema.sql (fresh databases) or by applying migrations/ to an older database.
+ * check-db-objects.js compares a live database against this model to detect drift.
+ *
+ * Column types use PostgreSQL udt names (int4, bool, timestamptz, ...) as reported by
+ * information_schema.columns.udt_name. Keep this file in step with every schema change.
+ */
+
+const col = (type, nullable = false) => ({ type, nullable });
+
+const enums = {
+  activity_type: ['inspection', 'issue', 'report', 'comment', 'update'],
+  incident_severity: ['critical', 'high', 'medium', 'low'],
+  incident_status: ['open', 'in-progress', 'resolved'],
+  user_role: ['technician', 'supervisor', 'admin']
+};
+
+const tables = {
+  teams: {
+    id: col('uuid'),
+    name: col('text'),
+    is_active: col('bool'),
+    created_at: col('timestamptz')
+  },
+  users: {
+    id: col('uuid'),
+    email: col('text'),
+    encrypted_password: col('text', true),
+    full_name: col('text', true),
+    department: col('text', true),
+    phone: col('text', true),
+    avatar_url: col('text', true),
+    created_at: col('timestamptz'),
+    updated_at: col('timestamptz'),
+    last_sign_in_at: col('timestamptz', true),
+    email_confirmed_at: col('timestamptz', true),
+    is_active: col('bool'),
+    role: col('user_role'),
+    team_id: col('uuid', true)
+  },
+  refresh_tokens: {
+    id: col('uuid'),
+    user_id: col('uuid'),
+    token_hash: col('text'),
+    expires_at: col('timestamptz'),
+    created_at: col('timestamptz'),
+    revoked_at: col('timestamptz', true),
+    replaced_by: col('uuid', true)
+  },
+  user_profiles: {
+    user_id: col('uuid'),
+    full_name: col('text'),
+    avatar_url: col('text', true),
+    phone: col('text', true),
+    department: col('text'),
+    updated_at: col('timestamptz')
+  },
+  user_activities: {
+    id: col('uuid'),
+    user_id: col('uuid'),
+    type: col('activity_type'),
+    description: col('text'),
+    created_at: col('timestamptz')
+  },
+  user_stats: {
+    user_id: col('uuid'),
+    walkthroughs_completed: col('int4'),
+    issues_resolved: col('int4'),
+    reports_generated: col('int4'),
+    updated_at: col('timestamptz')
+  },
+  notification_preferences: {
+    user_id: col('uuid'),
+    events: col('_text'),
+    email_enabled: col('bool'),
+    webhook_url: col('text', true),
+    webhook_format: col('text'),
+    updated_at: col('timestamptz')
+  },
+  AuditReports: {
+    Id: col('uuid'),
+    UserEmail: col('text'),
+    GeneratedBy: col('text', true),
+    Timestamp: col('timestamptz'),
+    datacenter: col('text'),
+    datahall: col('text'),
+    issues_reported: col('int4'),
+    state: col('text'),
+    walkthrough_id: col('int4'),
+    user_full_name: col('text'),
+    ReportData: col('jsonb')
+  },
+  incidents: {
+    id: col('uuid'),
+    location: col('text'),
+    datahall: col('text'),
+    description: col('text'),
+    severity: col('incident_severity'),
+    status: col('incident_status'),
+    created_at: col('timestamptz'),
+    updated_at: col('timestamptz'),
+    user_id: col('uuid', true),
+    rack_number: col('text', true),
+    part_type: col('text', true),
+    part_identifier: col('text', true),
+    u_height: col('text', true),
+    comments: col('text', true),
+    walkthrough_id: col('int4', true),
+    audit_report_id: col('uuid', true),
+    assignee_id: col('uuid', true),
+    team_id: col('uuid', true),
+    assigned_at: col('timestamptz', true),
+    responded_at: col('timestamptz', true),
+    resolved_at: col('timestamptz', true),
+    escalation_level: col('int2'),
+    escalated_at: col('timestamptz', true)
+  },
+  incident_history: {
+    id: col('uuid'),
+    incident_id: col('uuid'),
+    changed_by: col('uuid', true),
+    field: col('text'),
+    old_value: col('text', true),
+    new_value: col('text', true),
+    reason: col('text', true),
+    created_at: col('timestamptz')
+  },
+  reports: {
+    id: col('uuid'),
+    title: col('text'),
+    generated_by: col('uuid'),
+    generated_at: col('timestamptz'),
+    date_range_start: col('timestamptz'),
+    date_range_end: col('timestamptz'),
+    datacenter: col('text', true),
+    datahall: col('text', true),
+    status: col('text'),
+    total_incidents: col('int4'),
+    report_data: col('jsonb')
+  },
+  sites: {
+    id: col('uuid'),
+    name: col('text'),
+    is_active: col('bool'),
+    created_at: col('timestamptz'),
+    updated_at: col('timestamptz')
+  },
+  data_halls: {
+    id: col('uuid'),
+    site_id: col('uuid'),
+    name: col('text'),
+    is_active: col('bool'),
+    created_at: col('timestamptz'),
+    updated_at: col('timestamptz')
+  },
+  racks: {
+    id: col('uuid'),
+    data_hall_id: col('uuid'),
+    name: col('text'),
+    row_label: col('text', true),
+    position: col('int4', true),
+    rack_type: col('text', true),
+    is_active: col('bool'),
+    created_at: col('timestamptz'),
+    updated_at: col('timestamptz')
+  },
+  sla_policies: {
+    severity: col('incident_severity'),
+    response_minutes: col('int4'),
+    resolution_minutes: col('int4'),
+    updated_at: col('timestamptz')
+  },
+  severity_rules: {
+    id: col('uuid'),
+    position: col('int4'),
+    name: col('text'),
+    part_type: col('text'),
+    field: col('text'),
+    value: col('text'),
+    min_per_rack: col('int4'),
+    severity: col('incident_severity'),
+    is_active: col('bool'),
+    created_at: col('timestamptz')
+  },
+  incident_comments: {
+    id: col('uuid'),
+    incident_id: col('uuid'),
+    parent_id: col('uuid', true),
+    author_id: col('uuid', true),
+    body: col('text'),
+    created_at: col('timestamptz')
+  },
+  attachments: {
+    id: col('uuid'),
+    incident_id: col('uuid', true),
+    audit_report_id: col('uuid', true),
+    rack_location: col('text', true),
+    file_name: col('text'),
+    content_type: col('text'),
+    size_bytes: col('int4'),
+    storage_key: col('text'),
+    thumbnail_key: col('text', true),
+    comment_id: col('uuid', true),
+    uploaded_by: col('uuid', true),
+    created_at: col('timestamptz')
+  },
+  notification_deliveries: {
+    id: col('uuid'),
+    event: col('text'),
+    incident_id: col('uuid', true),
+    user_id: col('uuid', true),
+    channel: col('text'),
+    format: col('text', true),
+    target: col('text'),
+    subject: col('text'),
+    body: col('text'),
+    payload: col('jsonb'),
+    status: col('text'),
+    attempts: col('int4'),
+    last_error: col('text', true),
+    next_attempt_at: col('timestamptz'),
+    sent_at: col('timestamptz', true),
+    created_at: col('timestamptz')
+  },
+  user_notifications: {
+    id: col('uuid'),
+    user_id: col('uuid'),
+    type: col('text'),
+    title: col('text'),
+    body: col('text'),
+    subject_type: col('text'),
+    subject_id: col('uuid'),
+    read_at: col('timestamptz', true),
+    created_at: col('timestamptz')
+  },
+  webhook_subscriptions: {
+    id: col('uuid'),
+    name: col('text'),
+    url: col('text'),
+    secret: col('text'),
+    events: col('_text'),
+    is_active: col('bool'),
+    created_by: col('uuid', true),
+    created_at: col('timestamptz'),
+    updated_at: col('timestamptz')
+  },
+  webhook_deliveries: {
+    id: col('uuid'),
+    subscription_id: col('uuid'),
+    event: col('text'),
+    event_id: col('uuid'),
+    payload: col('jsonb'),
+    status: col('text'),
+    attempts: col('int4'),
+    response_status: col('int4', true),
+    last_error: col('text', true),
+    next_attempt_at: col('timestamptz'),
+    sent_at: col('timestamptz', true),
+    redelivery_of: col('uuid', true),
+    created_at: col('timestamptz')
+  },
+  schema_migrations: {
+    version: col('text'),
+    name: col('text'),
+    checksum: col('text'),
+    applied_at: col('timestamptz')
+  }
+};
+
+// "table.column" -> "table.column"
+const foreignKeys = {
+  'refresh_tokens.user_id': 'users.id',
+  'refresh_tokens.replaced_by': 'refresh_tokens.id',
+  'user_profiles.user_id': 'users.id',
+  'user_activities.user_id': 'users.id',
+  'user_stats.user_id': 'users.id',
+  'incidents.user_id': 'users.id',
+  'incidents.audit_report_id': 'AuditReports.Id',
+  'incidents.assignee_id': 'users.id',
+  'incidents.team_id': 'teams.id',
+  'users.team_id': 'teams.id',
+  'incident_history.incident_id': 'incidents.id',
+  'incident_history.changed_by': 'users.id',
+  'reports.generated_by': 'users.id',
+  'data_halls.site_id': 'sites.id',
+  'racks.data_hall_id': 'data_halls.id',
+  'attachments.incident_id': 'incidents.id',
+  'attachments.audit_report_id': 'AuditReports.Id',
+  'attachments.uploaded_by': 'users.id',
+  'attachments.comment_id': 'incident_comments.id',
+  'incident_comments.incident_id': 'incidents.id',
+  'incident_comments.parent_id': 'incident_comments.id',
+  'incident_comments.author_id': 'users.id',
+  'notification_preferences.user_id': 'users.id',
+  'notification_deliveries.incident_id': 'incidents.id',
+  'notification_deliveries.user_id': 'users.id',
+  'user_notifications.user_id': 'users.id',
+  'webhook_subscriptions.created_by': 'users.id',
+  'webhook_deliveries.subscription_id': 'webhook_subscriptions.id',
+  'webhook_deliveries.redelivery_of': 'webhook_deliveries.id'
+};
+
+// Columns filled from an identity sequence when no value is supplied
+const identityColumns = ['AuditReports.walkthrough_id'];
+
+const functions = ['upsert_user_profile', 'log_user_activity', 'update_updated_at_column'];
+
+const views = ['user_dashboard'];
+
+module.exports = {
+  enums,
+  tables,
+  foreignKeys,
+  identityColumns,
+  functions,
+  views
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+let mockClient;
+jest.mock('pg', () => ({ Client: jest.fn(() => mockClient) }));
+
+const LOCK = 'SELECT pg_advisory_lock($1)';
+const UNLOCK = 'SELECT pg_advisory_unlock($1)';
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const VERSIONS = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.up.sql')).map(file => file.split('_')[0]).sort();
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// migrate.js reads its command line when it is loaded
+function loadRunner(...args) {
+  process.argv = ['node', 'migrate.js', ...args];
+  let runner;
+  jest.isolateModules(() => {
+    runner = require('../migrate');
+  });
+  return runner;
+}
+
+// A pg client that records statements; `applied` are the schema_migrations rows
+function fakeClient({ applied = [], fail } = {}) {
+  const client = {
+    statements: [],
+    connect: jest.fn(async () => {}),
+    end: jest.fn(async () => {}),
+    async query(text, params) {
+      const sql = text.replace(/\s+/g, ' ').trim();
+      client.statements.push({ sql, params });
+      if (fail && sql.includes(fail)) throw new Error('syntax error at or near "oops"');
+      if (sql.startsWith('SELECT version, name, checksum')) return { rows: applied };
+      return { rows: [] };
+    }
+  };
+  return client;
+}
+
+describe('migrate.js', () => {
+  const argv = process.argv;
+
+  beforeEach(() => {
+    process.env.AZURE_POSTGRESQL_CONNECTION_STRING = 'postgres://localhost/test';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.argv = argv;
+    process.exitCode = undefined;
+    jest.restoreAllMocks();
+  });
+
+  describe('checksums', () => {
+    it('are the SHA-256 of the up file with line endings normalised', () => {
+      const { checksum } = loadRunner('status');
+
+      expect(checksum('SELECT 1;\n')).toBe(sha256('SELECT 1;\n'));
+      expect(checksum('CREATE TABLE t ();\r\nSELECT 1;\r\n')).toBe(checksum('CREATE TABLE t ();\nSELECT 1;\n'));
+    });
+
+    it('match the files loaded from migrations/', async () => {
+      const { loadMigrations } = loadRunner('status');
+      const [first] = await loadMigrations();
+
+      expect(first.checksum).toBe(sha256(fs.readFileSync(first.upFile, 'utf8').replace(/\r\n/g, '\n')));
+    });
+
+    it('mark applied, pending, edited and missing migrations', () => {
+      const { buildPlan } = loadRunner('status');
+      const migration = (version, sql) => ({ version, name: `m${version}`, checksum: sha256(sql) });
+      const row = (version, sql) => [version, { version, name: `m${version}`, checksum: sha256(sql) }];
+
+      const plan = buildPlan(
+        [migration('001', 'one'), migration('002', 'two'), migration('003', 'three')],
+        new Map([row('001', 'one'), row('002', 'edited'), row('004', 'gone')])
+      );
+
+      expect(plan.map(entry => [entry.version, entry.state])).toEqual([
+        ['001', 'applied'],
+        ['002', 'modified'],
+        ['003', 'pending'],
+        ['004', 'missing']
+      ]);
+    });
+  });
+
+  describe('main', () => {
+    it('holds the advisory lock while it applies pending migrations', async () => {
+      mockClient = fakeClient();
+      const { main } = loadRunner('up');
+
+      await main();
+
+      const sql = mockClient.statements.map(statement => statement.sql);
+      expect(mockClient.statements[0]).toEqual({ sql: LOCK, params: [72410001] });
+      expect(sql.filter(statement => statement === UNLOCK)).toHaveLength(1);
+      expect(sql.indexOf(UNLOCK)).toBeGreaterThan(sql.lastIndexOf('COMMIT'));
+      const inserted = mockClient.statements.filter(statement => statement.sql.startsWith('INSERT INTO schema_migrations'));
+      expect(inserted.map(statement => statement.params[0])).toEqual(VERSIONS);
+      expect(process.exitCode).toBeUndefined();
+      expect(mockClient.end).toHaveBeenCalled();
+    });
+
+    it('refuses to migrate when an applied file was edited, and still releases the lock', async () => {
+      const { loadMigrations } = loadRunner('status');
+      const [first] = await loadMigrations();
+      mockClient = fakeClient({ applied: [{ version: first.version, name: first.name, checksum: sha256('edited') }] });
+      const { main } = loadRunner('up');
+
+      await main();
+
+      const sql = mockClient.statements.map(statement => statement.sql);
+      expect(sql).not.toContain('BEGIN');
+      expect(sql[sql.length - 1]).toBe(UNLOCK);
+      expect(process.exitCode).toBe(1);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('was edited after it was applied (checksum mismatch)'));
+    });
+
+    it('rolls back a failing migration and releases the lock', async () => {
+      const failing = VERSIONS[VERSIONS.length - 1];
+      const failingSql = fs.readFileSync(
+        path.join(MIGRATIONS_DIR, fs.readdirSync(MIGRATIONS_DIR).find(file => file.startsWith(`${failing}_`) && file.endsWith('.up.sql'))),
+        'utf8'
+      ).replace(/\s+/g, ' ').trim().slice(0, 60);
+      mockClient = fakeClient({ fail: failingSql });
+      const { main } = loadRunner('up');
+
+      await main();
+
+      const sql = mockClient.statements.map(statement => statement.sql);
+      expect(sql.filter(statement => statement === 'COMMIT')).toHaveLength(VERSIONS.length - 1);
+      expect(sql.slice(-2)).toEqual(['ROLLBACK', UNLOCK]);
+      expect(process.exitCode).toBe(1);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('failed and was rolled back'));
+    });
+
+    it('takes the lock for a dry run but changes nothing', async () => {
+      mockClient = fakeClient();
+      const { main } = loadRunner('up', '--dry-run');
+
+      await main();
+
+      const sql = mockClient.statements.map(statement => statement.sql);
+      expect(sql[0]).toBe(LOCK);
+      expect(sql).not.toContain('BEGIN');
+      expect(sql[sql.length - 1]).toBe(UNLOCK);
+    });
+  });
+});
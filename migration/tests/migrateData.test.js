@@ -0,0 +1,210 @@
+const {
+  tableMigrations,
+  resumeCheckpoint,
+  tableProgress,
+  isRowError,
+  quarantineEntry,
+  checkSince,
+  pageQuery,
+  writeBatch,
+  rowChecksum,
+  checksumColumns,
+  compareChecksums
+} = require('../migrate-data');
+
+// A pg error as the driver reports it
+const pgError = (code, message) => Object.assign(new Error(message), { code });
+
+describe('migrate-data.js', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkpoint resume', () => {
+    const saved = {
+      since: null,
+      savedAt: '2024-06-01T10:00:00.000Z',
+      tables: { user_profiles: { lastKey: 'u-0420', recordsMigrated: 420, quarantined: 1, completed: false } }
+    };
+
+    it('continues from a checkpoint written for the same window', () => {
+      expect(resumeCheckpoint(saved)).toBe(saved);
+      expect(tableProgress(resumeCheckpoint(saved), 'user_profiles').lastKey).toBe('u-0420');
+    });
+
+    it('starts over without a checkpoint or with one written for another --since', () => {
+      expect(resumeCheckpoint(null, '2024-06-01')).toEqual({ since: '2024-06-01', tables: {} });
+      expect(resumeCheckpoint(saved, '2024-06-01')).toEqual({ since: '2024-06-01', tables: {} });
+      expect(resumeCheckpoint({ ...saved, since: '2024-06-01' })).toEqual({ since: null, tables: {} });
+    });
+
+    it('adds tables the checkpoint has not reached yet', () => {
+      const checkpoint = resumeCheckpoint(null);
+
+      const progress = tableProgress(checkpoint, 'incidents');
+      expect(progress).toEqual({ lastKey: null, recordsMigrated: 0, quarantined: 0, completed: false });
+      expect(checkpoint.tables.incidents).toBe(progress);
+    });
+  });
+
+  describe('--since', () => {
+    // Records the calls a Supabase query builder receives
+    const fakeQuery = () => {
+      const calls = [];
+      const query = new Proxy({}, {
+        get: (_, method) => (...args) => {
+          calls.push([method, ...args]);
+          return query;
+        }
+      });
+      return { query, calls };
+    };
+
+    it('accepts dates and timestamps', () => {
+      expect(checkSince(undefined)).toBeNull();
+      expect(checkSince('2024-06-01')).toBeNull();
+      expect(checkSince('2024-06-01T00:00:00Z')).toBeNull();
+      expect(checkSince('last week')).toBe('--since must be an ISO date or timestamp, got "last week"');
+    });
+
+    it('reads the first page in primary key order', () => {
+      const { query, calls } = fakeQuery();
+
+      pageQuery(query, tableMigrations.incidents, { batchSize: 1000 });
+
+      expect(calls).toEqual([['order', 'id', { ascending: true }], ['limit', 1000]]);
+    });
+
+    it('continues after the last key and only reads rows changed since the given time', () => {
+      const { query, calls } = fakeQuery();
+
+      pageQuery(query, tableMigrations.AuditReports, { afterKey: 'a-17', since: '2024-06-01', batchSize: 500 });
+
+      expect(calls).toEqual([
+        ['order', 'Id', { ascending: true }],
+        ['limit', 500],
+        ['gt', 'Id', 'a-17'],
+        ['gte', 'Timestamp', '2024-06-01']
+      ]);
+    });
+  });
+
+  describe('quarantine', () => {
+    const config = tableMigrations.user_activities;
+    const rows = [{ id: 'a1' }, { id: 'a2' }, { id: 'a3' }];
+
+    it.each([
+      ['22001', 'value too long for type character varying(255)'],
+      ['22P02', 'invalid input syntax for type uuid'],
+      ['23503', 'insert or update violates foreign key constraint'],
+      ['23505', 'duplicate key value violates unique constraint']
+    ])('treats SQLSTATE %s as a problem with the row', (code, message) => {
+      expect(isRowError(pgError(code, message))).toBe(true);
+    });
+
+    it.each([
+      ['a lost connection', Object.assign(new Error('Connection terminated unexpectedly'), { code: undefined })],
+      ['a network error', Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })],
+      ['a server shutdown', pgError('57P01', 'terminating connection due to administrator command')],
+      ['a full disk', pgError('53100', 'could not extend file')],
+      ['a missing table', pgError('42P01', 'relation "user_activities" does not exist')]
+    ])('does not treat %s as a problem with the row', (_, error) => {
+      expect(isRowError(error)).toBe(false);
+    });
+
+    it('writes a batch in one statement when it can', async () => {
+      const upsert = jest.fn(async () => {});
+      const quarantine = jest.fn();
+
+      expect(await writeBatch('user_activities', rows, config, { upsert, quarantine })).toEqual({ written: 3, failed: 0 });
+      expect(upsert).toHaveBeenCalledTimes(1);
+      expect(quarantine).not.toHaveBeenCalled();
+    });
+
+    it('retries row by row and quarantines only the rows the target rejects', async () => {
+      const rejected = pgError('23503', 'insert or update violates foreign key constraint');
+      const upsert = jest.fn(async (batch) => {
+        if (batch.some(row => row.id === 'a2')) throw rejected;
+      });
+      const quarantine = jest.fn();
+
+      expect(await writeBatch('user_activities', rows, config, { upsert, quarantine })).toEqual({ written: 2, failed: 1 });
+      expect(quarantine).toHaveBeenCalledWith('user_activities', 'a2', { id: 'a2' }, rejected);
+    });
+
+    it('stops without quarantining when the connection fails on the batch', async () => {
+      const upsert = jest.fn(async () => {
+        throw new Error('Connection terminated unexpectedly');
+      });
+      const quarantine = jest.fn();
+
+      await expect(writeBatch('user_activities', rows, config, { upsert, quarantine })).rejects.toThrow('Connection terminated unexpectedly');
+      expect(upsert).toHaveBeenCalledTimes(1);
+      expect(quarantine).not.toHaveBeenCalled();
+    });
+
+    it('stops when the server fails while retrying row by row', async () => {
+      const upsert = jest.fn()
+        .mockRejectedValueOnce(pgError('23505', 'duplicate key value violates unique constraint'))
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(pgError('57P01', 'terminating connection due to administrator command'));
+      const quarantine = jest.fn();
+
+      await expect(writeBatch('user_activities', rows, config, { upsert, quarantine })).rejects.toThrow('terminating connection');
+      expect(quarantine).not.toHaveBeenCalled();
+    });
+
+    it('records the table, key, error, SQLSTATE and source row', () => {
+      const entry = quarantineEntry('incidents', 'i1', { id: 'i1', severity: 'urgent' },
+        pgError('22P02', 'invalid input value for enum incident_severity: "urgent"'), new Date('2024-06-01T10:00:00Z'));
+
+      expect(entry).toEqual({
+        table: 'incidents',
+        key: 'i1',
+        error: 'invalid input value for enum incident_severity: "urgent"',
+        code: '22P02',
+        row: { id: 'i1', severity: 'urgent' },
+        quarantinedAt: '2024-06-01T10:00:00.000Z'
+      });
+    });
+  });
+
+  describe('checksum validation', () => {
+    const config = tableMigrations.AuditReports;
+    const columns = checksumColumns(config);
+    const source = {
+      Id: 'a1', UserEmail: 'sam@example.com', GeneratedBy: 'sam@example.com', Timestamp: '2024-06-01T10:00:00+00:00',
+      datacenter: 'Quebec', datahall: 'Island 1', issues_reported: 1, state: 'Warning', walkthrough_id: null,
+      user_full_name: 'Sam Lee', ReportData: { racks: [{ location: 'X2401' }], notes: '' }
+    };
+
+    it('leaves out columns the target generates', () => {
+      expect(columns).not.toContain('walkthrough_id');
+      expect(columns).toContain('ReportData');
+    });
+
+    it('matches the same row however each side serialises timestamps and object keys', () => {
+      const target = {
+        ...source,
+        Timestamp: '2024-06-01T10:00:00Z',
+        walkthrough_id: 1042,
+        ReportData: { notes: '', racks: [{ location: 'X2401' }] }
+      };
+
+      expect(rowChecksum(target, columns)).toBe(rowChecksum(source, columns));
+      expect(rowChecksum({ ...target, state: 'Critical' }, columns)).not.toBe(rowChecksum(source, columns));
+    });
+
+    it('reports missing and changed rows by key', () => {
+      const sourceChecksums = new Map([['a1', 'c1'], ['a2', 'c2'], ['a3', 'c3']]);
+      const targetChecksums = new Map([['a1', 'c1'], ['a3', 'changed'], ['a4', 'c4']]);
+
+      expect(compareChecksums(sourceChecksums, targetChecksums)).toEqual({ missing: ['a2'], mismatched: ['a3'] });
+    });
+  });
+});
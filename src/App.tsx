@@ -4,6 +4,7 @@ import { Grommet } from 'grommet';
 import { hpe } from 'grommet-theme-hpe';
 import { ThemeProvider } from './context/ThemeContext';
 import { AuthProvider } from './context/AuthContext';
+import { InventoryProvider } from './context/InventoryContext';
 import Layout from './components/layout/Layout';
 import Dashboard from './pages/Dashboard';
 import Inspections from './pages/Inspections';
@@ -12,10 +13,15 @@ import InspectionForm from './pages/InspectionForm';
 import AuditDetails from './pages/AuditDetails';
 import Incidents from './pages/Incidents';
 import IncidentDetails from './pages/IncidentDetails';
+import MyWork from './pages/MyWork';
 import Confirmation from './pages/Confirmation';
 import Reports from './pages/Reports';
 import ReportForm from './pages/ReportForm';
 import Profile from './pages/Profile';
+import UserManagement from './pages/UserManagement';
+import InventoryManagement from './pages/InventoryManagement';
+import SeverityRules from './pages/SeverityRules';
+import Webhooks from './pages/Webhooks';
 import Login from './pages/Login';
 import NotFound from './pages/NotFound';
 import ProtectedRoute from './components/ProtectedRoute';
@@ -28,32 +34,41 @@ const App = () => {
       <div className="main-content">
         <ThemeProvider>
           <AuthProvider>
-            <Grommet theme={hpe} full>
-              <Routes>
-                {/* Public Routes */}
-                <Route path="/login" element={<Login />} />
+            <InventoryProvider>
+              <Grommet theme={hpe} full>
+                <Routes>
+                  {/* Public Routes */}
+                  <Route path="/login" element={<Login />} />
 
-                {/* Protected Routes */}
-                <Route element={<ProtectedRoute />}>
-                  <Route element={<Layout />}>
-                    <Route index element={<Dashboard />} />
-                    <Route path="inspections" element={<Inspections />} />
-                    <Route path="inspections/:id" element={<AuditDetails />} />
-                    <Route path="inspection" element={<InspectionFlow />} />
-                    <Route path="inspection/form" element={<InspectionForm />} />
-                    <Route path="incidents" element={<Incidents />} />
-                    <Route path="incidents/:id" element={<IncidentDetails />} />
-                    <Route path="confirmation" element={<Confirmation />} />
-                    <Route path="reports" element={<Reports />} />
-                    <Route path="reports/new" element={<ReportForm />} />
-                    <Route path="reports/:id" element={<Reports />} />
-                    <Route path="profile" element={<Profile />} />
-                    <Route path="not-found" element={<NotFound />} />
-                    <Route path="*" element={<Navigate to="/not-found\" replace />} />
+                  {/* Protected Routes */}
+                  <Route element={<ProtectedRoute />}>
+                    <Route element={<Layout />}>
+                      <Route index element={<Dashboard />} />
+                      <Route path="inspections" element={<Inspections />} />
+                      <Route path="inspections/:id" element={<AuditDetails />} />
+                      <Route path="inspection" element={<InspectionFlow />} />
+                      <Route path="inspection/form" element={<InspectionForm />} />
+                      <Route path="incidents" element={<Incidents />} />
+                      <Route path="incidents/:id" element={<IncidentDetails />} />
+                      <Route path="my-work" element={<MyWork />} />
+                      <Route path="confirmation" element={<Confirmation />} />
+                      <Route path="reports" element={<Reports />} />
+                      <Route path="reports/new" element={<ReportForm />} />
+                      <Route path="reports/:id" element={<Reports />} />
+                      <Route path="profile" element={<Profile />} />
+                      <Route element={<ProtectedRoute minimumRole="admin" />}>
+                        <Route path="users" element={<UserManagement />} />
+                        <Route path="inventory" element={<InventoryManagement />} />
+                        <Route path="severity-rules" element={<SeverityRules />} />
+                        <Route path="webhooks" element={<Webhooks />} />
+                      </Route>
+                      <Route path="not-found" element={<NotFound />} />
+                      <Route path="*" element={<Navigate to="/not-found\" replace />} />
+                    </Route>
                   </Route>
-                </Route>
-              </Routes>
-            </Grommet>
+                </Routes>
+              </Grommet>
+            </InventoryProvider>
           </AuthProvider>
         </ThemeProvider>
       </div>
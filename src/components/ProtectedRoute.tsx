@@ -1,8 +1,14 @@
 import { Navigate, Outlet } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import type { Role } from '../lib/apiClient';
 
-const ProtectedRoute = () => {
-  const { isAuthenticated, loading } = useAuth();
+interface ProtectedRouteProps {
+  // Signed-in users below this role are sent back to the dashboard
+  minimumRole?: Role;
+}
+
+const ProtectedRoute = ({ minimumRole }: ProtectedRouteProps) => {
+  const { isAuthenticated, hasRole, loading } = useAuth();
 
   if (loading) {
     // You could render a loading spinner here
@@ -13,7 +19,15 @@ const ProtectedRoute = () => {
     );
   }
 
-  return isAuthenticated ? <Outlet /> : <Navigate to="/login" replace />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (minimumRole && !hasRole(minimumRole)) {
+    return <Navigate to="/" replace />;
+  }
+
+  return <Outlet />;
 };
 
 export default ProtectedRoute;
\ No newline at end of file
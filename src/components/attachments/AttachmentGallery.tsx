@@ -0,0 +1,235 @@
+import { useState, useEffect, useCallback, ChangeEvent } from 'react';
+import { format } from 'date-fns';
+import { FileText, Paperclip, Trash2, X } from 'lucide-react';
+import { api, getErrorMessage } from '../../lib/apiClient';
+import type { Attachment } from '../../lib/apiClient';
+import { ACCEPTED_ATTACHMENT_TYPES, formatFileSize, prepareAttachment } from '../../lib/attachments';
+import { downloadBlob } from '../../lib/spreadsheet';
+import { useAuth } from '../../context/AuthContext';
+
+type AttachmentOwner = { incidentId: string } | { auditReportId: string };
+
+interface AttachmentGalleryProps {
+  owner: AttachmentOwner;
+  // Off for read-only views
+  canUpload?: boolean;
+}
+
+// Attachment files need the bearer token, so they are shown through object URLs
+const useAttachmentUrl = (id: string, variant: 'content' | 'thumbnail', enabled = true) => {
+  const [url, setUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let objectUrl: string | null = null;
+    let cancelled = false;
+    api.attachments.content(id, variant)
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(error => console.error('Error loading attachment:', error));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [id, variant, enabled]);
+
+  return url;
+};
+
+const AttachmentTile = ({ attachment, onOpen }: { attachment: Attachment; onOpen: () => void }) => {
+  const thumbnailUrl = useAttachmentUrl(attachment.id, 'thumbnail', attachment.has_thumbnail);
+
+  return (
+    <button
+      onClick={onOpen}
+      title={attachment.file_name}
+      className="w-full aspect-square rounded-md border border-gray-200 bg-gray-50 overflow-hidden flex items-center justify-center hover:border-emerald-500"
+    >
+      {thumbnailUrl ? (
+        <img src={thumbnailUrl} alt={attachment.file_name} className="w-full h-full object-cover" />
+      ) : (
+        <div className="flex flex-col items-center gap-1 p-2 text-gray-500">
+          <FileText className="w-8 h-8" />
+          <span className="text-xs break-all line-clamp-2">{attachment.file_name}</span>
+        </div>
+      )}
+    </button>
+  );
+};
+
+const AttachmentViewer = ({ attachment, onClose }: { attachment: Attachment; onClose: () => void }) => {
+  const url = useAttachmentUrl(attachment.id, 'content');
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div className="max-w-4xl w-full bg-white rounded-lg overflow-hidden" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+          <div className="min-w-0">
+            <p className="font-medium truncate">{attachment.file_name}</p>
+            <p className="text-xs text-gray-500">
+              {attachment.uploaded_by_name ?? 'Unknown user'} · {format(new Date(attachment.created_at), 'PPp')}
+              {attachment.rack_location && ` · Walkthrough photo at ${attachment.rack_location}`}
+            </p>
+          </div>
+          <button onClick={onClose} aria-label="Close" className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+        <div className="flex items-center justify-center bg-gray-900 min-h-[240px]">
+          {!url ? (
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+          ) : (
+            <img src={url} alt={attachment.file_name} className="max-h-[75vh] object-contain" />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+interface AttachmentGridProps {
+  attachments: Attachment[];
+  // Offered on attachments the user uploaded, or on all of them for admins
+  onDelete?: (attachment: Attachment) => void;
+  onError: (message: string) => void;
+}
+
+/** Thumbnail grid. Images open in a viewer; PDFs and text files are downloaded. */
+export const AttachmentGrid = ({ attachments, onDelete, onError }: AttachmentGridProps) => {
+  const { user, hasRole } = useAuth();
+  const [viewing, setViewing] = useState<Attachment | null>(null);
+
+  const handleOpen = async (attachment: Attachment) => {
+    if (attachment.content_type.startsWith('image/')) {
+      setViewing(attachment);
+      return;
+    }
+    try {
+      downloadBlob(await api.attachments.content(attachment.id), attachment.file_name);
+    } catch (err) {
+      console.error('Error downloading attachment:', err);
+      onError(getErrorMessage(err, 'Failed to download attachment'));
+    }
+  };
+
+  return (
+    <>
+      <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-3">
+        {attachments.map(attachment => (
+          <div key={attachment.id} className="relative group">
+            <AttachmentTile attachment={attachment} onOpen={() => handleOpen(attachment)} />
+            <p className="mt-1 text-xs text-gray-500 truncate">
+              {attachment.rack_location ? `Walkthrough · ${attachment.rack_location}` : formatFileSize(attachment.size_bytes)}
+            </p>
+            {onDelete && (attachment.uploaded_by === user?.id || hasRole('admin')) && (
+              <button
+                onClick={() => onDelete(attachment)}
+                aria-label={`Delete ${attachment.file_name}`}
+                className="absolute top-1 right-1 p-1 rounded bg-white/90 text-gray-500 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {viewing && <AttachmentViewer attachment={viewing} onClose={() => setViewing(null)} />}
+    </>
+  );
+};
+
+/** Attachments of an incident or walkthrough, with uploads. */
+export const AttachmentGallery = ({ owner, canUpload = true }: AttachmentGalleryProps) => {
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const ownerKey = 'incidentId' in owner ? owner.incidentId : owner.auditReportId;
+  const ownerField = 'incidentId' in owner ? 'incidentId' : 'auditReportId';
+
+  const fetchAttachments = useCallback(async () => {
+    try {
+      setError(null);
+      setAttachments(await api.attachments.list({ [ownerField]: ownerKey } as AttachmentOwner));
+    } catch (err) {
+      console.error('Error fetching attachments:', err);
+      setError(getErrorMessage(err, 'Failed to load attachments'));
+    } finally {
+      setLoading(false);
+    }
+  }, [ownerField, ownerKey]);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  const handleFiles = async (event: ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(event.target.files ?? []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    setUploading(true);
+    setError(null);
+    try {
+      for (const file of files) {
+        const prepared = await prepareAttachment(file);
+        const attachment = await api.attachments.upload({ ...prepared, [ownerField]: ownerKey });
+        setAttachments(current => [...current, attachment]);
+      }
+    } catch (err) {
+      console.error('Error uploading attachment:', err);
+      setError(getErrorMessage(err, 'Failed to upload attachment'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (attachment: Attachment) => {
+    if (!window.confirm(`Delete ${attachment.file_name}?`)) return;
+    try {
+      await api.attachments.remove(attachment.id);
+      setAttachments(current => current.filter(item => item.id !== attachment.id));
+    } catch (err) {
+      console.error('Error deleting attachment:', err);
+      setError(getErrorMessage(err, 'Failed to delete attachment'));
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium">Attachments</h2>
+        {canUpload && (
+          <label className={`flex items-center gap-2 px-3 py-2 text-sm rounded-md border border-gray-300 ${
+            uploading ? 'opacity-50 cursor-wait' : 'cursor-pointer hover:bg-gray-50'
+          }`}>
+            <Paperclip className="w-4 h-4" />
+            {uploading ? 'Uploading...' : 'Add photo or file'}
+            <input
+              type="file"
+              multiple
+              accept={ACCEPTED_ATTACHMENT_TYPES.join(',')}
+              onChange={handleFiles}
+              disabled={uploading}
+              className="hidden"
+            />
+          </label>
+        )}
+      </div>
+
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        <p className="text-sm text-gray-500">No attachments yet</p>
+      ) : (
+        <AttachmentGrid attachments={attachments} onDelete={handleDelete} onError={setError} />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import { api, getErrorMessage } from '../../lib/apiClient';
+import type { AssignableUser, Incident, Team } from '../../lib/apiClient';
+
+interface AssignmentPickerProps {
+  incidentIds: string[];
+  // Current owner, preselected when a single incident is reassigned
+  assigneeId?: string | null;
+  teamId?: string | null;
+  submitLabel?: string;
+  onAssigned: (incidents: Incident[]) => void;
+}
+
+/**
+ * Assignee and team selects for supervisors. Both are applied to every incident, so an empty
+ * select unassigns. Picking a user preselects their team when no team is chosen yet.
+ */
+export const AssignmentPicker = ({
+  incidentIds,
+  assigneeId = null,
+  teamId = null,
+  submitLabel = 'Assign',
+  onAssigned
+}: AssignmentPickerProps) => {
+  const [users, setUsers] = useState<AssignableUser[]>([]);
+  const [teams, setTeams] = useState<Team[]>([]);
+  const [selectedUser, setSelectedUser] = useState(assigneeId ?? '');
+  const [selectedTeam, setSelectedTeam] = useState(teamId ?? '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    Promise.all([api.users.assignable(), api.teams.list()])
+      .then(([assignable, allTeams]) => {
+        setUsers(assignable);
+        setTeams(allTeams.filter(team => team.is_active));
+      })
+      .catch(err => {
+        console.error('Error loading assignees:', err);
+        setError(getErrorMessage(err, 'Failed to load users and teams'));
+      });
+  }, []);
+
+  useEffect(() => {
+    setSelectedUser(assigneeId ?? '');
+    setSelectedTeam(teamId ?? '');
+  }, [assigneeId, teamId]);
+
+  const handleUserChange = (id: string) => {
+    setSelectedUser(id);
+    const team = users.find(user => user.id === id)?.team_id;
+    if (team && !selectedTeam) setSelectedTeam(team);
+  };
+
+  const handleAssign = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      onAssigned(await api.incidents.assign(incidentIds, {
+        assigneeId: selectedUser || null,
+        teamId: selectedTeam || null
+      }));
+    } catch (err) {
+      console.error('Error assigning incidents:', err);
+      setError(getErrorMessage(err, 'Failed to assign incidents'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const unchanged = incidentIds.length === 1 && selectedUser === (assigneeId ?? '') && selectedTeam === (teamId ?? '');
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={selectedUser}
+          onChange={(e) => handleUserChange(e.target.value)}
+          aria-label="Assignee"
+          className="border border-gray-200 rounded-lg px-3 py-1.5 text-sm"
+        >
+          <option value="">No assignee</option>
+          {users.map(user => (
+            <option key={user.id} value={user.id}>{user.full_name || user.email}</option>
+          ))}
+        </select>
+        <select
+          value={selectedTeam}
+          onChange={(e) => setSelectedTeam(e.target.value)}
+          aria-label="Team"
+          className="border border-gray-200 rounded-lg px-3 py-1.5 text-sm"
+        >
+          <option value="">No team</option>
+          {teams.map(team => (
+            <option key={team.id} value={team.id}>{team.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleAssign}
+          disabled={saving || unchanged || incidentIds.length === 0}
+          className="px-3 py-1.5 text-sm bg-emerald-500 text-white rounded-md hover:bg-emerald-600 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
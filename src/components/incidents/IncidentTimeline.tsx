@@ -0,0 +1,272 @@
+import { useState, useEffect, useCallback, ChangeEvent, FormEvent } from 'react';
+import { format } from 'date-fns';
+import { Activity, MessageSquare, Paperclip, X } from 'lucide-react';
+import { api, getErrorMessage } from '../../lib/apiClient';
+import type { IncidentChangeEntry, IncidentComment, TimelineEntry } from '../../lib/apiClient';
+import { ACCEPTED_ATTACHMENT_TYPES, prepareAttachment } from '../../lib/attachments';
+import type { PreparedAttachment } from '../../lib/attachments';
+import { AttachmentGrid } from '../attachments/AttachmentGallery';
+
+interface IncidentTimelineProps {
+  incidentId: string;
+  // Called after a comment with files is posted, so other attachment lists can reload
+  onAttachmentsAdded?: () => void;
+}
+
+const FIELD_LABELS: Record<string, string> = {
+  status: 'status',
+  severity: 'severity',
+  description: 'the description'
+};
+
+const describeChange = (entry: IncidentChangeEntry) => {
+  if (entry.field === 'status' && entry.old_value === null) {
+    return 'created the incident';
+  }
+  if (entry.field === 'description') {
+    return 'edited the description';
+  }
+  if (entry.field === 'escalation') {
+    return `escalated the incident: ${entry.reason ?? `${entry.new_value} target missed`}`;
+  }
+  if (entry.field === 'assignee' || entry.field === 'team') {
+    const owner = (name: string | null) => (entry.field === 'team' ? `team ${name}` : name);
+    if (entry.new_value === null) return `unassigned ${owner(entry.old_value)}`;
+    if (entry.old_value === null) return `assigned the incident to ${owner(entry.new_value)}`;
+    return `reassigned the incident from ${owner(entry.old_value)} to ${owner(entry.new_value)}`;
+  }
+  const label = FIELD_LABELS[entry.field] ?? entry.field;
+  return `changed ${label} from ${entry.old_value ?? 'none'} to ${entry.new_value ?? 'none'}`;
+};
+
+interface CommentComposerProps {
+  incidentId: string;
+  parentId?: string;
+  placeholder: string;
+  onPosted: (comment: IncidentComment, withFiles: boolean) => void;
+  onCancel?: () => void;
+}
+
+// Posts the comment first, then uploads its files against it
+const CommentComposer = ({ incidentId, parentId, placeholder, onPosted, onCancel }: CommentComposerProps) => {
+  const [body, setBody] = useState('');
+  const [files, setFiles] = useState<File[]>([]);
+  const [posting, setPosting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleFiles = (event: ChangeEvent<HTMLInputElement>) => {
+    const picked = Array.from(event.target.files ?? []);
+    event.target.value = '';
+    setFiles(current => [...current, ...picked]);
+  };
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    if (!body.trim()) return;
+
+    setPosting(true);
+    setError(null);
+    let comment: IncidentComment;
+    let prepared: PreparedAttachment[];
+    try {
+      prepared = await Promise.all(files.map(prepareAttachment));
+      comment = await api.incidents.comment(incidentId, { body: body.trim(), parentId });
+    } catch (err) {
+      console.error('Error posting comment:', err);
+      setError(getErrorMessage(err, 'Failed to post comment'));
+      setPosting(false);
+      return;
+    }
+
+    // The comment is stored; a failed upload must not invite posting it twice
+    let uploadError: string | null = null;
+    for (const attachment of prepared) {
+      try {
+        comment.attachments.push(await api.attachments.upload({ ...attachment, incidentId, commentId: comment.id }));
+      } catch (err) {
+        console.error('Error uploading comment attachment:', err);
+        uploadError = `Comment posted, but ${attachment.fileName} could not be uploaded: ${getErrorMessage(err)}`;
+      }
+    }
+
+    setBody('');
+    setFiles([]);
+    setPosting(false);
+    setError(uploadError);
+    onPosted(comment, comment.attachments.length > 0);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={placeholder}
+        maxLength={5000}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md min-h-[80px] resize-y focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+      />
+      {files.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {files.map((file, index) => (
+            <span key={`${file.name}-${index}`} className="flex items-center gap-1 px-2 py-1 text-xs bg-gray-100 rounded">
+              {file.name}
+              <button
+                type="button"
+                onClick={() => setFiles(files.filter((_, i) => i !== index))}
+                aria-label={`Remove ${file.name}`}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-1 text-sm text-gray-600 cursor-pointer hover:text-emerald-600">
+          <Paperclip className="w-4 h-4" />
+          Attach files
+          <input
+            type="file"
+            multiple
+            accept={ACCEPTED_ATTACHMENT_TYPES.join(',')}
+            onChange={handleFiles}
+            className="hidden"
+          />
+        </label>
+        <div className="flex gap-2">
+          {onCancel && (
+            <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900">
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={posting || !body.trim()}
+            className="px-4 py-1.5 text-sm bg-emerald-500 text-white rounded-md hover:bg-emerald-600 disabled:opacity-50"
+          >
+            {posting ? 'Posting...' : parentId ? 'Reply' : 'Comment'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+const CommentBody = ({ comment, onError }: { comment: IncidentComment; onError: (message: string) => void }) => (
+  <div>
+    <p className="text-sm">
+      <span className="font-medium">{comment.user_name ?? 'Unknown user'}</span>
+      <span className="ml-2 text-gray-500">{format(new Date(comment.created_at), 'PPp')}</span>
+    </p>
+    <p className="mt-1 text-gray-700 whitespace-pre-wrap">{comment.body}</p>
+    {comment.attachments.length > 0 && (
+      <div className="mt-2">
+        <AttachmentGrid attachments={comment.attachments} onError={onError} />
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * Comments, field changes, assignments and SLA escalations of an incident, oldest first.
+ * Replies are shown under the comment they answer.
+ */
+export const IncidentTimeline = ({ incidentId, onAttachmentsAdded }: IncidentTimelineProps) => {
+  const [entries, setEntries] = useState<TimelineEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [replyingTo, setReplyingTo] = useState<string | null>(null);
+
+  const fetchTimeline = useCallback(async () => {
+    try {
+      setError(null);
+      setEntries(await api.incidents.timeline(incidentId));
+    } catch (err) {
+      console.error('Error fetching incident timeline:', err);
+      setError(getErrorMessage(err, 'Failed to load the timeline'));
+    } finally {
+      setLoading(false);
+    }
+  }, [incidentId]);
+
+  useEffect(() => {
+    fetchTimeline();
+  }, [fetchTimeline]);
+
+  const handlePosted = (comment: IncidentComment, withFiles: boolean) => {
+    setReplyingTo(null);
+    setEntries(current => comment.parent_id
+      ? current.map(entry => (entry.type === 'comment' && entry.id === comment.parent_id
+          ? { ...entry, replies: [...entry.replies, comment] }
+          : entry))
+      : [...current, comment]);
+    if (withFiles) onAttachmentsAdded?.();
+  };
+
+  return (
+    <div>
+      <h2 className="text-lg font-medium mb-4">Timeline</h2>
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading timeline...</p>
+      ) : (
+        <ol className="space-y-4 mb-6">
+          {entries.map(entry => entry.type === 'change' ? (
+            <li key={`change-${entry.id}`} className="flex gap-3 text-sm text-gray-600">
+              <Activity className="w-4 h-4 mt-0.5 text-gray-400 shrink-0" />
+              <div>
+                <span className="font-medium text-gray-800">
+                  {entry.user_name ?? (entry.field === 'escalation' ? 'SLA monitor' : 'Unknown user')}
+                </span>{' '}
+                {describeChange(entry)}
+                <span className="ml-2 text-gray-500">{format(new Date(entry.created_at), 'PPp')}</span>
+                {entry.reason && entry.old_value !== null && entry.field !== 'escalation' && (
+                  <p className="mt-1 text-gray-500 italic">{entry.reason}</p>
+                )}
+              </div>
+            </li>
+          ) : (
+            <li key={`comment-${entry.id}`} className="flex gap-3">
+              <MessageSquare className="w-4 h-4 mt-1 text-emerald-500 shrink-0" />
+              <div className="flex-1 min-w-0">
+                <CommentBody comment={entry} onError={setError} />
+
+                {entry.replies.length > 0 && (
+                  <div className="mt-3 pl-4 border-l-2 border-gray-100 space-y-3">
+                    {entry.replies.map(reply => (
+                      <CommentBody key={reply.id} comment={reply} onError={setError} />
+                    ))}
+                  </div>
+                )}
+
+                {replyingTo === entry.id ? (
+                  <div className="mt-3 pl-4">
+                    <CommentComposer
+                      incidentId={incidentId}
+                      parentId={entry.id}
+                      placeholder="Write a reply"
+                      onPosted={handlePosted}
+                      onCancel={() => setReplyingTo(null)}
+                    />
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => setReplyingTo(entry.id)}
+                    className="mt-1 text-sm text-emerald-600 hover:text-emerald-700"
+                  >
+                    Reply
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <CommentComposer incidentId={incidentId} placeholder="Add a comment" onPosted={handlePosted} />
+    </div>
+  );
+};
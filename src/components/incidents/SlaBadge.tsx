@@ -0,0 +1,53 @@
+import { formatDistanceToNowStrict } from 'date-fns';
+import type { Incident, SlaStatus } from '../../lib/apiClient';
+
+const SLA_LABELS: Record<SlaStatus, string> = {
+  'on-track': 'On track',
+  'at-risk': 'At risk',
+  breached: 'Breached',
+  met: 'Met'
+};
+
+const SLA_COLORS: Record<SlaStatus, string> = {
+  'on-track': 'bg-green-100 text-green-800',
+  'at-risk': 'bg-yellow-100 text-yellow-800',
+  breached: 'bg-red-100 text-red-800',
+  met: 'bg-gray-100 text-gray-700'
+};
+
+// The deadline that matters next: the response target until someone responds, then resolution
+const describeDue = (incident: Incident) => {
+  if (!incident.response_due_at || !incident.resolution_due_at || incident.status === 'resolved') return null;
+
+  if (incident.resolution_breached) {
+    return `Resolution overdue by ${formatDistanceToNowStrict(new Date(incident.resolution_due_at))}`;
+  }
+  if (!incident.responded_at) {
+    const due = new Date(incident.response_due_at);
+    return incident.response_breached
+      ? `Response overdue by ${formatDistanceToNowStrict(due)}`
+      : `Response due in ${formatDistanceToNowStrict(due)}`;
+  }
+  return `Resolution due in ${formatDistanceToNowStrict(new Date(incident.resolution_due_at))}`;
+};
+
+interface SlaBadgeProps {
+  incident: Incident;
+  // Show the next deadline under the badge
+  showDue?: boolean;
+}
+
+/** SLA state of an incident as computed by the API. */
+export const SlaBadge = ({ incident, showDue = false }: SlaBadgeProps) => {
+  if (!incident.sla_status) return <span className="text-gray-400">—</span>;
+  const due = showDue ? describeDue(incident) : null;
+
+  return (
+    <div>
+      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${SLA_COLORS[incident.sla_status]}`}>
+        {SLA_LABELS[incident.sla_status]}
+      </span>
+      {due && <p className="mt-1 text-xs text-gray-500">{due}</p>}
+    </div>
+  );
+};
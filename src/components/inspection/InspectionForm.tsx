@@ -1,8 +1,24 @@
-import { useState } from 'react';
+import { useState, useEffect, ReactNode } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ChevronDown, ChevronUp, Server } from 'lucide-react';
-import { supabase } from '../../lib/supabaseClient';
-import { rackLocations } from '../../utils/rackLocations';
+import { ChevronDown, ChevronUp, ScanLine, Server, WifiOff } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { draftStore } from '../../lib/offlineStore';
+import type { PendingAttachment } from '../../lib/offlineStore';
+import { submitInspection } from '../../lib/inspectionSync';
+import { useInventory } from '../../context/InventoryContext';
+import { FloorMap } from '../inventory/FloorMap';
+import { LabelScanner } from './LabelScanner';
+import { RackPhotos } from './RackPhotos';
+import { parseScannedLabel } from '../../lib/labelScan';
+import type { ScannedLabel } from '../../lib/labelScan';
+import {
+  psuStatusOptions,
+  pduStatusOptions,
+  rdhxStatusOptions,
+  rdhxFanOptions,
+  rdhxValveOptions,
+  rdhxLeakOptions
+} from '../../lib/deviceOptions';
 
 interface InspectionFormProps {
   selectedLocation: string;
@@ -26,26 +42,197 @@ interface RackForm {
   pduDetails?: {
     status: string;
     pduId: string;
+    side: string;
     comments?: string;
   };
   rdhxDetails?: {
     status: string;
+    fanState: string;
+    valveState: string;
+    leakState: string;
     comments?: string;
   };
+  // Compressed on the device and uploaded once the walkthrough is stored
+  photos?: PendingAttachment[];
+}
+
+type DetailKey = 'psuDetails' | 'pduDetails' | 'rdhxDetails';
+
+interface WalkthroughDraft {
+  hasIssues: boolean | null;
+  racks: RackForm[];
+  expandedRacks: string[];
 }
 
-const psuStatusOptions = ['Healthy', 'Amber LED', 'Powered-Off', 'Other'];
 const psuIdOptions = ['PSU 1', 'PSU 2', 'PSU 3', 'PSU 4', 'PSU 5', 'PSU 6'];
 const uHeightOptions = Array.from({ length: 49 }, (_, i) => `U${i}`);
+const pduIdOptions = ['PDU 1', 'PDU 2', 'PDU 3', 'PDU 4'];
+const pduSideOptions = ['Left', 'Right'];
+
+const emptyDetails: Required<Pick<RackForm, DetailKey>> = {
+  psuDetails: { status: '', psuId: '', uHeight: '', comments: '' },
+  pduDetails: { status: '', pduId: '', side: '', comments: '' },
+  rdhxDetails: { status: '', fanState: '', valveState: '', leakState: '', comments: '' }
+};
+
+const newRackForm = (location = ''): RackForm => ({
+  id: `rack-${Date.now()}`,
+  location,
+  devices: {
+    powerSupplyUnit: false,
+    powerDistributionUnit: false,
+    rearDoorHeatExchanger: false
+  }
+});
+
+// Sets the rack from a scanned label and, for asset tags, checks the device and fills in its id
+const applyScannedLabel = (rack: RackForm, label: ScannedLabel): RackForm => {
+  const updated: RackForm = { ...rack, location: label.rack };
+  if (!label.device) return updated;
+
+  updated.devices = { ...rack.devices, [label.device]: true };
+  if (label.device === 'powerSupplyUnit') {
+    updated.psuDetails = {
+      ...emptyDetails.psuDetails,
+      ...rack.psuDetails,
+      ...(label.deviceId && { psuId: label.deviceId }),
+      ...(label.uHeight && { uHeight: label.uHeight })
+    };
+  } else if (label.device === 'powerDistributionUnit') {
+    updated.pduDetails = {
+      ...emptyDetails.pduDetails,
+      ...rack.pduDetails,
+      ...(label.deviceId && { pduId: label.deviceId }),
+      ...(label.side && { side: label.side })
+    };
+  }
+  return updated;
+};
+
+// Every checked device needs all of its selects filled in; comments stay optional
+const isRackComplete = (rack: RackForm) => {
+  const { powerSupplyUnit, powerDistributionUnit, rearDoorHeatExchanger } = rack.devices;
+  const filled = (details: object | undefined, fields: string[]) =>
+    !!details && fields.every(field => !!(details as Record<string, string | undefined>)[field]);
+
+  return !!rack.location &&
+    (powerSupplyUnit || powerDistributionUnit || rearDoorHeatExchanger) &&
+    (!powerSupplyUnit || filled(rack.psuDetails, ['status', 'psuId', 'uHeight'])) &&
+    (!powerDistributionUnit || filled(rack.pduDetails, ['status', 'pduId', 'side'])) &&
+    (!rearDoorHeatExchanger || filled(rack.rdhxDetails, ['status', 'fanState', 'valveState', 'leakState']));
+};
+
+// Details of devices that were checked and then unchecked are not submitted; photos are
+// uploaded separately
+const toRackIssue = ({ psuDetails, pduDetails, rdhxDetails, ...rack }: RackForm) => ({
+  ...rack,
+  photos: undefined,
+  psuDetails: rack.devices.powerSupplyUnit ? psuDetails : undefined,
+  pduDetails: rack.devices.powerDistributionUnit ? pduDetails : undefined,
+  rdhxDetails: rack.devices.rearDoorHeatExchanger ? rdhxDetails : undefined
+});
+
+const selectClassName = 'w-full px-4 py-2.5 border border-gray-300 rounded-md focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+const DeviceSection = ({ title, children }: { title: string; children: ReactNode }) => (
+  <div className="pt-4 border-t border-gray-100">
+    <h3 className="text-lg font-medium mb-4">{title}</h3>
+    <div className="space-y-4">{children}</div>
+  </div>
+);
+
+interface DetailSelectProps {
+  label: string;
+  placeholder: string;
+  options: string[];
+  value?: string;
+  onChange: (value: string) => void;
+}
+
+const DetailSelect = ({ label, placeholder, options, value, onChange }: DetailSelectProps) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-2">
+      {label}
+    </label>
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={selectClassName}>
+      <option value="">{placeholder}</option>
+      {options.map(option => (
+        <option key={option} value={option}>{option}</option>
+      ))}
+    </select>
+  </div>
+);
+
+const DetailComments = ({ value, onChange }: { value?: string; onChange: (value: string) => void }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-2">
+      Additional Comments (Optional)
+    </label>
+    <textarea
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      className={`${selectClassName} min-h-[100px] resize-none`}
+      placeholder="Add any additional comments"
+    />
+  </div>
+);
 
 export const InspectionForm = ({ selectedLocation, selectedDataHall }: InspectionFormProps) => {
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const { rackDetailsFor } = useInventory();
   const [loading, setLoading] = useState(false);
   const [hasIssues, setHasIssues] = useState<boolean | null>(null);
   const [racks, setRacks] = useState<RackForm[]>([]);
   const [expandedRacks, setExpandedRacks] = useState<string[]>([]);
+  const [draftLoaded, setDraftLoaded] = useState(false);
+  const [online, setOnline] = useState(navigator.onLine);
+  // Issue the open scanner fills in; 'new' picks or adds one like a tap on the floor map
+  const [scanTarget, setScanTarget] = useState<string | null>(null);
+  const [scanError, setScanError] = useState<{ target: string; message: string } | null>(null);
 
-  const availableRacks = selectedDataHall ? rackLocations[selectedDataHall] || [] : [];
+  // One draft per user and data hall, so an interrupted walkthrough can be picked up again
+  const draftKey = `${user?.id}:${selectedLocation}:${selectedDataHall}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    draftStore.get<WalkthroughDraft>(draftKey)
+      .then(draft => {
+        if (cancelled || !draft) return;
+        setHasIssues(draft.hasIssues);
+        setRacks(draft.racks);
+        setExpandedRacks(draft.expandedRacks);
+      })
+      .catch(error => console.error('Error loading walkthrough draft:', error))
+      .finally(() => {
+        if (!cancelled) setDraftLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [draftKey]);
+
+  useEffect(() => {
+    if (!draftLoaded) return;
+    const save = hasIssues === null && racks.length === 0
+      ? draftStore.remove(draftKey)
+      : draftStore.save<WalkthroughDraft>(draftKey, { hasIssues, racks, expandedRacks });
+    save.catch(error => console.error('Error saving walkthrough draft:', error));
+  }, [draftLoaded, draftKey, hasIssues, racks, expandedRacks]);
+
+  useEffect(() => {
+    const updateOnline = () => setOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  // Halls without a rack list in the inventory take a typed rack id instead
+  const rackInventory = rackDetailsFor(selectedLocation, selectedDataHall);
+  const availableRacks = rackInventory.map(rack => rack.name);
 
   const toggleRackExpansion = (rackId: string) => {
     setExpandedRacks(prev => 
@@ -57,49 +244,111 @@ export const InspectionForm = ({ selectedLocation, selectedDataHall }: Inspectio
 
   const handleYesIssuesClick = () => {
     setHasIssues(true);
-    const newRack: RackForm = {
-      id: `rack-${Date.now()}`,
-      location: '',
-      devices: {
-        powerSupplyUnit: false,
-        powerDistributionUnit: false,
-        rearDoorHeatExchanger: false
-      }
-    };
+    const newRack = newRackForm();
     setRacks([newRack]);
     setExpandedRacks([newRack.id]);
   };
 
+  // Tapping a rack on the floor map opens its issue, fills in an issue still waiting for a
+  // location, or starts a new one
+  const handleMapSelect = (location: string) => {
+    const target = racks.find(rack => rack.location === location) ?? racks.find(rack => !rack.location);
+    setHasIssues(true);
+    if (target) {
+      if (!target.location) updateRack(target.id, { location });
+      if (!expandedRacks.includes(target.id)) setExpandedRacks([...expandedRacks, target.id]);
+      return;
+    }
+    const newRack = newRackForm(location);
+    setRacks([...racks, newRack]);
+    setExpandedRacks([...expandedRacks, newRack.id]);
+  };
+
+  const handleScan = (text: string) => {
+    const target = scanTarget ?? 'new';
+    setScanTarget(null);
+    const result = parseScannedLabel(text, availableRacks, selectedDataHall);
+    if (!result.success) {
+      setScanError({ target, message: result.message });
+      return;
+    }
+    setScanError(null);
+
+    const { label } = result;
+    const existing = target === 'new'
+      ? racks.find(rack => rack.location === label.rack) ?? racks.find(rack => !rack.location)
+      : racks.find(rack => rack.id === target);
+    const updated = applyScannedLabel(existing ?? newRackForm(), label);
+
+    setHasIssues(true);
+    setRacks(existing ? racks.map(rack => (rack.id === existing.id ? updated : rack)) : [...racks, updated]);
+    if (!expandedRacks.includes(updated.id)) setExpandedRacks([...expandedRacks, updated.id]);
+  };
+
+  const scanButton = (target: string) => (
+    <button
+      type="button"
+      onClick={() => {
+        setScanError(null);
+        setScanTarget(target);
+      }}
+      className="flex items-center gap-1 text-sm text-emerald-600 hover:text-emerald-700"
+    >
+      <ScanLine size={16} />
+      Scan label
+    </button>
+  );
+
+  const scanErrorFor = (target: string) =>
+    scanError?.target === target && <p className="mt-2 text-sm text-red-600">{scanError.message}</p>;
+
   const updateRack = (rackId: string, updates: Partial<RackForm>) => {
     setRacks(racks.map(rack => 
       rack.id === rackId ? { ...rack, ...updates } : rack
     ));
   };
 
+  const updateDetails = <K extends DetailKey>(rack: RackForm, key: K, changes: Partial<NonNullable<RackForm[K]>>) => {
+    updateRack(rack.id, { [key]: { ...emptyDetails[key], ...rack[key], ...changes } });
+  };
+
+  const racksComplete = racks.length > 0 && racks.every(isRackComplete);
+
   const handleSubmit = async () => {
     setLoading(true);
     try {
-      const { data, error } = await supabase
-        .from('AuditReports')
-        .insert([{
-          UserEmail: 'user@example.com',
-          ReportData: {
-            location: selectedLocation,
-            datahall: selectedDataHall,
-            hasIssues,
-            racks,
-            timestamp: new Date().toISOString()
-          }
-        }])
-        .select();
-
-      if (error) throw error;
-      
-      navigate('/confirmation', { 
-        state: { 
-          inspectionId: data?.[0]?.Id,
-          success: true 
-        } 
+      if (!user) throw new Error('You must be signed in to submit an inspection');
+
+      // The server classifies each device with the severity rules and sets the walkthrough state
+      const result = await submitInspection({
+        userEmail: user.email,
+        userFullName: user.fullName || user.email.split('@')[0],
+        datacenter: selectedLocation,
+        datahall: selectedDataHall,
+        // Each checked device becomes its own incident
+        issuesReported: hasIssues
+          ? racks.reduce((count, rack) => count + Object.values(rack.devices).filter(Boolean).length, 0)
+          : 0,
+        reportData: {
+          location: selectedLocation,
+          datahall: selectedDataHall,
+          hasIssues: !!hasIssues,
+          racks: hasIssues ? racks.map(toRackIssue) : [],
+          timestamp: new Date().toISOString()
+        }
+      }, hasIssues
+        ? racks.flatMap(rack => (rack.photos ?? []).map(photo => ({ ...photo, rackLocation: rack.location })))
+        : []);
+      await draftStore.remove(draftKey);
+
+      navigate('/confirmation', {
+        state: result.queued
+          ? { success: true, queued: true }
+          : {
+              inspectionId: result.inspection.Id,
+              walkthroughId: result.inspection.walkthrough_id,
+              success: true
+            }
       });
     } catch (error) {
       const err = error as Error;
@@ -115,8 +364,23 @@ export const InspectionForm = ({ selectedLocation, selectedDataHall }: Inspectio
     }
   };
 
+  const discardAndLeave = () => {
+    draftStore.remove(draftKey).catch(error => console.error('Error discarding walkthrough draft:', error));
+    navigate('/');
+  };
+
+  if (!draftLoaded) {
+    return null;
+  }
+
   return (
     <div className="bg-white rounded-lg p-6 shadow-sm mb-6">
+      {!online && (
+        <div className="flex items-center gap-2 mb-4 p-3 bg-amber-50 text-amber-800 rounded-md text-sm">
+          <WifiOff size={16} />
+          You are offline. Your progress is saved on this device and the walkthrough will be sent once you reconnect.
+        </div>
+      )}
       <h2 className="text-lg font-medium mb-4">
         Have you discovered any issues during the walkthrough?
       </h2>
@@ -135,6 +399,28 @@ export const InspectionForm = ({ selectedLocation, selectedDataHall }: Inspectio
         </button>
       </div>
 
+      {rackInventory.length > 0 ? (
+        <div className="my-6">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-gray-700">Tap a rack or scan its label to report an issue</h3>
+            {scanButton('new')}
+          </div>
+          {scanErrorFor('new')}
+          <FloorMap
+            racks={rackInventory}
+            selected={hasIssues ? racks.map(rack => rack.location).filter(Boolean) : []}
+            onSelect={handleMapSelect}
+          />
+        </div>
+      ) : (
+        <div className="my-6">
+          {scanButton('new')}
+          {scanErrorFor('new')}
+        </div>
+      )}
+
+      {scanTarget && <LabelScanner onScan={handleScan} onClose={() => setScanTarget(null)} />}
+
       {hasIssues === true && (
         <>
           {racks.map((rack, index) => (
@@ -161,19 +447,33 @@ export const InspectionForm = ({ selectedLocation, selectedDataHall }: Inspectio
                 <div className="p-6 border-t border-gray-100">
                   <div className="space-y-6">
                     <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Tile Location
-                      </label>
-                      <select
-                        value={rack.location}
-                        onChange={(e) => updateRack(rack.id, { location: e.target.value })}
-                        className="w-full px-4 py-2.5 border border-gray-300 rounded-md focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
-                      >
-                        <option value="">Select tile location</option>
-                        {availableRacks.map(rackId => (
-                          <option key={rackId} value={rackId}>{rackId}</option>
-                        ))}
-                      </select>
+                      <div className="flex items-center justify-between mb-2">
+                        <label className="block text-sm font-medium text-gray-700">
+                          Tile Location
+                        </label>
+                        {scanButton(rack.id)}
+                      </div>
+                      {availableRacks.length > 0 ? (
+                        <select
+                          value={rack.location}
+                          onChange={(e) => updateRack(rack.id, { location: e.target.value })}
+                          className="w-full px-4 py-2.5 border border-gray-300 rounded-md focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                        >
+                          <option value="">Select tile location</option>
+                          {availableRacks.map(rackId => (
+                            <option key={rackId} value={rackId}>{rackId}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type="text"
+                          value={rack.location}
+                          onChange={(e) => updateRack(rack.id, { location: e.target.value.trim() })}
+                          placeholder="Enter tile location"
+                          className="w-full px-4 py-2.5 border border-gray-300 rounded-md focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                        />
+                      )}
+                      {scanErrorFor(rack.id)}
                     </div>
 
                     <div>
@@ -218,79 +518,112 @@ export const InspectionForm = ({ selectedLocation, selectedDataHall }: Inspectio
                     </div>
 
                     {rack.devices.powerSupplyUnit && (
-                      <div className="pt-4 border-t border-gray-100">
-                        <h3 className="text-lg font-medium mb-4">Power Supply Unit</h3>
-                        <div className="space-y-4">
-                          <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">
-                              Issue Description
-                            </label>
-                            <select
-                              value={rack.psuDetails?.status || ''}
-                              onChange={(e) => updateRack(rack.id, {
-                                psuDetails: { ...rack.psuDetails, status: e.target.value }
-                              })}
-                              className="w-full px-4 py-2.5 border border-gray-300 rounded-md focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
-                            >
-                              <option value="">Select PSU status</option>
-                              {psuStatusOptions.map(option => (
-                                <option key={option} value={option}>{option}</option>
-                              ))}
-                            </select>
-                          </div>
-
-                          <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">
-                              PSU ID
-                            </label>
-                            <select
-                              value={rack.psuDetails?.psuId || ''}
-                              onChange={(e) => updateRack(rack.id, {
-                                psuDetails: { ...rack.psuDetails, psuId: e.target.value }
-                              })}
-                              className="w-full px-4 py-2.5 border border-gray-300 rounded-md focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
-                            >
-                              <option value="">Select PSU</option>
-                              {psuIdOptions.map(option => (
-                                <option key={option} value={option}>{option}</option>
-                              ))}
-                            </select>
-                          </div>
-
-                          <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">
-                              Device U-Height
-                            </label>
-                            <select
-                              value={rack.psuDetails?.uHeight || ''}
-                              onChange={(e) => updateRack(rack.id, {
-                                psuDetails: { ...rack.psuDetails, uHeight: e.target.value }
-                              })}
-                              className="w-full px-4 py-2.5 border border-gray-300 rounded-md focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
-                            >
-                              <option value="">Select U-Height</option>
-                              {uHeightOptions.map(option => (
-                                <option key={option} value={option}>{option}</option>
-                              ))}
-                            </select>
-                          </div>
-
-                          <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">
-                              Additional Comments (Optional)
-                            </label>
-                            <textarea
-                              value={rack.psuDetails?.comments || ''}
-                              onChange={(e) => updateRack(rack.id, {
-                                psuDetails: { ...rack.psuDetails, comments: e.target.value }
-                              })}
-                              className="w-full px-4 py-2.5 border border-gray-300 rounded-md focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 min-h-[100px] resize-none"
-                              placeholder="Add any additional comments"
-                            />
-                          </div>
+                      <DeviceSection title="Power Supply Unit">
+                        <DetailSelect
+                          label="Issue Description"
+                          placeholder="Select PSU status"
+                          options={psuStatusOptions}
+                          value={rack.psuDetails?.status}
+                          onChange={(status) => updateDetails(rack, 'psuDetails', { status })}
+                        />
+                        <DetailSelect
+                          label="PSU ID"
+                          placeholder="Select PSU"
+                          options={psuIdOptions}
+                          value={rack.psuDetails?.psuId}
+                          onChange={(psuId) => updateDetails(rack, 'psuDetails', { psuId })}
+                        />
+                        <DetailSelect
+                          label="Device U-Height"
+                          placeholder="Select U-Height"
+                          options={uHeightOptions}
+                          value={rack.psuDetails?.uHeight}
+                          onChange={(uHeight) => updateDetails(rack, 'psuDetails', { uHeight })}
+                        />
+                        <DetailComments
+                          value={rack.psuDetails?.comments}
+                          onChange={(comments) => updateDetails(rack, 'psuDetails', { comments })}
+                        />
+                      </DeviceSection>
+                    )}
+
+                    {rack.devices.powerDistributionUnit && (
+                      <DeviceSection title="Power Distribution Unit">
+                        <DetailSelect
+                          label="Issue Description"
+                          placeholder="Select PDU status"
+                          options={pduStatusOptions}
+                          value={rack.pduDetails?.status}
+                          onChange={(status) => updateDetails(rack, 'pduDetails', { status })}
+                        />
+                        <div className="grid grid-cols-2 gap-4">
+                          <DetailSelect
+                            label="PDU ID"
+                            placeholder="Select PDU"
+                            options={pduIdOptions}
+                            value={rack.pduDetails?.pduId}
+                            onChange={(pduId) => updateDetails(rack, 'pduDetails', { pduId })}
+                          />
+                          <DetailSelect
+                            label="Side"
+                            placeholder="Select side"
+                            options={pduSideOptions}
+                            value={rack.pduDetails?.side}
+                            onChange={(side) => updateDetails(rack, 'pduDetails', { side })}
+                          />
                         </div>
-                      </div>
+                        <DetailComments
+                          value={rack.pduDetails?.comments}
+                          onChange={(comments) => updateDetails(rack, 'pduDetails', { comments })}
+                        />
+                      </DeviceSection>
                     )}
+
+                    {rack.devices.rearDoorHeatExchanger && (
+                      <DeviceSection title="Rear Door Heat Exchanger">
+                        <DetailSelect
+                          label="Issue Description"
+                          placeholder="Select RDHX status"
+                          options={rdhxStatusOptions}
+                          value={rack.rdhxDetails?.status}
+                          onChange={(status) => updateDetails(rack, 'rdhxDetails', { status })}
+                        />
+                        <div className="grid grid-cols-3 gap-4">
+                          <DetailSelect
+                            label="Fans"
+                            placeholder="Select"
+                            options={rdhxFanOptions}
+                            value={rack.rdhxDetails?.fanState}
+                            onChange={(fanState) => updateDetails(rack, 'rdhxDetails', { fanState })}
+                          />
+                          <DetailSelect
+                            label="Valve"
+                            placeholder="Select"
+                            options={rdhxValveOptions}
+                            value={rack.rdhxDetails?.valveState}
+                            onChange={(valveState) => updateDetails(rack, 'rdhxDetails', { valveState })}
+                          />
+                          <DetailSelect
+                            label="Leak"
+                            placeholder="Select"
+                            options={rdhxLeakOptions}
+                            value={rack.rdhxDetails?.leakState}
+                            onChange={(leakState) => updateDetails(rack, 'rdhxDetails', { leakState })}
+                          />
+                        </div>
+                        <DetailComments
+                          value={rack.rdhxDetails?.comments}
+                          onChange={(comments) => updateDetails(rack, 'rdhxDetails', { comments })}
+                        />
+                      </DeviceSection>
+                    )}
+
+                    <div className="pt-4 border-t border-gray-100">
+                      <RackPhotos
+                        photos={rack.photos ?? []}
+                        onChange={(photos) => updateRack(rack.id, { photos })}
+                      />
+                    </div>
                   </div>
                 </div>
               )}
@@ -299,15 +632,7 @@ export const InspectionForm = ({ selectedLocation, selectedDataHall }: Inspectio
 
           <button
             onClick={() => {
-              const newRack: RackForm = {
-                id: `rack-${Date.now()}`,
-                location: '',
-                devices: {
-                  powerSupplyUnit: false,
-                  powerDistributionUnit: false,
-                  rearDoorHeatExchanger: false
-                }
-              };
+              const newRack = newRackForm();
               setRacks([...racks, newRack]);
               setExpandedRacks([...expandedRacks, newRack.id]);
             }}
@@ -317,18 +642,23 @@ export const InspectionForm = ({ selectedLocation, selectedDataHall }: Inspectio
           </button>
 
           <div className="flex items-center justify-end gap-4 sticky bottom-0 bg-white p-4 border-t border-gray-100 -mx-6">
+            {!racksComplete && (
+              <span className="mr-auto text-sm text-gray-500">
+                Select a tile and fill in the details of every checked device to continue
+              </span>
+            )}
             <button
-              onClick={() => navigate('/')}
+              onClick={discardAndLeave}
               className="px-6 py-2.5 text-gray-700 hover:text-gray-900 transition-colors"
             >
               Cancel
             </button>
             <button
               onClick={handleSubmit}
-              disabled={loading || racks.length === 0}
+              disabled={loading || !racksComplete}
               className="px-6 py-2.5 bg-emerald-500 text-white rounded-md hover:bg-emerald-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {loading ? 'Submitting...' : 'Complete Walkthrough'}
+              {loading ? 'Submitting...' : online ? 'Complete Walkthrough' : 'Save for Sync'}
             </button>
           </div>
         </>
@@ -337,7 +667,7 @@ export const InspectionForm = ({ selectedLocation, selectedDataHall }: Inspectio
       {hasIssues === false && (
         <div className="flex items-center justify-end gap-4 sticky bottom-0 bg-white p-4 border-t border-gray-100 -mx-6">
           <button
-            onClick={() => navigate('/')}
+            onClick={discardAndLeave}
             className="px-6 py-2.5 text-gray-700 hover:text-gray-900 transition-colors"
           >
             Cancel
@@ -347,7 +677,7 @@ export const InspectionForm = ({ selectedLocation, selectedDataHall }: Inspectio
             disabled={loading}
             className="px-6 py-2.5 bg-emerald-500 text-white rounded-md hover:bg-emerald-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            {loading ? 'Submitting...' : 'Complete Walkthrough'}
+            {loading ? 'Submitting...' : online ? 'Complete Walkthrough' : 'Save for Sync'}
           </button>
         </div>
       )}
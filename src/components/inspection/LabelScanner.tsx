@@ -0,0 +1,107 @@
+import { useState, useEffect, useRef, FormEvent } from 'react';
+import { BrowserMultiFormatReader } from '@zxing/browser';
+import type { IScannerControls } from '@zxing/browser';
+import { X } from 'lucide-react';
+
+interface LabelScannerProps {
+  onScan: (text: string) => void;
+  onClose: () => void;
+}
+
+const cameraErrorMessage = (error: unknown) => {
+  const name = error instanceof Error ? error.name : '';
+  if (name === 'NotAllowedError' || name === 'SecurityError') {
+    return 'Camera access was denied. Allow it in the browser settings or type the label below.';
+  }
+  if (name === 'NotFoundError' || name === 'OverconstrainedError') {
+    return 'No camera was found on this device. Type the label below.';
+  }
+  return 'The camera could not be started. Type the label below.';
+};
+
+/**
+ * Camera view that decodes QR codes and barcodes on the device, so it keeps working offline.
+ * Calls onScan with the first decoded text. The text field accepts typed labels and
+ * hardware scanners that act as a keyboard.
+ */
+export const LabelScanner = ({ onScan, onClose }: LabelScannerProps) => {
+  const videoRef = useRef<HTMLVideoElement>(null);
+  const [cameraError, setCameraError] = useState<string | null>(null);
+  const [typed, setTyped] = useState('');
+  // The camera is started once; the latest callback is read when a code is found
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  });
+
+  useEffect(() => {
+    let controls: IScannerControls | null = null;
+    let done = false;
+
+    const reader = new BrowserMultiFormatReader();
+    reader
+      .decodeFromConstraints({ video: { facingMode: 'environment' } }, videoRef.current ?? undefined, (result, _error, scanControls) => {
+        // Decode errors are reported for every frame without a code, so only results matter
+        if (!result || done) return;
+        done = true;
+        scanControls.stop();
+        onScanRef.current(result.getText());
+      })
+      .then(scanControls => {
+        controls = scanControls;
+        if (done) scanControls.stop();
+      })
+      .catch(error => {
+        console.error('Error starting label scanner:', error);
+        setCameraError(cameraErrorMessage(error));
+      });
+
+    return () => {
+      done = true;
+      controls?.stop();
+    };
+  }, []);
+
+  const submitTyped = (e: FormEvent) => {
+    e.preventDefault();
+    if (typed.trim()) onScan(typed.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-md bg-white rounded-lg shadow-lg overflow-hidden">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+          <h3 className="font-medium">Scan rack or device label</h3>
+          <button onClick={onClose} aria-label="Close scanner" className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        {cameraError ? (
+          <div className="p-4 bg-amber-50 text-amber-800 text-sm">{cameraError}</div>
+        ) : (
+          <video ref={videoRef} className="w-full aspect-[4/3] bg-black object-cover" muted playsInline />
+        )}
+
+        <form onSubmit={submitTyped} className="flex gap-2 p-4">
+          <input
+            type="text"
+            value={typed}
+            onChange={(e) => setTyped(e.target.value)}
+            placeholder="Or type the label, e.g. X2401-U12-PSU3"
+            autoFocus={!!cameraError}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <button
+            type="submit"
+            disabled={!typed.trim()}
+            className="px-4 py-2 bg-emerald-500 text-white rounded-md hover:bg-emerald-600 disabled:opacity-50"
+          >
+            Use
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,95 @@
+import { useState, useEffect, ChangeEvent } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { Camera, X } from 'lucide-react';
+import { prepareAttachment } from '../../lib/attachments';
+import type { PendingAttachment } from '../../lib/offlineStore';
+
+interface RackPhotosProps {
+  photos: PendingAttachment[];
+  onChange: (photos: PendingAttachment[]) => void;
+}
+
+const PhotoPreview = ({ photo, onRemove }: { photo: PendingAttachment; onRemove: () => void }) => {
+  const [url, setUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(photo.thumbnail ?? photo.file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [photo]);
+
+  return (
+    <div className="relative w-20 h-20 rounded-md overflow-hidden border border-gray-200 bg-gray-50">
+      {url && <img src={url} alt={photo.fileName} className="w-full h-full object-cover" />}
+      <button
+        type="button"
+        onClick={onRemove}
+        aria-label={`Remove ${photo.fileName}`}
+        className="absolute top-0.5 right-0.5 p-0.5 rounded bg-white/90 text-gray-500 hover:text-red-600"
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Photos of one rack issue. They are compressed when taken, kept in the walkthrough draft on
+ * the device and uploaded after the walkthrough is submitted.
+ */
+export const RackPhotos = ({ photos, onChange }: RackPhotosProps) => {
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleFiles = async (event: ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(event.target.files ?? []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    setProcessing(true);
+    setError(null);
+    const added: PendingAttachment[] = [];
+    for (const file of files) {
+      try {
+        added.push({ id: uuidv4(), ...await prepareAttachment(file) });
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'The photo could not be added');
+      }
+    }
+    onChange([...photos, ...added]);
+    setProcessing(false);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Photos (Optional)
+      </label>
+      <div className="flex flex-wrap gap-3">
+        {photos.map(photo => (
+          <PhotoPreview
+            key={photo.id}
+            photo={photo}
+            onRemove={() => onChange(photos.filter(item => item.id !== photo.id))}
+          />
+        ))}
+        <label className={`w-20 h-20 flex flex-col items-center justify-center gap-1 rounded-md border border-dashed border-gray-300 text-xs text-gray-500 ${
+          processing ? 'opacity-50 cursor-wait' : 'cursor-pointer hover:border-emerald-500 hover:text-emerald-600'
+        }`}>
+          <Camera size={20} />
+          {processing ? 'Adding...' : 'Add photo'}
+          <input
+            type="file"
+            accept="image/jpeg,image/png,image/webp"
+            capture="environment"
+            multiple
+            onChange={handleFiles}
+            disabled={processing}
+            className="hidden"
+          />
+        </label>
+      </div>
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
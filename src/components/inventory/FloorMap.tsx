@@ -0,0 +1,163 @@
+import { KeyboardEvent } from 'react';
+import type { InventoryRack, RackHealth, Severity } from '../../lib/apiClient';
+
+interface FloorMapProps {
+  racks: InventoryRack[];
+  // Open incidents per rack; racks without an entry are drawn as healthy. Without it the
+  // map only shows the layout and the selection.
+  health?: RackHealth[];
+  selected?: string[];
+  onSelect?: (rack: string) => void;
+}
+
+const TILE_WIDTH = 40;
+const TILE_HEIGHT = 28;
+const GAP = 4;
+const LABEL_WIDTH = 72;
+
+const SEVERITY_STYLES: Record<Severity, { fill: string; stroke: string; text: string; legend: string }> = {
+  critical: { fill: 'fill-red-500', stroke: 'stroke-red-600', text: 'fill-white', legend: 'bg-red-500' },
+  high: { fill: 'fill-orange-400', stroke: 'stroke-orange-500', text: 'fill-white', legend: 'bg-orange-400' },
+  medium: { fill: 'fill-yellow-300', stroke: 'stroke-yellow-400', text: 'fill-gray-800', legend: 'bg-yellow-300' },
+  low: { fill: 'fill-green-200', stroke: 'stroke-green-300', text: 'fill-gray-800', legend: 'bg-green-200' }
+};
+
+const HEALTHY_STYLE = { fill: 'fill-gray-100', stroke: 'stroke-gray-300', text: 'fill-gray-600' };
+
+// Racks imported before row and position were stored still carry them in the id (X2401, X230101)
+const placementOf = (rack: InventoryRack) => {
+  if (rack.rowLabel && rack.position) return { row: rack.rowLabel, position: rack.position };
+  const match = /^X(\d{2}|\d{4})(\d{2})$/.exec(rack.name);
+  return match ? { row: match[1], position: Number(match[2]) } : null;
+};
+
+/**
+ * SVG floor plan of one data hall: a line of tiles per row, each tile placed at its position.
+ * Racks that cannot be placed are drawn in a final "Other" row in name order.
+ */
+export const FloorMap = ({ racks, health, selected = [], onSelect }: FloorMapProps) => {
+  const rows = new Map<string, { rack: InventoryRack; position: number }[]>();
+  const unplaced: InventoryRack[] = [];
+  for (const rack of racks) {
+    const placement = placementOf(rack);
+    if (!placement) {
+      unplaced.push(rack);
+      continue;
+    }
+    rows.set(placement.row, [...(rows.get(placement.row) ?? []), { rack, position: placement.position }]);
+  }
+
+  const layout = [...rows.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([row, tiles]) => ({
+      label: `Row ${row}`,
+      tiles: tiles.map(tile => ({ ...tile, caption: String(tile.position).padStart(2, '0') }))
+    }));
+  if (unplaced.length > 0) {
+    layout.push({
+      label: 'Other',
+      tiles: [...unplaced]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((rack, index) => ({ rack, position: index + 1, caption: rack.name.slice(0, 5) }))
+    });
+  }
+
+  const healthByRack = new Map((health ?? []).map(entry => [entry.rack, entry]));
+  const columns = Math.max(1, ...layout.flatMap(row => row.tiles.map(tile => tile.position)));
+  const width = LABEL_WIDTH + columns * (TILE_WIDTH + GAP);
+  const height = layout.length * (TILE_HEIGHT + GAP * 2);
+
+  const handleKeyDown = (event: KeyboardEvent, rack: string) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      onSelect?.(rack);
+    }
+  };
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="select-none">
+          {layout.map((row, rowIndex) => {
+            const y = rowIndex * (TILE_HEIGHT + GAP * 2) + GAP;
+            return (
+              <g key={row.label}>
+                <text x={0} y={y + TILE_HEIGHT / 2} dominantBaseline="middle" className="fill-gray-500 text-xs">
+                  {row.label}
+                </text>
+                {row.tiles.map(({ rack, position, caption }) => {
+                  const rackHealth = healthByRack.get(rack.name);
+                  const style = rackHealth ? SEVERITY_STYLES[rackHealth.severity] : HEALTHY_STYLE;
+                  const isSelected = selected.includes(rack.name);
+                  const x = LABEL_WIDTH + (position - 1) * (TILE_WIDTH + GAP);
+                  let description = rack.name;
+                  if (rackHealth) {
+                    description += `: ${rackHealth.openIncidents} open incident(s), worst ${rackHealth.severity}`;
+                  } else if (health) {
+                    description += ': no open incidents';
+                  }
+
+                  return (
+                    <g
+                      key={rack.id}
+                      role={onSelect ? 'button' : undefined}
+                      tabIndex={onSelect ? 0 : undefined}
+                      aria-label={description}
+                      aria-pressed={onSelect ? isSelected : undefined}
+                      onClick={onSelect ? () => onSelect(rack.name) : undefined}
+                      onKeyDown={onSelect ? (event) => handleKeyDown(event, rack.name) : undefined}
+                      className={onSelect ? 'cursor-pointer focus:outline-none' : undefined}
+                    >
+                      <title>{description}</title>
+                      <rect
+                        x={x}
+                        y={y}
+                        width={TILE_WIDTH}
+                        height={TILE_HEIGHT}
+                        rx={4}
+                        className={`${style.fill} ${isSelected ? 'stroke-emerald-600' : style.stroke}`}
+                        strokeWidth={isSelected ? 3 : 1}
+                      />
+                      <text
+                        x={x + TILE_WIDTH / 2}
+                        y={y + TILE_HEIGHT / 2}
+                        textAnchor="middle"
+                        dominantBaseline="middle"
+                        className={`${style.text} text-xs`}
+                      >
+                        {caption}
+                      </text>
+                    </g>
+                  );
+                })}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mt-3 text-xs text-gray-600">
+        {health && (
+          <>
+            {(Object.keys(SEVERITY_STYLES) as Severity[]).map(severity => (
+              <span key={severity} className="flex items-center gap-1">
+                <span className={`inline-block w-3 h-3 rounded-sm ${SEVERITY_STYLES[severity].legend}`} />
+                {severity.charAt(0).toUpperCase() + severity.slice(1)}
+              </span>
+            ))}
+            <span className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 rounded-sm bg-gray-100 border border-gray-300" />
+              No open incidents
+            </span>
+          </>
+        )}
+        {selected.length > 0 && (
+          <span className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm border-2 border-emerald-600" />
+            {onSelect ? 'Has an issue in this walkthrough' : 'Reported in this walkthrough'}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { api } from '../../lib/apiClient';
+import type { RackHealth } from '../../lib/apiClient';
+import { useInventory } from '../../context/InventoryContext';
+import { FloorMap } from './FloorMap';
+
+interface RackHealthMapProps {
+  datacenter: string;
+  datahall: string;
+  highlighted?: string[];
+}
+
+// Floor map of a data hall colored by open incident severity. Renders nothing for halls
+// without a rack list in the inventory.
+export const RackHealthMap = ({ datacenter, datahall, highlighted }: RackHealthMapProps) => {
+  const { rackDetailsFor } = useInventory();
+  const [health, setHealth] = useState<RackHealth[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const racks = rackDetailsFor(datacenter, datahall);
+  const hasRacks = racks.length > 0;
+
+  useEffect(() => {
+    if (!hasRacks) return;
+    let cancelled = false;
+    setError(null);
+    api.inventory.health(datacenter, datahall)
+      .then(result => {
+        if (!cancelled) setHealth(result);
+      })
+      .catch(err => {
+        console.error('Error fetching rack health:', err);
+        if (!cancelled) {
+          setHealth([]);
+          setError('Open incidents could not be loaded; racks are shown without them');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [datacenter, datahall, hasRacks]);
+
+  if (!hasRacks) {
+    return null;
+  }
+
+  return (
+    <div>
+      {error && <p className="mb-3 text-sm text-amber-700">{error}</p>}
+      <FloorMap racks={racks} health={health} selected={highlighted} />
+    </div>
+  );
+};
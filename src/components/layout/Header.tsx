@@ -1,9 +1,11 @@
 import { Link, useLocation, useNavigate } from 'react-router-dom';
-import { Bell, Home, Clipboard, AlertTriangle, BarChart, User } from 'lucide-react';
+import { Home, Clipboard, AlertTriangle, BarChart, User, ListChecks } from 'lucide-react';
 import HPELogo from '../ui/HPELogo';
+import SyncIndicator from './SyncIndicator';
+import NotificationBell from './NotificationBell';
 import { useTheme } from '../../context/ThemeContext';
 import { useAuth } from '../../context/AuthContext';
-import { Header as GrommetHeader, Box, Nav, Button, Text, ResponsiveContext, Menu } from 'grommet';
+import { Header as GrommetHeader, Box, Nav, Text, ResponsiveContext, Menu } from 'grommet';
 import { useContext } from 'react';
 
 const Header = () => {
@@ -17,6 +19,7 @@ const Header = () => {
     { path: '/', icon: <Home size={20} />, label: 'Dashboard' },
     { path: '/inspections', icon: <Clipboard size={20} />, label: 'Audits' },
     { path: '/incidents', icon: <AlertTriangle size={20} />, label: 'Incidents' },
+    { path: '/my-work', icon: <ListChecks size={20} />, label: 'My Work' },
     { path: '/reports', icon: <BarChart size={20} />, label: 'Reports' },
   ];
 
@@ -102,11 +105,8 @@ const Header = () => {
           flex={false}
           justify="end"
         >
-          <Button 
-            plain 
-            icon={<Bell size={20} />} 
-            a11yTitle="Notifications" 
-          />
+          <SyncIndicator />
+          <NotificationBell />
           <Menu
             icon={<User size={20} />}
             items={[
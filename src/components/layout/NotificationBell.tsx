@@ -0,0 +1,131 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { Box, Button, DropButton, Text } from 'grommet';
+import { Bell } from 'lucide-react';
+import { api } from '../../lib/apiClient';
+import type { UserNotification } from '../../lib/apiClient';
+
+// The unread count is refreshed this often while the app is open
+const POLL_INTERVAL_MS = 60000;
+const MENU_LIMIT = 20;
+
+const LINKS: Record<UserNotification['subject_type'], (id: string) => string> = {
+  incident: id => `/incidents/${id}`,
+  walkthrough: id => `/inspections/${id}`,
+  report: id => `/reports/${id}`
+};
+
+// Bell menu with the signed-in user's latest notifications; opening one marks it as read
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState<UserNotification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const result = await api.notifications.list({ limit: MENU_LIMIT });
+      setNotifications(result.notifications);
+      setUnreadCount(result.unreadCount);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const timer = window.setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => window.clearInterval(timer);
+  }, [fetchNotifications]);
+
+  const openNotification = async (notification: UserNotification) => {
+    setOpen(false);
+    navigate(LINKS[notification.subject_type](notification.subject_id));
+    if (notification.read_at) return;
+
+    const readAt = new Date().toISOString();
+    setNotifications(current => current.map(item => (item.id === notification.id ? { ...item, read_at: readAt } : item)));
+    setUnreadCount(count => Math.max(count - 1, 0));
+    try {
+      await api.notifications.markRead(notification.id);
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      fetchNotifications();
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await api.notifications.markAllRead();
+      const readAt = new Date().toISOString();
+      setNotifications(current => current.map(item => ({ ...item, read_at: item.read_at ?? readAt })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  return (
+    <DropButton
+      plain
+      open={open}
+      onOpen={() => {
+        setOpen(true);
+        fetchNotifications();
+      }}
+      onClose={() => setOpen(false)}
+      a11yTitle={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+      dropAlign={{ top: 'bottom', right: 'right' }}
+      label={
+        <Box direction="row" align="center" gap="xsmall">
+          <Bell size={20} />
+          {unreadCount > 0 && (
+            <Box background="status-critical" round="medium" pad={{ horizontal: 'xsmall' }}>
+              <Text size="xsmall" weight="bold" color="white">{unreadCount > 99 ? '99+' : unreadCount}</Text>
+            </Box>
+          )}
+        </Box>
+      }
+      dropContent={
+        <Box width="medium">
+          <Box
+            direction="row"
+            align="center"
+            justify="between"
+            pad={{ horizontal: 'medium', vertical: 'small' }}
+            border={{ side: 'bottom', color: 'border' }}
+          >
+            <Text weight="bold">Notifications</Text>
+            {unreadCount > 0 && <Button plain label={<Text size="small" color="brand">Mark all as read</Text>} onClick={markAllRead} />}
+          </Box>
+          <Box overflow={{ vertical: 'auto' }} style={{ maxHeight: '24rem' }}>
+            {notifications.length === 0 && (
+              <Box pad="medium">
+                <Text size="small" color="text-weak">You have no notifications.</Text>
+              </Box>
+            )}
+            {notifications.map(notification => (
+              <Button key={notification.id} plain onClick={() => openNotification(notification)}>
+                <Box
+                  pad={{ horizontal: 'medium', vertical: 'small' }}
+                  border={{ side: 'bottom', color: 'border' }}
+                  background={notification.read_at ? undefined : { color: 'brand', opacity: 'weak' }}
+                  gap="xxsmall"
+                >
+                  <Text size="small" weight={notification.read_at ? 'normal' : 'bold'}>{notification.title}</Text>
+                  {notification.body && <Text size="xsmall" color="text-weak" truncate>{notification.body}</Text>}
+                  <Text size="xsmall" color="text-weak">
+                    {formatDistanceToNow(new Date(notification.created_at), { addSuffix: true })}
+                  </Text>
+                </Box>
+              </Button>
+            ))}
+          </Box>
+        </Box>
+      }
+    />
+  );
+};
+
+export default NotificationBell;
@@ -1,22 +1,39 @@
+import { ReactNode } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { X, Home, Clipboard, BarChart, Settings, User } from 'lucide-react';
+import { X, Home, Clipboard, BarChart, Settings, User, Users, Server, ListChecks, SlidersHorizontal, Webhook } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../../context/AuthContext';
+import type { Role } from '../../lib/apiClient';
 
 interface SidebarProps {
   open: boolean;
   onClose: () => void;
 }
 
+interface NavItem {
+  path: string;
+  icon: ReactNode;
+  label: string;
+  minimumRole?: Role;
+}
+
 const Sidebar = ({ open, onClose }: SidebarProps) => {
   const location = useLocation();
+  const { hasRole } = useAuth();
 
-  const navItems = [
+  const allNavItems: NavItem[] = [
     { path: '/', icon: <Home size={20} />, label: 'Dashboard' },
     { path: '/inspection', icon: <Clipboard size={20} />, label: 'Inspection' },
+    { path: '/my-work', icon: <ListChecks size={20} />, label: 'My Work' },
     { path: '/reports', icon: <BarChart size={20} />, label: 'Reports' },
     { path: '/profile', icon: <User size={20} />, label: 'Profile' },
+    { path: '/users', icon: <Users size={20} />, label: 'Users', minimumRole: 'admin' },
+    { path: '/inventory', icon: <Server size={20} />, label: 'Inventory', minimumRole: 'admin' },
+    { path: '/severity-rules', icon: <SlidersHorizontal size={20} />, label: 'Severity Rules', minimumRole: 'admin' },
+    { path: '/webhooks', icon: <Webhook size={20} />, label: 'Webhooks', minimumRole: 'admin' },
     { path: '/settings', icon: <Settings size={20} />, label: 'Settings' },
   ];
+  const navItems = allNavItems.filter((item) => !item.minimumRole || hasRole(item.minimumRole));
 
   const isActive = (path: string) => {
     return location.pathname === path;
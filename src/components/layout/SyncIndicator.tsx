@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react';
+import { Box, DropButton, Text, Button } from 'grommet';
+import { CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
+import {
+  subscribeSyncStatus,
+  syncPendingInspections,
+  retryFailedInspections,
+  discardFailedInspections
+} from '../../lib/inspectionSync';
+import type { SyncStatus } from '../../lib/inspectionSync';
+
+// Shows walkthroughs captured offline that have not reached the server yet.
+// Renders nothing when the outbox is empty.
+const SyncIndicator = () => {
+  const [status, setStatus] = useState<SyncStatus>({ pending: 0, failed: 0, syncing: false });
+  const [online, setOnline] = useState(navigator.onLine);
+
+  useEffect(() => subscribeSyncStatus(setStatus), []);
+
+  useEffect(() => {
+    const updateOnline = () => setOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  const total = status.pending + status.failed;
+  if (total === 0 && online) {
+    return null;
+  }
+
+  const icon = status.failed > 0
+    ? <AlertTriangle size={20} color="#FC5A5A" />
+    : status.syncing
+      ? <RefreshCw size={20} className="animate-spin" />
+      : <CloudOff size={20} />;
+
+  return (
+    <DropButton
+      plain
+      a11yTitle={`${total} walkthrough${total === 1 ? '' : 's'} waiting to sync`}
+      dropAlign={{ top: 'bottom', right: 'right' }}
+      label={
+        <Box direction="row" align="center" gap="xsmall">
+          {icon}
+          {total > 0 && <Text size="small" weight="bold">{total}</Text>}
+        </Box>
+      }
+      dropContent={
+        <Box pad="medium" gap="small" width="medium">
+          <Text weight="bold">{online ? 'Pending sync' : 'You are offline'}</Text>
+          {status.pending > 0 && (
+            <Text size="small">
+              {status.pending} walkthrough{status.pending === 1 ? '' : 's'} will be submitted
+              {online ? ' shortly.' : ' when the connection returns.'}
+            </Text>
+          )}
+          {status.failed > 0 && (
+            <Text size="small" color="status-critical">
+              {status.failed} walkthrough{status.failed === 1 ? ' was' : 's were'} rejected by the server.
+            </Text>
+          )}
+          {total === 0 && <Text size="small">Nothing is waiting to be submitted.</Text>}
+          <Box direction="row" gap="small" margin={{ top: 'small' }}>
+            {status.pending > 0 && online && (
+              <Button size="small" label="Sync now" disabled={status.syncing} onClick={() => syncPendingInspections()} />
+            )}
+            {status.failed > 0 && (
+              <>
+                <Button size="small" label="Retry" disabled={!online || status.syncing} onClick={() => retryFailedInspections()} />
+                <Button size="small" label="Discard" onClick={() => discardFailedInspections()} />
+              </>
+            )}
+          </Box>
+        </Box>
+      }
+    />
+  );
+};
+
+export default SyncIndicator;
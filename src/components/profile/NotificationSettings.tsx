@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import { api, ApiError, getErrorMessage } from '../../lib/apiClient';
+import type { NotificationEvent, NotificationPreferences, WebhookFormat } from '../../lib/apiClient';
+
+const EVENTS: { value: NotificationEvent; label: string }[] = [
+  { value: 'incident.critical', label: 'New critical incidents' },
+  { value: 'incident.sla_breach', label: 'SLA breaches' }
+];
+
+const WEBHOOK_FORMATS: { value: WebhookFormat; label: string }[] = [
+  { value: 'generic', label: 'Generic JSON' },
+  { value: 'slack', label: 'Slack' },
+  { value: 'teams', label: 'Microsoft Teams' }
+];
+
+/**
+ * The signed-in user's email and webhook alerts. Supervisors and admins get them for every
+ * incident; everyone gets them for incidents assigned to them or their team.
+ */
+const NotificationSettings = () => {
+  const [preferences, setPreferences] = useState<NotificationPreferences | null>(null);
+  const [webhookUrl, setWebhookUrl] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  useEffect(() => {
+    api.profile.notifications.get()
+      .then(data => {
+        setPreferences(data);
+        setWebhookUrl(data.webhookUrl ?? '');
+      })
+      .catch(error => {
+        console.error('Error fetching notification preferences:', error);
+        setError(getErrorMessage(error, 'Failed to load notification settings'));
+      });
+  }, []);
+
+  const save = async (changes: Partial<NotificationPreferences>) => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const updated = await api.profile.notifications.update(changes);
+      setPreferences(updated);
+      setWebhookUrl(updated.webhookUrl ?? '');
+      return true;
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      setError(error instanceof ApiError && error.fieldErrors.webhookUrl
+        ? 'Enter a valid https webhook URL'
+        : getErrorMessage(error, 'Failed to save notification settings'));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleEvent = (event: NotificationEvent, enabled: boolean) => {
+    if (!preferences) return;
+    const events = enabled
+      ? [...preferences.events, event]
+      : preferences.events.filter(value => value !== event);
+    save({ events });
+  };
+
+  const saveWebhook = async () => {
+    if (await save({ webhookUrl: webhookUrl.trim() || null })) {
+      setNotice(webhookUrl.trim() ? 'Webhook saved' : 'Webhook removed');
+    }
+  };
+
+  const sendTest = async () => {
+    setTesting(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const deliveries = await api.profile.notifications.test();
+      const failed = deliveries.filter(delivery => delivery.status !== 'sent');
+      if (failed.length > 0) {
+        setError(`Could not reach ${failed.map(delivery => delivery.target).join(', ')}: ${failed[0].last_error}`);
+      } else {
+        setNotice(`Test sent to ${deliveries.map(delivery => delivery.target).join(', ')}`);
+      }
+    } catch (error) {
+      console.error('Error sending test notification:', error);
+      setError(getErrorMessage(error, 'Failed to send a test notification'));
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  if (!preferences) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-gray-600">Email Notifications</span>
+        <button
+          type="button"
+          role="switch"
+          aria-checked={preferences.emailEnabled}
+          disabled={saving}
+          onClick={() => save({ emailEnabled: !preferences.emailEnabled })}
+          className={`relative inline-flex items-center h-6 rounded-full w-11 disabled:opacity-50 ${
+            preferences.emailEnabled ? 'bg-[#01A982]' : 'bg-gray-200'
+          }`}
+        >
+          <span className="sr-only">Toggle email notifications</span>
+          <span
+            className={`inline-block w-5 h-5 transform bg-white rounded-full transition ${
+              preferences.emailEnabled ? 'translate-x-6' : 'translate-x-1'
+            }`}
+          />
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        <span className="text-sm text-gray-600">Notify me about</span>
+        {EVENTS.map(({ value, label }) => (
+          <label key={value} className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={preferences.events.includes(value)}
+              disabled={saving}
+              onChange={(e) => toggleEvent(value, e.target.checked)}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <label className="block text-sm text-gray-600">
+          Webhook URL
+          <input
+            type="url"
+            value={webhookUrl}
+            onChange={(e) => setWebhookUrl(e.target.value)}
+            placeholder="https://hooks.slack.com/services/..."
+            className="block w-full mt-1 border border-gray-200 rounded-lg px-3 py-2"
+          />
+        </label>
+        <div className="flex items-center gap-2">
+          <select
+            value={preferences.webhookFormat}
+            disabled={saving}
+            onChange={(e) => save({ webhookFormat: e.target.value as WebhookFormat })}
+            className="flex-1 border border-gray-200 rounded-lg px-3 py-2 text-sm"
+            aria-label="Webhook format"
+          >
+            {WEBHOOK_FORMATS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={saveWebhook}
+            disabled={saving || webhookUrl.trim() === (preferences.webhookUrl ?? '')}
+            className="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50 text-sm"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+
+      <button
+        type="button"
+        onClick={sendTest}
+        disabled={testing || saving}
+        className="px-4 py-2 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50 text-sm"
+      >
+        {testing ? 'Sending...' : 'Send test notification'}
+      </button>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {notice && <p className="text-sm text-emerald-700">{notice}</p>}
+    </div>
+  );
+};
+
+export default NotificationSettings;
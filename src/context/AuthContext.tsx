@@ -1,89 +1,87 @@
-import { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { supabase } from '../lib/supabaseClient';
-import type { User } from '@supabase/supabase-js';
+import { api, tokenStore } from '../lib/apiClient';
+import type { AuthUser, Role } from '../lib/apiClient';
+import { hasRole as userHasRole } from '../utils/roles';
 
 type AuthContextType = {
   isAuthenticated: boolean;
-  user: User | null;
-  login: (email: string, password: string) => Promise<boolean>;
+  user: AuthUser | null;
+  login: (email: string, password: string, remember?: boolean) => Promise<void>;
+  register: (input: { email: string; password: string; fullName: string }) => Promise<void>;
   logout: () => Promise<void>;
+  refreshUser: () => Promise<void>;
+  hasRole: (minimumRole: Role) => boolean;
   loading: boolean;
 };
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+const PUBLIC_PATHS = ['/login', '/register'];
+
 export const AuthProvider = ({ children }: { children: ReactNode }) => {
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [user, setUser] = useState<User | null>(null);
+  const [user, setUser] = useState<AuthUser | null>(null);
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
   const location = useLocation();
 
+  const refreshUser = useCallback(async () => {
+    setUser(await api.auth.me());
+  }, []);
+
   useEffect(() => {
     const initAuth = async () => {
       try {
-        const { data: { session } } = await supabase.auth.getSession();
-        setIsAuthenticated(!!session);
-        setUser(session?.user ?? null);
-
-        if (!session && location.pathname !== '/login') {
-          navigate('/login', { replace: true });
+        if (tokenStore.getAccessToken()) {
+          await refreshUser();
         }
       } catch (error) {
         console.error('Error initializing auth:', error);
+        tokenStore.clear();
       } finally {
         setLoading(false);
       }
     };
 
     initAuth();
+  }, [refreshUser]);
 
-    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => {
-      setIsAuthenticated(!!session);
-      setUser(session?.user ?? null);
-
-      if (!session && location.pathname !== '/login') {
-        navigate('/login', { replace: true });
-      }
-    });
-
-    return () => subscription.unsubscribe();
-  }, [navigate, location.pathname]);
+  // The API client clears the session when a refresh token is rejected
+  useEffect(() => tokenStore.subscribe((signedIn) => {
+    if (!signedIn) setUser(null);
+  }), []);
 
-  const login = async (email: string, password: string): Promise<boolean> => {
-    try {
-      setLoading(true);
-      const { error } = await supabase.auth.signInWithPassword({
-        email,
-        password,
-      });
+  useEffect(() => {
+    if (!loading && !user && !PUBLIC_PATHS.includes(location.pathname)) {
+      navigate('/login', { replace: true });
+    }
+  }, [loading, user, navigate, location.pathname]);
 
-      if (error) {
-        console.error('Error logging in:', error.message);
-        return false;
-      }
+  const login = async (email: string, password: string, remember = true) => {
+    setUser(await api.auth.login(email, password, remember));
+  };
 
-      return true;
-    } catch (error) {
-      console.error('Error during login:', error);
-      return false;
-    } finally {
-      setLoading(false);
-    }
+  const register = async (input: { email: string; password: string; fullName: string }) => {
+    setUser(await api.auth.register(input));
   };
 
   const logout = async () => {
     try {
-      await supabase.auth.signOut();
-      navigate('/login', { replace: true });
+      await api.auth.logout();
     } catch (error) {
       console.error('Error during logout:', error);
+    } finally {
+      setUser(null);
+      navigate('/login', { replace: true });
     }
   };
 
+  const hasRole = (minimumRole: Role) => userHasRole(user, minimumRole);
+
   return (
-    <AuthContext.Provider value={{ isAuthenticated, user, login, logout, loading }}>
+    <AuthContext.Provider
+      value={{ isAuthenticated: !!user, user, login, register, logout, refreshUser, hasRole, loading }}
+    >
       {children}
     </AuthContext.Provider>
   );
@@ -95,4 +93,4 @@ export const useAuth = (): AuthContextType => {
     throw new Error('useAuth must be used within an AuthProvider');
   }
   return context;
-};
\ No newline at end of file
+};
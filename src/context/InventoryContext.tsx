@@ -0,0 +1,80 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo, ReactNode } from 'react';
+import { api, getErrorMessage } from '../lib/apiClient';
+import type { InventoryRack, InventorySite } from '../lib/apiClient';
+import { useAuth } from './AuthContext';
+
+// Last inventory received from the API, so pickers keep working offline
+const INVENTORY_CACHE_KEY = 'dat.inventory';
+
+type InventoryContextType = {
+  sites: InventorySite[];
+  siteNames: string[];
+  dataHallsFor: (site: string) => string[];
+  racksFor: (site: string, dataHall: string) => string[];
+  rackDetailsFor: (site: string, dataHall: string) => InventoryRack[];
+  reload: () => Promise<void>;
+  loading: boolean;
+  error: string | null;
+};
+
+const InventoryContext = createContext<InventoryContextType | undefined>(undefined);
+
+const readCache = (): InventorySite[] => {
+  try {
+    return JSON.parse(localStorage.getItem(INVENTORY_CACHE_KEY) ?? '[]');
+  } catch {
+    return [];
+  }
+};
+
+export const InventoryProvider = ({ children }: { children: ReactNode }) => {
+  const { isAuthenticated } = useAuth();
+  const [sites, setSites] = useState<InventorySite[]>(readCache);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    try {
+      const inventory = await api.inventory.get();
+      setSites(inventory);
+      setError(null);
+      localStorage.setItem(INVENTORY_CACHE_KEY, JSON.stringify(inventory));
+    } catch (err) {
+      // Keep showing the cached inventory
+      setError(getErrorMessage(err, 'Unable to load sites and data halls'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) reload();
+  }, [isAuthenticated, reload]);
+
+  const value = useMemo<InventoryContextType>(() => {
+    const findSite = (site: string) => sites.find(s => s.name === site);
+    const findRacks = (site: string, dataHall: string) =>
+      findSite(site)?.dataHalls.find(hall => hall.name === dataHall)?.racks ?? [];
+    return {
+      sites,
+      siteNames: sites.map(site => site.name),
+      dataHallsFor: (site) => findSite(site)?.dataHalls.map(hall => hall.name) ?? [],
+      racksFor: (site, dataHall) => findRacks(site, dataHall).map(rack => rack.name),
+      rackDetailsFor: findRacks,
+      reload,
+      loading,
+      error
+    };
+  }, [sites, reload, loading, error]);
+
+  return <InventoryContext.Provider value={value}>{children}</InventoryContext.Provider>;
+};
+
+export const useInventory = () => {
+  const context = useContext(InventoryContext);
+  if (context === undefined) {
+    throw new Error('useInventory must be used within an InventoryProvider');
+  }
+  return context;
+};
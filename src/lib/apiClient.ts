@@ -0,0 +1,974 @@
+// Typed client for the Azure Functions API.
+// Every endpoint answers with the envelope built by azure-functions/shared/response.js;
+// request() unwraps it, attaches the bearer token and refreshes expired sessions once.
+
+const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || '/api').replace(/\/$/, '');
+
+const ACCESS_TOKEN_KEY = 'dat.accessToken';
+const REFRESH_TOKEN_KEY = 'dat.refreshToken';
+
+export type Severity = 'critical' | 'high' | 'medium' | 'low';
+export type IncidentStatus = 'open' | 'in-progress' | 'resolved';
+export type AuditState = 'Healthy' | 'Warning' | 'Critical';
+export type PartType = 'PSU' | 'PDU' | 'RDHX' | 'Other';
+export type Role = 'technician' | 'supervisor' | 'admin';
+
+export interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  totalPages: number;
+  hasNext: boolean;
+  hasPrev: boolean;
+}
+
+export interface Page<T> {
+  items: T[];
+  pagination: Pagination;
+}
+
+export interface ValidationErrorDetail {
+  field: string;
+  message: string;
+  value?: unknown;
+}
+
+interface Envelope<T> {
+  success: boolean;
+  message: string;
+  data?: T;
+  pagination?: Pagination;
+  details?: { validationErrors?: ValidationErrorDetail[] };
+  errorId?: string;
+  timestamp: string;
+}
+
+export class ApiError extends Error {
+  status: number;
+  errorId?: string;
+  // Joi messages keyed by field path, e.g. { 'reportData.racks.0.location': '...' }
+  fieldErrors: Record<string, string>;
+
+  constructor(message: string, status: number, validationErrors: ValidationErrorDetail[] = [], errorId?: string) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.errorId = errorId;
+    this.fieldErrors = {};
+    for (const error of validationErrors) {
+      // Keep the first message per field
+      if (!(error.field in this.fieldErrors)) {
+        this.fieldErrors[error.field] = error.message;
+      }
+    }
+  }
+}
+
+export const getErrorMessage = (error: unknown, fallback = 'Something went wrong') =>
+  error instanceof Error && error.message ? error.message : fallback;
+
+export interface AuthUser {
+  id: string;
+  email: string;
+  fullName: string;
+  department?: string;
+  phone?: string;
+  role: Role;
+}
+
+export interface Session {
+  user: AuthUser;
+  token: string;
+  refreshToken: string;
+  refreshTokenExpiresAt: string;
+}
+
+export interface RackDevices {
+  powerSupplyUnit: boolean;
+  powerDistributionUnit: boolean;
+  rearDoorHeatExchanger: boolean;
+}
+
+export interface RackIssue {
+  id?: string;
+  location: string;
+  devices: RackDevices;
+  psuDetails?: { status: string; psuId: string; uHeight?: string; comments?: string };
+  pduDetails?: { status: string; pduId: string; side?: string; comments?: string };
+  rdhxDetails?: { status: string; fanState?: string; valveState?: string; leakState?: string; comments?: string };
+}
+
+export interface AuditReport {
+  Id: string;
+  UserEmail: string;
+  GeneratedBy: string | null;
+  Timestamp: string;
+  datacenter: string;
+  datahall: string;
+  issues_reported: number;
+  state: AuditState;
+  walkthrough_id: number;
+  user_full_name: string;
+  ReportData: {
+    location?: string;
+    datahall?: string;
+    hasIssues?: boolean;
+    racks?: RackIssue[];
+    timestamp?: string;
+    comments?: string;
+    [key: string]: unknown;
+  };
+}
+
+export interface InspectionFilters {
+  page?: number;
+  limit?: number;
+  sortBy?: string;
+  sortOrder?: 'asc' | 'desc';
+  datacenter?: string;
+  datahall?: string;
+  state?: AuditState;
+  startDate?: string;
+  endDate?: string;
+  userEmail?: string;
+}
+
+export interface InspectionSubmission {
+  userEmail: string;
+  userFullName: string;
+  datacenter: string;
+  datahall: string;
+  issuesReported: number;
+  walkthroughId?: number;
+  // Generated on the device; resubmitting the same id returns the stored walkthrough
+  clientSubmissionId?: string;
+  // The state and reportData.status are derived from the severity rules by the server
+  reportData: {
+    datahall: string;
+    location?: string;
+    hasIssues?: boolean;
+    racks?: RackIssue[];
+    timestamp?: string;
+    comments?: string;
+  };
+}
+
+export interface SubmittedInspection {
+  Id: string;
+  walkthrough_id: number;
+  Timestamp: string;
+  state: AuditState;
+  incidentIds: string[];
+}
+
+export interface IncidentHistoryEntry {
+  id: string;
+  field: string;
+  old_value: string | null;
+  new_value: string | null;
+  reason: string | null;
+  created_at: string;
+  changed_by: string | null;
+  changed_by_name: string | null;
+}
+
+export interface Incident {
+  id: string;
+  location: string;
+  datahall: string;
+  description: string;
+  severity: Severity;
+  status: IncidentStatus;
+  created_at: string;
+  updated_at: string;
+  user_id: string | null;
+  // Device details, set on incidents raised from walkthroughs
+  rack_number: string | null;
+  part_type: PartType | null;
+  part_identifier: string | null;
+  u_height: string | null;
+  walkthrough_id: number | null;
+  audit_report_id: string | null;
+  comments: string | null;
+  // Owner of the fault: a user, a team or both
+  assignee_id: string | null;
+  assignee_name: string | null;
+  team_id: string | null;
+  team_name: string | null;
+  assigned_at: string | null;
+  // SLA clocks; due dates follow the current policy for the severity
+  responded_at: string | null;
+  resolved_at: string | null;
+  response_due_at: string | null;
+  resolution_due_at: string | null;
+  response_breached: boolean | null;
+  resolution_breached: boolean | null;
+  sla_status: SlaStatus | null;
+  // 1 after a missed response target, 2 after a missed resolution target
+  escalation_level: number;
+  escalated_at: string | null;
+  history?: IncidentHistoryEntry[];
+}
+
+export type SlaStatus = 'on-track' | 'at-risk' | 'breached' | 'met';
+
+export interface SlaPolicy {
+  severity: Severity;
+  response_minutes: number;
+  resolution_minutes: number;
+  updated_at: string;
+}
+
+export type RulePartType = 'PSU' | 'PDU' | 'RDHX';
+export type RuleField = 'status' | 'fanState' | 'valveState' | 'leakState';
+
+export interface SeverityRule {
+  id: string;
+  position: number;
+  name: string;
+  part_type: RulePartType;
+  field: RuleField;
+  value: string;
+  min_per_rack: number;
+  severity: Severity;
+  is_active: boolean;
+  created_at: string;
+}
+
+// A rule as sent to the API; rules are checked in the order they are sent
+export interface SeverityRuleInput {
+  name: string;
+  partType: RulePartType;
+  field: RuleField;
+  value: string;
+  minPerRack: number;
+  severity: Severity;
+  isActive: boolean;
+}
+
+export interface SeverityPreviewFilters {
+  datacenter?: string;
+  datahall?: string;
+  startDate?: string;
+  endDate?: string;
+  limit?: number;
+}
+
+export interface SeverityPreview {
+  summary: { walkthroughs: number; skipped: number; stateChanges: number; severityChanges: number };
+  changes: Array<{
+    auditReportId: string;
+    walkthroughId: number;
+    datacenter: string;
+    datahall: string;
+    timestamp: string;
+    before: AuditState;
+    after: AuditState;
+    incidents: Array<{
+      incidentId: string;
+      rackNumber: string;
+      partType: string;
+      description: string;
+      before: Severity;
+      after: Severity;
+      rule: string | null;
+    }>;
+  }>;
+}
+
+export interface IncidentChangeEntry {
+  type: 'change';
+  id: string;
+  field: string;
+  old_value: string | null;
+  new_value: string | null;
+  reason: string | null;
+  created_at: string;
+  user_id: string | null;
+  user_name: string | null;
+}
+
+export interface IncidentComment {
+  type: 'comment';
+  id: string;
+  parent_id: string | null;
+  body: string;
+  created_at: string;
+  user_id: string | null;
+  user_name: string | null;
+  attachments: Attachment[];
+  replies: IncidentComment[];
+}
+
+export type TimelineEntry = IncidentChangeEntry | IncidentComment;
+
+export interface IncidentFilters {
+  page?: number;
+  limit?: number;
+  sortBy?: string;
+  sortOrder?: 'asc' | 'desc';
+  location?: string;
+  datahall?: string;
+  severity?: Severity;
+  status?: IncidentStatus;
+  startDate?: string;
+  endDate?: string;
+  assigneeId?: string;
+  teamId?: string;
+  // Assigned to the current user, or to their team without an assignee
+  mine?: boolean;
+  unresolved?: boolean;
+  sla?: SlaStatus;
+}
+
+export interface IncidentInput {
+  location: string;
+  datahall: string;
+  description: string;
+  severity: Severity;
+  status?: IncidentStatus;
+}
+
+export interface IncidentChanges {
+  description?: string;
+  severity?: Severity;
+  status?: IncidentStatus;
+  reason?: string;
+}
+
+// null clears the assignee or team; leave a key out to keep it as it is
+export interface IncidentAssignment {
+  assigneeId?: string | null;
+  teamId?: string | null;
+}
+
+export interface Attachment {
+  id: string;
+  incident_id: string | null;
+  audit_report_id: string | null;
+  // Rack a walkthrough photo was taken at
+  rack_location: string | null;
+  comment_id: string | null;
+  file_name: string;
+  content_type: string;
+  size_bytes: number;
+  has_thumbnail: boolean;
+  uploaded_by: string | null;
+  uploaded_by_name: string | null;
+  created_at: string;
+}
+
+export interface AttachmentUpload {
+  file: Blob;
+  fileName: string;
+  thumbnail?: Blob;
+  incidentId?: string;
+  auditReportId?: string;
+  rackLocation?: string;
+  // Comment on the incident the file was posted with
+  commentId?: string;
+  // Generated on the device; uploading the same id again returns the stored attachment
+  id?: string;
+}
+
+export interface ReportSummary {
+  totalAudits: number;
+  totalIncidents: number;
+  healthyAudits: number;
+  warningAudits: number;
+  criticalAudits: number;
+  openIncidents: number;
+  inProgressIncidents: number;
+  resolvedIncidents: number;
+  healthyPercentage: number;
+}
+
+export interface PeriodSummary {
+  total: number;
+  critical: number;
+  warning: number;
+  healthy: number;
+  incidents: number;
+}
+
+export interface ReportAnalytics {
+  performance?: { totalAudits: number; healthyPercentage: number; avgIssuesPerAudit: number };
+  incidentsBySeverity: Record<Severity, number>;
+  trends: {
+    currentPeriod: PeriodSummary;
+    previousPeriod: PeriodSummary;
+    changes: {
+      totalChange: number;
+      criticalChange: number;
+      incidentChange: number;
+      healthyPercentageChange: number;
+    };
+  };
+}
+
+export interface Report {
+  id: string;
+  title: string;
+  generatedBy: { id: string; name: string | null; email: string | null };
+  generatedAt: string;
+  dateRange: { start: string; end: string };
+  filters: { datacenter: string | null; datahall: string | null };
+  status: 'draft' | 'published' | 'archived';
+  totalIncidents: number;
+  summary?: ReportSummary;
+  analytics?: ReportAnalytics;
+  incidents: Incident[];
+}
+
+export interface ReportRequest {
+  title: string;
+  dateRangeStart: string;
+  dateRangeEnd: string;
+  datacenter?: string;
+  datahall?: string;
+  includeIncidents?: boolean;
+  includeAudits?: boolean;
+}
+
+export interface UserActivity {
+  id: string;
+  type: 'inspection' | 'issue' | 'report' | 'comment' | 'update';
+  description: string;
+  created_at: string;
+}
+
+export interface Profile {
+  id: string;
+  email: string;
+  fullName: string;
+  department: string;
+  phone: string | null;
+  avatarUrl: string | null;
+  stats: {
+    walkthroughsCompleted: number;
+    issuesResolved: number;
+    reportsGenerated: number;
+  };
+  activities: UserActivity[];
+}
+
+export interface ProfileUpdate {
+  fullName: string;
+  department: string;
+  phone?: string | null;
+  avatarUrl?: string | null;
+}
+
+export type NotificationEvent = 'incident.critical' | 'incident.sla_breach';
+export type WebhookFormat = 'generic' | 'slack' | 'teams';
+
+export interface NotificationPreferences {
+  events: NotificationEvent[];
+  emailEnabled: boolean;
+  webhookUrl: string | null;
+  webhookFormat: WebhookFormat;
+  // null until the user first saves their preferences
+  updatedAt: string | null;
+}
+
+export type NotificationPreferencesUpdate = Partial<Omit<NotificationPreferences, 'updatedAt'>>;
+
+export interface NotificationDelivery {
+  id: string;
+  event: string;
+  channel: 'email' | 'webhook';
+  target: string;
+  status: 'pending' | 'sent' | 'failed';
+  attempts: number;
+  last_error: string | null;
+  sent_at: string | null;
+  created_at: string;
+}
+
+export type UserNotificationType = 'incident.assigned' | 'walkthrough.critical' | 'report.published';
+
+// In-app notification; subject_id is the incident, the walkthrough's AuditReports "Id" or the report
+export interface UserNotification {
+  id: string;
+  type: UserNotificationType;
+  title: string;
+  body: string;
+  subject_type: 'incident' | 'walkthrough' | 'report';
+  subject_id: string;
+  read_at: string | null;
+  created_at: string;
+}
+
+export interface UserNotificationList {
+  notifications: UserNotification[];
+  unreadCount: number;
+}
+
+export type WebhookEvent = 'incident.created' | 'incident.status_changed' | 'walkthrough.submitted' | 'report.published';
+export type WebhookDeliveryStatus = 'pending' | 'sent' | 'failed';
+
+export interface WebhookSubscription {
+  id: string;
+  name: string;
+  url: string;
+  events: WebhookEvent[];
+  is_active: boolean;
+  created_by: string | null;
+  created_at: string;
+  updated_at: string;
+  // Only returned when the subscription is created or its secret rotated
+  secret?: string;
+  last_delivery_status?: WebhookDeliveryStatus | null;
+  last_delivery_at?: string | null;
+  failed_deliveries?: number;
+}
+
+export interface WebhookSubscriptionInput {
+  name: string;
+  url: string;
+  events: WebhookEvent[];
+  isActive?: boolean;
+}
+
+export type WebhookSubscriptionUpdate = Partial<WebhookSubscriptionInput> & { rotateSecret?: true };
+
+export interface WebhookDelivery {
+  id: string;
+  subscription_id: string;
+  event: WebhookEvent;
+  // Shared by an event's redeliveries, so receivers can drop duplicates
+  event_id: string;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  response_status: number | null;
+  last_error: string | null;
+  next_attempt_at: string;
+  sent_at: string | null;
+  redelivery_of: string | null;
+  created_at: string;
+  payload?: { id: string; event: WebhookEvent; occurredAt: string; data: Record<string, unknown> };
+}
+
+export interface ManagedUser {
+  id: string;
+  email: string;
+  full_name: string;
+  department: string | null;
+  role: Role;
+  is_active: boolean;
+  last_sign_in_at: string | null;
+  created_at: string;
+  team_id: string | null;
+  team_name: string | null;
+}
+
+export interface UserAdminUpdate {
+  role?: Role;
+  isActive?: boolean;
+  teamId?: string | null;
+}
+
+export interface AssignableUser {
+  id: string;
+  email: string;
+  full_name: string | null;
+  team_id: string | null;
+  team_name: string | null;
+}
+
+export interface Team {
+  id: string;
+  name: string;
+  is_active: boolean;
+  member_count: number;
+  created_at: string;
+}
+
+export interface InventoryRack {
+  id: string;
+  name: string;
+  rowLabel: string | null;
+  position: number | null;
+  rackType: string | null;
+  isActive: boolean;
+}
+
+export interface InventoryDataHall {
+  id: string;
+  name: string;
+  isActive: boolean;
+  racks: InventoryRack[];
+}
+
+export interface InventorySite {
+  id: string;
+  name: string;
+  isActive: boolean;
+  dataHalls: InventoryDataHall[];
+}
+
+// Open incidents on one rack; severity is the most severe of them
+export interface RackHealth {
+  rack: string;
+  severity: Severity;
+  openIncidents: number;
+}
+
+export interface InventoryImportRow {
+  line?: number;
+  site: string;
+  dataHall: string;
+  rackId: string;
+  row?: string | null;
+  position?: number | null;
+  rackType?: string | null;
+}
+
+export interface InventoryRackDetails {
+  rowLabel: string | null;
+  position: number | null;
+  rackType: string | null;
+  isActive: boolean;
+}
+
+export interface InventoryImportChange {
+  action: 'add' | 'update' | 'deactivate';
+  site: string;
+  dataHall: string;
+  rackId: string;
+  before: InventoryRackDetails | null;
+  after: InventoryRackDetails;
+}
+
+export interface InventoryImportResult {
+  applied: boolean;
+  summary: {
+    added: number;
+    updated: number;
+    deactivated: number;
+    unchanged: number;
+    sitesAdded: number;
+    dataHallsAdded: number;
+    reactivated: number;
+  };
+  changes: InventoryImportChange[];
+  errors: { line: number; field: string; message: string; value?: unknown }[];
+}
+
+// Session storage, shared with AuthContext. Sessions that should not be remembered
+// live in sessionStorage and end with the browser tab.
+type SessionListener = (signedIn: boolean) => void;
+const sessionListeners = new Set<SessionListener>();
+
+const readToken = (key: string) => localStorage.getItem(key) ?? sessionStorage.getItem(key);
+
+export const tokenStore = {
+  getAccessToken: () => readToken(ACCESS_TOKEN_KEY),
+  getRefreshToken: () => readToken(REFRESH_TOKEN_KEY),
+  set(session: Pick<Session, 'token' | 'refreshToken'>, remember?: boolean) {
+    // Rotated sessions stay in the storage they were started in
+    const persistent = remember ?? localStorage.getItem(REFRESH_TOKEN_KEY) !== null;
+    tokenStore.clearStorage();
+    const storage = persistent ? localStorage : sessionStorage;
+    storage.setItem(ACCESS_TOKEN_KEY, session.token);
+    storage.setItem(REFRESH_TOKEN_KEY, session.refreshToken);
+    sessionListeners.forEach(listener => listener(true));
+  },
+  clear() {
+    tokenStore.clearStorage();
+    sessionListeners.forEach(listener => listener(false));
+  },
+  clearStorage() {
+    for (const storage of [localStorage, sessionStorage]) {
+      storage.removeItem(ACCESS_TOKEN_KEY);
+      storage.removeItem(REFRESH_TOKEN_KEY);
+    }
+  },
+  subscribe(listener: SessionListener) {
+    sessionListeners.add(listener);
+    return () => {
+      sessionListeners.delete(listener);
+    };
+  }
+};
+
+type QueryValue = string | number | boolean | undefined | null;
+
+interface RequestOptions {
+  method?: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+  query?: object;
+  // Sent as JSON, except FormData which is sent as multipart/form-data
+  body?: unknown;
+  auth?: boolean;
+}
+
+const buildUrl = (path: string, query?: object) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query ?? {}) as [string, QueryValue][]) {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, String(value));
+    }
+  }
+  const search = params.toString();
+  return `${API_BASE_URL}${path}${search ? `?${search}` : ''}`;
+};
+
+const fetchApi = async (path: string, options: RequestOptions, accept: string) => {
+  const headers: Record<string, string> = { Accept: accept };
+  const isForm = options.body instanceof FormData;
+  // The browser sets the multipart boundary itself
+  if (options.body !== undefined && !isForm) headers['Content-Type'] = 'application/json';
+
+  const token = options.auth === false ? null : tokenStore.getAccessToken();
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  try {
+    return await fetch(buildUrl(path, options.query), {
+      method: options.method ?? 'GET',
+      headers,
+      body: isForm ? (options.body as FormData) : options.body !== undefined ? JSON.stringify(options.body) : undefined
+    });
+  } catch {
+    throw new ApiError('Unable to reach the server. Check your connection and try again.', 0);
+  }
+};
+
+const envelopeError = <T>(response: Response, envelope: Envelope<T>) =>
+  new ApiError(
+    envelope.message || `Request failed (${response.status})`,
+    response.status,
+    envelope.details?.validationErrors,
+    envelope.errorId
+  );
+
+const send = async <T>(path: string, options: RequestOptions): Promise<Envelope<T>> => {
+  const response = await fetchApi(path, options, 'application/json');
+
+  let envelope: Envelope<T>;
+  try {
+    envelope = await response.json();
+  } catch {
+    throw new ApiError(`Unexpected response from the server (${response.status})`, response.status);
+  }
+
+  if (!response.ok || !envelope.success) {
+    throw envelopeError(response, envelope);
+  }
+
+  return envelope;
+};
+
+// Raw file responses; errors still arrive as an envelope
+const sendForBlob = async (path: string, options: RequestOptions): Promise<Blob> => {
+  const response = await fetchApi(path, options, '*/*');
+  if (response.ok) {
+    return response.blob();
+  }
+
+  let envelope: Envelope<unknown>;
+  try {
+    envelope = await response.json();
+  } catch {
+    throw new ApiError(`Request failed (${response.status})`, response.status);
+  }
+  throw envelopeError(response, envelope);
+};
+
+// Concurrent 401s share one refresh call, since each refresh token is single use
+let refreshInFlight: Promise<boolean> | null = null;
+
+const refreshSession = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const refreshToken = tokenStore.getRefreshToken();
+      if (!refreshToken) return false;
+      try {
+        const envelope = await send<Session>('/auth/refresh', {
+          method: 'POST',
+          body: { refreshToken },
+          auth: false
+        });
+        tokenStore.set(envelope.data!);
+        return true;
+      } catch (error) {
+        // Losing the connection is not a rejected session; keep the tokens for later
+        if (error instanceof ApiError && error.status === 0) throw error;
+        tokenStore.clear();
+        return false;
+      }
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+};
+
+const withSessionRefresh = async <R>(options: RequestOptions, attempt: () => Promise<R>): Promise<R> => {
+  try {
+    return await attempt();
+  } catch (error) {
+    const canRetry = error instanceof ApiError && error.status === 401 && options.auth !== false;
+    if (canRetry && await refreshSession()) {
+      return attempt();
+    }
+    throw error;
+  }
+};
+
+const request = <T>(path: string, options: RequestOptions = {}) =>
+  withSessionRefresh(options, () => send<T>(path, options));
+
+const blob = (path: string, options: RequestOptions = {}) =>
+  withSessionRefresh(options, () => sendForBlob(path, options));
+
+const data = async <T>(path: string, options?: RequestOptions) => (await request<T>(path, options)).data as T;
+
+const page = async <T>(path: string, options?: RequestOptions): Promise<Page<T>> => {
+  const envelope = await request<T[]>(path, options);
+  return { items: envelope.data ?? [], pagination: envelope.pagination! };
+};
+
+const startSession = (session: Session, remember = true) => {
+  tokenStore.set(session, remember);
+  return session.user;
+};
+
+export const api = {
+  auth: {
+    login: async (email: string, password: string, remember = true) =>
+      startSession(
+        await data<Session>('/auth/login', { method: 'POST', body: { email, password }, auth: false }),
+        remember
+      ),
+    register: async (input: { email: string; password: string; fullName: string; department?: string }) =>
+      startSession(await data<Session>('/auth/register', { method: 'POST', body: input, auth: false })),
+    me: () => data<AuthUser>('/auth/me'),
+    logout: async () => {
+      const refreshToken = tokenStore.getRefreshToken();
+      try {
+        if (refreshToken) {
+          await send('/auth/logout', { method: 'POST', body: { refreshToken }, auth: false });
+        }
+      } finally {
+        tokenStore.clear();
+      }
+    }
+  },
+
+  inspections: {
+    list: (filters: InspectionFilters = {}) => page<AuditReport>('/GetInspections', { query: filters }),
+    get: (id: string) => data<AuditReport>('/GetInspections', { query: { id } }),
+    submit: (inspection: InspectionSubmission) =>
+      data<SubmittedInspection>('/SubmitInspection', { method: 'POST', body: inspection })
+  },
+
+  incidents: {
+    list: (filters: IncidentFilters = {}) => page<Incident>('/incidents', { query: filters }),
+    get: (id: string) => data<Incident>(`/incidents/${encodeURIComponent(id)}`),
+    create: (input: IncidentInput) => data<Incident>('/incidents', { method: 'POST', body: input }),
+    update: (id: string, changes: IncidentChanges) =>
+      data<Incident>(`/incidents/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes }),
+    assign: (incidentIds: string[], assignment: IncidentAssignment) =>
+      data<Incident[]>('/incidents', { method: 'PATCH', body: { incidentIds, ...assignment } }),
+    timeline: (id: string) => data<TimelineEntry[]>(`/incidents/${encodeURIComponent(id)}/timeline`),
+    comment: (id: string, comment: { body: string; parentId?: string }) =>
+      data<IncidentComment>(`/incidents/${encodeURIComponent(id)}/comments`, { method: 'POST', body: comment })
+  },
+
+  attachments: {
+    list: (owner: { incidentId: string } | { auditReportId: string }) =>
+      data<Attachment[]>('/attachments', { query: owner }),
+    // Files need the bearer token, so they are fetched as blobs rather than linked to
+    content: (id: string, variant: 'content' | 'thumbnail' = 'content') =>
+      blob(`/attachments/${encodeURIComponent(id)}/${variant}`),
+    upload: ({ file, fileName, thumbnail, ...fields }: AttachmentUpload) => {
+      const form = new FormData();
+      for (const [key, value] of Object.entries(fields)) {
+        if (value) form.append(key, value);
+      }
+      form.append('file', file, fileName);
+      if (thumbnail) form.append('thumbnail', thumbnail, 'thumbnail.jpg');
+      return data<Attachment>('/attachments', { method: 'POST', body: form });
+    },
+    remove: (id: string) => data<null>(`/attachments/${encodeURIComponent(id)}`, { method: 'DELETE' })
+  },
+
+  reports: {
+    list: (params: { page?: number; limit?: number } = {}) => page<Report>('/GenerateReport', { query: params }),
+    get: (id: string) => data<Report>('/GenerateReport', { query: { id } }),
+    generate: (params: ReportRequest) => data<Report>('/GenerateReport', { method: 'POST', body: params }),
+    remove: (id: string) => data<{ id: string }>('/GenerateReport', { method: 'DELETE', query: { id } })
+  },
+
+  profile: {
+    get: () => data<Profile>('/profile'),
+    update: (changes: ProfileUpdate) => data<Profile>('/profile', { method: 'PUT', body: changes }),
+    notifications: {
+      get: () => data<NotificationPreferences>('/profile/notifications'),
+      update: (changes: NotificationPreferencesUpdate) =>
+        data<NotificationPreferences>('/profile/notifications', { method: 'PUT', body: changes }),
+      test: () => data<NotificationDelivery[]>('/profile/notifications/test', { method: 'POST' })
+    }
+  },
+
+  notifications: {
+    list: (params: { limit?: number; unreadOnly?: boolean } = {}) =>
+      data<UserNotificationList>('/notifications', { query: params }),
+    markRead: (id: string) =>
+      data<UserNotification>(`/notifications/${encodeURIComponent(id)}`, { method: 'PATCH' }),
+    markAllRead: () => data<{ updated: number }>('/notifications', { method: 'PATCH' })
+  },
+
+  inventory: {
+    get: (params: { includeInactive?: boolean } = {}) => data<InventorySite[]>('/inventory', { query: params }),
+    health: (datacenter: string, datahall: string) =>
+      data<RackHealth[]>('/inventory/health', { query: { datacenter, datahall } }),
+    import: (rows: InventoryImportRow[], apply = false) =>
+      data<InventoryImportResult>('/inventory/import', { method: 'POST', body: { rows, apply } })
+  },
+
+  users: {
+    list: (params: { page?: number; limit?: number } = {}) => page<ManagedUser>('/users', { query: params }),
+    update: (id: string, changes: UserAdminUpdate) =>
+      data<ManagedUser>(`/users/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes }),
+    assignable: () => data<AssignableUser[]>('/users/assignable')
+  },
+
+  slaPolicies: {
+    list: () => data<SlaPolicy[]>('/sla-policies'),
+    update: (severity: Severity, changes: { responseMinutes?: number; resolutionMinutes?: number }) =>
+      data<SlaPolicy>(`/sla-policies/${severity}`, { method: 'PATCH', body: changes })
+  },
+
+  severityRules: {
+    list: () => data<SeverityRule[]>('/severity-rules'),
+    replace: (rules: SeverityRuleInput[]) =>
+      data<SeverityRule[]>('/severity-rules', { method: 'PUT', body: { rules } }),
+    // Dry run; without `rules` the saved rules are used
+    preview: (rules?: SeverityRuleInput[], filters: SeverityPreviewFilters = {}) =>
+      data<SeverityPreview>('/severity-rules/preview', { method: 'POST', body: { rules, ...filters } })
+  },
+
+  webhooks: {
+    list: () => data<WebhookSubscription[]>('/webhooks'),
+    create: (input: WebhookSubscriptionInput) =>
+      data<WebhookSubscription>('/webhooks', { method: 'POST', body: input }),
+    update: (id: string, changes: WebhookSubscriptionUpdate) =>
+      data<WebhookSubscription>(`/webhooks/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes }),
+    remove: (id: string) => data<{ id: string }>(`/webhooks/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+    deliveries: (
+      id: string,
+      params: { page?: number; limit?: number; status?: WebhookDeliveryStatus; event?: WebhookEvent } = {}
+    ) => page<WebhookDelivery>(`/webhooks/${encodeURIComponent(id)}/deliveries`, { query: params }),
+    delivery: (id: string) => data<WebhookDelivery>(`/webhook-deliveries/${encodeURIComponent(id)}`),
+    redeliver: (id: string) =>
+      data<WebhookDelivery>(`/webhook-deliveries/${encodeURIComponent(id)}/redeliver`, { method: 'POST' })
+  },
+
+  teams: {
+    list: () => data<Team[]>('/teams'),
+    create: (name: string) => data<Team>('/teams', { method: 'POST', body: { name } }),
+    update: (id: string, changes: { name?: string; isActive?: boolean }) =>
+      data<Team>(`/teams/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes })
+  }
+};
@@ -0,0 +1,91 @@
+// Prepares photos and files for the attachment API (azure-functions/Attachments).
+// Photos are scaled down and re-encoded as JPEG on the device, which keeps uploads small on
+// site connections, and get a thumbnail for the incident and audit pages.
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Types the API accepts; used for the file picker and for checks before upload
+export const ACCEPTED_ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf', 'text/plain'];
+
+const PHOTO_MAX_SIZE = 1920;
+const PHOTO_QUALITY = 0.8;
+const THUMBNAIL_MAX_SIZE = 320;
+const THUMBNAIL_QUALITY = 0.7;
+
+export interface PreparedAttachment {
+  file: Blob;
+  fileName: string;
+  thumbnail?: Blob;
+}
+
+const loadImage = (file: Blob) => new Promise<HTMLImageElement>((resolve, reject) => {
+  const image = new Image();
+  const url = URL.createObjectURL(file);
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The selected file is not a readable image'));
+  };
+  image.src = url;
+});
+
+/** Draws an image file on a canvas whose longest side is at most `maxSize` pixels. */
+export const drawScaledImage = async (file: Blob, maxSize: number) => {
+  const image = await loadImage(file);
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  const context = canvas.getContext('2d');
+  if (context) {
+    // JPEG has no transparency; give transparent PNGs a white background instead of black
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  }
+  return canvas;
+};
+
+const toJpeg = (canvas: HTMLCanvasElement, quality: number) => new Promise<Blob>((resolve, reject) => {
+  canvas.toBlob(
+    (result) => (result ? resolve(result) : reject(new Error('The image could not be compressed'))),
+    'image/jpeg',
+    quality
+  );
+});
+
+const jpegName = (name: string) => `${name.replace(/\.[^.]*$/, '') || 'photo'}.jpg`;
+
+/**
+ * Checks a picked file and compresses it if it is a photo. Throws an Error with a message for
+ * the user when the file cannot be attached.
+ */
+export const prepareAttachment = async (file: File): Promise<PreparedAttachment> => {
+  if (!ACCEPTED_ATTACHMENT_TYPES.includes(file.type)) {
+    throw new Error(`${file.name} is not a JPEG, PNG or WebP image, PDF or text file`);
+  }
+
+  let prepared: PreparedAttachment = { file, fileName: file.name };
+  if (file.type.startsWith('image/')) {
+    const photo = await toJpeg(await drawScaledImage(file, PHOTO_MAX_SIZE), PHOTO_QUALITY);
+    const thumbnail = await toJpeg(await drawScaledImage(file, THUMBNAIL_MAX_SIZE), THUMBNAIL_QUALITY);
+    // Small JPEGs can grow when re-encoded; keep the original then
+    prepared = photo.size < file.size || file.type !== 'image/jpeg'
+      ? { file: photo, fileName: jpegName(file.name), thumbnail }
+      : { file, fileName: file.name, thumbnail };
+  }
+
+  if (prepared.file.size > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`${file.name} is larger than 10 MB`);
+  }
+  return prepared;
+};
+
+export const formatFileSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,30 @@
+// Device states offered in the walkthrough form. Severity rules match on the same spellings,
+// so renaming an option here means updating the rules that use it.
+
+import type { RuleField, RulePartType } from './apiClient';
+
+export const psuStatusOptions = ['Healthy', 'Amber LED', 'Powered-Off', 'Other'];
+export const pduStatusOptions = ['Alarm', 'Breaker Tripped', 'Display Off', 'Outlet Failure', 'Powered-Off', 'Other'];
+export const rdhxStatusOptions = ['Alarm', 'High Temperature', 'Fan Failure', 'Valve Fault', 'Leak Detected', 'Other'];
+export const rdhxFanOptions = ['Running', 'Degraded', 'Failed'];
+export const rdhxValveOptions = ['Open', 'Closed', 'Stuck'];
+export const rdhxLeakOptions = ['None', 'Moisture', 'Active Leak'];
+
+export const RULE_FIELD_LABELS: Record<RuleField, string> = {
+  status: 'Status',
+  fanState: 'Fans',
+  valveState: 'Valve',
+  leakState: 'Leak'
+};
+
+// Fields a rule can match for each device type, with the values the form offers
+export const RULE_FIELD_OPTIONS: Record<RulePartType, Partial<Record<RuleField, string[]>>> = {
+  PSU: { status: psuStatusOptions },
+  PDU: { status: pduStatusOptions },
+  RDHX: {
+    status: rdhxStatusOptions,
+    fanState: rdhxFanOptions,
+    valveState: rdhxValveOptions,
+    leakState: rdhxLeakOptions
+  }
+};
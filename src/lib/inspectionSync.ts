@@ -0,0 +1,172 @@
+import { v4 as uuidv4 } from 'uuid';
+import { api, ApiError, getErrorMessage } from './apiClient';
+import type { InspectionSubmission, SubmittedInspection } from './apiClient';
+import { outboxStore } from './offlineStore';
+import type { PendingAttachment, QueuedInspection } from './offlineStore';
+
+export interface SyncStatus {
+  pending: number;
+  failed: number;
+  syncing: boolean;
+}
+
+export type SubmitResult =
+  | { queued: false; inspection: SubmittedInspection }
+  | { queued: true; id: string };
+
+type SyncListener = (status: SyncStatus) => void;
+const listeners = new Set<SyncListener>();
+let status: SyncStatus = { pending: 0, failed: 0, syncing: false };
+let flushInFlight: Promise<void> | null = null;
+
+const publish = (changes: Partial<SyncStatus>) => {
+  status = { ...status, ...changes };
+  listeners.forEach(listener => listener(status));
+};
+
+const refreshCounts = async () => {
+  const items = await outboxStore.list();
+  const failed = items.filter(item => item.lastError).length;
+  publish({ pending: items.length - failed, failed });
+};
+
+// Status 0 means the request never reached the server; anything else is a real answer
+const isOffline = (error: unknown) => error instanceof ApiError && error.status === 0;
+
+// Offline again, a server error or an expired session: worth another try on the next sync
+const isRetryable = (error: unknown) =>
+  isOffline(error) || !(error instanceof ApiError) || error.status >= 500 || error.status === 401;
+
+const queue = async (submission: InspectionSubmission, attachments: PendingAttachment[], lastError?: string) => {
+  const item: QueuedInspection = {
+    id: submission.clientSubmissionId!,
+    submission,
+    attachments,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError
+  };
+  await outboxStore.put(item);
+  await refreshCounts();
+  return item.id;
+};
+
+const uploadAttachments = async (inspection: SubmittedInspection, attachments: PendingAttachment[] = []) => {
+  for (const attachment of attachments) {
+    await api.attachments.upload({ ...attachment, auditReportId: inspection.Id });
+  }
+};
+
+/**
+ * Submit a walkthrough and its photos, or keep them in the outbox when the device is offline.
+ * Every submission and photo carries a client id, so a replay of what the server already
+ * stored is not duplicated.
+ */
+export const submitInspection = async (
+  submission: InspectionSubmission,
+  attachments: PendingAttachment[] = []
+): Promise<SubmitResult> => {
+  const withId = { ...submission, clientSubmissionId: submission.clientSubmissionId ?? uuidv4() };
+
+  if (!navigator.onLine) {
+    return { queued: true, id: await queue(withId, attachments) };
+  }
+
+  let inspection: SubmittedInspection;
+  try {
+    inspection = await api.inspections.submit(withId);
+  } catch (error) {
+    if (isOffline(error)) {
+      return { queued: true, id: await queue(withId, attachments) };
+    }
+    throw error;
+  }
+
+  try {
+    await uploadAttachments(inspection, attachments);
+  } catch (error) {
+    // The walkthrough is stored; the replay resubmits it harmlessly and sends the photos
+    console.error('Error uploading walkthrough photos:', error);
+    await queue(withId, attachments, isRetryable(error) ? undefined : getErrorMessage(error));
+  }
+  return { queued: false, inspection };
+};
+
+const replay = async () => {
+  for (const item of await outboxStore.list()) {
+    if (item.lastError) continue;
+
+    try {
+      await uploadAttachments(await api.inspections.submit(item.submission), item.attachments);
+      await outboxStore.remove(item.id);
+    } catch (error) {
+      // Stop and retry on the next sync
+      if (isRetryable(error)) {
+        await outboxStore.put({ ...item, attempts: item.attempts + 1 });
+        break;
+      }
+      await outboxStore.put({ ...item, attempts: item.attempts + 1, lastError: getErrorMessage(error) });
+    }
+  }
+};
+
+/** Replay queued walkthroughs in the order they were captured. Concurrent calls share one run. */
+export const syncPendingInspections = () => {
+  if (!flushInFlight) {
+    flushInFlight = (async () => {
+      publish({ syncing: true });
+      try {
+        await replay();
+      } catch (error) {
+        console.error('Error syncing queued inspections:', error);
+      } finally {
+        await refreshCounts().catch(() => undefined);
+        publish({ syncing: false });
+      }
+    })().finally(() => {
+      flushInFlight = null;
+    });
+  }
+  return flushInFlight;
+};
+
+/** Rejected submissions stay in the outbox until the user retries or discards them. */
+export const retryFailedInspections = async () => {
+  for (const item of await outboxStore.list()) {
+    if (item.lastError) await outboxStore.put({ ...item, lastError: undefined });
+  }
+  return syncPendingInspections();
+};
+
+export const discardFailedInspections = async () => {
+  for (const item of await outboxStore.list()) {
+    if (item.lastError) await outboxStore.remove(item.id);
+  }
+  await refreshCounts();
+};
+
+/**
+ * Subscribe to outbox changes. The first subscriber replays anything left from an earlier
+ * session and keeps replaying whenever the browser comes back online.
+ */
+export const subscribeSyncStatus = (listener: SyncListener) => {
+  const first = listeners.size === 0;
+  if (first) {
+    window.addEventListener('online', syncPendingInspections);
+  }
+  listeners.add(listener);
+  listener(status);
+
+  if (first && navigator.onLine) {
+    syncPendingInspections();
+  } else {
+    refreshCounts().catch(error => console.error('Error reading inspection outbox:', error));
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      window.removeEventListener('online', syncPendingInspections);
+    }
+  };
+};
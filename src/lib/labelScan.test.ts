@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { parseScannedLabel } from './labelScan';
+
+const RACKS = ['X2401', 'X2402', 'X230101'];
+const scan = (text: string, racks = RACKS) => parseScannedLabel(text, racks, 'Island 1');
+
+describe('parseScannedLabel', () => {
+  it('reads a bare rack label in either id format', () => {
+    expect(scan('X2401')).toEqual({ success: true, label: { rack: 'X2401' } });
+    expect(scan('  x230101\n')).toEqual({ success: true, label: { rack: 'X230101' } });
+  });
+
+  it('finds the rack id inside a longer text', () => {
+    expect(scan('https://assets.example.com/racks/X2402?site=quebec')).toEqual({ success: true, label: { rack: 'X2402' } });
+  });
+
+  it('does not read a rack id out of a longer token', () => {
+    expect(scan('AX2401')).toEqual({ success: false, message: 'No rack id found in "AX2401"' });
+    expect(scan('X24011')).toEqual({ success: false, message: 'No rack id found in "X24011"' });
+  });
+
+  it('rejects racks that are not in the data hall', () => {
+    expect(scan('X9901')).toEqual({ success: false, message: 'X9901 is not a rack in Island 1' });
+  });
+
+  it('accepts any well-formed rack id when the hall has no rack list', () => {
+    expect(scan('X9901', [])).toEqual({ success: true, label: { rack: 'X9901' } });
+  });
+
+  it('reads PSU tags with their U height', () => {
+    expect(scan('X2401-U12-PSU3')).toEqual({
+      success: true,
+      label: { rack: 'X2401', device: 'powerSupplyUnit', deviceId: 'PSU 3', uHeight: 'U12' }
+    });
+    expect(scan('X2401 psu_2 U07')).toMatchObject({ success: true, label: { deviceId: 'PSU 2', uHeight: 'U7' } });
+  });
+
+  it('ignores U heights above the rack and PSU numbers outside the form options', () => {
+    expect(scan('X2401-U52-PSU1')).toEqual({
+      success: true,
+      label: { rack: 'X2401', device: 'powerSupplyUnit', deviceId: 'PSU 1' }
+    });
+    expect(scan('X2401-PSU7')).toEqual({ success: true, label: { rack: 'X2401' } });
+  });
+
+  it('reads PDU tags with their side', () => {
+    expect(scan('X230101/PDU2/LEFT')).toEqual({
+      success: true,
+      label: { rack: 'X230101', device: 'powerDistributionUnit', deviceId: 'PDU 2', side: 'Left' }
+    });
+    expect(scan('X2402-PDU-1-right-U10')).toEqual({
+      success: true,
+      label: { rack: 'X2402', device: 'powerDistributionUnit', deviceId: 'PDU 1', side: 'Right' }
+    });
+  });
+
+  it('reads rear door heat exchanger tags', () => {
+    expect(scan('X2401 RDHX')).toEqual({ success: true, label: { rack: 'X2401', device: 'rearDoorHeatExchanger' } });
+    expect(scan('X2401 RDHXA')).toEqual({ success: true, label: { rack: 'X2401' } });
+  });
+});
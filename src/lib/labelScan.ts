@@ -0,0 +1,62 @@
+// Reads rack labels and device asset tags scanned during a walkthrough.
+//
+// A rack label carries the rack id (X2401 or X230101), on its own or inside a longer text such as
+// a URL. A device asset tag adds the device after the rack id, separated by anything that is not a
+// letter or digit, for example X2401-U12-PSU3, X230101/PDU2/LEFT or X2401 RDHX.
+
+export type ScannedDevice = 'powerSupplyUnit' | 'powerDistributionUnit' | 'rearDoorHeatExchanger';
+
+export interface ScannedLabel {
+  rack: string;
+  device?: ScannedDevice;
+  // Values use the spelling of the walkthrough form options (PSU 3, PDU 2, U12, Left)
+  deviceId?: string;
+  uHeight?: string;
+  side?: string;
+}
+
+export type LabelScanResult = { success: true; label: ScannedLabel } | { success: false; message: string };
+
+const RACK_PATTERN = /(?:^|[^A-Z0-9])(X\d{6}|X\d{4})(?![A-Z0-9])/;
+const PSU_PATTERN = /(?:^|[^A-Z0-9])PSU[\s_-]?([1-6])(?![0-9])/;
+const PDU_PATTERN = /(?:^|[^A-Z0-9])PDU[\s_-]?([1-4])(?![0-9])/;
+const RDHX_PATTERN = /(?:^|[^A-Z0-9])RDHX(?![A-Z])/;
+const U_HEIGHT_PATTERN = /(?:^|[^A-Z0-9])U(\d{1,2})(?![0-9])/;
+const SIDE_PATTERN = /(?:^|[^A-Z0-9])(LEFT|RIGHT)(?![A-Z])/;
+
+/**
+ * Extracts the rack and device from a scanned text and checks the rack against the data hall.
+ * `racks` is the hall's rack list; halls without one accept any well-formed rack id.
+ */
+export const parseScannedLabel = (text: string, racks: string[], dataHall: string): LabelScanResult => {
+  const value = text.trim().toUpperCase();
+  const rack = RACK_PATTERN.exec(value)?.[1];
+  if (!rack) {
+    return { success: false, message: `No rack id found in "${text.trim()}"` };
+  }
+  if (racks.length > 0 && !racks.includes(rack)) {
+    return { success: false, message: `${rack} is not a rack in ${dataHall}` };
+  }
+
+  const label: ScannedLabel = { rack };
+  const psu = PSU_PATTERN.exec(value);
+  const pdu = PDU_PATTERN.exec(value);
+  if (psu) {
+    label.device = 'powerSupplyUnit';
+    label.deviceId = `PSU ${psu[1]}`;
+  } else if (pdu) {
+    label.device = 'powerDistributionUnit';
+    label.deviceId = `PDU ${pdu[1]}`;
+    const side = SIDE_PATTERN.exec(value)?.[1];
+    if (side) label.side = side === 'LEFT' ? 'Left' : 'Right';
+  } else if (RDHX_PATTERN.test(value)) {
+    label.device = 'rearDoorHeatExchanger';
+  }
+
+  const uHeight = U_HEIGHT_PATTERN.exec(value)?.[1];
+  if (label.device === 'powerSupplyUnit' && uHeight && Number(uHeight) <= 48) {
+    label.uHeight = `U${Number(uHeight)}`;
+  }
+
+  return { success: true, label };
+};
@@ -0,0 +1,91 @@
+import type { InspectionSubmission } from './apiClient';
+import type { PreparedAttachment } from './attachments';
+
+// IndexedDB storage for walkthroughs that must survive reloads and dead zones:
+// drafts are saved as the form is filled in, the outbox holds submissions made offline.
+const DB_NAME = 'dat-offline';
+const DB_VERSION = 1;
+const DRAFTS = 'inspectionDrafts';
+const OUTBOX = 'inspectionOutbox';
+
+export interface InspectionDraft<T = unknown> {
+  key: string;
+  data: T;
+  updatedAt: string;
+}
+
+// A photo taken during a walkthrough; uploaded once the walkthrough is stored
+export interface PendingAttachment extends PreparedAttachment {
+  id: string;
+  rackLocation?: string;
+}
+
+export interface QueuedInspection {
+  id: string;
+  submission: InspectionSubmission;
+  attachments?: PendingAttachment[];
+  queuedAt: string;
+  attempts: number;
+  // Set when the server rejected the submission; these are kept but no longer replayed
+  lastError?: string;
+}
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(DRAFTS)) db.createObjectStore(DRAFTS, { keyPath: 'key' });
+        if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async <T>(
+  storeName: string,
+  mode: IDBTransactionMode,
+  operation: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const draftStore = {
+  get: async <T>(key: string) =>
+    (await withStore<InspectionDraft<T> | undefined>(DRAFTS, 'readonly', store => store.get(key)))?.data ?? null,
+  save: async <T>(key: string, data: T) => {
+    await withStore(DRAFTS, 'readwrite', store => store.put({ key, data, updatedAt: new Date().toISOString() }));
+  },
+  remove: async (key: string) => {
+    await withStore(DRAFTS, 'readwrite', store => store.delete(key));
+  }
+};
+
+export const outboxStore = {
+  list: async () => {
+    const items = await withStore<QueuedInspection[]>(OUTBOX, 'readonly', store => store.getAll());
+    return items.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  },
+  put: async (item: QueuedInspection) => {
+    await withStore(OUTBOX, 'readwrite', store => store.put(item));
+  },
+  remove: async (id: string) => {
+    await withStore(OUTBOX, 'readwrite', store => store.delete(id));
+  }
+};
@@ -0,0 +1,136 @@
+import { JSDOM } from 'jsdom';
+import { beforeAll, describe, expect, it } from 'vitest';
+import { parseCsv, readSpreadsheet, toCsv, toXlsx, type Cell } from './spreadsheet';
+
+// Blobs, files and compression streams come from Node; only the XML parser is borrowed
+beforeAll(() => {
+  globalThis.DOMParser = new JSDOM().window.DOMParser;
+});
+
+const readBlob = (blob: Blob, name: string) => readSpreadsheet(new File([blob], name));
+
+const deflate = async (text: string) => {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// A workbook the way spreadsheet apps save it: deflated entries and shared strings
+const compressedWorkbook = async (entries: Record<string, string>) => {
+  const encoder = new TextEncoder();
+  const parts: Uint8Array[] = [];
+  const directory: Uint8Array[] = [];
+  let offset = 0;
+
+  for (const [entryName, content] of Object.entries(entries)) {
+    const name = encoder.encode(entryName);
+    const data = await deflate(content);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, 8, true);
+    local.setUint32(18, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(10, 8, true);
+    central.setUint32(20, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    directory.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, directory.length / 2, true);
+  end.setUint16(10, directory.length / 2, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...directory, new Uint8Array(end.buffer)]);
+};
+
+describe('parseCsv', () => {
+  it('reads quoted fields with commas, doubled quotes and line breaks', () => {
+    const text = '﻿Site,Rack ID,Notes\r\n"Quebec, Island 1",X2409,"says ""hot""\nrear"\r\nLondon,L01,';
+    expect(parseCsv(text)).toEqual([
+      ['Site', 'Rack ID', 'Notes'],
+      ['Quebec, Island 1', 'X2409', 'says "hot"\nrear'],
+      ['London', 'L01', '']
+    ]);
+  });
+
+  it('keeps an apostrophe that does not protect a formula', () => {
+    expect(parseCsv("'quoted,'=SUM(A1)")).toEqual([["'quoted", '=SUM(A1)']]);
+  });
+});
+
+describe('toCsv', () => {
+  it('prefixes text cells that spreadsheet apps would run as formulas', () => {
+    const csv = toCsv([['=HYPERLINK("http://evil.example")', '+1', '-1', '@SUM(A1)', 'X-01', -1]]);
+    expect(csv).toBe('"\'=HYPERLINK(""http://evil.example"")","\'+1","\'-1","\'@SUM(A1)","X-01","-1"');
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows: Cell[][] = [
+      ['Site', 'Data Hall', 'Rack ID', 'Row', 'Position'],
+      ['Quebec, Island 1', 'Hall "A"', '=X2409', 'R\n1', 3],
+      ['London', '', '-L01', null, undefined]
+    ];
+    expect(parseCsv(toCsv(rows))).toEqual([
+      ['Site', 'Data Hall', 'Rack ID', 'Row', 'Position'],
+      ['Quebec, Island 1', 'Hall "A"', '=X2409', 'R\n1', '3'],
+      ['London', '', '-L01', '', '']
+    ]);
+  });
+});
+
+describe('XLSX', () => {
+  it('round-trips what toXlsx writes', async () => {
+    const wide = Array.from({ length: 28 }, (_, index) => `C${index}`);
+    const rows: Cell[][] = [
+      ['Site', 'Rack ID', 'Position'],
+      ['Quebec & <Island 1>', '=X2409', 12],
+      ['London', '', 3.5],
+      wide
+    ];
+
+    expect(await readBlob(toXlsx(rows, 'Racks'), 'racks.xlsx')).toEqual([
+      ['Site', 'Rack ID', 'Position'],
+      ['Quebec & <Island 1>', '=X2409', '12'],
+      ['London', '', '3.5'],
+      wide
+    ]);
+  });
+
+  it('reads deflated workbooks with shared strings and sparse cells', async () => {
+    const main = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+    const blob = await compressedWorkbook({
+      'xl/sharedStrings.xml': `<sst ${main}><si><t>Site</t></si><si><r><t>Quebec</t></r><r><t> Island</t></r></si></sst>`,
+      'xl/worksheets/sheet1.xml': `<worksheet ${main}><sheetData>` +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c></row>' +
+        '<row r="3"><c r="A3" t="s"><v>1</v></c><c r="C3"><v>7</v></c></row>' +
+        '</sheetData></worksheet>'
+    });
+
+    expect(await readBlob(blob, 'export.XLSX')).toEqual([['Site'], [], ['Quebec Island', '', '7']]);
+  });
+
+  it('rejects files that are not workbooks', async () => {
+    await expect(readBlob(new Blob(['Site,Rack']), 'racks.xlsx')).rejects.toThrow('not a valid XLSX workbook');
+  });
+
+  it('rejects ZIP64 archives', async () => {
+    const bytes = new Uint8Array(await toXlsx([['Site']]).arrayBuffer());
+    new DataView(bytes.buffer).setUint16(bytes.length - 12, 0xffff, true);
+    await expect(readBlob(new Blob([bytes]), 'huge.xlsx')).rejects.toThrow('too large to import');
+  });
+});
+
+describe('readSpreadsheet', () => {
+  it('reads CSV files and refuses other types', async () => {
+    expect(await readBlob(new Blob(["Rack\n'-L01"]), 'racks.csv')).toEqual([['Rack'], ['-L01']]);
+    await expect(readBlob(new Blob(['']), 'racks.ods')).rejects.toThrow('Choose a .csv or .xlsx file');
+  });
+});
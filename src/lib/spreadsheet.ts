@@ -0,0 +1,310 @@
+// Minimal CSV and XLSX reading and writing for inventory import/export.
+// Only the first worksheet is read, and cells come back as strings; formulas, styles and
+// dates are not interpreted. Written workbooks are a single sheet of inline strings and numbers.
+// ZIP64 archives (over 4 GB or 65535 entries) are rejected, and compressed entries need a
+// browser with DecompressionStream('deflate-raw').
+
+export type Cell = string | number | null | undefined;
+
+// CSV reading and writing
+
+// Spreadsheet apps run a cell that starts with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Exported text cells that look like formulas get a leading apostrophe; parseCsv strips it again
+const escapeFormula = (value: string) => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+const unescapeFormula = (value: string) => (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value);
+
+export const parseCsv = (text: string): string[][] => {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(unescapeFormula(field));
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(unescapeFormula(field));
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(unescapeFormula(field));
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const csvCell = (cell: Cell) => {
+  const value = typeof cell === 'string' ? escapeFormula(cell) : String(cell ?? '');
+  return `"${value.replace(/"/g, '""')}"`;
+};
+
+export const toCsv = (rows: Cell[][]) => rows.map(row => row.map(csvCell).join(',')).join('\n');
+
+// ZIP container: XLSX files are zip archives of XML parts
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes: Uint8Array) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const inflateRaw = async (bytes: BlobPart) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed XLSX files; save the sheet as CSV and import that');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const readZip = async (buffer: ArrayBuffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record sits in the last 22 bytes plus an optional comment
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('The file is not a valid XLSX workbook');
+  // ZIP64 archives mark the fields that overflowed with all ones
+  if (view.getUint16(end + 10, true) === 0xffff || view.getUint32(end + 16, true) === 0xffffffff) {
+    throw new Error('The XLSX file is too large to import');
+  }
+
+  const files = new Map<string, () => Promise<Uint8Array>>();
+  let offset = view.getUint32(end + 16, true);
+  const count = view.getUint16(end + 10, true);
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('The XLSX file is damaged');
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    if (size === 0xffffffff || localOffset === 0xffffffff) throw new Error('The XLSX file is too large to import');
+
+    files.set(name, async () => {
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(start, start + size);
+      if (method === 0) return data;
+      if (method === 8) return inflateRaw(data);
+      throw new Error(`Unsupported compression in ${name}`);
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+};
+
+const writeZip = (entries: { name: string; content: string }[]) => {
+  const encoder = new TextEncoder();
+  const parts: BlobPart[] = [];
+  const directory: BlobPart[] = [];
+  let offset = 0;
+  let directorySize = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = encoder.encode(entry.content);
+    const crc = crc32(data);
+
+    // Local file header, stored without compression
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    directory.push(new Uint8Array(central.buffer), name);
+    directorySize += 46 + name.length;
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, new Uint8Array(end.buffer)], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+};
+
+// XLSX workbooks on top of the zip container
+
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const parseXml = (text: string) => new DOMParser().parseFromString(text, 'application/xml');
+const elements = (node: Document | Element, name: string) => Array.from(node.getElementsByTagNameNS('*', name));
+const textOf = (node: Element) => elements(node, 't').map(t => t.textContent ?? '').join('');
+
+// "AB12" -> 27
+const columnIndex = (ref: string) =>
+  [...ref.replace(/\d+$/, '')].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+const columnName = (index: number): string =>
+  (index >= 26 ? columnName(Math.floor(index / 26) - 1) : '') + String.fromCharCode(65 + (index % 26));
+
+const escapeXml = (value: string) =>
+  value.replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char] as string);
+
+const readXlsx = async (buffer: ArrayBuffer): Promise<string[][]> => {
+  const files = await readZip(buffer);
+  const read = async (name: string) => {
+    const file = files.get(name);
+    return file ? parseXml(new TextDecoder().decode(await file())) : null;
+  };
+
+  // Resolve the first sheet through the workbook relationships; fall back to the usual name
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = await read('xl/workbook.xml');
+  const relationships = await read('xl/_rels/workbook.xml.rels');
+  const firstSheet = workbook && elements(workbook, 'sheet')[0];
+  if (firstSheet && relationships) {
+    const id = firstSheet.getAttributeNS(RELATIONSHIP_NS, 'id');
+    const target = elements(relationships, 'Relationship').find(rel => rel.getAttribute('Id') === id)?.getAttribute('Target');
+    if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  const sheet = await read(sheetPath);
+  if (!sheet) throw new Error('The workbook has no worksheet');
+
+  const sharedStringsXml = await read('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml ? elements(sharedStringsXml, 'si').map(textOf) : [];
+
+  const rows: string[][] = [];
+  for (const rowElement of elements(sheet, 'row')) {
+    const rowNumber = Number(rowElement.getAttribute('r') ?? rows.length + 1) - 1;
+    const row: string[] = [];
+    elements(rowElement, 'c').forEach((cell, position) => {
+      const ref = cell.getAttribute('r');
+      const index = ref ? columnIndex(ref) : position;
+      const type = cell.getAttribute('t');
+      const value = elements(cell, 'v')[0]?.textContent ?? '';
+      if (type === 's') row[index] = sharedStrings[Number(value)] ?? '';
+      else if (type === 'inlineStr') row[index] = textOf(cell);
+      else row[index] = value;
+    });
+    rows[rowNumber] = Array.from(row, cell => cell ?? '');
+  }
+
+  return Array.from(rows, row => row ?? []);
+};
+
+export const toXlsx = (rows: Cell[][], sheetName = 'Sheet1') => {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((cell, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (cell === null || cell === undefined || cell === '') return '';
+      if (typeof cell === 'number') return `<c r="${ref}"><v>${cell}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  return writeZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${RELATIONSHIP_NS}">` +
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${xml}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+        `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+    }
+  ]);
+};
+
+// Reads .csv and .xlsx files into rows of strings
+export const readSpreadsheet = async (file: File): Promise<string[][]> => {
+  if (/\.xlsx$/i.test(file.name)) {
+    return readXlsx(await file.arrayBuffer());
+  }
+  if (/\.(csv|txt)$/i.test(file.name)) {
+    return parseCsv(await file.text());
+  }
+  throw new Error('Choose a .csv or .xlsx file');
+};
+
+export const downloadBlob = (blob: Blob, fileName: string) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
@@ -1,52 +1,16 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { ArrowLeft, AlertTriangle, CheckCircle, Clock, User, MapPin, Building, Download } from 'lucide-react';
 import { format } from 'date-fns';
-import { supabase } from '../lib/supabaseClient';
-
-interface AuditReport {
-  Id: string;
-  GeneratedBy: string;
-  Timestamp: string;
-  datacenter: string;
-  datahall: string;
-  issues_reported: number;
-  state: string;
-  walkthrough_id: number;
-  user_full_name: string;
-  ReportData: {
-    racks?: {
-      id: string;
-      location: string;
-      devices: {
-        powerSupplyUnit: boolean;
-        powerDistributionUnit: boolean;
-        rearDoorHeatExchanger: boolean;
-      };
-      psuDetails?: {
-        status: string;
-        psuId: string;
-        uHeight: string;
-        comments?: string;
-      };
-      pduDetails?: {
-        status: string;
-        pduId: string;
-        comments?: string;
-      };
-      rdhxDetails?: {
-        status: string;
-        comments?: string;
-      };
-    }[];
-    hasIssues: boolean;
-    comments?: string;
-  };
-}
+import { api } from '../lib/apiClient';
+import type { AuditReport } from '../lib/apiClient';
+import { useInventory } from '../context/InventoryContext';
+import { RackHealthMap } from '../components/inventory/RackHealthMap';
 
 const AuditDetails = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
+  const { racksFor } = useInventory();
   const [audit, setAudit] = useState<AuditReport | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -56,14 +20,8 @@ const AuditDetails = () => {
       setLoading(true);
       setError(null);
 
-      const { data, error } = await supabase
-        .from('AuditReports')
-        .select('*')
-        .eq('Id', id)
-        .single();
-
-      if (error) throw error;
-      setAudit(data);
+      if (!id) throw new Error('Audit id is missing');
+      setAudit(await api.inspections.get(id));
     } catch (error) {
       const err = error as Error;
       console.error('Error fetching audit details:', err);
@@ -86,6 +44,10 @@ const AuditDetails = () => {
       'Status',
       'Device ID',
       'U-Height',
+      'PDU Side',
+      'Fan State',
+      'Valve State',
+      'Leak State',
       'Comments'
     ];
 
@@ -99,6 +61,10 @@ const AuditDetails = () => {
           rack.psuDetails.status,
           rack.psuDetails.psuId,
           rack.psuDetails.uHeight,
+          'N/A',
+          'N/A',
+          'N/A',
+          'N/A',
           rack.psuDetails.comments || ''
         ]);
       }
@@ -110,6 +76,10 @@ const AuditDetails = () => {
           rack.pduDetails.status,
           rack.pduDetails.pduId,
           'N/A',
+          rack.pduDetails.side || 'N/A',
+          'N/A',
+          'N/A',
+          'N/A',
           rack.pduDetails.comments || ''
         ]);
       }
@@ -121,6 +91,10 @@ const AuditDetails = () => {
           rack.rdhxDetails.status,
           'RDHX',
           'N/A',
+          'N/A',
+          rack.rdhxDetails.fanState || 'N/A',
+          rack.rdhxDetails.valveState || 'N/A',
+          rack.rdhxDetails.leakState || 'N/A',
           rack.rdhxDetails.comments || ''
         ]);
       }
@@ -255,6 +229,18 @@ const AuditDetails = () => {
           </div>
         </div>
 
+        {/* Floor map: open incidents in the hall today, racks from this walkthrough outlined */}
+        {racksFor(audit.datacenter, audit.datahall).length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+            <h2 className="text-xl font-semibold mb-6">Floor Map</h2>
+            <RackHealthMap
+              datacenter={audit.datacenter}
+              datahall={audit.datahall}
+              highlighted={audit.ReportData.racks?.map(rack => rack.location) ?? []}
+            />
+          </div>
+        )}
+
         {/* Issues Section */}
         {audit.ReportData.hasIssues && audit.ReportData.racks && (
           <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
@@ -304,6 +290,12 @@ const AuditDetails = () => {
                           <p className="text-gray-500">PDU ID</p>
                           <p className="font-medium">{rack.pduDetails.pduId}</p>
                         </div>
+                        {rack.pduDetails.side && (
+                          <div>
+                            <p className="text-gray-500">Side</p>
+                            <p className="font-medium">{rack.pduDetails.side}</p>
+                          </div>
+                        )}
                         {rack.pduDetails.comments && (
                           <div className="col-span-2">
                             <p className="text-gray-500">Comments</p>
@@ -322,6 +314,24 @@ const AuditDetails = () => {
                           <p className="text-gray-500">Status</p>
                           <p className="font-medium">{rack.rdhxDetails.status}</p>
                         </div>
+                        {rack.rdhxDetails.fanState && (
+                          <div>
+                            <p className="text-gray-500">Fans</p>
+                            <p className="font-medium">{rack.rdhxDetails.fanState}</p>
+                          </div>
+                        )}
+                        {rack.rdhxDetails.valveState && (
+                          <div>
+                            <p className="text-gray-500">Valve</p>
+                            <p className="font-medium">{rack.rdhxDetails.valveState}</p>
+                          </div>
+                        )}
+                        {rack.rdhxDetails.leakState && (
+                          <div>
+                            <p className="text-gray-500">Leak</p>
+                            <p className="font-medium">{rack.rdhxDetails.leakState}</p>
+                          </div>
+                        )}
                         {rack.rdhxDetails.comments && (
                           <div className="col-span-2">
                             <p className="text-gray-500">Comments</p>
@@ -14,6 +14,8 @@ import { FormCheckmark, StatusCritical, FormView, FormPrevious } from 'grommet-i
 interface LocationState {
   inspectionId?: string;
   success: boolean;
+  // Captured offline and waiting in the outbox
+  queued?: boolean;
   error?: string;
 }
 
@@ -45,10 +47,12 @@ const Confirmation = () => {
                 <FormCheckmark size="large" color="white" />
               </Box>
               <Heading level={2} margin={{ bottom: 'none' }}>
-                Inspection Submitted Successfully
+                {state.queued ? 'Inspection Saved Offline' : 'Inspection Submitted Successfully'}
               </Heading>
               <Text textAlign="center">
-                Your inspection has been recorded and is available for review.
+                {state.queued
+                  ? 'Your inspection is stored on this device and will be submitted automatically when you are back online.'
+                  : 'Your inspection has been recorded and is available for review.'}
               </Text>
               {state.inspectionId && (
                 <Box 
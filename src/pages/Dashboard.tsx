@@ -2,9 +2,11 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { ClipboardList, AlertTriangle, CheckCircle, ChevronDown } from 'lucide-react';
 import { format } from 'date-fns';
-import { supabase } from '../lib/supabaseClient';
+import { api } from '../lib/apiClient';
+import type { AuditReport, Report } from '../lib/apiClient';
 import { useAuth } from '../context/AuthContext';
-import { locations } from '../utils/locationMapping';
+import { useInventory } from '../context/InventoryContext';
+import { RackHealthMap } from '../components/inventory/RackHealthMap';
 
 interface DashboardStats {
   completed: number;
@@ -12,33 +14,10 @@ interface DashboardStats {
   resolved: number;
 }
 
-interface Report {
-  id: string;
-  title: string;
-  generated_by: string;
-  generated_at: string;
-  datacenter: string;
-  datahall: string;
-  status: string;
-  total_incidents: number;
-  report_data: unknown;
-}
-
-interface AuditReport {
-  Id: string;
-  GeneratedBy: string;
-  Timestamp: string;
-  datacenter: string;
-  datahall: string;
-  issues_reported: number;
-  state: string;
-  walkthrough_id: number;
-  user_full_name: string;
-}
-
 const Dashboard = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { sites, siteNames } = useInventory();
   const [reports, setReports] = useState<Report[]>([]);
   const [recentAudits, setRecentAudits] = useState<AuditReport[]>([]);
   const [stats, setStats] = useState<DashboardStats>({
@@ -47,79 +26,40 @@ const Dashboard = () => {
     resolved: 0
   });
   const [showLocationDropdown, setShowLocationDropdown] = useState(false);
-  const [userFullName, setUserFullName] = useState<string>('');
+  const [mapHall, setMapHall] = useState<{ site: string; dataHall: string } | null>(null);
 
-  const fetchUserProfile = useCallback(async () => {
-    try {
-      const { data, error } = await supabase
-        .from('user_profiles')
-        .select('full_name')
-        .eq('user_id', user?.id)
-        .maybeSingle();
-
-      if (error) throw error;
-      if (data) {
-        setUserFullName(data.full_name);
-      }
-    } catch (error) {
-      console.error('Error fetching user profile:', error);
-    }
-  }, [user]);
+  // Only halls with a rack list can be drawn
+  const mappedHalls = sites.flatMap(site => site.dataHalls
+    .filter(dataHall => dataHall.racks.length > 0)
+    .map(dataHall => ({ site: site.name, dataHall: dataHall.name })));
+  const selectedHall = mapHall ?? mappedHalls[0] ?? null;
 
   const fetchDashboardData = useCallback(async () => {
     try {
-      
-      // Fetch reports
-      const { data: reportData, error: reportError } = await supabase
-        .from('reports')
-        .select('*')
-        .order('generated_at', { ascending: false })
-        .limit(3);
-
-      if (reportError) throw reportError;
-      setReports(reportData || []);
-
-      // Fetch recent audits
-      const { data: auditData, error: auditError } = await supabase
-        .from('AuditReports')
-        .select('*')
-        .order('Timestamp', { ascending: false })
-        .limit(5);
-
-      if (auditError) throw auditError;
-      setRecentAudits(auditData || []);
-
-      // Fetch statistics
-      const { data: incidentData, error: incidentError } = await supabase
-        .from('incidents')
-        .select('*');
-
-      if (incidentError) throw incidentError;
-
-      // Calculate statistics
-      const completedAudits = auditData?.length || 0;
-      const activeIncidents = incidentData?.filter(i => i.status !== 'resolved')?.length || 0;
-      const resolvedIncidents = incidentData?.filter(i => i.status === 'resolved')?.length || 0;
+      // Only totals are needed for the incident counters, so fetch a single row each
+      const [reportPage, auditPage, openIncidents, inProgressIncidents, resolvedIncidents] = await Promise.all([
+        api.reports.list({ limit: 3 }),
+        api.inspections.list({ limit: 5 }),
+        api.incidents.list({ status: 'open', limit: 1 }),
+        api.incidents.list({ status: 'in-progress', limit: 1 }),
+        api.incidents.list({ status: 'resolved', limit: 1 })
+      ]);
 
+      setReports(reportPage.items);
+      setRecentAudits(auditPage.items);
       setStats({
-        completed: completedAudits,
-        active: activeIncidents,
-        resolved: resolvedIncidents
+        completed: auditPage.pagination.total,
+        active: openIncidents.pagination.total + inProgressIncidents.pagination.total,
+        resolved: resolvedIncidents.pagination.total
       });
-
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
-    } finally {
-      // no-op
     }
   }, []);
 
   useEffect(() => {
     fetchDashboardData();
-    if (user) {
-      fetchUserProfile();
-    }
-  }, [user, fetchDashboardData, fetchUserProfile]);
+  }, [fetchDashboardData]);
 
   const handleLocationSelect = (location: string) => {
     navigate('/inspection/form', { 
@@ -133,7 +73,7 @@ const Dashboard = () => {
       <div className="flex justify-between items-center mb-8">
         <div>
           <h1 className="text-2xl font-semibold mb-2">Dashboard</h1>
-          <p className="text-gray-600">Welcome back, {userFullName || 'User'}</p>
+          <p className="text-gray-600">Welcome back, {user?.fullName || 'User'}</p>
         </div>
         <div className="relative">
           <button
@@ -147,7 +87,7 @@ const Dashboard = () => {
           
           {showLocationDropdown && (
             <div className="absolute right-0 mt-2 w-64 bg-white rounded-lg shadow-lg py-1 z-50">
-              {locations.map((location) => (
+              {siteNames.map((location) => (
                 <button
                   key={location}
                   onClick={() => handleLocationSelect(location)}
@@ -190,6 +130,28 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {selectedHall && (
+        <div className="mb-8">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-medium">Floor Map</h2>
+            <select
+              value={`${selectedHall.site}|${selectedHall.dataHall}`}
+              onChange={(e) => setMapHall(mappedHalls.find(hall => `${hall.site}|${hall.dataHall}` === e.target.value) ?? null)}
+              className="border border-gray-200 rounded-lg px-3 py-2 text-sm"
+            >
+              {mappedHalls.map(hall => (
+                <option key={`${hall.site}|${hall.dataHall}`} value={`${hall.site}|${hall.dataHall}`}>
+                  {hall.site} - {hall.dataHall}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <RackHealthMap datacenter={selectedHall.site} datahall={selectedHall.dataHall} />
+          </div>
+        </div>
+      )}
+
       <div className="mb-8">
         <div className="flex justify-between items-center mb-4">
           <h2 className="text-xl font-medium">Recent Audits</h2>
@@ -274,13 +236,13 @@ const Dashboard = () => {
                     <h3 className="text-xl font-medium text-white mb-2">
                       {report.title}
                     </h3>
-                    <p className="text-sm text-gray-200">{report.datacenter} - {report.datahall}</p>
+                    <p className="text-sm text-gray-200">{report.filters.datacenter || 'All Datacenters'} - {report.filters.datahall || 'All Data Halls'}</p>
                   </div>
                 </div>
                 <div className="p-4 bg-white">
                   <div className="flex justify-between items-center text-sm text-gray-600">
-                    <span>Issues: {report.total_incidents}</span>
-                    <span>{format(new Date(report.generated_at), 'MMM d, yyyy')}</span>
+                    <span>Issues: {report.totalIncidents}</span>
+                    <span>{format(new Date(report.generatedAt), 'MMM d, yyyy')}</span>
                   </div>
                 </div>
               </div>
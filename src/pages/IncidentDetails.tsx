@@ -1,47 +1,35 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, AlertTriangle, Clock, MapPin, Server, PenTool as Tool } from 'lucide-react';
+import { ArrowLeft, AlertTriangle, Clock, MapPin, Server, PenTool as Tool, UserCheck } from 'lucide-react';
 import { format } from 'date-fns';
-import { supabase } from '../lib/supabaseClient';
-
-interface Incident {
-  id: string;
-  location: string;
-  datahall: string;
-  rack_number: string;
-  part_type: string;
-  part_identifier: string;
-  u_height?: string;
-  severity: 'critical' | 'high' | 'medium' | 'low';
-  status: 'open' | 'in-progress' | 'resolved';
-  created_at: string;
-  updated_at: string;
-  description: string;
-  comments?: string;
-  user_id: string;
-  walkthrough_id: number;
-}
+import { api, getErrorMessage } from '../lib/apiClient';
+import type { Incident } from '../lib/apiClient';
+import { useAuth } from '../context/AuthContext';
+import { AttachmentGallery } from '../components/attachments/AttachmentGallery';
+import { AssignmentPicker } from '../components/incidents/AssignmentPicker';
+import { IncidentTimeline } from '../components/incidents/IncidentTimeline';
+import { SlaBadge } from '../components/incidents/SlaBadge';
 
 const IncidentDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user, hasRole } = useAuth();
   const [incident, setIncident] = useState<Incident | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  // Bumped when the timeline adds files, so the gallery reloads
+  const [attachmentsVersion, setAttachmentsVersion] = useState(0);
+  // Bumped after an assignment, so the timeline shows it
+  const [timelineVersion, setTimelineVersion] = useState(0);
+  const [assignError, setAssignError] = useState<string | null>(null);
 
   const fetchIncidentDetails = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
 
-      const { data, error } = await supabase
-        .from('incidents')
-        .select('*')
-        .eq('id', id)
-        .single();
-
-      if (error) throw error;
-      setIncident(data);
+      if (!id) throw new Error('Incident id is missing');
+      setIncident(await api.incidents.get(id));
     } catch (error) {
       const err = error as Error;
       console.error('Error fetching incident details:', err);
@@ -55,10 +43,27 @@ const IncidentDetails = () => {
     fetchIncidentDetails();
   }, [fetchIncidentDetails]);
 
+  const handleAssigned = (updated: Incident[]) => {
+    setIncident(current => (current ? { ...current, ...updated[0] } : current));
+    setTimelineVersion(version => version + 1);
+  };
+
+  // Technicians can take an unassigned incident or hand back their own
+  const assignSelf = async (assign: boolean) => {
+    if (!incident || !user) return;
+    setAssignError(null);
+    try {
+      handleAssigned(await api.incidents.assign([incident.id], { assigneeId: assign ? user.id : null }));
+    } catch (err) {
+      console.error('Error assigning incident:', err);
+      setAssignError(getErrorMessage(err, 'Failed to assign incident'));
+    }
+  };
+
   const formatIncidentId = (incident: Incident) => {
     const walkthrough = `A${incident.walkthrough_id}`;
-    const rack = incident.rack_number.replace(/[^0-9]/g, '');
-    const partId = incident.part_identifier.replace(/\s+/g, '').toUpperCase();
+    const rack = (incident.rack_number ?? '').replace(/[^0-9]/g, '');
+    const partId = (incident.part_identifier ?? '').replace(/\s+/g, '').toUpperCase();
     return `${walkthrough}-${rack}-${partId}`;
   };
 
@@ -156,6 +161,9 @@ const IncidentDetails = () => {
                 <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(incident.status)}`}>
                   {incident.status.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}
                 </span>
+                <div className="text-right">
+                  <SlaBadge incident={incident} showDue />
+                </div>
               </div>
             </div>
 
@@ -202,6 +210,42 @@ const IncidentDetails = () => {
             </div>
 
             <div className="space-y-6">
+              <div>
+                <h2 className="text-lg font-medium mb-4">Assignment</h2>
+                <div className="flex items-center gap-2 mb-3 text-gray-700">
+                  <UserCheck className="w-5 h-5 text-gray-400" />
+                  {incident.assignee_name || incident.team_name ? (
+                    <p>
+                      <span className="font-medium">{incident.assignee_name ?? 'No assignee'}</span>
+                      {incident.team_name && <span className="text-gray-500"> · {incident.team_name}</span>}
+                      {incident.assigned_at && (
+                        <span className="text-gray-500"> · since {format(new Date(incident.assigned_at), 'PP')}</span>
+                      )}
+                    </p>
+                  ) : (
+                    <p className="text-gray-500">Unassigned</p>
+                  )}
+                </div>
+                {hasRole('supervisor') ? (
+                  <AssignmentPicker
+                    incidentIds={[incident.id]}
+                    assigneeId={incident.assignee_id}
+                    teamId={incident.team_id}
+                    submitLabel="Save assignment"
+                    onAssigned={handleAssigned}
+                  />
+                ) : incident.assignee_id === user?.id ? (
+                  <button onClick={() => assignSelf(false)} className="text-sm text-emerald-600 hover:text-emerald-700">
+                    Unassign me
+                  </button>
+                ) : !incident.assignee_id && (
+                  <button onClick={() => assignSelf(true)} className="text-sm text-emerald-600 hover:text-emerald-700">
+                    Assign to me
+                  </button>
+                )}
+                {assignError && <p className="mt-2 text-sm text-red-600">{assignError}</p>}
+              </div>
+
               <div>
                 <h2 className="text-lg font-medium mb-4">Description</h2>
                 <p className="text-gray-700 whitespace-pre-wrap">{incident.description}</p>
@@ -213,6 +257,14 @@ const IncidentDetails = () => {
                   <p className="text-gray-700 whitespace-pre-wrap">{incident.comments}</p>
                 </div>
               )}
+
+              <AttachmentGallery key={attachmentsVersion} owner={{ incidentId: incident.id }} />
+
+              <IncidentTimeline
+                key={timelineVersion}
+                incidentId={incident.id}
+                onAttachmentsAdded={() => setAttachmentsVersion(version => version + 1)}
+              />
             </div>
           </div>
         </div>
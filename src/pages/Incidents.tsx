@@ -2,25 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Search, Filter, ChevronDown } from 'lucide-react';
 import { format } from 'date-fns';
-import { supabase } from '../lib/supabaseClient';
+import { api } from '../lib/apiClient';
+import type { Incident } from '../lib/apiClient';
+import { useInventory } from '../context/InventoryContext';
+import { useAuth } from '../context/AuthContext';
+import { AssignmentPicker } from '../components/incidents/AssignmentPicker';
+import { SlaBadge } from '../components/incidents/SlaBadge';
 import DatePicker from 'react-datepicker';
 import "react-datepicker/dist/react-datepicker.css";
 
-interface Incident {
-  id: string;
-  location: string;
-  datahall: string;
-  rack_number: string;
-  part_type: string;
-  part_identifier: string;
-  u_height?: string;
-  severity: 'critical' | 'high' | 'medium' | 'low';
-  status: 'open' | 'in-progress' | 'resolved';
-  created_at: string;
-  description: string;
-  comments?: string;
-}
-
 const Incidents = () => {
   const navigate = useNavigate();
   const [incidents, setIncidents] = useState<Incident[]>([]);
@@ -32,22 +22,13 @@ const Incidents = () => {
   const [selectedDatahall, setSelectedDatahall] = useState('');
   const [selectedSeverity, setSelectedSeverity] = useState('');
   const [selectedStatus, setSelectedStatus] = useState('');
+  const [selectedSla, setSelectedSla] = useState('');
+  const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set());
 
-  const datacenters = [
-    'Canada - Quebec',
-    'Norway - Enebakk',
-    'Norway - Rjukan',
-    'United States - Dallas',
-    'United States - Houston'
-  ];
-
-  const datahalls = {
-    'Canada - Quebec': ['Island 1', 'Island 8', 'Island 9', 'Island 10', 'Island 11', 'Island 12', 'Green Nitrogen'],
-    'Norway - Enebakk': ['Flying Whale'],
-    'Norway - Rjukan': ['Flying Whale'],
-    'United States - Dallas': ['Island 1', 'Island 2', 'Island 3', 'Island 4'],
-    'United States - Houston': ['H20 Lab']
-  };
+  const { siteNames: datacenters, dataHallsFor } = useInventory();
+  // Supervisors and admins can select incidents and assign them together
+  const { hasRole } = useAuth();
+  const canAssign = hasRole('supervisor');
 
   useEffect(() => {
     fetchIncidents();
@@ -55,13 +36,8 @@ const Incidents = () => {
 
   const fetchIncidents = async () => {
     try {
-      const { data, error } = await supabase
-        .from('incidents')
-        .select('*')
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      setIncidents(data || []);
+      const { items } = await api.incidents.list({ limit: 100 });
+      setIncidents(items);
     } catch (error) {
       console.error('Error fetching incidents:', error);
     } finally {
@@ -99,10 +75,36 @@ const Incidents = () => {
       return false;
     }
 
+    if (selectedSla && incident.sla_status !== selectedSla) {
+      return false;
+    }
+
     return true;
   };
 
   const filteredIncidents = incidents.filter(applyFilters);
+  const visibleSelected = filteredIncidents.filter(incident => selectedIds.has(incident.id));
+  const allSelected = filteredIncidents.length > 0 && visibleSelected.length === filteredIncidents.length;
+  const columnCount = canAssign ? 9 : 8;
+
+  const toggleSelected = (id: string) => {
+    setSelectedIds(current => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(filteredIncidents.map(incident => incident.id)));
+  };
+
+  const handleAssigned = (updated: Incident[]) => {
+    const byId = new Map(updated.map(incident => [incident.id, incident]));
+    setIncidents(current => current.map(incident => byId.get(incident.id) ?? incident));
+    setSelectedIds(new Set());
+  };
 
   return (
     <div className="p-6">
@@ -135,6 +137,18 @@ const Incidents = () => {
               <option value="resolved">Resolved</option>
             </select>
 
+            <select
+              value={selectedSla}
+              onChange={(e) => setSelectedSla(e.target.value)}
+              className="border border-gray-200 rounded-lg px-4 py-2"
+            >
+              <option value="">All SLAs</option>
+              <option value="breached">Breached</option>
+              <option value="at-risk">At Risk</option>
+              <option value="on-track">On Track</option>
+              <option value="met">Met</option>
+            </select>
+
             <div className="relative">
               <button
                 onClick={() => setShowFilters(!showFilters)}
@@ -199,7 +213,7 @@ const Incidents = () => {
                         disabled={!selectedDatacenter}
                       >
                         <option value="">All Data Halls</option>
-                        {selectedDatacenter && datahalls[selectedDatacenter as keyof typeof datahalls].map(hall => (
+                        {selectedDatacenter && dataHallsFor(selectedDatacenter).map(hall => (
                           <option key={hall} value={hall}>{hall}</option>
                         ))}
                       </select>
@@ -228,6 +242,7 @@ const Incidents = () => {
                           setSelectedDatahall('');
                           setSelectedSeverity('');
                           setSelectedStatus('');
+                          setSelectedSla('');
                           setShowFilters(false);
                         }}
                         className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900"
@@ -249,29 +264,59 @@ const Incidents = () => {
         </div>
       </div>
 
+      {canAssign && visibleSelected.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm p-4 mb-4 flex flex-wrap items-center gap-4">
+          <span className="text-sm font-medium">
+            {visibleSelected.length} selected
+          </span>
+          <AssignmentPicker
+            incidentIds={visibleSelected.map(incident => incident.id)}
+            onAssigned={handleAssigned}
+          />
+          <button
+            onClick={() => setSelectedIds(new Set())}
+            className="text-sm text-gray-600 hover:text-gray-900"
+          >
+            Clear selection
+          </button>
+        </div>
+      )}
+
       <div className="bg-white rounded-lg shadow-sm overflow-hidden">
         <div className="max-h-[calc(100vh-280px)] overflow-y-auto">
           <table className="w-full">
             <thead className="sticky top-0 bg-gray-50 border-b border-gray-200">
               <tr>
+                {canAssign && (
+                  <th className="px-4 py-3">
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={toggleAll}
+                      aria-label="Select all issues"
+                    />
+                  </th>
+                )}
                 <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Datacenter</th>
                 <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Data Hall</th>
                 <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
                 <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Severity</th>
                 <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">SLA</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Assigned To</th>
                 <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-200">
               {loading ? (
                 <tr>
-                  <td colSpan={6} className="px-6 py-4 text-center text-gray-500">
+                  <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">
                     Loading issues...
                   </td>
                 </tr>
               ) : filteredIncidents.length === 0 ? (
                 <tr>
-                  <td colSpan={6} className="px-6 py-4 text-center text-gray-500">
+                  <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">
                     No issues found
                   </td>
                 </tr>
@@ -282,6 +327,16 @@ const Incidents = () => {
                     className="hover:bg-gray-50 cursor-pointer"
                     onClick={() => navigate(`/incidents/${incident.id}`)}
                   >
+                    {canAssign && (
+                      <td className="px-4 py-4" onClick={(e) => e.stopPropagation()}>
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.has(incident.id)}
+                          onChange={() => toggleSelected(incident.id)}
+                          aria-label={`Select issue in ${incident.location} - ${incident.datahall}`}
+                        />
+                      </td>
+                    )}
                     <td className="px-6 py-4 text-sm text-gray-900">{incident.location}</td>
                     <td className="px-6 py-4 text-sm text-gray-900">{incident.datahall}</td>
                     <td className="px-6 py-4 text-sm text-gray-900">{incident.description}</td>
@@ -311,6 +366,12 @@ const Incidents = () => {
                         ).join(' ')}
                       </span>
                     </td>
+                    <td className="px-6 py-4 text-sm">
+                      <SlaBadge incident={incident} showDue />
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {incident.assignee_name ?? incident.team_name ?? <span className="text-gray-400">Unassigned</span>}
+                    </td>
                     <td className="px-6 py-4 text-sm text-gray-900">
                       {format(new Date(incident.created_at), 'MMM d, yyyy')}
                     </td>
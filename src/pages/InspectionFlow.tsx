@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { Box, Heading } from 'grommet';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { ChevronDown } from 'lucide-react';
-import { datahallsByLocation } from '../utils/locationMapping';
+import { useInventory } from '../context/InventoryContext';
 
 interface LocationState {
   selectedLocation?: string;
@@ -13,13 +13,14 @@ const InspectionFlow = () => {
   const navigate = useNavigate();
   const { selectedLocation } = (location.state as LocationState) || {};
   const [showDatahallDropdown, setShowDatahallDropdown] = useState(false);
+  const { dataHallsFor } = useInventory();
 
   if (!selectedLocation) {
     navigate('/');
     return null;
   }
 
-  const datahalls = datahallsByLocation[selectedLocation] || [];
+  const datahalls = dataHallsFor(selectedLocation);
 
   const handleDatahallSelect = (datahall: string) => {
     navigate('/inspection/form', { 
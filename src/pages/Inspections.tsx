@@ -2,29 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Search, Filter, ChevronDown } from 'lucide-react';
 import { format } from 'date-fns';
-import { supabase } from '../lib/supabaseClient';
+import { api } from '../lib/apiClient';
+import type { AuditReport } from '../lib/apiClient';
+import { useInventory } from '../context/InventoryContext';
 import DatePicker from 'react-datepicker';
 import "react-datepicker/dist/react-datepicker.css";
 
-interface Inspection {
-  Id: string;
-  GeneratedBy: string;
-  Timestamp: string;
-  datacenter: string;
-  datahall: string;
-  issues_reported: number;
-  state: string;
-  walkthrough_id: number;
-  user_full_name: string;
-  ReportData: {
-    comments?: string;
-    [key: string]: unknown;
-  };
-}
-
 const Inspections = () => {
   const navigate = useNavigate();
-  const [inspections, setInspections] = useState<Inspection[]>([]);
+  const [inspections, setInspections] = useState<AuditReport[]>([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [showFilters, setShowFilters] = useState(false);
@@ -34,21 +20,7 @@ const Inspections = () => {
   const [selectedTechnician, setSelectedTechnician] = useState('');
   const [selectedState, setSelectedState] = useState('');
 
-  const datacenters = [
-    'Canada - Quebec',
-    'Norway - Enebakk',
-    'Norway - Rjukan',
-    'United States - Dallas',
-    'United States - Houston'
-  ];
-
-  const datahalls = {
-    'Canada - Quebec': ['Island 1', 'Island 8', 'Island 9', 'Island 10', 'Island 11', 'Island 12', 'Green Nitrogen'],
-    'Norway - Enebakk': ['Flying Whale'],
-    'Norway - Rjukan': ['Flying Whale'],
-    'United States - Dallas': ['Island 1', 'Island 2', 'Island 3', 'Island 4'],
-    'United States - Houston': ['H20 Lab']
-  };
+  const { siteNames: datacenters, dataHallsFor } = useInventory();
 
   useEffect(() => {
     fetchInspections();
@@ -56,14 +28,8 @@ const Inspections = () => {
 
   const fetchInspections = async () => {
     try {
-      const { data, error } = await supabase
-        .from('AuditReports')
-        .select('*')
-        .order('Timestamp', { ascending: false })
-        .limit(20);
-
-      if (error) throw error;
-      setInspections(data || []);
+      const { items } = await api.inspections.list({ limit: 20 });
+      setInspections(items);
     } catch (error) {
       console.error('Error fetching inspections:', error);
     } finally {
@@ -71,7 +37,7 @@ const Inspections = () => {
     }
   };
 
-  const applyFilters = (inspection: Inspection) => {
+  const applyFilters = (inspection: AuditReport) => {
     // Search term filter
     if (searchTerm && !inspection.datacenter?.toLowerCase().includes(searchTerm.toLowerCase()) &&
         !inspection.datahall?.toLowerCase().includes(searchTerm.toLowerCase()) &&
@@ -212,7 +178,7 @@ const Inspections = () => {
                         disabled={!selectedDatacenter}
                       >
                         <option value="">All Data Halls</option>
-                        {selectedDatacenter && datahalls[selectedDatacenter as keyof typeof datahalls].map(hall => (
+                        {selectedDatacenter && dataHallsFor(selectedDatacenter).map(hall => (
                           <option key={hall} value={hall}>{hall}</option>
                         ))}
                       </select>
@@ -0,0 +1,326 @@
+import { useState, useRef } from 'react';
+import { Download, Upload } from 'lucide-react';
+import { api, getErrorMessage } from '../lib/apiClient';
+import type { InventoryImportResult, InventoryImportRow, InventoryRackDetails } from '../lib/apiClient';
+import { useInventory } from '../context/InventoryContext';
+import { downloadBlob, readSpreadsheet, toCsv, toXlsx } from '../lib/spreadsheet';
+
+const HEADERS = ['Site', 'Data Hall', 'Rack ID', 'Row', 'Position', 'Rack Type'];
+
+// Header spellings accepted in imported files, compared lowercased with _ and - as spaces
+const COLUMN_ALIASES: Record<keyof Omit<InventoryImportRow, 'line'>, string[]> = {
+  site: ['site', 'datacenter', 'data center'],
+  dataHall: ['data hall', 'datahall', 'hall'],
+  rackId: ['rack id', 'rackid', 'rack'],
+  row: ['row'],
+  position: ['position', 'pos'],
+  rackType: ['rack type', 'racktype', 'type']
+};
+
+type LineError = InventoryImportResult['errors'][number];
+
+const ACTION_STYLES = {
+  add: 'bg-emerald-100 text-emerald-800',
+  update: 'bg-blue-100 text-blue-800',
+  deactivate: 'bg-red-100 text-red-800'
+};
+
+// Turns spreadsheet rows into import rows; line numbers match the file so errors can be found
+const toImportRows = (sheet: string[][]) => {
+  const normalize = (value: string) => value.trim().toLowerCase().replace(/[_-]+/g, ' ');
+  const header = (sheet[0] ?? []).map(normalize);
+  const columns = Object.fromEntries(
+    Object.entries(COLUMN_ALIASES).map(([key, aliases]) => [key, header.findIndex(name => aliases.includes(name))])
+  ) as Record<keyof typeof COLUMN_ALIASES, number>;
+
+  const missing = (['site', 'dataHall', 'rackId'] as const).filter(key => columns[key] < 0);
+  if (missing.length > 0) {
+    throw new Error('The first row must name the Site, Data Hall and Rack ID columns');
+  }
+
+  const rows: InventoryImportRow[] = [];
+  const errors: LineError[] = [];
+  sheet.slice(1).forEach((cells, index) => {
+    const line = index + 2;
+    const cell = (key: keyof typeof COLUMN_ALIASES) => (columns[key] >= 0 ? (cells[columns[key]] ?? '').trim() : '');
+    if (cells.every(value => !value?.trim())) return;
+
+    const row: InventoryImportRow = {
+      line,
+      site: cell('site'),
+      dataHall: cell('dataHall'),
+      rackId: cell('rackId'),
+      row: cell('row') || null,
+      position: null,
+      rackType: cell('rackType') || null
+    };
+
+    const missingFields = (['site', 'dataHall', 'rackId'] as const).filter(key => !row[key]);
+    if (missingFields.length > 0) {
+      errors.push({ line, field: missingFields[0], message: `Missing ${missingFields.join(', ')}` });
+      return;
+    }
+
+    const position = cell('position');
+    if (position) {
+      if (!/^\d{1,3}$/.test(position) || Number(position) < 1) {
+        errors.push({ line, field: 'position', message: `Position "${position}" must be a number from 1 to 999`, value: position });
+        return;
+      }
+      row.position = Number(position);
+    }
+
+    rows.push(row);
+  });
+
+  return { rows, errors };
+};
+
+const describe = (details: InventoryRackDetails | null) =>
+  details
+    ? [details.rowLabel && `row ${details.rowLabel}`, details.position && `pos ${details.position}`, details.rackType]
+      .filter(Boolean)
+      .join(', ') || '—'
+    : '—';
+
+const InventoryManagement = () => {
+  const { reload } = useInventory();
+  const fileInput = useRef<HTMLInputElement>(null);
+  const [fileName, setFileName] = useState<string | null>(null);
+  const [rows, setRows] = useState<InventoryImportRow[]>([]);
+  const [fileErrors, setFileErrors] = useState<LineError[]>([]);
+  const [preview, setPreview] = useState<InventoryImportResult | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const reset = () => {
+    setFileName(null);
+    setRows([]);
+    setFileErrors([]);
+    setPreview(null);
+    if (fileInput.current) fileInput.current.value = '';
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    reset();
+    setFileName(file.name);
+    setError(null);
+    setNotice(null);
+    setBusy(true);
+    try {
+      const parsed = toImportRows(await readSpreadsheet(file));
+      setRows(parsed.rows);
+      setFileErrors(parsed.errors);
+      if (parsed.rows.length > 0) {
+        setPreview(await api.inventory.import(parsed.rows));
+      } else if (parsed.errors.length === 0) {
+        setError('The file has no racks');
+      }
+    } catch (error) {
+      console.error('Error reading inventory file:', error);
+      setError(getErrorMessage(error, 'Failed to read the file'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const applyImport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await api.inventory.import(rows, true);
+      if (!result.applied) {
+        setPreview(result);
+        setError('The inventory changed since the preview; review the errors and try again');
+        return;
+      }
+      const { added, updated, deactivated } = result.summary;
+      setNotice(`Import applied: ${added} added, ${updated} updated, ${deactivated} deactivated`);
+      reset();
+      await reload();
+    } catch (error) {
+      console.error('Error applying inventory import:', error);
+      setError(getErrorMessage(error, 'Failed to apply the import'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const exportInventory = async (type: 'csv' | 'xlsx') => {
+    setError(null);
+    try {
+      const sites = await api.inventory.get();
+      const sheet = [
+        HEADERS,
+        ...sites.flatMap(site => site.dataHalls.flatMap(dataHall => dataHall.racks.map(rack => [
+          site.name, dataHall.name, rack.name, rack.rowLabel, rack.position, rack.rackType
+        ])))
+      ];
+      const date = new Date().toISOString().slice(0, 10);
+      downloadBlob(
+        type === 'csv' ? new Blob([toCsv(sheet)], { type: 'text/csv;charset=utf-8;' }) : toXlsx(sheet, 'Racks'),
+        `rack-inventory-${date}.${type}`
+      );
+    } catch (error) {
+      console.error('Error exporting inventory:', error);
+      setError(getErrorMessage(error, 'Failed to export the inventory'));
+    }
+  };
+
+  const errors = [...fileErrors, ...(preview?.errors ?? [])].sort((a, b) => a.line - b.line);
+  const summary = preview?.summary;
+  const hasChanges = !!summary && summary.added + summary.updated + summary.deactivated + summary.reactivated > 0;
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-2xl font-semibold">Inventory</h1>
+        <div className="flex gap-2">
+          <button
+            onClick={() => exportInventory('csv')}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-200 rounded-lg hover:bg-gray-50"
+          >
+            <Download size={16} /> Export CSV
+          </button>
+          <button
+            onClick={() => exportInventory('xlsx')}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-200 rounded-lg hover:bg-gray-50"
+          >
+            <Download size={16} /> Export XLSX
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="mb-6 p-4 bg-emerald-50 text-emerald-700 rounded-lg">
+          {notice}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+        <h2 className="text-lg font-medium mb-2">Import racks</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Upload a CSV or XLSX file with the columns {HEADERS.join(', ')}. Rack IDs look like X2401 or X230101;
+          row and position are taken from the ID when left empty. Every data hall in the file is replaced by its
+          rack list, so racks missing from a listed hall are deactivated.
+        </p>
+        <label className="inline-flex items-center gap-2 px-4 py-2 bg-emerald-500 text-white rounded-lg cursor-pointer hover:bg-emerald-600">
+          <Upload size={16} />
+          {busy && !preview ? 'Reading...' : 'Choose file'}
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+            className="hidden"
+            disabled={busy}
+            onChange={(e) => handleFile(e.target.files?.[0])}
+          />
+        </label>
+        {fileName && <span className="ml-3 text-sm text-gray-600">{fileName}</span>}
+      </div>
+
+      {errors.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm overflow-hidden mb-8">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-red-700">
+              {errors.length} problem{errors.length === 1 ? '' : 's'} must be fixed before importing
+            </h2>
+          </div>
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Line</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Problem</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {errors.map((lineError, index) => (
+                <tr key={`${lineError.line}-${index}`}>
+                  <td className="px-6 py-3 text-sm">{lineError.line}</td>
+                  <td className="px-6 py-3 text-sm">{lineError.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {preview && summary && (
+        <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+          <div className="flex justify-between items-center px-6 py-4 border-b border-gray-200">
+            <div className="text-sm text-gray-600">
+              {summary.added} to add, {summary.updated} to update, {summary.deactivated} to deactivate,{' '}
+              {summary.unchanged} unchanged
+              {summary.sitesAdded + summary.dataHallsAdded > 0 &&
+                ` · ${summary.sitesAdded} new site(s), ${summary.dataHallsAdded} new data hall(s)`}
+              {summary.reactivated > 0 && ` · ${summary.reactivated} site(s) or hall(s) reactivated`}
+            </div>
+            <div className="flex gap-2">
+              <button onClick={reset} disabled={busy} className="px-4 py-2 border border-gray-200 rounded-lg hover:bg-gray-50">
+                Cancel
+              </button>
+              <button
+                onClick={applyImport}
+                disabled={busy || errors.length > 0 || !hasChanges}
+                className="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50"
+              >
+                {busy ? 'Applying...' : 'Apply import'}
+              </button>
+            </div>
+          </div>
+          <div className="max-h-[calc(100vh-360px)] overflow-y-auto">
+            <table className="w-full">
+              <thead className="sticky top-0 bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Site</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Data Hall</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Rack</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Before</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">After</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {preview.changes.length === 0 ? (
+                  <tr>
+                    <td colSpan={6} className="px-6 py-4 text-center text-gray-500">
+                      The file matches the current inventory
+                    </td>
+                  </tr>
+                ) : (
+                  preview.changes.map((change) => (
+                    <tr key={`${change.site}-${change.dataHall}-${change.rackId}`}>
+                      <td className="px-6 py-3 text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${ACTION_STYLES[change.action]}`}>
+                          {change.action}
+                        </span>
+                      </td>
+                      <td className="px-6 py-3 text-sm">{change.site}</td>
+                      <td className="px-6 py-3 text-sm">{change.dataHall}</td>
+                      <td className="px-6 py-3 text-sm font-medium">{change.rackId}</td>
+                      <td className="px-6 py-3 text-sm text-gray-500">
+                        {change.before && !change.before.isActive ? 'inactive' : describe(change.before)}
+                      </td>
+                      <td className="px-6 py-3 text-sm">
+                        {change.after.isActive ? describe(change.after) : 'inactive'}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InventoryManagement;
@@ -2,7 +2,7 @@ import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { User, Lock, ArrowRight } from 'lucide-react';
 import HPELogo from '../components/ui/HPELogo';
-import { supabase } from '../lib/supabaseClient';
+import { useAuth } from '../context/AuthContext';
 
 const Login = () => {
   const [email, setEmail] = useState('');
@@ -12,6 +12,7 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   
   const navigate = useNavigate();
+  const { login } = useAuth();
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -25,21 +26,8 @@ const Login = () => {
     setLoading(true);
     
     try {
-      const { error: authError } = await supabase.auth.signInWithPassword({
-        email,
-        password,
-      });
-
-      if (authError) throw authError;
-
-      // If remember me is checked, persist the session
-      if (rememberMe) {
-        await supabase.auth.setSession({
-          access_token: (await supabase.auth.getSession()).data.session?.access_token || '',
-          refresh_token: (await supabase.auth.getSession()).data.session?.refresh_token || '',
-        });
-      }
-
+      // Without "remember me" the session ends with the browser tab
+      await login(email, password, rememberMe);
       navigate('/');
     } catch (err) {
       const error = err as Error;
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { api, getErrorMessage } from '../lib/apiClient';
+import type { Incident, Severity } from '../lib/apiClient';
+import { useAuth } from '../context/AuthContext';
+import { SlaBadge } from '../components/incidents/SlaBadge';
+
+const SEVERITIES: Severity[] = ['critical', 'high', 'medium', 'low'];
+
+const getSeverityColor = (severity: Severity) => {
+  switch (severity) {
+    case 'critical':
+      return 'bg-red-100 text-red-800';
+    case 'high':
+      return 'bg-orange-100 text-orange-800';
+    case 'medium':
+      return 'bg-yellow-100 text-yellow-800';
+    default:
+      return 'bg-green-100 text-green-800';
+  }
+};
+
+const capitalize = (value: string) => value.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+/**
+ * Open incidents assigned to the current user, plus those waiting in their team without an
+ * assignee. Most severe first, then oldest first.
+ */
+const MyWork = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [incidents, setIncidents] = useState<Incident[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchWork();
+  }, []);
+
+  const fetchWork = async () => {
+    try {
+      const { items } = await api.incidents.list({
+        mine: true,
+        unresolved: true,
+        sortBy: 'severity',
+        sortOrder: 'asc',
+        limit: 100
+      });
+      setIncidents(items);
+    } catch (error) {
+      console.error('Error fetching my work:', error);
+      setError(getErrorMessage(error, 'Failed to load your incidents'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const takeIncident = async (incident: Incident) => {
+    if (!user) return;
+    setError(null);
+    try {
+      const [updated] = await api.incidents.assign([incident.id], { assigneeId: user.id });
+      setIncidents(current => current.map(item => (item.id === updated.id ? updated : item)));
+    } catch (error) {
+      console.error('Error taking incident:', error);
+      setError(getErrorMessage(error, 'Failed to assign the incident to you'));
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-2xl font-semibold">My Work</h1>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        {SEVERITIES.map(severity => (
+          <div key={severity} className="bg-white rounded-lg shadow-sm p-4">
+            <p className="text-sm text-gray-500">{capitalize(severity)}</p>
+            <p className="text-2xl font-semibold">
+              {incidents.filter(incident => incident.severity === severity).length}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+        <div className="max-h-[calc(100vh-320px)] overflow-y-auto">
+          <table className="w-full">
+            <thead className="sticky top-0 bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Severity</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Age</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">SLA</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Assigned To</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan={7} className="px-6 py-4 text-center text-gray-500">
+                    Loading your incidents...
+                  </td>
+                </tr>
+              ) : incidents.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="px-6 py-4 text-center text-gray-500">
+                    Nothing is assigned to you or your team
+                  </td>
+                </tr>
+              ) : (
+                incidents.map((incident) => (
+                  <tr
+                    key={incident.id}
+                    className="hover:bg-gray-50 cursor-pointer"
+                    onClick={() => navigate(`/incidents/${incident.id}`)}
+                  >
+                    <td className="px-6 py-4 text-sm">
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getSeverityColor(incident.severity)}`}>
+                        {capitalize(incident.severity)}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {incident.location} - {incident.datahall}
+                      {incident.rack_number && <span className="text-gray-500"> · {incident.rack_number}</span>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{incident.description}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{capitalize(incident.status)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {formatDistanceToNow(new Date(incident.created_at))}
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      <SlaBadge incident={incident} showDue />
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {incident.assignee_id === user?.id ? (
+                        'You'
+                      ) : (
+                        <div className="flex items-center gap-3">
+                          <span>{incident.team_name}</span>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              takeIncident(incident);
+                            }}
+                            className="text-emerald-600 hover:text-emerald-700"
+                          >
+                            Take
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MyWork;
@@ -2,16 +2,12 @@ import { useState, useEffect, useCallback } from 'react';
 import { format } from 'date-fns';
 import { Mail, Phone, Building, Clock, Pencil, Upload } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
-import { supabase } from '../lib/supabaseClient';
+import { api, ApiError } from '../lib/apiClient';
+import type { Profile as ApiProfile } from '../lib/apiClient';
+import { drawScaledImage } from '../lib/attachments';
+import NotificationSettings from '../components/profile/NotificationSettings';
 import { Box, Spinner, Layer, Form, FormField, TextInput, Button } from 'grommet';
 
-interface Activity {
-  id: string;
-  type: 'inspection' | 'issue' | 'report';
-  description: string;
-  created_at: string;
-}
-
 interface UserStats {
   walkthroughs_completed: number;
   issues_resolved: number;
@@ -25,9 +21,15 @@ interface UserProfile {
   department: string;
 }
 
+const AVATAR_SIZE = 256;
+
+// Avatars are stored inline on the profile row, so keep them small
+const resizeAvatar = async (file: File) =>
+  (await drawScaledImage(file, AVATAR_SIZE)).toDataURL('image/jpeg', 0.85);
+
 const Profile = () => {
-  const { user } = useAuth();
-  const [activities, setActivities] = useState<Activity[]>([]);
+  const { user, refreshUser } = useAuth();
+  const [activities, setActivities] = useState<ApiProfile['activities']>([]);
   const [stats, setStats] = useState<UserStats>({
     walkthroughs_completed: 0,
     issues_resolved: 0,
@@ -39,127 +41,59 @@ const Profile = () => {
   const [showEditModal, setShowEditModal] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [updateSuccess, setUpdateSuccess] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+
+  const applyProfile = useCallback((data: ApiProfile) => {
+    setProfile({
+      full_name: data.fullName,
+      avatar_url: data.avatarUrl,
+      phone: data.phone,
+      department: data.department
+    });
+    setStats({
+      walkthroughs_completed: data.stats.walkthroughsCompleted,
+      issues_resolved: data.stats.issuesResolved,
+      reports_generated: data.stats.reportsGenerated
+    });
+    setActivities(data.activities);
+  }, []);
 
   const fetchUserProfile = useCallback(async () => {
     try {
-      const { data, error } = await supabase
-        .from('user_profiles')
-        .select('*')
-        .eq('user_id', user?.id)
-        .maybeSingle();
-
-      if (error) throw error;
-      
-      if (!data) {
-        const defaultProfile = {
-          user_id: user?.id,
-          full_name: '',
-          avatar_url: null,
-          phone: null,
-          department: 'Data Center Operations'
-        };
-
-        const { data: newProfile, error: createError } = await supabase
-          .from('user_profiles')
-          .upsert(defaultProfile)
-          .select()
-          .maybeSingle();
-
-        if (createError) throw createError;
-        setProfile(newProfile);
-      } else {
-        setProfile(data);
-      }
+      applyProfile(await api.profile.get());
     } catch (error) {
       const err = error as Error;
       console.error('Error fetching profile:', err);
       setError('Failed to load profile');
     }
-  }, [user]);
-
-  const fetchUserActivities = useCallback(async () => {
-    try {
-      const { data, error } = await supabase
-        .from('user_activities')
-        .select('*')
-        .eq('user_id', user?.id)
-        .order('created_at', { ascending: false })
-        .limit(10);
-
-      if (error) throw error;
-      setActivities(data || []);
-    } catch (error) {
-      const err = error as Error;
-      console.error('Error fetching activities:', err);
-      setError('Failed to load activities');
-    }
-  }, [user]);
-
-  const fetchUserStats = useCallback(async () => {
-    try {
-      const { data, error } = await supabase
-        .from('user_stats')
-        .select('*')
-        .eq('user_id', user?.id)
-        .maybeSingle();
-
-      if (error) throw error;
-      
-      if (data) {
-        setStats(data);
-      } else {
-        const defaultStats = {
-          user_id: user?.id,
-          walkthroughs_completed: 0,
-          issues_resolved: 0,
-          reports_generated: 0
-        };
-
-        const { error: createError } = await supabase
-          .from('user_stats')
-          .upsert(defaultStats);
-
-        if (createError) throw createError;
-        setStats(defaultStats);
-      }
-    } catch (error) {
-      const err = error as Error;
-      console.error('Error fetching stats:', err);
-      setError('Failed to load statistics');
-    }
-  }, [user]);
+  }, [applyProfile]);
 
   useEffect(() => {
     if (user) {
-      Promise.all([
-        fetchUserActivities(),
-        fetchUserStats(),
-        fetchUserProfile()
-      ]).finally(() => setLoading(false));
+      fetchUserProfile().finally(() => setLoading(false));
     }
-  }, [user, fetchUserActivities, fetchUserStats, fetchUserProfile]);
+  }, [user, fetchUserProfile]);
 
   const handleProfileUpdate = async (values: Partial<UserProfile>) => {
     try {
       setError(null);
-      const { error } = await supabase
-        .from('user_profiles')
-        .upsert({
-          user_id: user?.id,
-          ...values,
-          updated_at: new Date().toISOString()
-        });
-
-      if (error) throw error;
-      
-      await fetchUserProfile();
+      setFieldErrors({});
+      const merged = { ...profile, ...values };
+      applyProfile(await api.profile.update({
+        fullName: merged.full_name ?? '',
+        department: merged.department ?? '',
+        phone: merged.phone || null,
+        avatarUrl: merged.avatar_url ?? null
+      }));
+      await refreshUser();
       setShowEditModal(false);
       setUpdateSuccess(true);
       setTimeout(() => setUpdateSuccess(false), 3000);
     } catch (error) {
       const err = error as Error;
       console.error('Error updating profile:', err);
-      setError('Failed to update profile');
+      setError(err.message || 'Failed to update profile');
+      if (error instanceof ApiError) setFieldErrors(error.fieldErrors);
     }
   };
 
@@ -170,20 +104,7 @@ const Profile = () => {
       const file = event.target.files?.[0];
       if (!file) return;
 
-      const fileExt = file.name.split('.').pop();
-      const filePath = `${user?.id}/avatar.${fileExt}`;
-
-      const { error: uploadError } = await supabase.storage
-        .from('avatars')
-        .upload(filePath, file, { upsert: true });
-
-      if (uploadError) throw uploadError;
-
-      const { data: { publicUrl } } = supabase.storage
-        .from('avatars')
-        .getPublicUrl(filePath);
-
-      await handleProfileUpdate({ avatar_url: publicUrl });
+      await handleProfileUpdate({ avatar_url: await resizeAvatar(file) });
     } catch (error) {
       const err = error as Error;
       console.error('Error uploading avatar:', err);
@@ -315,6 +236,8 @@ const Profile = () => {
                           ? 'bg-emerald-100 text-emerald-800'
                           : activity.type === 'issue'
                           ? 'bg-amber-100 text-amber-800'
+                          : activity.type === 'comment' || activity.type === 'update'
+                          ? 'bg-gray-100 text-gray-800'
                           : 'bg-blue-100 text-blue-800'
                       }`}>
                         {activity.type.charAt(0).toUpperCase() + activity.type.slice(1)}
@@ -340,22 +263,22 @@ const Profile = () => {
 
         {/* Settings and Stats */}
         <div className="space-y-6">
+          {/* Notifications */}
+          <div className="bg-white rounded-lg shadow-sm">
+            <div className="px-6 py-4 border-b border-gray-100">
+              <h2 className="text-lg font-medium text-gray-900">Notifications</h2>
+            </div>
+            <div className="px-6 py-4">
+              <NotificationSettings />
+            </div>
+          </div>
+
           {/* Settings */}
           <div className="bg-white rounded-lg shadow-sm">
             <div className="px-6 py-4 border-b border-gray-100">
               <h2 className="text-lg font-medium text-gray-900">Settings</h2>
             </div>
             <div className="px-6 py-4 space-y-4">
-              <div className="flex items-center justify-between">
-                <span className="text-sm text-gray-600">Email Notifications</span>
-                <button 
-                  className={`relative inline-flex items-center h-6 rounded-full w-11 bg-[#01A982]`}
-                >
-                  <span className="sr-only">Toggle email notifications</span>
-                  <span className="inline-block w-5 h-5 transform translate-x-6 bg-white rounded-full" />
-                </button>
-              </div>
-
               <div className="flex items-center justify-between">
                 <span className="text-sm text-gray-600">Auto-save Reports</span>
                 <button 
@@ -443,13 +366,13 @@ const Profile = () => {
               value={profile || {}}
               onSubmit={({ value }) => handleProfileUpdate(value)}
             >
-              <FormField name="full_name" label="Full Name">
+              <FormField name="full_name" label="Full Name" error={fieldErrors.fullName}>
                 <TextInput name="full_name" placeholder="Enter your full name" />
               </FormField>
-              <FormField name="phone" label="Phone">
+              <FormField name="phone" label="Phone" error={fieldErrors.phone}>
                 <TextInput name="phone" placeholder="Enter your phone number" />
               </FormField>
-              <FormField name="department" label="Department">
+              <FormField name="department" label="Department" error={fieldErrors.department}>
                 <TextInput name="department" placeholder="Enter your department" />
               </FormField>
               <Box direction="row" gap="medium" justify="end" margin={{ top: 'medium' }}>
@@ -1,11 +1,12 @@
 import { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { Box, Button, Form, FormField, TextInput, Text, Heading } from 'grommet';
-import { supabase } from '../lib/supabaseClient';
+import { useAuth } from '../context/AuthContext';
 import { Mail, Lock, User } from 'lucide-react';
 
 const Register = () => {
   const navigate = useNavigate();
+  const { register } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
@@ -14,21 +15,13 @@ const Register = () => {
       setLoading(true);
       setError(null);
 
-      const { error } = await supabase.auth.signUp({
+      await register({
         email: value.email,
         password: value.password,
-        options: {
-          data: {
-            name: value.name,
-          },
-        },
+        fullName: value.name,
       });
 
-      if (error) throw error;
-
-      navigate('/login', { 
-        state: { message: 'Registration successful! Please check your email to verify your account.' }
-      });
+      navigate('/', { replace: true });
     } catch (error) {
       const err = error as Error;
       setError(err.message);
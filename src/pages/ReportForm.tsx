@@ -1,16 +1,17 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
-import { supabase } from '../lib/supabaseClient';
+import { api, ApiError, getErrorMessage } from '../lib/apiClient';
+import { useInventory } from '../context/InventoryContext';
 import { ArrowLeft } from 'lucide-react';
 import DatePicker from 'react-datepicker';
-import { startOfWeek, endOfWeek } from 'date-fns';
+import { format, startOfWeek, endOfWeek } from 'date-fns';
 import "react-datepicker/dist/react-datepicker.css";
 
 const ReportForm = () => {
   const navigate = useNavigate();
-  const { user } = useAuth();
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
   const [dateRange, setDateRange] = useState<[Date | null, Date | null]>([
     startOfWeek(new Date()),
     endOfWeek(new Date())
@@ -20,84 +21,33 @@ const ReportForm = () => {
     datahall: ''
   });
 
-  const datacenters = [
-    'All Datacenters',
-    'Canada - Quebec',
-    'Norway - Enebakk',
-    'Norway - Rjukan',
-    'United States - Dallas',
-    'United States - Houston'
-  ];
-
-  const datahalls = {
-    'Canada - Quebec': ['All Data Halls', 'Island 1', 'Island 8', 'Island 9', 'Island 10', 'Island 11', 'Island 12', 'Green Nitrogen'],
-    'Norway - Enebakk': ['All Data Halls', 'Flying Whale'],
-    'Norway - Rjukan': ['All Data Halls', 'Flying Whale'],
-    'United States - Dallas': ['All Data Halls', 'Island 1', 'Island 2', 'Island 3', 'Island 4'],
-    'United States - Houston': ['All Data Halls', 'H20 Lab']
-  };
+  const { siteNames, dataHallsFor } = useInventory();
+  const datacenters = ['All Datacenters', ...siteNames];
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setLoading(true);
 
-    try {
-      // Build the query for incidents
-      let query = supabase
-        .from('incidents')
-        .select('*')
-        .gte('created_at', dateRange[0]?.toISOString() || '')
-        .lte('created_at', dateRange[1]?.toISOString() || '');
-
-      // Add location filter if specific datacenter is selected
-      if (formData.datacenter && formData.datacenter !== 'All Datacenters') {
-        query = query.eq('location', formData.datacenter);
-      }
-
-      // Add datahall filter if specific datahall is selected
-      if (formData.datahall && formData.datahall !== 'All Data Halls') {
-        query = query.eq('datahall', formData.datahall);
-      }
-
-      // Fetch incidents
-      const { data: incidents, error: incidentsError } = await query;
-
-      if (incidentsError) throw incidentsError;
-
-      // Create the report
-      const { data: report, error: reportError } = await supabase
-        .from('reports')
-        .insert([{
-          title: `Incident Report - ${formData.datacenter === 'All Datacenters' ? 'All Locations' : formData.datacenter}${
-            formData.datahall && formData.datahall !== 'All Data Halls' ? ` - ${formData.datahall}` : ''
-          }`,
-          generated_by: user?.id,
-          date_range_start: dateRange[0]?.toISOString(),
-          date_range_end: dateRange[1]?.toISOString(),
-          datacenter: formData.datacenter,
-          datahall: formData.datahall,
-          status: incidents && incidents.length > 0 ? 'Warning' : 'Healthy',
-          total_incidents: incidents?.length || 0,
-          report_data: {
-            incidents: incidents || [],
-            filters: {
-              datacenter: formData.datacenter,
-              datahall: formData.datahall,
-              dateRange: {
-                start: dateRange[0]?.toISOString(),
-                end: dateRange[1]?.toISOString()
-              }
-            }
-          }
-        }])
-        .select()
-        .single();
-
-      if (reportError) throw reportError;
+    setError(null);
+    setFieldErrors({});
 
-      navigate(`/reports/${report.data.id}`);
+    try {
+      const report = await api.reports.generate({
+        title: `Incident Report - ${formData.datacenter === 'All Datacenters' ? 'All Locations' : formData.datacenter}${
+          formData.datahall && formData.datahall !== 'All Data Halls' ? ` - ${formData.datahall}` : ''
+        }`,
+        // Reports cover whole days, so only the picked dates are sent
+        dateRangeStart: dateRange[0] ? format(dateRange[0], 'yyyy-MM-dd') : '',
+        dateRangeEnd: dateRange[1] ? format(dateRange[1], 'yyyy-MM-dd') : '',
+        datacenter: formData.datacenter,
+        datahall: formData.datahall || undefined
+      });
+
+      navigate(`/reports/${report.id}`);
     } catch (error) {
       console.error('Error creating report:', error);
+      setError(getErrorMessage(error, 'Failed to generate report'));
+      if (error instanceof ApiError) setFieldErrors(error.fieldErrors);
     } finally {
       setLoading(false);
     }
@@ -128,6 +78,12 @@ const ReportForm = () => {
           <h1 className="text-2xl font-semibold mb-6">Generate New Report</h1>
 
           <form onSubmit={handleSubmit} className="space-y-6">
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-600">
+                {error}
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Date Range *
@@ -153,6 +109,9 @@ const ReportForm = () => {
                   placeholderText="End Date"
                 />
               </div>
+              {(fieldErrors.dateRangeStart || fieldErrors.dateRangeEnd) && (
+                <p className="mt-1 text-sm text-red-600">{fieldErrors.dateRangeStart || fieldErrors.dateRangeEnd}</p>
+              )}
             </div>
 
             <div>
@@ -172,6 +131,7 @@ const ReportForm = () => {
                   <option key={dc} value={dc}>{dc}</option>
                 ))}
               </select>
+              {fieldErrors.datacenter && <p className="mt-1 text-sm text-red-600">{fieldErrors.datacenter}</p>}
             </div>
 
             <div>
@@ -188,11 +148,12 @@ const ReportForm = () => {
               >
                 <option value="">Select Data Hall</option>
                 {formData.datacenter && formData.datacenter !== 'All Datacenters' && 
-                  datahalls[formData.datacenter as keyof typeof datahalls].map(hall => (
+                  ['All Data Halls', ...dataHallsFor(formData.datacenter)].map(hall => (
                     <option key={hall} value={hall}>{hall}</option>
                   ))
                 }
               </select>
+              {fieldErrors.datahall && <p className="mt-1 text-sm text-red-600">{fieldErrors.datahall}</p>}
             </div>
 
             <div className="flex justify-end gap-4">
@@ -1,50 +1,27 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { ArrowLeft, Download } from 'lucide-react';
-import { format } from 'date-fns';
-import { supabase } from '../lib/supabaseClient';
+import { ArrowLeft, Download, FileDown, Trash2 } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { api, getErrorMessage } from '../lib/apiClient';
+import type { Incident, Report } from '../lib/apiClient';
 import { useAuth } from '../context/AuthContext';
+import { useInventory } from '../context/InventoryContext';
 import DatePicker from 'react-datepicker';
 import "react-datepicker/dist/react-datepicker.css";
 
-interface Report {
-  id: string;
-  title: string;
-  generated_by: string;
-  generated_at: string;
-  date_range_start: string;
-  date_range_end: string;
-  datacenter: string;
-  datahall: string;
-  status: string;
-  total_incidents: number;
-  report_data: unknown;
-}
-
-interface Incident {
-  id: string;
-  location: string;
-  datahall: string;
-  rack_number: string;
-  part_type: string;
-  part_identifier: string;
-  u_height?: string;
-  severity: 'critical' | 'high' | 'medium' | 'low';
-  status: 'open' | 'in-progress' | 'resolved';
-  created_at: string;
-  description: string;
-  comments?: string;
-}
+// Report ranges are UTC days; show the stored date rather than the local time of its midnight
+const formatReportDay = (value: string) => format(parseISO(value.slice(0, 10)), 'PP');
 
 const Reports = () => {
   const navigate = useNavigate();
   const { id } = useParams();
-  const { user } = useAuth();
+  const { hasRole } = useAuth();
   const [reports, setReports] = useState<Report[]>([]);
   const [selectedReport, setSelectedReport] = useState<Report | null>(null);
   const [incidents, setIncidents] = useState<Incident[]>([]);
   const [loading, setLoading] = useState(true);
   const [generating, setGenerating] = useState(false);
+  const [deleting, setDeleting] = useState(false);
   const [reportNotFound, setReportNotFound] = useState(false);
   const [dateRange, setDateRange] = useState<[Date | null, Date | null]>([
     new Date(new Date().setDate(new Date().getDate() - 7)), // Last 7 days
@@ -52,24 +29,9 @@ const Reports = () => {
   ]);
   const [selectedDatacenter, setSelectedDatacenter] = useState('');
   const [selectedDatahall, setSelectedDatahall] = useState('');
-  const [selectedSeverity, setSelectedSeverity] = useState('');
-
-  const datacenters = [
-    'All Datacenters',
-    'Canada - Quebec',
-    'Norway - Enebakk',
-    'Norway - Rjukan',
-    'United States - Dallas',
-    'United States - Houston'
-  ];
-
-  const datahalls = {
-    'Canada - Quebec': ['All Data Halls', 'Island 1', 'Island 8', 'Island 9', 'Island 10', 'Island 11', 'Island 12', 'Green Nitrogen'],
-    'Norway - Enebakk': ['All Data Halls', 'Flying Whale'],
-    'Norway - Rjukan': ['All Data Halls', 'Flying Whale'],
-    'United States - Dallas': ['All Data Halls', 'Island 1', 'Island 2', 'Island 3', 'Island 4'],
-    'United States - Houston': ['All Data Halls', 'H20 Lab']
-  };
+
+  const { siteNames, dataHallsFor } = useInventory();
+  const datacenters = ['All Datacenters', ...siteNames];
 
   useEffect(() => {
     if (id) {
@@ -82,13 +44,8 @@ const Reports = () => {
   const fetchReports = async () => {
     try {
       setLoading(true);
-      const { data, error } = await supabase
-        .from('reports')
-        .select('*')
-        .order('generated_at', { ascending: false });
-
-      if (error) throw error;
-      setReports(data || []);
+      const { items } = await api.reports.list({ limit: 30 });
+      setReports(items);
     } catch (error) {
       console.error('Error fetching reports:', error);
       setReports([]);
@@ -101,45 +58,15 @@ const Reports = () => {
     try {
       setLoading(true);
       setReportNotFound(false);
-      
-      // Fetch report details using maybeSingle() instead of single()
-      const { data: reportData, error: reportError } = await supabase
-        .from('reports')
-        .select('*')
-        .eq('id', reportId)
-        .maybeSingle();
-
-      if (reportError) throw reportError;
-
-      if (!reportData) {
-        setReportNotFound(true);
-        setSelectedReport(null);
-        return;
-      }
-
-      setSelectedReport(reportData);
-
-      // Only fetch incidents if we found a report
-      let query = supabase
-        .from('incidents')
-        .select('*')
-        .gte('created_at', reportData.date_range_start)
-        .lte('created_at', reportData.date_range_end);
-
-      // Only apply location filters if specific values are selected
-      if (reportData.datacenter !== 'All Datacenters') {
-        query = query.eq('location', reportData.datacenter);
-      }
-      if (reportData.datahall !== 'All Data Halls') {
-        query = query.eq('datahall', reportData.datahall);
-      }
-
-      const { data: incidentData, error: incidentError } = await query.order('created_at', { ascending: false });
-
-      if (incidentError) throw incidentError;
-      setIncidents(incidentData || []);
+
+      // The report carries the incidents captured when it was generated
+      const report = await api.reports.get(reportId);
+      setSelectedReport(report);
+      setIncidents(report.incidents);
     } catch (error) {
       console.error('Error fetching report details:', error);
+      setReportNotFound(true);
+      setSelectedReport(null);
       setIncidents([]);
     } finally {
       setLoading(false);
@@ -155,69 +82,72 @@ const Reports = () => {
     try {
       setGenerating(true);
 
-      // Build the base query
-      let query = supabase
-        .from('incidents')
-        .select('*')
-        .gte('created_at', dateRange[0].toISOString())
-        .lte('created_at', dateRange[1].toISOString());
-
-      // Only apply location filters if specific values are selected
-      if (selectedDatacenter !== 'All Datacenters') {
-        query = query.eq('location', selectedDatacenter);
-      }
-      if (selectedDatahall && selectedDatahall !== 'All Data Halls') {
-        query = query.eq('datahall', selectedDatahall);
-      }
-      if (selectedSeverity) {
-        query = query.eq('severity', selectedSeverity);
-      }
-
-      const { data: incidents, error: incidentsError } = await query;
-
-      if (incidentsError) throw incidentsError;
-
       // Create title based on selected filters
       const locationPart = selectedDatacenter === 'All Datacenters' 
         ? 'All Locations' 
         : `${selectedDatacenter}${selectedDatahall && selectedDatahall !== 'All Data Halls' ? ` - ${selectedDatahall}` : ''}`;
 
-      // Create new report
-      const { data: report, error: reportError } = await supabase
-        .from('reports')
-        .insert([{
-          title: `Incident Report - ${locationPart}`,
-          generated_by: user?.id,
-          date_range_start: dateRange[0].toISOString(),
-          date_range_end: dateRange[1].toISOString(),
-          datacenter: selectedDatacenter,
-          datahall: selectedDatahall,
-          status: incidents?.length === 0 ? 'Healthy' : incidents?.some(i => i.severity === 'critical') ? 'Critical' : 'Warning',
-          total_incidents: incidents?.length || 0,
-          report_data: {
-            filters: {
-              severity: selectedSeverity,
-              datacenter: selectedDatacenter,
-              datahall: selectedDatahall
-            },
-            incidents: incidents
-          }
-        }])
-        .select()
-        .single();
-
-      if (reportError) throw reportError;
+      const report = await api.reports.generate({
+        title: `Incident Report - ${locationPart}`,
+        // Reports cover whole days, so only the picked dates are sent
+        dateRangeStart: format(dateRange[0], 'yyyy-MM-dd'),
+        dateRangeEnd: format(dateRange[1], 'yyyy-MM-dd'),
+        datacenter: selectedDatacenter,
+        datahall: selectedDatahall || undefined
+      });
 
       // Navigate to the new report
       navigate(`/reports/${report.id}`);
     } catch (error) {
       console.error('Error generating report:', error);
-      alert('Failed to generate report. Please try again.');
+      alert(getErrorMessage(error, 'Failed to generate report. Please try again.'));
     } finally {
       setGenerating(false);
     }
   };
 
+  const deleteReport = async () => {
+    if (!selectedReport || !window.confirm('Delete this report? This cannot be undone.')) return;
+
+    try {
+      setDeleting(true);
+      await api.reports.remove(selectedReport.id);
+      navigate('/reports');
+    } catch (error) {
+      console.error('Error deleting report:', error);
+      alert(getErrorMessage(error, 'Failed to delete report. Please try again.'));
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const downloadCSV = () => {
+    if (!selectedReport) return;
+
+    const headers = ['Rack', 'U-Height', 'Part Type', 'Part ID', 'Description', 'Severity', 'Status', 'Created'];
+    const rows = incidents.map(incident => [
+      incident.rack_number ?? '',
+      incident.u_height ?? '',
+      incident.part_type ?? '',
+      incident.part_identifier ?? '',
+      incident.description,
+      incident.severity,
+      incident.status,
+      format(new Date(incident.created_at), 'yyyy-MM-dd HH:mm')
+    ]);
+
+    const csvContent = [headers, ...rows]
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `report-${selectedReport.id}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -270,16 +200,28 @@ const Reports = () => {
               <div>
                 <h1 className="text-2xl font-semibold mb-2">{selectedReport.title}</h1>
                 <p className="text-gray-600">
-                  {format(new Date(selectedReport.generated_at), 'PPpp')}
+                  {format(new Date(selectedReport.generatedAt), 'PPpp')}
                 </p>
               </div>
-              <button
-                onClick={downloadCSV}
-                className="flex items-center gap-2 px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition-colors"
-              >
-                <Download className="w-5 h-5" />
-                Download CSV
-              </button>
+              <div className="flex gap-2">
+                {hasRole('supervisor') && (
+                  <button
+                    onClick={deleteReport}
+                    disabled={deleting}
+                    className="flex items-center gap-2 px-4 py-2 border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+                  >
+                    <Trash2 className="w-5 h-5" />
+                    {deleting ? 'Deleting...' : 'Delete'}
+                  </button>
+                )}
+                <button
+                  onClick={downloadCSV}
+                  className="flex items-center gap-2 px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition-colors"
+                >
+                  <Download className="w-5 h-5" />
+                  Download CSV
+                </button>
+              </div>
             </div>
 
             <div className="grid grid-cols-2 gap-6 mb-8">
@@ -288,16 +230,16 @@ const Reports = () => {
                 <dl className="space-y-2">
                   <div>
                     <dt className="text-sm text-gray-500">Datacenter</dt>
-                    <dd className="font-medium">{selectedReport.datacenter}</dd>
+                    <dd className="font-medium">{selectedReport.filters.datacenter || 'All Datacenters'}</dd>
                   </div>
                   <div>
                     <dt className="text-sm text-gray-500">Data Hall</dt>
-                    <dd className="font-medium">{selectedReport.datahall}</dd>
+                    <dd className="font-medium">{selectedReport.filters.datahall || 'All Data Halls'}</dd>
                   </div>
                   <div>
                     <dt className="text-sm text-gray-500">Date Range</dt>
                     <dd className="font-medium">
-                      {format(new Date(selectedReport.date_range_start), 'PP')} - {format(new Date(selectedReport.date_range_end), 'PP')}
+                      {formatReportDay(selectedReport.dateRange.start)} - {formatReportDay(selectedReport.dateRange.end)}
                     </dd>
                   </div>
                 </dl>
@@ -307,7 +249,7 @@ const Reports = () => {
                 <dl className="space-y-2">
                   <div>
                     <dt className="text-sm text-gray-500">Total Incidents</dt>
-                    <dd className="font-medium">{selectedReport.total_incidents}</dd>
+                    <dd className="font-medium">{selectedReport.totalIncidents}</dd>
                   </div>
                   <div>
                     <dt className="text-sm text-gray-500">Status</dt>
@@ -399,7 +341,7 @@ const Reports = () => {
 
       <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
         <h2 className="text-lg font-medium mb-6">Generate New Report</h2>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-6">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Date Range</label>
             <div className="flex gap-2">
@@ -454,27 +396,12 @@ const Reports = () => {
                 {selectedDatacenter === 'All Datacenters' ? 'All Data Halls' : 'Select Data Hall'}
               </option>
               {selectedDatacenter && selectedDatacenter !== 'All Datacenters' && 
-                datahalls[selectedDatacenter as keyof typeof datahalls]?.map(hall => (
+                ['All Data Halls', ...dataHallsFor(selectedDatacenter)].map(hall => (
                   <option key={hall} value={hall}>{hall}</option>
                 ))
               }
             </select>
           </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Severity</label>
-            <select
-              value={selectedSeverity}
-              onChange={(e) => setSelectedSeverity(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md"
-            >
-              <option value="">All Severities</option>
-              <option value="critical">Critical</option>
-              <option value="high">High</option>
-              <option value="medium">Medium</option>
-              <option value="low">Low</option>
-            </select>
-          </div>
         </div>
 
         <div className="flex justify-end">
@@ -518,13 +445,13 @@ const Reports = () => {
                     <h3 className="text-xl font-medium text-white mb-2">
                       {report.title}
                     </h3>
-                    <p className="text-sm text-gray-200">{report.datacenter} - {report.datahall}</p>
+                    <p className="text-sm text-gray-200">{report.filters.datacenter || 'All Datacenters'} - {report.filters.datahall || 'All Data Halls'}</p>
                   </div>
                 </div>
                 <div className="p-4 bg-white">
                   <div className="flex justify-between items-center text-sm text-gray-600">
-                    <span>Issues: {report.total_incidents}</span>
-                    <span>{format(new Date(report.generated_at), 'MMM d, yyyy')}</span>
+                    <span>Issues: {report.totalIncidents}</span>
+                    <span>{format(new Date(report.generatedAt), 'MMM d, yyyy')}</span>
                   </div>
                 </div>
               </div>
@@ -0,0 +1,417 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { ArrowDown, ArrowUp, Plus, Trash2 } from 'lucide-react';
+import { api, getErrorMessage } from '../lib/apiClient';
+import type { RuleField, RulePartType, SeverityPreview, SeverityRule, SeverityRuleInput, Severity } from '../lib/apiClient';
+import { RULE_FIELD_LABELS, RULE_FIELD_OPTIONS } from '../lib/deviceOptions';
+
+const PART_TYPES: RulePartType[] = ['PSU', 'PDU', 'RDHX'];
+const SEVERITIES: Severity[] = ['critical', 'high', 'medium', 'low'];
+
+// Rules being edited carry a local key so rows keep their state while they are reordered
+type EditableRule = SeverityRuleInput & { key: string };
+
+let nextKey = 0;
+const withKey = (rule: SeverityRuleInput): EditableRule => ({ ...rule, key: `rule-${nextKey++}` });
+
+const fromRule = (rule: SeverityRule): EditableRule => withKey({
+  name: rule.name,
+  partType: rule.part_type,
+  field: rule.field,
+  value: rule.value,
+  minPerRack: rule.min_per_rack,
+  severity: rule.severity,
+  isActive: rule.is_active
+});
+
+const toInput = (rule: EditableRule): SeverityRuleInput => ({
+  name: rule.name.trim(),
+  partType: rule.partType,
+  field: rule.field,
+  value: rule.value,
+  minPerRack: rule.minPerRack,
+  severity: rule.severity,
+  isActive: rule.isActive
+});
+
+const newRule = (): EditableRule => withKey({
+  name: '',
+  partType: 'PSU',
+  field: 'status',
+  value: RULE_FIELD_OPTIONS.PSU.status?.[0] ?? '',
+  minPerRack: 1,
+  severity: 'high',
+  isActive: true
+});
+
+const capitalize = (value: string) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Ordered rules that set the severity of incidents opened by walkthroughs. The first active rule
+ * matching a device wins; unmatched devices are "medium". Edits can be previewed against stored
+ * walkthroughs before they are saved.
+ */
+const SeverityRules = () => {
+  const [rules, setRules] = useState<EditableRule[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [preview, setPreview] = useState<SeverityPreview | null>(null);
+  const [previewing, setPreviewing] = useState(false);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      setRules((await api.severityRules.list()).map(fromRule));
+    } catch (error) {
+      console.error('Error fetching severity rules:', error);
+      setError(getErrorMessage(error, 'Failed to load the severity rules'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const change = (next: EditableRule[]) => {
+    setRules(next);
+    setDirty(true);
+    setNotice(null);
+    setPreview(null);
+  };
+
+  const updateRule = (key: string, changes: Partial<SeverityRuleInput>) => {
+    change(rules.map(rule => {
+      if (rule.key !== key) return rule;
+      const updated = { ...rule, ...changes };
+      // A new device type or field keeps the value only when the form still offers it
+      const fields = RULE_FIELD_OPTIONS[updated.partType];
+      if (!fields[updated.field]) updated.field = 'status';
+      const values = fields[updated.field] ?? [];
+      if (!values.includes(updated.value)) updated.value = values[0] ?? '';
+      return updated;
+    }));
+  };
+
+  const moveRule = (index: number, offset: number) => {
+    const next = [...rules];
+    const [rule] = next.splice(index, 1);
+    next.splice(index + offset, 0, rule);
+    change(next);
+  };
+
+  const saveRules = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      setRules((await api.severityRules.replace(rules.map(toInput))).map(fromRule));
+      setDirty(false);
+      setNotice('Severity rules saved. They apply to walkthroughs submitted from now on.');
+    } catch (error) {
+      console.error('Error saving severity rules:', error);
+      setError(getErrorMessage(error, 'Failed to save the severity rules'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runPreview = async () => {
+    setPreviewing(true);
+    setError(null);
+    try {
+      setPreview(await api.severityRules.preview(rules.map(toInput), {
+        startDate: startDate ? new Date(startDate).toISOString() : undefined,
+        endDate: endDate ? new Date(`${endDate}T23:59:59`).toISOString() : undefined
+      }));
+    } catch (error) {
+      console.error('Error previewing severity rules:', error);
+      setError(getErrorMessage(error, 'Failed to preview the severity rules'));
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const incomplete = rules.some(rule => rule.name.trim().length < 2 || !rule.value);
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-2xl font-semibold">Severity Rules</h1>
+        <div className="flex gap-2">
+          <button
+            onClick={() => change([...rules, newRule()])}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-200 rounded-lg hover:bg-gray-50"
+          >
+            <Plus size={16} /> Add rule
+          </button>
+          <button
+            onClick={saveRules}
+            disabled={saving || !dirty || incomplete}
+            className="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save rules'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="mb-6 p-4 bg-emerald-50 text-emerald-700 rounded-lg">
+          {notice}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-500 mb-4">
+        Each device reported in a walkthrough gets the severity of the first active rule it matches, from the top;
+        devices no rule matches are medium. A rule with a minimum above 1 only matches when that many devices of the
+        type in the same rack match. Walkthroughs with a critical incident are Critical, other walkthroughs with
+        incidents are Warning.
+      </p>
+
+      <div className="bg-white rounded-lg shadow-sm overflow-x-auto mb-8">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b border-gray-200">
+            <tr>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Device</th>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Min per rack</th>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Severity</th>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Active</th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan={9} className="px-6 py-4 text-center text-gray-500">
+                  Loading rules...
+                </td>
+              </tr>
+            ) : rules.length === 0 ? (
+              <tr>
+                <td colSpan={9} className="px-6 py-4 text-center text-gray-500">
+                  No rules; every device is classified as medium
+                </td>
+              </tr>
+            ) : (
+              rules.map((rule, index) => (
+                <tr key={rule.key} className={rule.isActive ? '' : 'text-gray-400'}>
+                  <td className="px-4 py-2 text-sm whitespace-nowrap">
+                    <span className="inline-block w-6">{index + 1}</span>
+                    <button
+                      onClick={() => moveRule(index, -1)}
+                      disabled={index === 0}
+                      aria-label="Move up"
+                      className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                    >
+                      <ArrowUp size={14} />
+                    </button>
+                    <button
+                      onClick={() => moveRule(index, 1)}
+                      disabled={index === rules.length - 1}
+                      aria-label="Move down"
+                      className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                    >
+                      <ArrowDown size={14} />
+                    </button>
+                  </td>
+                  <td className="px-4 py-2">
+                    <input
+                      value={rule.name}
+                      onChange={(e) => updateRule(rule.key, { name: e.target.value })}
+                      maxLength={100}
+                      placeholder="Rule name"
+                      className="w-56 border border-gray-200 rounded-md px-2 py-1 text-sm"
+                    />
+                  </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={rule.partType}
+                      onChange={(e) => updateRule(rule.key, { partType: e.target.value as RulePartType })}
+                      className="border border-gray-200 rounded-md px-2 py-1 text-sm"
+                    >
+                      {PART_TYPES.map(partType => <option key={partType} value={partType}>{partType}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={rule.field}
+                      onChange={(e) => updateRule(rule.key, { field: e.target.value as RuleField })}
+                      className="border border-gray-200 rounded-md px-2 py-1 text-sm"
+                    >
+                      {(Object.keys(RULE_FIELD_OPTIONS[rule.partType]) as RuleField[]).map(field => (
+                        <option key={field} value={field}>{RULE_FIELD_LABELS[field]}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={rule.value}
+                      onChange={(e) => updateRule(rule.key, { value: e.target.value })}
+                      className="border border-gray-200 rounded-md px-2 py-1 text-sm"
+                    >
+                      {(RULE_FIELD_OPTIONS[rule.partType][rule.field] ?? []).map(value => (
+                        <option key={value} value={value}>{value}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-2">
+                    <input
+                      type="number"
+                      min={1}
+                      max={20}
+                      value={rule.minPerRack}
+                      onChange={(e) => updateRule(rule.key, { minPerRack: Math.min(20, Math.max(1, Number(e.target.value) || 1)) })}
+                      className="w-20 border border-gray-200 rounded-md px-2 py-1 text-sm"
+                    />
+                  </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={rule.severity}
+                      onChange={(e) => updateRule(rule.key, { severity: e.target.value as Severity })}
+                      className="border border-gray-200 rounded-md px-2 py-1 text-sm"
+                    >
+                      {SEVERITIES.map(severity => <option key={severity} value={severity}>{capitalize(severity)}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-4 py-2">
+                    <input
+                      type="checkbox"
+                      checked={rule.isActive}
+                      onChange={(e) => updateRule(rule.key, { isActive: e.target.checked })}
+                      className="w-4 h-4 rounded border-gray-300 text-emerald-500 focus:ring-emerald-500"
+                    />
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      onClick={() => change(rules.filter(other => other.key !== rule.key))}
+                      aria-label={`Delete ${rule.name || 'rule'}`}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+        <h2 className="text-lg font-medium mb-2">Preview</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Re-classifies the latest 100 stored walkthroughs with the rules above, saved or not, and lists those that
+          would change. Nothing is written.
+        </p>
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="text-sm text-gray-600">
+            From
+            <input
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="block mt-1 border border-gray-200 rounded-lg px-3 py-2"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            To
+            <input
+              type="date"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="block mt-1 border border-gray-200 rounded-lg px-3 py-2"
+            />
+          </label>
+          <button
+            onClick={runPreview}
+            disabled={previewing || incomplete}
+            className="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50"
+          >
+            {previewing ? 'Previewing...' : 'Preview'}
+          </button>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 text-sm text-gray-600">
+            {preview.summary.walkthroughs} walkthrough(s) checked: {preview.summary.stateChanges} state change(s),{' '}
+            {preview.summary.severityChanges} incident severity change(s)
+            {preview.summary.skipped > 0 && ` · ${preview.summary.skipped} skipped without device details`}
+          </div>
+          <div className="max-h-[calc(100vh-360px)] overflow-y-auto">
+            <table className="w-full">
+              <thead className="sticky top-0 bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Walkthrough</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">State</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Incidents</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {preview.changes.length === 0 ? (
+                  <tr>
+                    <td colSpan={4} className="px-6 py-4 text-center text-gray-500">
+                      No walkthrough would be classified differently
+                    </td>
+                  </tr>
+                ) : (
+                  preview.changes.map(walkthrough => (
+                    <tr key={walkthrough.auditReportId} className="align-top">
+                      <td className="px-6 py-3 text-sm">
+                        <Link to={`/inspections/${walkthrough.auditReportId}`} className="text-emerald-600 hover:text-emerald-700">
+                          #{walkthrough.walkthroughId}
+                        </Link>
+                        <p className="text-gray-500">{format(new Date(walkthrough.timestamp), 'PP')}</p>
+                      </td>
+                      <td className="px-6 py-3 text-sm">{walkthrough.datacenter} - {walkthrough.datahall}</td>
+                      <td className="px-6 py-3 text-sm">
+                        {walkthrough.before === walkthrough.after
+                          ? walkthrough.after
+                          : `${walkthrough.before} → ${walkthrough.after}`}
+                      </td>
+                      <td className="px-6 py-3 text-sm">
+                        {walkthrough.incidents.length === 0 ? (
+                          <span className="text-gray-500">No severity changes</span>
+                        ) : (
+                          <ul className="space-y-1">
+                            {walkthrough.incidents.map(incident => (
+                              <li key={incident.incidentId}>
+                                <Link to={`/incidents/${incident.incidentId}`} className="text-emerald-600 hover:text-emerald-700">
+                                  {incident.partType} in {incident.rackNumber}
+                                </Link>
+                                {': '}{incident.before} → {incident.after}
+                                <span className="text-gray-500"> ({incident.rule ?? 'no rule matches'})</span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeverityRules;
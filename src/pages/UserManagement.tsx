@@ -0,0 +1,247 @@
+import { useState, useEffect, FormEvent } from 'react';
+import { Search, Plus } from 'lucide-react';
+import { format } from 'date-fns';
+import { api, getErrorMessage } from '../lib/apiClient';
+import type { ManagedUser, Role, Team, UserAdminUpdate } from '../lib/apiClient';
+import { useAuth } from '../context/AuthContext';
+import { ROLES, ROLE_LABELS } from '../utils/roles';
+
+const UserManagement = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState<ManagedUser[]>([]);
+  const [teams, setTeams] = useState<Team[]>([]);
+  const [newTeamName, setNewTeamName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [savingId, setSavingId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchUsers();
+    fetchTeams();
+  }, []);
+
+  const fetchUsers = async () => {
+    try {
+      const { items } = await api.users.list({ limit: 100 });
+      setUsers(items);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      setError(getErrorMessage(error, 'Failed to load users'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTeams = async () => {
+    try {
+      setTeams(await api.teams.list());
+    } catch (error) {
+      console.error('Error fetching teams:', error);
+      setError(getErrorMessage(error, 'Failed to load teams'));
+    }
+  };
+
+  const createTeam = async (event: FormEvent) => {
+    event.preventDefault();
+    if (!newTeamName.trim()) return;
+    setError(null);
+    try {
+      const team = await api.teams.create(newTeamName.trim());
+      setTeams((current) => [...current, team].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewTeamName('');
+    } catch (error) {
+      console.error('Error creating team:', error);
+      setError(getErrorMessage(error, 'Failed to create team'));
+    }
+  };
+
+  const toggleTeam = async (team: Team) => {
+    setError(null);
+    try {
+      const updated = await api.teams.update(team.id, { isActive: !team.is_active });
+      setTeams((current) => current.map((item) => (item.id === team.id ? updated : item)));
+    } catch (error) {
+      console.error('Error updating team:', error);
+      setError(getErrorMessage(error, 'Failed to update team'));
+    }
+  };
+
+  const updateUser = async (id: string, changes: UserAdminUpdate) => {
+    setSavingId(id);
+    setError(null);
+    try {
+      const updated = await api.users.update(id, changes);
+      setUsers((current) => current.map((user) => (user.id === id ? updated : user)));
+      if (changes.teamId !== undefined) fetchTeams();
+    } catch (error) {
+      console.error('Error updating user:', error);
+      setError(getErrorMessage(error, 'Failed to update user'));
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const filteredUsers = users.filter((user) => {
+    const term = searchTerm.toLowerCase();
+    return !term || user.email.toLowerCase().includes(term) || user.full_name?.toLowerCase().includes(term);
+  });
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-2xl font-semibold">Users</h1>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+        <h2 className="text-lg font-medium mb-4">Teams</h2>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {teams.length === 0 && <p className="text-sm text-gray-500">No teams yet</p>}
+          {teams.map((team) => (
+            <button
+              key={team.id}
+              onClick={() => toggleTeam(team)}
+              title={team.is_active ? 'Deactivate team' : 'Reactivate team'}
+              className={`px-3 py-1 rounded-full text-sm ${
+                team.is_active
+                  ? 'bg-emerald-100 text-emerald-800 hover:bg-emerald-200'
+                  : 'bg-gray-200 text-gray-500 line-through hover:bg-gray-300'
+              }`}
+            >
+              {team.name} ({team.member_count})
+            </button>
+          ))}
+        </div>
+        <form onSubmit={createTeam} className="flex gap-2">
+          <input
+            type="text"
+            placeholder="New team name"
+            maxLength={100}
+            className="flex-1 px-4 py-2 border border-gray-200 rounded-lg"
+            value={newTeamName}
+            onChange={(e) => setNewTeamName(e.target.value)}
+          />
+          <button
+            type="submit"
+            disabled={newTeamName.trim().length < 2}
+            className="flex items-center gap-1 px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            Add team
+          </button>
+        </form>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+          <input
+            type="text"
+            placeholder="Search by name or email"
+            className="w-full pl-10 pr-4 py-2 border border-gray-200 rounded-lg"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+        <div className="max-h-[calc(100vh-280px)] overflow-y-auto">
+          <table className="w-full">
+            <thead className="sticky top-0 bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Team</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Last Sign-in</th>
+                <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan={7} className="px-6 py-4 text-center text-gray-500">
+                    Loading users...
+                  </td>
+                </tr>
+              ) : filteredUsers.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="px-6 py-4 text-center text-gray-500">
+                    No users found
+                  </td>
+                </tr>
+              ) : (
+                filteredUsers.map((user) => {
+                  // The API refuses to let admins lock themselves out, so don't offer it
+                  const isSelf = user.id === currentUser?.id;
+                  const saving = savingId === user.id;
+
+                  return (
+                    <tr key={user.id} className={user.is_active ? '' : 'bg-gray-50 text-gray-400'}>
+                      <td className="px-6 py-4 text-sm font-medium">{user.full_name}</td>
+                      <td className="px-6 py-4 text-sm">{user.email}</td>
+                      <td className="px-6 py-4 text-sm">{user.department || '—'}</td>
+                      <td className="px-6 py-4 text-sm">
+                        <select
+                          value={user.team_id ?? ''}
+                          onChange={(e) => updateUser(user.id, { teamId: e.target.value || null })}
+                          disabled={saving}
+                          className="border border-gray-200 rounded-lg px-3 py-1"
+                        >
+                          <option value="">No team</option>
+                          {teams
+                            .filter((team) => team.is_active || team.id === user.team_id)
+                            .map((team) => (
+                              <option key={team.id} value={team.id}>{team.name}</option>
+                            ))}
+                        </select>
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        <select
+                          value={user.role}
+                          onChange={(e) => updateUser(user.id, { role: e.target.value as Role })}
+                          disabled={isSelf || saving}
+                          className="border border-gray-200 rounded-lg px-3 py-1"
+                        >
+                          {ROLES.map((role) => (
+                            <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        {user.last_sign_in_at ? format(new Date(user.last_sign_in_at), 'MMM d, yyyy HH:mm') : 'Never'}
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        <button
+                          onClick={() => updateUser(user.id, { isActive: !user.is_active })}
+                          disabled={isSelf || saving}
+                          className={`px-3 py-1 rounded-full text-xs font-medium disabled:opacity-50 ${
+                            user.is_active
+                              ? 'bg-emerald-100 text-emerald-800 hover:bg-emerald-200'
+                              : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                          }`}
+                        >
+                          {user.is_active ? 'Active' : 'Deactivated'}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UserManagement;
@@ -0,0 +1,484 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { Plus, RotateCw, Trash2 } from 'lucide-react';
+import { api, getErrorMessage } from '../lib/apiClient';
+import type {
+  WebhookDelivery,
+  WebhookDeliveryStatus,
+  WebhookEvent,
+  WebhookSubscription,
+  WebhookSubscriptionInput
+} from '../lib/apiClient';
+
+const EVENTS: { value: WebhookEvent; label: string }[] = [
+  { value: 'incident.created', label: 'Incident created' },
+  { value: 'incident.status_changed', label: 'Incident status changed' },
+  { value: 'walkthrough.submitted', label: 'Walkthrough submitted' },
+  { value: 'report.published', label: 'Report published' }
+];
+
+const STATUS_STYLES: Record<WebhookDeliveryStatus, string> = {
+  sent: 'bg-emerald-100 text-emerald-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const DELIVERY_PAGE_SIZE = 20;
+
+const emptyForm = (): WebhookSubscriptionInput => ({ name: '', url: '', events: [], isActive: true });
+
+const StatusBadge = ({ status }: { status: WebhookDeliveryStatus }) => (
+  <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[status]}`}>{status}</span>
+);
+
+/**
+ * Outbound webhooks. Subscribed endpoints receive signed JSON POSTs for the events they pick;
+ * each subscription's delivery history shows what was sent and lets a delivery be sent again.
+ */
+const Webhooks = () => {
+  const [subscriptions, setSubscriptions] = useState<WebhookSubscription[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  // Secrets are only returned once, when a subscription is created or its secret rotated
+  const [secret, setSecret] = useState<{ name: string; value: string } | null>(null);
+  // null when the form is closed, 'new' while adding
+  const [editing, setEditing] = useState<string | null>(null);
+  const [form, setForm] = useState<WebhookSubscriptionInput>(emptyForm());
+  const [saving, setSaving] = useState(false);
+  const [selected, setSelected] = useState<WebhookSubscription | null>(null);
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [deliveryTotal, setDeliveryTotal] = useState(0);
+  const [statusFilter, setStatusFilter] = useState<WebhookDeliveryStatus | ''>('');
+  const [loadingDeliveries, setLoadingDeliveries] = useState(false);
+  const [payload, setPayload] = useState<WebhookDelivery | null>(null);
+  const [redelivering, setRedelivering] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, []);
+
+  const fetchSubscriptions = async () => {
+    try {
+      setSubscriptions(await api.webhooks.list());
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+      setError(getErrorMessage(error, 'Failed to load the webhooks'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDeliveries = async (subscriptionId: string, page: number, status = statusFilter) => {
+    setLoadingDeliveries(true);
+    try {
+      const result = await api.webhooks.deliveries(subscriptionId, {
+        page,
+        limit: DELIVERY_PAGE_SIZE,
+        status: status || undefined
+      });
+      setDeliveries(current => (page === 1 ? result.items : [...current, ...result.items]));
+      setDeliveryTotal(result.pagination.total);
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      setError(getErrorMessage(error, 'Failed to load the delivery history'));
+    } finally {
+      setLoadingDeliveries(false);
+    }
+  };
+
+  const showDeliveries = (subscription: WebhookSubscription) => {
+    setSelected(subscription);
+    setPayload(null);
+    setDeliveries([]);
+    fetchDeliveries(subscription.id, 1);
+  };
+
+  const changeStatusFilter = (status: WebhookDeliveryStatus | '') => {
+    setStatusFilter(status);
+    if (selected) fetchDeliveries(selected.id, 1, status);
+  };
+
+  const openForm = (subscription?: WebhookSubscription) => {
+    setEditing(subscription?.id ?? 'new');
+    setForm(subscription
+      ? { name: subscription.name, url: subscription.url, events: subscription.events, isActive: subscription.is_active }
+      : emptyForm());
+    setError(null);
+    setNotice(null);
+  };
+
+  const toggleEvent = (event: WebhookEvent, checked: boolean) => {
+    setForm(current => ({
+      ...current,
+      events: checked ? [...current.events, event] : current.events.filter(other => other !== event)
+    }));
+  };
+
+  const saveForm = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const input = { ...form, name: form.name.trim(), url: form.url.trim() };
+      if (editing === 'new') {
+        const created = await api.webhooks.create(input);
+        if (created.secret) setSecret({ name: created.name, value: created.secret });
+        setNotice(`Webhook "${created.name}" added.`);
+      } else if (editing) {
+        const updated = await api.webhooks.update(editing, input);
+        setNotice(`Webhook "${updated.name}" saved.`);
+      }
+      setEditing(null);
+      await fetchSubscriptions();
+    } catch (error) {
+      console.error('Error saving webhook:', error);
+      setError(getErrorMessage(error, 'Failed to save the webhook'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rotateSecret = async (subscription: WebhookSubscription) => {
+    if (!window.confirm(`Rotate the secret of "${subscription.name}"? Signatures made with the old secret stop verifying.`)) return;
+    setError(null);
+    try {
+      const updated = await api.webhooks.update(subscription.id, { rotateSecret: true });
+      if (updated.secret) setSecret({ name: updated.name, value: updated.secret });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      setError(getErrorMessage(error, 'Failed to rotate the secret'));
+    }
+  };
+
+  const removeSubscription = async (subscription: WebhookSubscription) => {
+    if (!window.confirm(`Delete "${subscription.name}" and its delivery history? This cannot be undone.`)) return;
+    setError(null);
+    try {
+      await api.webhooks.remove(subscription.id);
+      if (selected?.id === subscription.id) setSelected(null);
+      setSubscriptions(current => current.filter(other => other.id !== subscription.id));
+      setNotice(`Webhook "${subscription.name}" deleted.`);
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      setError(getErrorMessage(error, 'Failed to delete the webhook'));
+    }
+  };
+
+  const redeliver = async (delivery: WebhookDelivery) => {
+    if (!selected) return;
+    setRedelivering(delivery.id);
+    setError(null);
+    try {
+      const redelivery = await api.webhooks.redeliver(delivery.id);
+      setNotice(redelivery.status === 'sent'
+        ? 'Redelivered successfully.'
+        : `Redelivery failed (${redelivery.last_error ?? 'no response'}); it will be retried.`);
+      await Promise.all([fetchDeliveries(selected.id, 1), fetchSubscriptions()]);
+    } catch (error) {
+      console.error('Error redelivering webhook:', error);
+      setError(getErrorMessage(error, 'Failed to redeliver'));
+    } finally {
+      setRedelivering(null);
+    }
+  };
+
+  const showPayload = async (delivery: WebhookDelivery) => {
+    if (payload?.id === delivery.id) {
+      setPayload(null);
+      return;
+    }
+    try {
+      setPayload(await api.webhooks.delivery(delivery.id));
+    } catch (error) {
+      console.error('Error fetching webhook delivery:', error);
+      setError(getErrorMessage(error, 'Failed to load the payload'));
+    }
+  };
+
+  const formIncomplete = form.name.trim().length < 2 || !form.url.trim() || form.events.length === 0;
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-2xl font-semibold">Webhooks</h1>
+        <button
+          onClick={() => openForm()}
+          className="flex items-center gap-2 px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600"
+        >
+          <Plus size={16} /> Add webhook
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="mb-6 p-4 bg-emerald-50 text-emerald-700 rounded-lg">
+          {notice}
+        </div>
+      )}
+      {secret && (
+        <div className="mb-6 p-4 bg-yellow-50 text-yellow-800 rounded-lg">
+          <p className="mb-2">
+            Signing secret for "{secret.name}". Copy it now; it is not shown again.
+          </p>
+          <code className="block p-2 bg-white rounded border border-yellow-200 text-sm break-all">{secret.value}</code>
+          <button onClick={() => setSecret(null)} className="mt-2 text-sm underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      <p className="text-sm text-gray-500 mb-4">
+        Each endpoint receives a JSON POST for the events it subscribes to, signed with its secret in the
+        X-DAT-Bolt-Signature header. Failed deliveries are retried with increasing delays for about two hours.
+      </p>
+
+      {editing && (
+        <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+          <h2 className="text-lg font-medium mb-4">{editing === 'new' ? 'Add webhook' : 'Edit webhook'}</h2>
+          <div className="grid gap-4 md:grid-cols-2 mb-4">
+            <label className="text-sm text-gray-600">
+              Name
+              <input
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                maxLength={100}
+                className="block w-full mt-1 border border-gray-200 rounded-lg px-3 py-2"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              URL
+              <input
+                type="url"
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                placeholder="https://"
+                className="block w-full mt-1 border border-gray-200 rounded-lg px-3 py-2"
+              />
+            </label>
+          </div>
+          <fieldset className="mb-4">
+            <legend className="text-sm text-gray-600 mb-2">Events</legend>
+            <div className="flex flex-wrap gap-4">
+              {EVENTS.map(event => (
+                <label key={event.value} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.events.includes(event.value)}
+                    onChange={(e) => toggleEvent(event.value, e.target.checked)}
+                    className="w-4 h-4 rounded border-gray-300 text-emerald-500 focus:ring-emerald-500"
+                  />
+                  {event.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          <label className="flex items-center gap-2 text-sm mb-6">
+            <input
+              type="checkbox"
+              checked={form.isActive ?? true}
+              onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+              className="w-4 h-4 rounded border-gray-300 text-emerald-500 focus:ring-emerald-500"
+            />
+            Active
+          </label>
+          <div className="flex gap-2">
+            <button
+              onClick={saveForm}
+              disabled={saving || formIncomplete}
+              className="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save webhook'}
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 border border-gray-200 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm overflow-x-auto mb-8">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b border-gray-200">
+            <tr>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Webhook</th>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Events</th>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Active</th>
+              <th className="text-left px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Last delivery</th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan={5} className="px-6 py-4 text-center text-gray-500">
+                  Loading webhooks...
+                </td>
+              </tr>
+            ) : subscriptions.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-6 py-4 text-center text-gray-500">
+                  No webhooks yet
+                </td>
+              </tr>
+            ) : (
+              subscriptions.map(subscription => (
+                <tr
+                  key={subscription.id}
+                  className={`${subscription.is_active ? '' : 'text-gray-400'} ${selected?.id === subscription.id ? 'bg-emerald-50' : ''}`}
+                >
+                  <td className="px-4 py-3 text-sm">
+                    <p className="font-medium">{subscription.name}</p>
+                    <p className="text-gray-500 break-all">{subscription.url}</p>
+                  </td>
+                  <td className="px-4 py-3 text-sm">{subscription.events.join(', ')}</td>
+                  <td className="px-4 py-3 text-sm">{subscription.is_active ? 'Yes' : 'No'}</td>
+                  <td className="px-4 py-3 text-sm whitespace-nowrap">
+                    {subscription.last_delivery_status && subscription.last_delivery_at ? (
+                      <>
+                        <StatusBadge status={subscription.last_delivery_status} />{' '}
+                        {format(new Date(subscription.last_delivery_at), 'PPp')}
+                      </>
+                    ) : (
+                      <span className="text-gray-500">Never</span>
+                    )}
+                    {(subscription.failed_deliveries ?? 0) > 0 && (
+                      <p className="text-red-600">{subscription.failed_deliveries} failed</p>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right whitespace-nowrap">
+                    <button
+                      onClick={() => showDeliveries(subscription)}
+                      className="px-2 text-emerald-600 hover:text-emerald-700"
+                    >
+                      Deliveries
+                    </button>
+                    <button onClick={() => openForm(subscription)} className="px-2 text-emerald-600 hover:text-emerald-700">
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => rotateSecret(subscription)}
+                      aria-label={`Rotate the secret of ${subscription.name}`}
+                      className="p-1 text-gray-400 hover:text-gray-800"
+                    >
+                      <RotateCw size={16} />
+                    </button>
+                    <button
+                      onClick={() => removeSubscription(subscription)}
+                      aria-label={`Delete ${subscription.name}`}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {selected && (
+        <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+          <div className="flex flex-wrap justify-between items-center gap-4 px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium">Deliveries to {selected.name}</h2>
+            <select
+              value={statusFilter}
+              onChange={(e) => changeStatusFilter(e.target.value as WebhookDeliveryStatus | '')}
+              className="border border-gray-200 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="">All statuses</option>
+              <option value="sent">Sent</option>
+              <option value="pending">Pending</option>
+              <option value="failed">Failed</option>
+            </select>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Created</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                  <th className="text-left px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">Response</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {deliveries.length === 0 ? (
+                  <tr>
+                    <td colSpan={6} className="px-6 py-4 text-center text-gray-500">
+                      {loadingDeliveries ? 'Loading deliveries...' : 'No deliveries'}
+                    </td>
+                  </tr>
+                ) : (
+                  deliveries.flatMap(delivery => [
+                    <tr key={delivery.id} className="align-top">
+                      <td className="px-6 py-3 text-sm whitespace-nowrap">
+                        {format(new Date(delivery.created_at), 'PPp')}
+                        {delivery.redelivery_of && <p className="text-gray-500">Redelivery</p>}
+                      </td>
+                      <td className="px-6 py-3 text-sm">{delivery.event}</td>
+                      <td className="px-6 py-3 text-sm whitespace-nowrap">
+                        <StatusBadge status={delivery.status} />
+                        {delivery.status === 'pending' && delivery.attempts > 0 && (
+                          <p className="text-gray-500">Retry at {format(new Date(delivery.next_attempt_at), 'p')}</p>
+                        )}
+                      </td>
+                      <td className="px-6 py-3 text-sm">{delivery.attempts}</td>
+                      <td className="px-6 py-3 text-sm">
+                        {delivery.response_status ?? '-'}
+                        {delivery.last_error && <p className="text-red-600 break-all">{delivery.last_error}</p>}
+                      </td>
+                      <td className="px-6 py-3 text-sm text-right whitespace-nowrap">
+                        <button onClick={() => showPayload(delivery)} className="px-2 text-emerald-600 hover:text-emerald-700">
+                          {payload?.id === delivery.id ? 'Hide payload' : 'Payload'}
+                        </button>
+                        <button
+                          onClick={() => redeliver(delivery)}
+                          disabled={redelivering !== null || !selected.is_active}
+                          className="px-2 text-emerald-600 hover:text-emerald-700 disabled:opacity-50"
+                        >
+                          {redelivering === delivery.id ? 'Redelivering...' : 'Redeliver'}
+                        </button>
+                      </td>
+                    </tr>,
+                    payload?.id === delivery.id && (
+                      <tr key={`${delivery.id}-payload`}>
+                        <td colSpan={6} className="px-6 pb-4">
+                          <pre className="p-3 bg-gray-50 rounded-lg text-xs overflow-x-auto">
+                            {JSON.stringify(payload.payload, null, 2)}
+                          </pre>
+                        </td>
+                      </tr>
+                    )
+                  ])
+                )}
+              </tbody>
+            </table>
+          </div>
+          {deliveries.length < deliveryTotal && (
+            <div className="px-6 py-4 border-t border-gray-200 text-center">
+              <button
+                onClick={() => fetchDeliveries(selected.id, Math.floor(deliveries.length / DELIVERY_PAGE_SIZE) + 1)}
+                disabled={loadingDeliveries}
+                className="px-4 py-2 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                {loadingDeliveries ? 'Loading...' : 'Load older deliveries'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Webhooks;
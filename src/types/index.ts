@@ -28,8 +28,4 @@ export interface Report {
   UserEmail: string;
   Timestamp: string;
   ReportData: InspectionData;
-}
-
-export interface RackMapping {
-  [datahall: string]: string[];
 }
\ No newline at end of file
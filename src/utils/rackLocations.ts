@@ -1,81 +0,0 @@
-import { RackMapping } from '../types';
-
-export const rackLocations: RackMapping = {
-  "Island 1": [
-    "X2401", "X2402", "X2403", "X2404", "X2405", "X2406", "X2407", "X2408",
-    "X2409", "X2410", "X2411", "X2412", "X2413", "X2414", "X2415", "X2416",
-    "X2501", "X2502", "X2503", "X2504", "X2505", "X2506", "X2507", "X2508",
-    "X2509", "X2510", "X2511", "X2512", "X2513", "X2514", "X2515", "X2516",
-    "X2601", "X2602", "X2603", "X2604", "X2605", "X2606", "X2607", "X2608",
-    "X2609", "X2610", "X2611", "X2612", "X2613", "X2614", "X2615", "X2616",
-    "X2701", "X2702", "X2703", "X2704", "X2705", "X2706", "X2707", "X2708",
-    "X2709", "X2710", "X2711", "X2712", "X2713", "X2714", "X2715", "X2716",
-    "X2801", "X2802", "X2803", "X2804", "X2805", "X2806", "X2807", "X2808",
-    "X2809", "X2810", "X2811", "X2812", "X2813", "X2814", "X2815", "X2816",
-    "X2901", "X2902", "X2903", "X2904", "X2905", "X2906", "X2907", "X2908",
-    "X2909", "X2910", "X2911", "X2912", "X2913", "X2914", "X2915", "X2916"
-  ],
-  "Island 8": [
-    "X2101", "X2102", "X2103", "X2104", "X2105", "X2106", "X2107", "X2108",
-    "X2109", "X2110", "X2111", "X2112", "X2113", "X2114", "X2115", "X2116",
-    "X2201", "X2202", "X2206", "X2207", "X2208", "X2209", "X2210", "X2215",
-    "X2216", "X2301", "X2302", "X2303", "X2304", "X2305", "X2306", "X2307",
-    "X2308", "X2309", "X2310", "X2311", "X2312", "X2313", "X2314", "X2315",
-    "X2316"
-  ],
-  "Island 9": [
-    "X230101", "X230102", "X230103", "X230104", "X230105", "X230106", "X230107", "X230108",
-    "X230109", "X230110", "X230111", "X230112", "X230113", "X230114", "X230115", "X230116",
-    "X230117", "X230118", "X230201", "X230202", "X230203", "X230204", "X230205", "X230206",
-    "X230207", "X230208", "X230209", "X230210", "X230211", "X230212", "X230213", "X230214",
-    "X230215", "X230216", "X230217", "X230218", "X230301", "X230302", "X230303", "X230304",
-    "X230305", "X230306", "X230307", "X230308", "X230309", "X230310", "X230311", "X230312",
-    "X230313", "X230314", "X230315", "X230316", "X230317", "X230318", "X230319", "X230401",
-    "X230402", "X230403", "X230404", "X230405", "X230406", "X230407", "X230408", "X230409",
-    "X230410", "X230411", "X230412", "X230413", "X230414", "X230415", "X230416", "X230417",
-    "X230418"
-  ],
-  "Island 10": [
-    "X230501", "X230502", "X230503", "X230504", "X230505", "X230506", "X230507", "X230508",
-    "X230509", "X230510", "X230511", "X230512", "X230513", "X230514", "X230515", "X230516",
-    "X230517", "X230518", "X230601", "X230602", "X230603", "X230604", "X230605", "X230606",
-    "X230607", "X230608", "X230609", "X230610", "X230611", "X230612", "X230613", "X230614",
-    "X230615", "X230616", "X230617", "X230618", "X230701", "X230702", "X230703", "X230704",
-    "X230705", "X230706", "X230707", "X230708", "X230709", "X230710", "X230711", "X230712",
-    "X230713", "X230714", "X230715", "X230716", "X230717", "X230718", "X230719", "X230801",
-    "X230802", "X230803", "X230804", "X230805", "X230806", "X230807", "X230808", "X230809",
-    "X230810", "X230811", "X230812", "X230813", "X230814", "X230815", "X230816", "X230817",
-    "X230818"
-  ],
-  "Island 11": [
-    "X230901", "X230902", "X230903", "X230904", "X230905", "X230906", "X230907", "X230908",
-    "X230909", "X230910", "X230911", "X230912", "X230913", "X230914", "X230915", "X230916",
-    "X230917", "X230918", "X230919", "X231001", "X231002", "X231003", "X231004", "X231005",
-    "X231006", "X231007", "X231008", "X231009", "X231010", "X231011", "X231012", "X231013",
-    "X231014", "X231015", "X231016", "X231017", "X231018", "X231101", "X231102", "X231103",
-    "X231104", "X231105", "X231106", "X231107", "X231108", "X231109", "X231110", "X231111",
-    "X231112", "X231113", "X231114", "X231115", "X231116", "X231117", "X231118", "X231201",
-    "X231202", "X231203", "X231204", "X231205", "X231206", "X231207", "X231208", "X231209",
-    "X231210", "X231211", "X231212", "X231213", "X231214", "X231215", "X231216", "X231217",
-    "X231218"
-  ],
-  "Island 12": [
-    "X221301", "X221302", "X221303", "X221304", "X221305", "X221306", "X221307", "X221308",
-    "X221309", "X221310", "X221311", "X221312", "X221313", "X221314", "X221315", "X221316",
-    "X221317", "X221318", "X221319", "X221320", "X221321", "X221322", "X221323", "X221324",
-    "X221325", "X221401", "X221402", "X221403", "X221404", "X221405", "X221406", "X221407",
-    "X221408", "X221409", "X221410", "X221411", "X221412", "X221413", "X221414", "X221415",
-    "X221416", "X221417", "X221418", "X221501", "X221502", "X221503", "X221504", "X221505",
-    "X221506", "X221507", "X221508", "X221509", "X221510", "X221511", "X221512", "X221513",
-    "X221514", "X221515", "X221516", "X221517", "X221518", "X221601", "X221602", "X221603",
-    "X221604", "X221605", "X221606", "X221607", "X221608", "X221609", "X221610", "X221611",
-    "X221612", "X221613", "X221614", "X221615", "X221616", "X221617", "X221618"
-  ],
-  "Green Nitrogen": [
-    "X3401", "X3402", "X3403", "X3404", "X3405", "X3406", "X3407", "X3408", "X3409", "X3410",
-    "X3411", "X3412", "X3413", "X3414", "X3415", "X3416", "X3502", "X3504", "X3505", "X3507",
-    "X3508", "X3509", "X3510", "X3512", "X3513", "X3514", "X3515", "X3516", "X3701", "X3702",
-    "X3703", "X3704", "X3801", "X3802", "X3803", "X3804", "X3805", "X3806", "X3807", "X3808",
-    "X3809", "X3810", "X3811", "X3812", "X3813", "X3814", "X3815", "X3816"
-  ]
-};
\ No newline at end of file
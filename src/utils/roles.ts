@@ -0,0 +1,13 @@
+import type { AuthUser, Role } from '../lib/apiClient';
+
+// Ordered from least to most privileged, matching ROLES in azure-functions/shared/auth.js
+export const ROLES: Role[] = ['technician', 'supervisor', 'admin'];
+
+export const ROLE_LABELS: Record<Role, string> = {
+  technician: 'Technician',
+  supervisor: 'Supervisor',
+  admin: 'Admin'
+};
+
+export const hasRole = (user: Pick<AuthUser, 'role'> | null | undefined, minimumRole: Role) =>
+  !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
@@ -1,3 +1,4 @@
+/// <reference types="vitest/config" />
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import path from 'path'
@@ -16,34 +17,16 @@ export default defineConfig({
       protocol: 'wss'
     },
     proxy: {
+      // Azure Functions host started with `func start` in azure-functions/
       '/api': {
-        target: 'http://localhost:3001',
+        target: 'http://localhost:7071',
         changeOrigin: true,
-        secure: false,
-        ws: true,
-        rewrite: (path) => path.replace(/^\/api/, '')
-      },
-      '/rest/v1': {
-        target: process.env.VITE_SUPABASE_URL,
-        changeOrigin: true,
-        secure: false,
-        ws: true,
-        rewrite: (path) => path.replace(/^\/rest\/v1/, '/rest/v1')
-      },
-      '/auth/v1': {
-        target: process.env.VITE_SUPABASE_URL,
-        changeOrigin: true,
-        secure: false,
-        ws: true,
-        rewrite: (path) => path.replace(/^\/auth\/v1/, '/auth/v1')
-      },
-      '/storage/v1': {
-        target: process.env.VITE_SUPABASE_URL,
-        changeOrigin: true,
-        secure: false,
-        ws: true,
-        rewrite: (path) => path.replace(/^\/storage\/v1/, '/storage/v1')
+        secure: false
       }
     }
+  },
+  test: {
+    // The Azure Functions and migration folders have their own jest suites
+    include: ['src/**/*.test.{ts,tsx}']
   }
 })
\ No newline at end of file